@@ -34,8 +34,30 @@ const configSchema = Joi.object({
   KEITARO_BASE_URL: Joi.string().uri().required(),
   KEITARO_API_KEY: Joi.string().required(),
   
+  // Keitaro retry schedules per postback source, JSON: {"pwa.partners": [60000, 300000]}
+  KEITARO_RETRY_SCHEDULES: Joi.string().optional(),
+  
+  // Postback deduplication window (hours)
+  DEDUP_WINDOW_HOURS: Joi.number().positive().default(24),
+  
+  // Currency all deposit aggregates are reported in
+  BASE_CURRENCY: Joi.string().length(3).uppercase().default('USD'),
+  // Per-network payout currency when the postback has none, JSON: {"bettitltr": "TRY"}
+  NETWORK_CURRENCIES: Joi.string().optional(),
+  
   // Security
   WEBHOOK_SECRET: Joi.string().min(32).optional(),
+  // HMAC key of inline button callback data (the bot token is used when unset)
+  CALLBACK_SECRET: Joi.string().min(16).optional(),
+  
+  // Postback authentication
+  // Per-source HMAC secrets, JSON: {"pwa.partners": "secret"} (WEBHOOK_SECRET is the default)
+  POSTBACK_SECRETS: Joi.string().optional(),
+  // Per-source IP allowlist for networks that cannot sign, JSON: {"wwa": ["1.2.3.4"]}
+  POSTBACK_IP_ALLOWLIST: Joi.string().optional(),
+  // Reject unsigned postbacks from sources without their own secret or allowlist
+  POSTBACK_SIGNATURE_REQUIRED: Joi.boolean().default(false),
+  POSTBACK_TIMESTAMP_TOLERANCE_SEC: Joi.number().positive().default(300),
   RATE_LIMIT_WINDOW_MS: Joi.number().positive().default(900000),
   RATE_LIMIT_MAX_REQUESTS: Joi.number().positive().default(100),
   
@@ -64,6 +86,37 @@ if (error) {
   process.exit(1);
 }
 
+// Parse a JSON map keyed by postback source ("from" parameter)
+function parseSourceMap(name, raw, isValidEntry) {
+  if (!raw) {
+    return {};
+  }
+  
+  try {
+    const parsed = JSON.parse(raw);
+    const map = {};
+    
+    for (const [source, entry] of Object.entries(parsed)) {
+      if (!isValidEntry(entry)) {
+        throw new Error(`Invalid value for source "${source}"`);
+      }
+      map[source.toLowerCase()] = entry;
+    }
+    
+    return map;
+  } catch (parseError) {
+    console.error(`❌ ${name} is invalid: ${parseError.message}`);
+    process.exit(1);
+  }
+}
+
+// Per-source retry schedules (source -> array of delays in ms)
+function parseRetrySchedules(raw) {
+  return parseSourceMap('KEITARO_RETRY_SCHEDULES', raw, delays =>
+    Array.isArray(delays) && delays.every(delay => Number.isFinite(delay) && delay > 0)
+  );
+}
+
 const config = {
   env: value.NODE_ENV,
   port: value.PORT,
@@ -86,11 +139,34 @@ const config = {
   
   keitaro: {
     baseUrl: value.KEITARO_BASE_URL,
-    apiKey: value.KEITARO_API_KEY
+    apiKey: value.KEITARO_API_KEY,
+    retrySchedules: parseRetrySchedules(value.KEITARO_RETRY_SCHEDULES)
+  },
+  
+  idempotency: {
+    windowHours: value.DEDUP_WINDOW_HOURS
+  },
+  
+  currency: {
+    base: value.BASE_CURRENCY,
+    networkDefaults: parseSourceMap('NETWORK_CURRENCIES', value.NETWORK_CURRENCIES, currency =>
+      typeof currency === 'string' && /^[A-Za-z]{3}$/.test(currency)
+    )
   },
   
   security: {
     webhookSecret: value.WEBHOOK_SECRET,
+    callbackSecret: value.CALLBACK_SECRET || value.TELEGRAM_BOT_TOKEN,
+    postbackAuth: {
+      secrets: parseSourceMap('POSTBACK_SECRETS', value.POSTBACK_SECRETS, secret =>
+        typeof secret === 'string' && secret.length >= 16
+      ),
+      ipAllowlist: parseSourceMap('POSTBACK_IP_ALLOWLIST', value.POSTBACK_IP_ALLOWLIST, ips =>
+        Array.isArray(ips) && ips.every(ip => typeof ip === 'string')
+      ),
+      signatureRequired: value.POSTBACK_SIGNATURE_REQUIRED,
+      timestampToleranceSec: value.POSTBACK_TIMESTAMP_TOLERANCE_SEC
+    },
     rateLimit: {
       windowMs: value.RATE_LIMIT_WINDOW_MS,
       max: value.RATE_LIMIT_MAX_REQUESTS
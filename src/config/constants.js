@@ -29,27 +29,36 @@ const TRAFFIC_SOURCES = {
   }
 };
 
-// Postback Status Configuration - Universal Deposit Detection
-const POSTBACK_STATUS = {
-  // Deposit indicators - if status contains any of these, it's considered a deposit
-  DEPOSIT_KEYWORDS: [
-    'dep', 'deposit', 'sale', 'approved', 'confirmed', 'success', 'complete',
-    'paid', 'ftd', 'first_deposit', 'payment', 'purchase', 'conversion'
+// Postback Status Classification
+// Statuses are classified by an ordered rule set stored in the status_rules table
+// (see statusRule.service.js). DEFAULT_RULES seed the table on first start, SUPERSEDED_RULES
+// are upgraded to them on every start.
+const STATUS_RULES = {
+  EVENT_TYPES: ['ftd', 'redeposit', 'deposit', 'lead', 'rejected', 'chargeback'],
+  // Event types that produce a deposit notification
+  DEPOSIT_EVENT_TYPES: ['ftd', 'redeposit', 'deposit'],
+  // Stored deposit types - "deposit" resolves to one of them by SubID deposit history
+  DEPOSIT_TYPES: ['ftd', 'redeposit'],
+  // Event types that reverse the original deposit of the SubID
+  REVERSAL_EVENT_TYPES: ['chargeback'],
+  MATCH_TYPES: ['exact', 'prefix', 'regex'],
+  DEFAULT_RULES: [
+    { priority: 10, match_type: 'regex', pattern: '^(charge[_-]?back|refund(ed)?)$', event_type: 'chargeback', description: 'Chargebacks and refunds - reverse the original deposit' },
+    { priority: 20, match_type: 'regex', pattern: '^(reject|denied|cancel|declin|fail|void)', event_type: 'rejected', description: 'Rejected and cancelled conversions' },
+    { priority: 30, match_type: 'prefix', pattern: 'ftd', event_type: 'ftd', description: 'First deposit (ftd, ftd_confirmed)' },
+    { priority: 31, match_type: 'regex', pattern: '^first[_-]?dep(osit)?([_-]confirmed)?$', event_type: 'ftd', description: 'First deposit (first_dep, first_deposit, first_dep_confirmed)' },
+    { priority: 40, match_type: 'regex', pattern: '^re[_-]?dep(osit)?([_-]confirmed)?$', event_type: 'redeposit', description: 'Repeat deposit (redep, redeposit, re_dep)' },
+    { priority: 50, match_type: 'regex', pattern: '^(sale|dep|deposit)([_-]confirmed)?$', event_type: 'deposit', description: 'Deposit without first/repeat marker' },
+    { priority: 51, match_type: 'regex', pattern: '^(approved|confirmed|paid|payment|purchase|success|complete|completed|conversion)$', event_type: 'deposit', description: 'Generic approved conversion' },
+    { priority: 60, match_type: 'regex', pattern: '^(lead|reg|registration|signup|sign_up|install|click|impression|view)$', event_type: 'lead', description: 'Registrations and traffic events' }
   ],
-  
-  // Rejection indicators - if status contains any of these, ignore even if has deposit keywords  
-  REJECTION_KEYWORDS: [
-    'reject', 'denied', 'cancel', 'fail', 'decline', 'void', 'refund', 'chargeback'
-  ],
-  
-  // Registration/Lead indicators - ignore these completely
-  LEAD_KEYWORDS: [
-    'lead', 'reg', 'registration', 'click', 'impression', 'install', 'signup', 'view'
-  ],
-  
-  // Legacy exact match for backward compatibility
-  EXACT_VALID_STATUSES: ['sale', 'dep', 'deposit', 'first_dep_confirmed', 'dep_confirmed'],
-  EXACT_IGNORE_STATUSES: ['lead', 'click', 'impression', 'reg', 'registration']
+  // Default rules of earlier releases - an unchanged copy is replaced on startup
+  // by the default rule with the same priority
+  SUPERSEDED_RULES: [
+    { priority: 10, match_type: 'prefix', pattern: 'chargeback', event_type: 'chargeback' },
+    { priority: 10, match_type: 'regex', pattern: '(charge[_-]?back|refund)', event_type: 'chargeback' },
+    { priority: 20, match_type: 'regex', pattern: '^(reject|denied|cancel|declin|fail|void|refund)', event_type: 'rejected' }
+  ]
 };
 
 // Telegram Message Templates
@@ -68,6 +77,41 @@ const MESSAGE_TEMPLATES = {
 🎨 Креатив: {subid4}
 📋 SubID2: {subid2}`,
 
+  FTD_NOTIFICATION: `🥳 <b>Новый депозит (FTD)!</b>
+
+💰 <b>Доход:</b> {payout}
+🆔 <b>ID баера:</b> {subid1}
+🌍 <b>ГЕО:</b> {geo}
+🔍 <b>SubID:</b> <code>{clickId}</code>
+
+📊 <b>Детали:</b>
+🎯 Оффер: {offer_name}
+📈 Кампания: {campaign_name}
+🔗 Источник: {traffic_source_name}
+🎨 Креатив: {subid4}
+📋 SubID2: {subid2}`,
+
+  REDEPOSIT_NOTIFICATION: `🔁 <b>Редепозит!</b>
+
+💰 <b>Доход:</b> {payout}
+🆔 <b>ID баера:</b> {subid1}
+🌍 <b>ГЕО:</b> {geo}
+🔍 <b>SubID:</b> <code>{clickId}</code>
+
+📊 <b>Детали:</b>
+🎯 Оффер: {offer_name}
+📈 Кампания: {campaign_name}
+🔗 Источник: {traffic_source_name}
+🎨 Креатив: {subid4}
+📋 SubID2: {subid2}`,
+
+  // Prepended to the deposit message for the user bound to the deposit's buyer ID
+  PERSONAL_DEPOSIT_HEADER: `🎉 <b>Это ваш депозит!</b>`,
+
+  // Appended to the struck-through deposit message when the deposit is reversed
+  REVERSAL_NOTICE: `⛔️ <b>{reversal_title}</b>
+Причина: {reason}`,
+
   ERROR_NOTIFICATION: `⚠️ Ошибка обработки постбека
 Время: {timestamp}
 Ошибка: {error}
@@ -152,15 +196,193 @@ const KNOWN_FB_POSTBACK_SOURCES = {
   }
 };
 
-// Retry configuration for Keitaro API eventual consistency delays
-const RETRY_CONFIG = {
-  DELAYS: [30000, 60000, 120000], // 30 seconds, 1 minute, 2 minutes  
-  MAX_RETRIES: 3,
-  TOTAL_MAX_WAIT_TIME: 210000, // 3.5 minutes total
-  BACKOFF_TYPE: 'exponential',
+// Retry schedules for Keitaro API eventual consistency delays
+// Pending retries are stored in the pending_retries table and survive restarts.
+// DEFAULT applies to every postback source without its own schedule;
+// per-source schedules are configured with KEITARO_RETRY_SCHEDULES (see config.js)
+const RETRY_SCHEDULES = {
+  DEFAULT: [30000, 60000, 120000], // 30 seconds, 1 minute, 2 minutes
+  POLL_INTERVAL: 10000, // Check for due retries every 10 seconds
   DESCRIPTION: 'Handles eventual consistency delays in Keitaro API responses'
 };
 
+// Postback inbox worker configuration
+const POSTBACK_QUEUE = {
+  POLL_INTERVAL: 5000, // Check inbox for new postbacks every 5 seconds
+  BATCH_SIZE: 20, // Max postbacks picked up per poll
+  STATES: {
+    RECEIVED: 'received',
+    ENRICHING: 'enriching',
+    NOTIFIED: 'notified',
+    IGNORED: 'ignored',
+    FAILED: 'failed'
+  }
+};
+
+// Postback idempotency configuration
+// Dedup window is configured with DEDUP_WINDOW_HOURS (see config.js)
+const IDEMPOTENCY = {
+  CLEANUP_INTERVAL: 60 * 60 * 1000, // Remove expired keys every hour
+  TRANSACTION_ID_PARAMS: ['transaction_id', 'txid', 'tid'] // Postback params carrying a network transaction id
+};
+
+// Canonical postback fields produced by network mappings (see postbackMapping.service.js)
+const CANONICAL_POSTBACK_FIELDS = ['subid', 'status', 'payout', 'geo', 'currency', 'from', 'transaction_id'];
+
+// Outbound Telegram message queue (see sendQueue.service.js)
+// Telegram allows about 30 messages per second overall, 1 per second to a private chat
+// and 20 per minute to a group or channel
+const SEND_QUEUE = {
+  GLOBAL_INTERVAL: 40, // Min gap between requests - 25 per second
+  PRIVATE_CHAT_INTERVAL: 1000,
+  GROUP_CHAT_INTERVAL: 3000,
+  MAX_ATTEMPTS: 4, // 5xx and network errors
+  // Request errors without a Telegram response that are retried (EFATAL - node-telegram-bot-api network error)
+  NETWORK_ERROR_CODES: ['EFATAL', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN'],
+  RETRY_DELAYS: [1000, 3000, 10000],
+  MAX_RATE_LIMIT_RETRIES: 10, // 429 responses do not count as attempts
+  DEFAULT_RETRY_AFTER: 5, // Seconds, when a 429 response carries no retry_after
+  LATENCY_SAMPLES: 500 // Recent sends kept for latency stats
+};
+
+// Telegram errors meaning a private chat no longer receives messages - the user is deactivated
+// until the next /start (see telegramBot.service.js)
+const UNREACHABLE_CHAT_ERRORS = [
+  { reason: 'bot_blocked', pattern: /bot was blocked by the user/i },
+  { reason: 'user_deactivated', pattern: /user is deactivated/i },
+  { reason: 'chat_not_found', pattern: /chat not found/i }
+];
+
+// Per-user notification filters (see notificationFilter.service.js)
+const NOTIFICATION_FILTERS = {
+  LIST_FIELDS: ['buyer_ids', 'geos', 'traffic_source_ids', 'offers'],
+  MAX_VALUES: 50 // Max values per list filter
+};
+
+// Inline buttons under deposit notifications (see depositAction.service.js)
+// Callback data is "d:<action>:<deposit id>:<signature>" - Telegram allows 64 bytes
+const DEPOSIT_ACTIONS = {
+  PREFIX: 'd',
+  DETAILS: 'i',
+  HIDE_DETAILS: 'x',
+  BUYER_STATS: 's',
+  MUTE_BUYER: 'm',
+  REPORT: 'r',
+  RESOLVE_REPORT: 'v', // Owners only, sent with the report notification
+  SIGNATURE_LENGTH: 16,
+  DETAILS_MAX_LENGTH: 2500, // Keitaro fields shown by "Details"
+  DETAILS_MAX_VALUE_LENGTH: 100
+};
+
+// /stats command (see depositStats.service.js)
+const DEPOSIT_STATS = {
+  // Grouping argument -> deposits column
+  GROUP_BY: {
+    buyer: 'buyer_id',
+    geo: 'geo',
+    source: 'traffic_source_name',
+    offer: 'offer_name',
+    campaign: 'campaign_name',
+    team: 'buyer_id' // Buyer rows summed up per team (see team.service.js)
+  },
+  MAX_RANGE_DAYS: 366,
+  MAX_ROWS: 30, // Table rows, the rest is summed up as "other"
+  HEADER_BUYERS: 10, // Buyer IDs listed in the report header, the rest are only counted
+  KEY_WIDTH: 14 // Characters of the group column
+};
+
+// Daily and weekly deposit digests (see digest.service.js)
+const DIGEST = {
+  FREQUENCIES: ['daily', 'weekly'], // Sent in the user's timezone (QUIET_HOURS.DEFAULT_TIMEZONE when not set)
+  DEFAULT_TIME: '09:00',
+  DEFAULT_WEEKLY_DAY: 1, // Monday
+  WEEK_DAYS: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], // Index is the cron day of week
+  TOP_ROWS: 5 // Rows of the buyer and GEO tables
+};
+
+// Per-user quiet hours and /mute (see quietHours.service.js)
+const QUIET_HOURS = {
+  MODES: ['silent', 'hold'], // silent - sent without sound, hold - summarised after quiet hours
+  DEFAULT_MODE: 'silent',
+  DEFAULT_TIMEZONE: 'Europe/Moscow',
+  MAX_MUTE_MINUTES: 7 * 24 * 60,
+  RELEASE_CRON: '* * * * *', // Check for users whose quiet hours ended
+  SUMMARY_ROWS: 10 // Deposits listed in the summary of held notifications
+};
+
+// Scoped API keys of /admin endpoints (see adminAuth.middleware.js)
+const ADMIN_API = {
+  SCOPES: {
+    READ_STATS: 'read-stats', // Read-only endpoints
+    RUN_AUDIT: 'run-audit', // Deposit audits
+    MANAGE_USERS: 'manage-users', // Buyer bindings
+    MANAGE_CONFIG: 'manage-config', // Mappings, status rules, rates, destinations, webhook setup
+    SEND_TEST: 'send-test' // Test notifications and resends to Telegram
+  },
+  KEY_PREFIX: 'dbk_',
+  KEY_BYTES: 24,
+  AUDIT_LOG_LIMIT: 100, // Max rows of GET /admin/audit-log
+  MAX_KEY_NAME_LENGTH: 100
+};
+
+// Telegram webhook secret token (see webhookSecret.service.js)
+const TELEGRAM_WEBHOOK = {
+  SECRET_SETTING_KEY: 'telegram_webhook_secret',
+  // JSON { token, expiresAt } of the token replaced by the last rotation
+  PREVIOUS_SECRET_SETTING_KEY: 'telegram_webhook_secret_previous',
+  SECRET_BYTES: 32, // Hex encoded - Telegram allows 1-256 characters A-Z, a-z, 0-9, _ and -
+  SECRET_HEADER: 'X-Telegram-Bot-Api-Secret-Token',
+  ROTATION_GRACE_MS: 60 * 1000 // The previous token is accepted for updates already in flight
+};
+
+// Roles and permissions (see accessPolicy.service.js)
+const ACCESS = {
+  ROLES: {
+    OWNER: 'owner', // From OWNER_IDS only
+    ADMIN: 'admin', // Manages users, cannot change owners or admins
+    TEAMLEAD: 'teamlead', // Stats and deposits of the team they lead (bound buyers without one)
+    BUYER: 'buyer', // Only own deposits
+    VIEWER: 'viewer', // Read-only
+    USER: 'user', // Default role of an approved user
+    GUEST: 'guest' // Not approved, banned or unknown
+  },
+  PERMISSIONS: {
+    USE_BOT: 'use-bot', // Personal settings: /settings, /quiet, /mute, /digest, notification buttons
+    REPORT_DEPOSITS: 'report-deposits', // "Report" button under notifications
+    VIEW_STATS: 'view-stats', // /stats, /mystats
+    ALL_STATS: 'all-stats', // Stats of all buyers and teams (/teams), not only of the team or bound buyers
+    ALL_DEPOSITS: 'all-deposits', // Notifications of all deposits (of the team for team members), not only own
+    VIEW_USERS: 'view-users', // /status, /users, /requests, /buyers
+    MANAGE_USERS: 'manage-users', // Join requests, bans, buyer bindings, roles, teams
+    MANAGE_CONFIG: 'manage-config' // Destinations, deliveries, API keys, webhook, reports
+  },
+  ASSIGNABLE_ROLES: ['admin', 'teamlead', 'buyer', 'viewer', 'user'],
+  ROLE_LABELS: {
+    owner: 'владелец',
+    admin: 'администратор',
+    teamlead: 'тимлид',
+    buyer: 'баер',
+    viewer: 'наблюдатель',
+    user: 'пользователь',
+    guest: 'гость'
+  }
+};
+
+// Buying teams (see team.service.js)
+const TEAMS = {
+  NAME_MAX_LENGTH: 32, // Letters, digits, "_" and "-" - the name is a command argument
+  NO_TEAM_LABEL: 'без команды' // Buyer IDs without a team in /stats by team
+};
+
+// Bot commands (see commandRegistry.service.js)
+const BOT_COMMANDS = {
+  ARGS: {
+    NONE: 'none', // Text after the command is ignored
+    OPTIONAL: 'optional',
+    REQUIRED: 'required' // Usage is shown when the argument is missing
+  }
+};
+
 // Error Codes
 const ERROR_CODES = {
   INVALID_POSTBACK: 'INVALID_POSTBACK',
@@ -168,18 +390,36 @@ const ERROR_CODES = {
   CLICK_NOT_FOUND: 'CLICK_NOT_FOUND',
   NON_FB_SOURCE: 'NON_FB_SOURCE',
   INVALID_STATUS: 'INVALID_STATUS',
+  UNCLASSIFIED_STATUS: 'UNCLASSIFIED_STATUS',
   TELEGRAM_ERROR: 'TELEGRAM_ERROR',
   SYSTEM_ERROR: 'SYSTEM_ERROR',
-  FALLBACK_USED: 'FALLBACK_USED'
+  FALLBACK_USED: 'FALLBACK_USED',
+  DUPLICATE_POSTBACK: 'DUPLICATE_POSTBACK',
+  ORIGINAL_DEPOSIT_NOT_FOUND: 'ORIGINAL_DEPOSIT_NOT_FOUND'
 };
 
 module.exports = {
   TRAFFIC_SOURCES,
-  POSTBACK_STATUS,
+  STATUS_RULES,
   MESSAGE_TEMPLATES,
   API_CONFIG,
   LIMITS,
   ERROR_CODES,
   KNOWN_FB_POSTBACK_SOURCES,
-  RETRY_CONFIG
+  RETRY_SCHEDULES,
+  POSTBACK_QUEUE,
+  IDEMPOTENCY,
+  CANONICAL_POSTBACK_FIELDS,
+  NOTIFICATION_FILTERS,
+  SEND_QUEUE,
+  UNREACHABLE_CHAT_ERRORS,
+  DEPOSIT_ACTIONS,
+  DEPOSIT_STATS,
+  DIGEST,
+  QUIET_HOURS,
+  ADMIN_API,
+  TELEGRAM_WEBHOOK,
+  ACCESS,
+  TEAMS,
+  BOT_COMMANDS
 };
\ No newline at end of file
@@ -5,59 +5,45 @@
 
 const Joi = require('joi');
 const logger = require('../utils/logger');
-const { ERROR_CODES, POSTBACK_STATUS, KNOWN_FB_POSTBACK_SOURCES, RETRY_CONFIG } = require('../config/constants');
+const { ERROR_CODES, STATUS_RULES, KNOWN_FB_POSTBACK_SOURCES, POSTBACK_QUEUE } = require('../config/constants');
 const keitaroService = require('../services/keitaro.service');
 const telegramBotService = require('../services/telegramBot.service');
 const trafficSourceService = require('../services/trafficSource.service');
+const postbackProcessor = require('../services/postbackProcessor.service');
+const retryScheduler = require('../services/retryScheduler.service');
+const DepositService = require('../services/deposit.service');
+const IdempotencyService = require('../services/idempotency.service');
+const PostbackMappingService = require('../services/postbackMapping.service');
+const StatusRuleService = require('../services/statusRule.service');
+const ExchangeRateService = require('../services/exchangeRate.service');
+const { Postback } = require('../models');
 
 // Postback validation schema
 const postbackSchema = Joi.object({
   subid: Joi.string().required(),
   status: Joi.string().required(),
-  payout: Joi.number().positive().optional(),
-  geo: Joi.string().length(2).optional()
+  payout: Joi.number().optional(), // Chargebacks may send a negative payout; deposits are checked below
+  geo: Joi.string().length(2).optional(),
+  currency: Joi.string().length(3).optional()
 }).unknown(true); // Allow additional fields
 
-// Cache to prevent duplicate processing of same SubID
-// Using Map for better performance and automatic cleanup
-const processedSubIdsCache = new Map();
-const CACHE_CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour cleanup
-const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours TTL
-
-// Cleanup cache periodically
-setInterval(() => {
-  const now = Date.now();
-  let cleanedCount = 0;
-  
-  for (const [subId, timestamp] of processedSubIdsCache.entries()) {
-    if (now - timestamp > CACHE_TTL) {
-      processedSubIdsCache.delete(subId);
-      cleanedCount++;
-    }
-  }
-  
-  if (cleanedCount > 0) {
-    console.log(`🧹 Cleaned up ${cleanedCount} expired SubIDs from cache`);
-  }
-}, CACHE_CLEANUP_INTERVAL);
-
 class WebhookController {
   /**
    * Process incoming postback
-   * Main entry point for deposit notifications
+   * Main entry point for deposit notifications - stores the postback in the
+   * inbox and answers immediately, processing happens in the background worker
    */
   static async processPostback(req, res) {
-    const startTime = Date.now();
     const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     // FORCE CONSOLE LOG for Render visibility
-    console.log('\n🔄🔄🔄 POSTBACK PROCESSING 🔄🔄🔄');
+    console.log('\n🔄🔄🔄 POSTBACK RECEIVED 🔄🔄🔄');
     console.log(`RequestID: ${requestId}`);
     console.log(`Query: ${JSON.stringify(req.query)}`);
     console.log(`IP: ${req.ip}`);
     console.log(`Time: ${new Date().toISOString()}`);
     
-    logger.info('🔄 Processing postback', {
+    logger.info('📥 Postback received', {
       requestId,
       query: req.query,
       ip: req.ip,
@@ -65,58 +51,142 @@ class WebhookController {
     });
     
     try {
-      // 0. Check cache to prevent duplicate processing
-      const subIdFromQuery = req.query.subid;
-      if (subIdFromQuery && processedSubIdsCache.has(subIdFromQuery)) {
-        const cachedTime = processedSubIdsCache.get(subIdFromQuery);
-        const ageMinutes = Math.floor((Date.now() - cachedTime) / (1000 * 60));
-        
-        logger.info('⚠️ Duplicate SubID detected - skipping processing', {
-          requestId,
-          subid: subIdFromQuery,
-          cachedAgo: `${ageMinutes} minutes`,
-          reason: 'Already processed recently'
-        });
-        
-        return WebhookController._sendResponse(res, 200, {
-          message: 'Duplicate SubID - already processed',
-          subid: subIdFromQuery,
-          cachedAgo: `${ageMinutes} minutes`,
-          requestId
-        });
-      }
-
+      // Network comes from /postback/:network or the "from" parameter
+      const network = req.params.network || null;
+      const canonical = PostbackMappingService.apply(network, req.query);
+      
+      const postback = await Postback.create({
+        request_id: requestId,
+        subid: canonical.subid || null,
+        source: network || canonical.from || null,
+        method: req.method,
+        params: req.query,
+        ip: req.ip,
+        state: POSTBACK_QUEUE.STATES.RECEIVED,
+        state_history: [{ state: POSTBACK_QUEUE.STATES.RECEIVED, reason: null, at: new Date().toISOString() }]
+      });
+      
+      postbackProcessor.enqueue(postback.id);
+      
+      return WebhookController._sendResponse(res, 202, {
+        message: 'Postback accepted for processing',
+        postbackId: postback.id,
+        requestId
+      });
+      
+    } catch (error) {
+      logger.error('💥 Failed to store postback', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        query: req.query
+      });
+      
+      await WebhookController._notifyOwnersAboutError(error, req.query.subid, requestId);
+      
+      return WebhookController._sendResponse(res, 500, {
+        error: ERROR_CODES.SYSTEM_ERROR,
+        message: 'Internal server error',
+        requestId
+      });
+    }
+  }
+  
+  /**
+   * Process a postback stored in the inbox
+   * Called by the background worker, returns the final inbox state
+   * @param {Object} postback - Postback inbox record
+   * @returns {Object} { state, reason, result }
+   */
+  static async handleStoredPostback(postback) {
+    const startTime = Date.now();
+    const requestId = postback.request_id;
+    // Translate network-specific parameters into the canonical postback
+    const query = PostbackMappingService.apply(postback.source, postback.params || {});
+    const { STATES } = POSTBACK_QUEUE;
+    let idempotencyClaim = null;
+    let keepClaim = false;
+    
+    logger.info('🔄 Processing postback', {
+      requestId,
+      postbackId: postback.id,
+      query
+    });
+    
+    try {
       // 1. Validate postback data
-      const validationResult = await WebhookController._validatePostback(req.query);
+      const validationResult = await WebhookController._validatePostback(query);
       if (!validationResult.isValid) {
-        return WebhookController._sendResponse(res, 400, {
-          error: ERROR_CODES.INVALID_POSTBACK,
-          message: validationResult.error,
-          requestId
-        });
+        return {
+          state: STATES.FAILED,
+          reason: validationResult.error,
+          result: { error: ERROR_CODES.INVALID_POSTBACK }
+        };
       }
       
       const postbackData = validationResult.data;
       
-      // 2. Check if status should be processed using universal deposit detection
-      const statusValidation = WebhookController._validateDepositStatus(postbackData.status);
+      // 2. Classify status with the status rules - only deposit events are processed
+      const statusValidation = WebhookController._validateDepositStatus(postbackData.status, postbackData.from);
+      
+      // Chargebacks and refunds reverse the original deposit instead
+      if (STATUS_RULES.REVERSAL_EVENT_TYPES.includes(statusValidation.eventType)) {
+        return await WebhookController._processReversal(postbackData, postback, requestId);
+      }
+      
       if (!statusValidation.isValid) {
         logger.info('⏭️ Ignoring postback - invalid status', {
           requestId,
           status: postbackData.status,
           reason: statusValidation.reason,
+          eventType: statusValidation.eventType,
+          ruleId: statusValidation.ruleId,
           subid: postbackData.subid
         });
         
-        return WebhookController._sendResponse(res, 200, {
-          message: 'Postback ignored - invalid status',
-          status: postbackData.status,
-          reason: statusValidation.reason,
-          requestId
-        });
+        return {
+          state: STATES.IGNORED,
+          reason: `Invalid status: ${statusValidation.reason}`,
+          result: {
+            error: statusValidation.eventType ? ERROR_CODES.INVALID_STATUS : ERROR_CODES.UNCLASSIFIED_STATUS,
+            status: postbackData.status,
+            eventType: statusValidation.eventType,
+            ruleId: statusValidation.ruleId
+          }
+        };
+      }
+      
+      if (postbackData.payout !== undefined && postbackData.payout <= 0) {
+        return {
+          state: STATES.FAILED,
+          reason: '"payout" must be a positive number',
+          result: { error: ERROR_CODES.INVALID_POSTBACK }
+        };
+      }
+      
+      // 3. Claim idempotency key - the same deposit event is processed once per dedup window
+      const transactionId = IdempotencyService.extractTransactionId(query);
+      const claim = await IdempotencyService.claim({
+        subid: postbackData.subid,
+        status: postbackData.status,
+        transactionId,
+        postbackId: postback.id
+      });
+      
+      if (!claim.claimed) {
+        return WebhookController._duplicateOutcome(claim.existing, requestId);
       }
       
-      // 3. Get click data from Keitaro reports with timeout protection
+      idempotencyClaim = claim.record;
+      
+      // A retry of a postback whose deposit is already recorded only sends its notification again
+      const recordedDeposit = await DepositService.findForPostback(postback.id, idempotencyClaim.deposit_id);
+      if (recordedDeposit) {
+        keepClaim = true;
+        return await WebhookController._renotifyDeposit(recordedDeposit, requestId);
+      }
+      
+      // 4. Get click data from Keitaro reports with timeout protection
       let clickData;
       try {
         const startTime = Date.now();
@@ -138,121 +208,87 @@ class WebhookController {
           isTimeout: error.message.includes('timeout')
         });
         
-        // For timeout/error, ignore the postback to prevent hanging
-        return WebhookController._sendResponse(res, 200, {
-          message: 'Postback ignored - Keitaro API unavailable',
-          subid: postbackData.subid,
-          error: error.message,
-          requestId
-        });
+        return {
+          state: STATES.FAILED,
+          reason: `Keitaro API unavailable: ${error.message}`,
+          result: { error: ERROR_CODES.KEITARO_API_ERROR }
+        };
       }
       
       if (!clickData) {
-        logger.info('⚠️ No conversion found, starting retry sequence with exponential backoff', {
-          requestId,
+        // Keitaro may not have the click yet (eventual consistency) - schedule a retry
+        // instead of sleeping; the record stays in "enriching" until the retry runs
+        const pendingRetry = await retryScheduler.schedule(postback, {
           subid: postbackData.subid,
-          reason: 'API returned null - possible eventual consistency delay',
-          postbackFrom: postbackData.from
+          source: postbackData.from,
+          error: 'Click not found in Keitaro'
         });
-        
-        // Retry configuration with exponential backoff from constants
-        const retryDelays = RETRY_CONFIG.DELAYS;
-        const maxRetries = RETRY_CONFIG.MAX_RETRIES;
-        let retryCount = 0;
-        
-        // Try multiple times with increasing delays
-        while (retryCount < maxRetries && !clickData) {
-          const currentDelay = retryDelays[retryCount];
-          const delaySeconds = currentDelay / 1000;
-          
-          logger.info(`⏳ Waiting ${delaySeconds} seconds before retry attempt ${retryCount + 1}/${maxRetries}`, {
-            requestId,
-            subid: postbackData.subid,
-            attemptNumber: retryCount + 1,
-            delaySeconds
-          });
-          
-          // Wait with current delay
-          await new Promise(resolve => setTimeout(resolve, currentDelay));
-          
-          // Retry Keitaro API call
-          try {
-            clickData = await keitaroService.getClickById(postbackData.subid);
-            
-            if (clickData) {
-              logger.info('✅ Retry successful on attempt ' + (retryCount + 1), {
-                requestId,
-                subid: postbackData.subid,
-                attemptNumber: retryCount + 1,
-                totalWaitTime: retryDelays.slice(0, retryCount + 1).reduce((a, b) => a + b, 0) / 1000 + 's'
-              });
-            } else {
-              logger.info(`⚠️ Retry attempt ${retryCount + 1} returned null`, {
-                requestId,
-                subid: postbackData.subid
-              });
-            }
-          } catch (retryError) {
-            logger.error(`❌ Retry attempt ${retryCount + 1} failed with error`, {
-              requestId,
-              subid: postbackData.subid,
-              attemptNumber: retryCount + 1,
-              retryError: retryError.message
-            });
-          }
-          
-          retryCount++;
-        }
-        
-        // If still no data after all retries, use fallback mechanism
-        if (!clickData) {
-          const totalWaitTime = retryDelays.reduce((a, b) => a + b, 0) / 1000;
-          logger.info(`🔄 All ${maxRetries} retry attempts exhausted after ${totalWaitTime}s total wait time, activating fallback`, {
+
+        if (pendingRetry) {
+          logger.info('⚠️ No conversion found, Keitaro retry scheduled', {
             requestId,
             subid: postbackData.subid,
+            reason: 'API returned null - possible eventual consistency delay',
             postbackFrom: postbackData.from,
-            totalAttempts: maxRetries + 1, // including initial attempt
-            totalWaitTime: totalWaitTime + 's'
-          });
-          logger.info('🔄 Activating fallback mechanism after retry failed', {
-            requestId,
-            subid: postbackData.subid,
-            postbackFrom: postbackData.from
+            retry: `${pendingRetry.attempt + 1}/${pendingRetry.max_attempts}`,
+            nextAttemptAt: pendingRetry.next_attempt_at
           });
-          
-          const fallbackResult = await WebhookController._processFallbackDeposit(postbackData, requestId);
-          
-          if (fallbackResult.processed) {
-            // Add SubID to cache after successful fallback processing
-            processedSubIdsCache.set(postbackData.subid, Date.now());
-            
-            logger.info('✅ Fallback processing successful', {
-              requestId,
-              subid: postbackData.subid,
-              fallbackUsed: true,
-              cachedForDuplicatePrevention: true
-            });
-            return WebhookController._sendResponse(res, 200, fallbackResult.response);
-          } else {
-            logger.info('⏭️ Fallback declined to process - ignoring postback', {
-              requestId,
-              subid: postbackData.subid,
-              fallbackReason: fallbackResult.reason
-            });
-            return WebhookController._sendResponse(res, 200, {
-              message: 'Postback ignored after retry and fallback',
-              subid: postbackData.subid,
-              reason: fallbackResult.reason,
-              requestId
-            });
-          }
-        } else {
-          logger.info('✅ Retry successful - continuing with retrieved data', {
+
+          keepClaim = true;
+          return {
+            state: STATES.ENRICHING,
+            deferred: true,
+            reason: `Click not found in Keitaro, retry ${pendingRetry.attempt + 1}/${pendingRetry.max_attempts} scheduled`,
+            result: { error: ERROR_CODES.CLICK_NOT_FOUND, nextAttemptAt: pendingRetry.next_attempt_at }
+          };
+        }
+
+        // Retry schedule exhausted - use fallback mechanism
+        logger.info('🔄 All retry attempts exhausted, activating fallback', {
+          requestId,
+          subid: postbackData.subid,
+          postbackFrom: postbackData.from
+        });
+
+        const fallbackResult = await WebhookController._processFallbackDeposit(
+          postbackData, requestId, postback.id, statusValidation.eventType, idempotencyClaim
+        );
+        // A recorded fallback deposit is attached to the claim - a retry only notifies again
+        keepClaim = Boolean(fallbackResult.depositId);
+
+        if (fallbackResult.processed) {
+
+          logger.info('✅ Fallback processing successful', {
             requestId,
             subid: postbackData.subid,
-            retryWorked: true
+            fallbackUsed: true,
+            idempotencyKey: idempotencyClaim.key
           });
+          return {
+            state: STATES.NOTIFIED,
+            reason: 'Fallback deposit notification sent',
+            result: fallbackResult.response
+          };
         }
+
+        if (fallbackResult.depositId) {
+          return {
+            state: STATES.FAILED,
+            reason: fallbackResult.reason,
+            result: { error: ERROR_CODES.TELEGRAM_ERROR, depositId: fallbackResult.depositId }
+          };
+        }
+
+        logger.info('⏭️ Fallback declined to process - ignoring postback', {
+          requestId,
+          subid: postbackData.subid,
+          fallbackReason: fallbackResult.reason
+        });
+        return {
+          state: STATES.IGNORED,
+          reason: `Ignored after retry and fallback: ${fallbackResult.reason}`,
+          result: { subid: postbackData.subid }
+        };
       }
       
       logger.info('✅ Real click data retrieved from Keitaro', {
@@ -265,7 +301,7 @@ class WebhookController {
         offerName: clickData.offer_name
       });
       
-      // 4. Check if traffic source is FB
+      // 5. Check if traffic source is FB
       const trafficSourceId = clickData.traffic_source_id;
       const trafficSourceName = clickData.traffic_source_name;
       const isFBSource = trafficSourceService.isFBSource(trafficSourceId);
@@ -286,37 +322,46 @@ class WebhookController {
           subid: postbackData.subid
         });
         
-        return WebhookController._sendResponse(res, 200, {
-          message: 'Postback ignored - non-FB source',
-          trafficSourceId,
-          trafficSourceName,
-          requestId
-        });
+        return {
+          state: STATES.IGNORED,
+          reason: 'Non-FB source',
+          result: { error: ERROR_CODES.NON_FB_SOURCE, trafficSourceId, trafficSourceName }
+        };
       }
       
-      // 5. Get additional data for notification
+      // 6. Get additional data for notification
       const enrichedData = await WebhookController._enrichDepositData(postbackData, clickData);
       
-      // 6. Send Telegram notification
+      // 7. Record deposit (resolves FTD / redeposit), then send Telegram notification
+      const deposit = await DepositService.recordDeposit(enrichedData, {
+        postbackId: postback.id,
+        status: postbackData.status,
+        currency: ExchangeRateService.resolveCurrency(postbackData.currency, postbackData.from),
+        eventType: statusValidation.eventType
+      });
+      await IdempotencyService.attachDeposit(idempotencyClaim, deposit.id);
+      // The deposit is stored - a redelivery is a duplicate, a retry only notifies again
+      keepClaim = true;
+      Object.assign(enrichedData, DepositService.notificationFields(deposit));
+      
       const notificationResult = await telegramBotService.sendDepositNotification(enrichedData);
+      await DepositService.recordNotification(deposit, notificationResult);
       
       if (notificationResult.success) {
-        // Add SubID to cache after successful processing
-        processedSubIdsCache.set(postbackData.subid, Date.now());
-        
         logger.info('✅ Deposit notification sent successfully', {
           requestId,
           subid: postbackData.subid,
           payout: postbackData.payout,
+          depositType: deposit.deposit_type,
           processingTime: Date.now() - startTime,
-          cachedForDuplicatePrevention: true
+          idempotencyKey: idempotencyClaim.key
         });
         
-        return WebhookController._sendResponse(res, 200, {
-          message: 'Deposit notification sent successfully',
-          requestId,
-          broadcastStats: notificationResult.stats
-        });
+        return {
+          state: STATES.NOTIFIED,
+          reason: 'Deposit notification sent',
+          result: { depositId: deposit.id, depositType: deposit.deposit_type, broadcastStats: notificationResult.stats }
+        };
       } else {
         logger.error('❌ Failed to send Telegram notification', {
           requestId,
@@ -324,11 +369,11 @@ class WebhookController {
           subid: postbackData.subid
         });
         
-        return WebhookController._sendResponse(res, 500, {
-          error: ERROR_CODES.TELEGRAM_ERROR,
-          message: 'Failed to send notification',
-          requestId
-        });
+        return {
+          state: STATES.FAILED,
+          reason: `Failed to send notification: ${notificationResult.error}`,
+          result: { error: ERROR_CODES.TELEGRAM_ERROR, depositId: deposit.id }
+        };
       }
       
     } catch (error) {
@@ -336,34 +381,229 @@ class WebhookController {
         requestId,
         error: error.message,
         stack: error.stack,
-        query: req.query
+        query
       });
       
-      // Send error notification to owners
-      try {
-        const config = require('../config/config');
-        const errorMessage = `❌ <b>Ошибка обработки постбека</b>\n\n` +
-                           `Ошибка: ${error.message}\n` +
-                           `SubID: ${req.query.subid || 'unknown'}\n` +
-                           `ID запроса: ${requestId}\n\n` +
-                           `<i>Время: ${new Date().toLocaleString('ru-RU', { timeZone: 'Europe/Moscow' })}</i>`;
+      await WebhookController._notifyOwnersAboutError(error, query.subid, requestId);
+      
+      return {
+        state: STATES.FAILED,
+        reason: error.message,
+        result: { error: ERROR_CODES.SYSTEM_ERROR }
+      };
+    } finally {
+      // Postbacks that did not record a deposit may be delivered again
+      if (idempotencyClaim && !keepClaim) {
+        await IdempotencyService.release(idempotencyClaim);
+      }
+    }
+  }
+  
+  /**
+   * Send the notification of a deposit recorded by an earlier attempt of the same postback
+   * Deposits whose notification already went out or that are reversed are not sent again
+   */
+  static async _renotifyDeposit(deposit, requestId) {
+    const { STATES } = POSTBACK_QUEUE;
+    
+    if (deposit.reversed_at || ['sent', 'partial'].includes(deposit.notification_status)) {
+      return {
+        state: STATES.IGNORED,
+        reason: `Deposit #${deposit.id} is already ${deposit.reversed_at ? 'reversed' : 'notified'}`,
+        result: { error: ERROR_CODES.DUPLICATE_POSTBACK, depositId: deposit.id }
+      };
+    }
+    
+    const notificationResult = await telegramBotService.sendDepositNotification(DepositService.notificationData(deposit));
+    await DepositService.recordNotification(deposit, notificationResult);
+    
+    if (!notificationResult.success) {
+      logger.error('❌ Failed to send Telegram notification for recorded deposit', {
+        requestId,
+        depositId: deposit.id,
+        error: notificationResult.error
+      });
+      
+      return {
+        state: STATES.FAILED,
+        reason: `Failed to send notification: ${notificationResult.error}`,
+        result: { error: ERROR_CODES.TELEGRAM_ERROR, depositId: deposit.id }
+      };
+    }
+    
+    logger.info('✅ Notification of recorded deposit sent', {
+      requestId,
+      subid: deposit.subid,
+      depositId: deposit.id
+    });
+    
+    return {
+      state: STATES.NOTIFIED,
+      reason: `Deposit #${deposit.id} notification sent`,
+      result: { depositId: deposit.id, depositType: deposit.deposit_type, broadcastStats: notificationResult.stats }
+    };
+  }
+  
+  /**
+   * Reverse the original deposit of a chargeback/refund postback and amend its notifications
+   * (deferred through the retry scheduler while the SubID has no deposit yet)
+   */
+  static async _processReversal(postbackData, postback, requestId) {
+    const { STATES } = POSTBACK_QUEUE;
+    const deposit = await DepositService.findReversible(postbackData.subid, postbackData.payout);
+    
+    if (!deposit) {
+      const latest = await DepositService.findBySubId(postbackData.subid);
+      
+      if (latest) {
+        logger.info('⏭️ Ignoring reversal postback - deposit already reversed', {
+          requestId,
+          subid: postbackData.subid,
+          status: postbackData.status,
+          alreadyReversedDepositId: latest.id
+        });
         
-        for (const ownerId of config.owners) {
-          try {
-            await telegramBotService.sendMessage(ownerId, errorMessage, { parse_mode: 'HTML' });
-          } catch (msgError) {
-            logger.warn(`Failed to send error notification to owner ${ownerId}`, { msgError });
+        return {
+          state: STATES.IGNORED,
+          reason: `Deposit #${latest.id} is already reversed`,
+          result: {
+            error: ERROR_CODES.DUPLICATE_POSTBACK,
+            subid: postbackData.subid,
+            originalDepositId: latest.id
           }
-        }
-      } catch (telegramError) {
-        logger.error('Failed to send error notification', { telegramError });
+        };
       }
       
-      return WebhookController._sendResponse(res, 500, {
-        error: ERROR_CODES.SYSTEM_ERROR,
-        message: 'Internal server error',
-        requestId
+      // The deposit postback may arrive after its chargeback - retry until it is recorded
+      const pendingRetry = await retryScheduler.schedule(postback, {
+        subid: postbackData.subid,
+        source: postbackData.from,
+        error: 'Original deposit not found'
+      });
+      
+      if (pendingRetry) {
+        logger.info('⚠️ No deposit to reverse yet, retry scheduled', {
+          requestId,
+          subid: postbackData.subid,
+          status: postbackData.status,
+          retry: `${pendingRetry.attempt + 1}/${pendingRetry.max_attempts}`,
+          nextAttemptAt: pendingRetry.next_attempt_at
+        });
+        
+        return {
+          state: STATES.ENRICHING,
+          deferred: true,
+          reason: `No deposit found for SubID, retry ${pendingRetry.attempt + 1}/${pendingRetry.max_attempts} scheduled`,
+          result: {
+            error: ERROR_CODES.ORIGINAL_DEPOSIT_NOT_FOUND,
+            subid: postbackData.subid,
+            nextAttemptAt: pendingRetry.next_attempt_at
+          }
+        };
+      }
+      
+      logger.warn('⏭️ Ignoring reversal postback - no deposit recorded for SubID after all retries', {
+        requestId,
+        subid: postbackData.subid,
+        status: postbackData.status
       });
+      
+      return {
+        state: STATES.IGNORED,
+        reason: 'No deposit found for SubID',
+        result: {
+          error: ERROR_CODES.ORIGINAL_DEPOSIT_NOT_FOUND,
+          subid: postbackData.subid,
+          originalDepositId: null
+        }
+      };
+    }
+    
+    const isRefund = /refund/i.test(postbackData.status);
+    const reason = postbackData.reason || postbackData.comment || `статус постбека "${postbackData.status}"`;
+    
+    await DepositService.reverseDeposit(deposit, {
+      postbackId: postback.id,
+      status: postbackData.status,
+      reason
+    });
+    
+    const editStats = await telegramBotService.markDepositReversed(deposit, {
+      title: isRefund ? 'Возврат (рефанд)' : 'Чарджбэк',
+      reason
+    });
+    
+    logger.info('↩️ Reversal postback processed', {
+      requestId,
+      subid: postbackData.subid,
+      depositId: deposit.id,
+      payout: deposit.payout,
+      editedMessages: editStats.success
+    });
+    
+    return {
+      state: STATES.NOTIFIED,
+      reason: `Deposit #${deposit.id} reversed`,
+      result: {
+        depositId: deposit.id,
+        reversedPayout: parseFloat(deposit.payout),
+        currency: deposit.currency,
+        editStats,
+        originalDepositUrl: `/admin/deposits/${deposit.id}`
+      }
+    };
+  }
+  
+  /**
+   * Build outcome for a postback whose idempotency key is already taken
+   */
+  static _duplicateOutcome(existing, requestId) {
+    const { STATES } = POSTBACK_QUEUE;
+    const depositId = existing ? existing.deposit_id : null;
+    
+    logger.info('⚠️ Duplicate postback detected - skipping processing', {
+      requestId,
+      idempotencyKey: existing?.key,
+      originalPostbackId: existing?.postback_id,
+      originalDepositId: depositId
+    });
+    
+    return {
+      state: STATES.IGNORED,
+      reason: depositId
+        ? `Duplicate of deposit #${depositId}`
+        : `Duplicate of postback #${existing?.postback_id} (still processing)`,
+      result: {
+        error: ERROR_CODES.DUPLICATE_POSTBACK,
+        idempotencyKey: existing?.key,
+        originalPostbackId: existing?.postback_id,
+        originalDepositId: depositId,
+        originalDepositUrl: depositId ? `/admin/deposits/${depositId}` : null
+      }
+    };
+  }
+  
+  /**
+   * Send postback processing error notification to owners
+   */
+  static async _notifyOwnersAboutError(error, subid, requestId) {
+    try {
+      const config = require('../config/config');
+      const errorMessage = `❌ <b>Ошибка обработки постбека</b>\n\n` +
+                         `Ошибка: ${error.message}\n` +
+                         `SubID: ${subid || 'unknown'}\n` +
+                         `ID запроса: ${requestId}\n\n` +
+                         `<i>Время: ${new Date().toLocaleString('ru-RU', { timeZone: 'Europe/Moscow' })}</i>`;
+      
+      for (const ownerId of config.owners) {
+        try {
+          await telegramBotService.sendMessage(ownerId, errorMessage, { parse_mode: 'HTML' });
+        } catch (msgError) {
+          logger.warn(`Failed to send error notification to owner ${ownerId}`, { msgError });
+        }
+      }
+    } catch (telegramError) {
+      logger.error('Failed to send error notification', { telegramError });
     }
   }
   
@@ -449,58 +689,35 @@ class WebhookController {
   }
   
   /**
-   * Universal deposit status validation
+   * Deposit status validation using the status rules
    */
-  static _validateDepositStatus(status) {
-    const statusLower = status.toLowerCase();
-    
-    // First check for rejection keywords (highest priority)
-    const hasRejectionKeyword = POSTBACK_STATUS.REJECTION_KEYWORDS.some(keyword => 
-      statusLower.includes(keyword.toLowerCase())
-    );
+  static _validateDepositStatus(status, network = null) {
+    const classification = StatusRuleService.classify(status, network);
+    const ruleId = classification.rule ? classification.rule.id : null;
     
-    if (hasRejectionKeyword) {
+    if (!classification.eventType) {
       return {
         isValid: false,
-        reason: 'contains_rejection_keyword'
+        reason: 'no_matching_rule',
+        eventType: null,
+        ruleId
       };
     }
     
-    // Check for lead/registration keywords (ignore completely)
-    const hasLeadKeyword = POSTBACK_STATUS.LEAD_KEYWORDS.some(keyword => 
-      statusLower.includes(keyword.toLowerCase())
-    );
-    
-    if (hasLeadKeyword && !statusLower.includes('dep') && !statusLower.includes('sale')) {
+    if (!STATUS_RULES.DEPOSIT_EVENT_TYPES.includes(classification.eventType)) {
       return {
         isValid: false,
-        reason: 'is_lead_or_registration'
-      };
-    }
-    
-    // Check for deposit keywords
-    const hasDepositKeyword = POSTBACK_STATUS.DEPOSIT_KEYWORDS.some(keyword => 
-      statusLower.includes(keyword.toLowerCase())
-    );
-    
-    if (hasDepositKeyword) {
-      return {
-        isValid: true,
-        reason: 'contains_deposit_keyword'
-      };
-    }
-    
-    // Fallback to legacy exact match
-    if (POSTBACK_STATUS.EXACT_VALID_STATUSES.includes(status)) {
-      return {
-        isValid: true,
-        reason: 'exact_match_legacy'
+        reason: `classified_as_${classification.eventType}`,
+        eventType: classification.eventType,
+        ruleId
       };
     }
     
     return {
-      isValid: false,
-      reason: 'no_deposit_indicators'
+      isValid: true,
+      reason: `classified_as_${classification.eventType}`,
+      eventType: classification.eventType,
+      ruleId
     };
   }
   
@@ -620,8 +837,11 @@ class WebhookController {
   /**
    * Process deposit using postback data when Keitaro API is unavailable
    * Evidence-based fallback for real deposit notifications
+   * @returns {Object} { processed, response } or { processed: false, reason, depositId } - depositId
+   *   when the deposit was recorded but its notification failed
    */
-  static async _processFallbackDeposit(postbackData, requestId) {
+  static async _processFallbackDeposit(postbackData, requestId, postbackId = null, eventType = null, idempotencyClaim = null) {
+    let deposit = null;
     try {
       logger.info('🔄 Processing fallback deposit from postback data', {
         requestId,
@@ -672,9 +892,21 @@ class WebhookController {
         fallbackUsed: true // Flag to indicate this is fallback data
       };
 
-      // 3. Send Telegram notification
+      // 3. Record deposit and link it to the idempotency key, then send Telegram notification
+      deposit = await DepositService.recordDeposit(enrichedData, {
+        postbackId,
+        status: postbackData.status,
+        currency: ExchangeRateService.resolveCurrency(postbackData.currency, postbackData.from),
+        eventType
+      });
+      if (idempotencyClaim) {
+        await IdempotencyService.attachDeposit(idempotencyClaim, deposit.id);
+      }
+      Object.assign(enrichedData, DepositService.notificationFields(deposit));
+      
       const telegramBotService = require('../services/telegramBot.service');
       const notificationResult = await telegramBotService.sendDepositNotification(enrichedData);
+      await DepositService.recordNotification(deposit, notificationResult);
 
       if (notificationResult.success) {
         logger.info('✅ Fallback deposit notification sent successfully', {
@@ -689,6 +921,8 @@ class WebhookController {
           response: {
             message: 'Fallback deposit notification sent successfully',
             requestId,
+            depositId: deposit.id,
+            depositType: deposit.deposit_type,
             fallbackUsed: true,
             broadcastStats: notificationResult.stats
           }
@@ -702,6 +936,7 @@ class WebhookController {
 
         return {
           processed: false,
+          depositId: deposit.id,
           reason: `Telegram notification failed: ${notificationResult.error}`
         };
       }
@@ -716,6 +951,7 @@ class WebhookController {
 
       return {
         processed: false,
+        depositId: deposit ? deposit.id : null,
         reason: `Fallback processing error: ${error.message}`
       };
     }
@@ -23,12 +23,34 @@ const path = require('path');
 const config = require('./config/config');
 const logger = require('./utils/logger');
 const WebhookController = require('./controllers/webhook.controller');
+const PostbackAuth = require('./middleware/postbackAuth.middleware');
+const AdminAuth = require('./middleware/adminAuth.middleware');
+const TelegramWebhookAuth = require('./middleware/telegramWebhookAuth.middleware');
 const trafficSourceService = require('./services/trafficSource.service');
+const DepositService = require('./services/deposit.service');
+const IdempotencyService = require('./services/idempotency.service');
+const PostbackMappingService = require('./services/postbackMapping.service');
+const StatusRuleService = require('./services/statusRule.service');
+const ExchangeRateService = require('./services/exchangeRate.service');
+const BuyerBindingService = require('./services/buyerBinding.service');
+const TeamService = require('./services/team.service');
+const NotificationDestinationService = require('./services/notificationDestination.service');
+const DeliveryService = require('./services/delivery.service');
+const DigestService = require('./services/digest.service');
+const ApiKeyService = require('./services/apiKey.service');
+const WebhookSecretService = require('./services/webhookSecret.service');
+const UserManagerService = require('./services/userManager.service');
+const AccessPolicy = require('./services/accessPolicy.service');
+const { ADMIN_API, ACCESS } = require('./config/constants');
 
 // Import services for health checks
 const keitaroService = require('./services/keitaro.service');
 const telegramBotService = require('./services/telegramBot.service');
 const auditScheduler = require('./services/auditScheduler.service');
+const postbackProcessor = require('./services/postbackProcessor.service');
+const retryScheduler = require('./services/retryScheduler.service');
+const digestScheduler = require('./services/digestScheduler.service');
+const quietHoursScheduler = require('./services/quietHoursScheduler.service');
 
 // Import database models
 const { initializeDatabase, checkDatabaseHealth } = require('./models');
@@ -150,33 +172,31 @@ class TelegramDepositBot {
       });
     });
     
+    // Every /admin request needs an API key (see adminAuth.middleware.js) and is audit logged
+    const { SCOPES } = ADMIN_API;
+    const requireScope = AdminAuth.requireScope;
+    this.app.use('/admin', AdminAuth.authenticate);
+    
     // Health check endpoints
     this.app.get('/health', WebhookController.healthCheck);
-    this.app.get('/admin/health-detailed', WebhookController.detailedHealthCheck);
+    this.app.get('/admin/health-detailed', requireScope(SCOPES.READ_STATS), WebhookController.detailedHealthCheck);
     
     // Postback webhook endpoint
-    this.app.get('/postback', WebhookController.processPostback);
-    this.app.post('/postback', WebhookController.processPostback);
+    this.app.get('/postback', PostbackAuth.verify, WebhookController.processPostback);
+    this.app.post('/postback', PostbackAuth.verify, WebhookController.processPostback);
+    this.app.get('/postback/:network', PostbackAuth.verify, WebhookController.processPostback);
+    this.app.post('/postback/:network', PostbackAuth.verify, WebhookController.processPostback);
     
-    // Telegram webhook endpoint (for webhook mode)
-    this.app.post('/telegram/webhook', async (req, res) => {
+    // Telegram webhook endpoint (for webhook mode), only updates with the registered secret token
+    this.app.post('/telegram/webhook', TelegramWebhookAuth.verify, async (req, res) => {
       try {
         logger.info('📨 Telegram webhook received', {
           update_id: req.body.update_id,
           type: req.body.message ? 'message' : req.body.callback_query ? 'callback_query' : 'other'
         });
         
-        const update = req.body;
-        
-        // Handle message updates
-        if (update.message) {
-          await this.handleTelegramMessage(update.message);
-        }
-        
-        // Handle callback query updates (inline buttons)
-        if (update.callback_query) {
-          await telegramBotService.handleCallbackQuery(update.callback_query);
-        }
+        // Messages and inline buttons - dispatched the same way as in polling mode
+        await telegramBotService.handleUpdate(req.body);
         
         res.status(200).json({ ok: true });
       } catch (error) {
@@ -189,22 +209,87 @@ class TelegramDepositBot {
     });
     
     // Admin endpoints (for monitoring)
-    this.app.get('/admin/stats', this.getStats.bind(this));
-    this.app.get('/admin/test', this.testServices.bind(this));
-    this.app.post('/admin/test-notification', this.testNotification.bind(this));
-    this.app.post('/admin/setup-webhook', this.setupWebhook.bind(this));
-    this.app.get('/admin/webhook-info', this.getWebhookInfo.bind(this));
+    this.app.get('/admin/stats', requireScope(SCOPES.READ_STATS), this.getStats.bind(this));
+    this.app.get('/admin/test', requireScope(SCOPES.READ_STATS), this.testServices.bind(this));
+    this.app.post('/admin/test-notification', requireScope(SCOPES.SEND_TEST), this.testNotification.bind(this));
+    this.app.post('/admin/setup-webhook', requireScope(SCOPES.MANAGE_CONFIG), this.setupWebhook.bind(this));
+    this.app.get('/admin/webhook-info', requireScope(SCOPES.READ_STATS), this.getWebhookInfo.bind(this));
+    this.app.post('/admin/webhook-secret/rotate', requireScope(SCOPES.MANAGE_CONFIG), this.rotateWebhookSecret.bind(this));
     
     // Traffic sources info endpoint
-    this.app.get('/admin/traffic-sources', this.getTrafficSources.bind(this));
+    this.app.get('/admin/traffic-sources', requireScope(SCOPES.READ_STATS), this.getTrafficSources.bind(this));
     
     // Fallback mechanism monitoring endpoint
-    this.app.get('/admin/fallback-stats', this.getFallbackStats.bind(this));
+    this.app.get('/admin/fallback-stats', requireScope(SCOPES.READ_STATS), this.getFallbackStats.bind(this));
+    
+    // Pending Keitaro retries
+    this.app.get('/admin/retries', requireScope(SCOPES.READ_STATS), this.getPendingRetries.bind(this));
+    
+    // Deposit details
+    this.app.get('/admin/deposits/:id', requireScope(SCOPES.READ_STATS), this.getDeposit.bind(this));
+    
+    // Postback field mappings per network
+    this.app.get('/admin/postback-mappings', requireScope(SCOPES.READ_STATS), this.getPostbackMappings.bind(this));
+    this.app.put('/admin/postback-mappings/:network', requireScope(SCOPES.MANAGE_CONFIG), this.savePostbackMapping.bind(this));
+    this.app.delete('/admin/postback-mappings/:network', requireScope(SCOPES.MANAGE_CONFIG), this.deletePostbackMapping.bind(this));
+    this.app.post('/admin/postback-mappings/:network/preview', requireScope(SCOPES.READ_STATS), this.previewPostbackMapping.bind(this));
+    
+    // Status classification rules
+    this.app.get('/admin/status-rules', requireScope(SCOPES.READ_STATS), this.getStatusRules.bind(this));
+    this.app.post('/admin/status-rules', requireScope(SCOPES.MANAGE_CONFIG), this.createStatusRule.bind(this));
+    this.app.post('/admin/status-rules/dry-run', requireScope(SCOPES.READ_STATS), this.dryRunStatusRules.bind(this));
+    this.app.put('/admin/status-rules/:id', requireScope(SCOPES.MANAGE_CONFIG), this.updateStatusRule.bind(this));
+    this.app.delete('/admin/status-rules/:id', requireScope(SCOPES.MANAGE_CONFIG), this.deleteStatusRule.bind(this));
+    
+    // Exchange rates for base currency conversion
+    this.app.get('/admin/exchange-rates', requireScope(SCOPES.READ_STATS), this.getExchangeRates.bind(this));
+    this.app.put('/admin/exchange-rates/:currency', requireScope(SCOPES.MANAGE_CONFIG), this.saveExchangeRate.bind(this));
+    this.app.delete('/admin/exchange-rates/:currency', requireScope(SCOPES.MANAGE_CONFIG), this.deleteExchangeRate.bind(this));
+    this.app.post('/admin/exchange-rates/import', requireScope(SCOPES.MANAGE_CONFIG),
+      express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+      this.importExchangeRates.bind(this));
+    
+    // Buyer ID bindings and per-buyer stats
+    this.app.get('/admin/buyer-bindings', requireScope(SCOPES.READ_STATS), this.getBuyerBindings.bind(this));
+    this.app.post('/admin/buyer-bindings', requireScope(SCOPES.MANAGE_USERS), this.createBuyerBinding.bind(this));
+    this.app.delete('/admin/buyer-bindings/:buyerId', requireScope(SCOPES.MANAGE_USERS), this.deleteBuyerBinding.bind(this));
+    
+    // Roles of bot users
+    this.app.get('/admin/roles', requireScope(SCOPES.READ_STATS), this.getRoles.bind(this));
+    this.app.put('/admin/users/:id/role', requireScope(SCOPES.MANAGE_USERS), this.setUserRole.bind(this));
+    this.app.get('/admin/buyer-stats', requireScope(SCOPES.READ_STATS), this.getBuyerStats.bind(this));
+    
+    // Buying teams: members, lead, buyer IDs and per-team stats
+    this.app.get('/admin/teams', requireScope(SCOPES.READ_STATS), this.getTeams.bind(this));
+    this.app.post('/admin/teams', requireScope(SCOPES.MANAGE_USERS), this.createTeam.bind(this));
+    this.app.delete('/admin/teams/:id', requireScope(SCOPES.MANAGE_USERS), this.deleteTeam.bind(this));
+    this.app.put('/admin/teams/:id/lead', requireScope(SCOPES.MANAGE_USERS), this.setTeamLead.bind(this));
+    this.app.post('/admin/teams/:id/buyers', requireScope(SCOPES.MANAGE_USERS), this.addTeamBuyer.bind(this));
+    this.app.delete('/admin/teams/:id/buyers/:buyerId', requireScope(SCOPES.MANAGE_USERS), this.removeTeamBuyer.bind(this));
+    this.app.put('/admin/users/:id/team', requireScope(SCOPES.MANAGE_USERS), this.setUserTeam.bind(this));
+    
+    // Group chats, channels and forum topics receiving notifications
+    this.app.get('/admin/destinations', requireScope(SCOPES.READ_STATS), this.getDestinations.bind(this));
+    this.app.post('/admin/destinations', requireScope(SCOPES.MANAGE_CONFIG), this.createDestination.bind(this));
+    this.app.put('/admin/destinations/:id', requireScope(SCOPES.MANAGE_CONFIG), this.updateDestination.bind(this));
+    this.app.delete('/admin/destinations/:id', requireScope(SCOPES.MANAGE_CONFIG), this.deleteDestination.bind(this));
+    this.app.post('/admin/destinations/:id/check', requireScope(SCOPES.READ_STATS), this.checkDestination.bind(this));
+    
+    // Per-recipient deliveries of deposit notifications
+    this.app.get('/admin/deliveries/:subid', requireScope(SCOPES.READ_STATS), this.getDeliveries.bind(this));
+    this.app.post('/admin/deposits/:id/resend', requireScope(SCOPES.SEND_TEST), this.resendDeposit.bind(this));
+    
+    // Daily/weekly digest schedules
+    this.app.get('/admin/digests', requireScope(SCOPES.READ_STATS), this.getDigests.bind(this));
+    
+    // API keys (issued and revoked by owners in Telegram) and the admin audit log
+    this.app.get('/admin/api-keys', requireScope(SCOPES.READ_STATS), this.getApiKeys.bind(this));
+    this.app.get('/admin/audit-log', requireScope(SCOPES.READ_STATS), this.getAdminAuditLog.bind(this));
     
     // Deposit audit endpoints
-    this.app.post('/admin/audit-deposits', this.auditDeposits.bind(this));
-    this.app.get('/admin/audit-deposit/:subid', this.auditSpecificDeposit.bind(this));
-    this.app.get('/admin/audit-scheduler', this.getAuditSchedulerStats.bind(this));
+    this.app.post('/admin/audit-deposits', requireScope(SCOPES.RUN_AUDIT), this.auditDeposits.bind(this));
+    this.app.get('/admin/audit-deposit/:subid', requireScope(SCOPES.RUN_AUDIT), this.auditSpecificDeposit.bind(this));
+    this.app.get('/admin/audit-scheduler', requireScope(SCOPES.READ_STATS), this.getAuditSchedulerStats.bind(this));
     
     // 404 handler
     this.app.use('*', (req, res) => {
@@ -475,45 +560,6 @@ class TelegramDepositBot {
     });
   }
   
-  /**
-   * Handle Telegram message (webhook mode)
-   */
-  async handleTelegramMessage(msg) {
-    try {
-      // Handle different message types
-      if (msg.text) {
-        const text = msg.text.trim();
-        
-        if (text.startsWith('/start')) {
-          await telegramBotService.handleStartCommand(msg);
-        } else if (text.startsWith('/help')) {
-          await telegramBotService.handleHelpCommand(msg);
-        } else if (text.startsWith('/status')) {
-          await telegramBotService.handleStatusCommand(msg);
-        } else if (text.startsWith('/users')) {
-          await telegramBotService.handleUsersCommand(msg);
-        } else if (text.startsWith('/requests')) {
-          await telegramBotService.handleRequestsCommand(msg);
-        } else if (text.startsWith('/ban ')) {
-          const match = text.match(/\/ban (.+)/);
-          if (match) {
-            await telegramBotService.handleBanCommand(msg, match[1]);
-          }
-        } else if (text.startsWith('/unban ')) {
-          const match = text.match(/\/unban (.+)/);
-          if (match) {
-            await telegramBotService.handleUnbanCommand(msg, match[1]);
-          }
-        }
-      }
-    } catch (error) {
-      logger.error('Telegram message handling error', {
-        error: error.message,
-        message: msg
-      });
-    }
-  }
-  
   /**
    * Get application statistics
    */
@@ -521,6 +567,8 @@ class TelegramDepositBot {
     try {
       const uptime = Math.floor((Date.now() - this.startTime) / 1000);
       const trafficSourceStats = trafficSourceService.getStatistics();
+      const postbackInboxStats = await postbackProcessor.getStats();
+      const depositStats = await DepositService.getStats();
       
       const stats = {
         application: {
@@ -532,7 +580,14 @@ class TelegramDepositBot {
           processedDeposits: this.processedDeposits,
           lastActivity: this.lastActivity
         },
+        deposits: depositStats,
         trafficSources: trafficSourceStats,
+        postbackInbox: postbackInboxStats,
+        postbackAuth: PostbackAuth.getStats(),
+        adminAuth: AdminAuth.getStats(),
+        telegramWebhookAuth: TelegramWebhookAuth.getStats(),
+        telegramSendQueue: telegramBotService.getSendQueueStats(),
+        quietHours: quietHoursScheduler.getStats(),
         system: {
           nodeVersion: process.version,
           platform: process.platform,
@@ -635,17 +690,8 @@ class TelegramDepositBot {
         });
       }
       
-      // Set webhook using direct API call
-      const response = await fetch(`https://api.telegram.org/bot${config.telegram.botToken}/setWebhook`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          url: webhookUrl,
-          drop_pending_updates: true
-        })
-      });
-      
-      const result = await response.json();
+      // Set webhook with the secret token checked by /telegram/webhook
+      const result = await WebhookSecretService.register(null, { dropPendingUpdates: true });
       
       if (result.ok) {
         logger.info('✅ Webhook setup successful', { url: webhookUrl });
@@ -676,6 +722,37 @@ class TelegramDepositBot {
     }
   }
   
+  /**
+   * Replace the Telegram webhook secret token (re-registers the webhook in webhook mode)
+   */
+  async rotateWebhookSecret(req, res) {
+    try {
+      const result = await WebhookSecretService.rotate();
+      
+      if (!result.success) {
+        return res.status(502).json({
+          success: false,
+          error: 'Telegram rejected the new secret token',
+          details: result.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.json({
+        success: true,
+        registered: result.registered,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error rotating webhook secret', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
   /**
    * Get webhook information
    */
@@ -736,24 +813,21 @@ class TelegramDepositBot {
    */
   async getFallbackStats(req, res) {
     try {
-      // Import WebhookController to get cache stats
-      const WebhookController = require('./controllers/webhook.controller');
-      
       const stats = {
         fallbackMechanism: {
           enabled: true,
           version: '3.0.0',
           features: [
-            'Multi-retry with exponential backoff (30s, 1min, 2min)',
+            'Persistent Keitaro retries with per-source schedules',
             'Eventual consistency handling for Keitaro API',
             'Known FB source mapping',
-            'Duplicate prevention cache',
+            'Database-backed duplicate prevention (SubID + status + transaction id)',
             'Enhanced logging with retry tracking'
           ]
         },
-        cache: {
-          totalCachedSubIds: WebhookController.getCacheSize ? WebhookController.getCacheSize() : 'N/A',
-          cacheTTL: '24 hours',
+        idempotency: {
+          activeKeys: await IdempotencyService.countActive(),
+          dedupWindowHours: config.idempotency.windowHours,
           cleanupInterval: '1 hour'
         },
         knownFBSources: Object.keys(require('./config/constants').KNOWN_FB_POSTBACK_SOURCES),
@@ -763,12 +837,11 @@ class TelegramDepositBot {
           trafficSourceId: value.traffic_source_id
         })),
         retryConfiguration: {
-          retryDelays: ['30 seconds', '1 minute', '2 minutes'],
-          maxRetries: 3,
-          totalMaxWaitTime: '3.5 minutes',
-          backoffType: 'exponential',
+          schedules: retryScheduler.getSchedules(),
+          persistent: true,
           fallbackAfterRetryFails: true,
-          eventualConsistencyHandling: true
+          eventualConsistencyHandling: true,
+          pendingEndpoint: '/admin/retries'
         },
         monitoring: {
           endpoint: '/admin/fallback-stats',
@@ -788,160 +861,1343 @@ class TelegramDepositBot {
   }
   
   /**
-   * Audit deposits - compare Keitaro deposits with sent notifications
+   * Get Keitaro retries waiting for their next attempt
    */
-  async auditDeposits(req, res) {
+  async getPendingRetries(req, res) {
     try {
-      const { dateFrom, dateTo } = req.body;
+      const pending = await retryScheduler.getPending();
       
-      // Validate dates
-      if (!dateFrom || !dateTo) {
-        return res.status(400).json({
-          error: 'dateFrom and dateTo are required',
-          example: {
-            dateFrom: '2025-08-29',
-            dateTo: '2025-08-29'
-          },
+      res.json({
+        count: pending.length,
+        pending,
+        schedules: retryScheduler.getSchedules(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting pending retries', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to get pending retries',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Get a recorded deposit with the postback that produced it
+   */
+  async getDeposit(req, res) {
+    try {
+      const deposit = await DepositService.findById(req.params.id);
+      
+      if (!deposit) {
+        return res.status(404).json({
+          error: 'Deposit not found',
+          depositId: req.params.id,
           timestamp: new Date().toISOString()
         });
       }
       
-      // Validate date format
-      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-      if (!dateRegex.test(dateFrom) || !dateRegex.test(dateTo)) {
+      res.json({
+        deposit,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting deposit', { depositId: req.params.id, error: error.message });
+      res.status(500).json({
+        error: 'Failed to get deposit',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Get postback field mappings
+   */
+  async getPostbackMappings(req, res) {
+    try {
+      const mappings = await PostbackMappingService.listMappings();
+      
+      res.json({
+        count: mappings.length,
+        mappings,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting postback mappings', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to get postback mappings',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Create or replace postback field mapping for a network
+   */
+  async savePostbackMapping(req, res) {
+    try {
+      const result = await PostbackMappingService.upsertMapping(req.params.network, req.body);
+      
+      if (!result.success) {
         return res.status(400).json({
-          error: 'Invalid date format, use YYYY-MM-DD',
+          error: 'Invalid mapping',
+          message: result.message,
           timestamp: new Date().toISOString()
         });
       }
       
-      logger.info('🔍 Starting deposit audit', { dateFrom, dateTo });
+      res.json({
+        mapping: result.mapping,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error saving postback mapping', { network: req.params.network, error: error.message });
+      res.status(500).json({
+        error: 'Failed to save postback mapping',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Delete postback field mapping for a network
+   */
+  async deletePostbackMapping(req, res) {
+    try {
+      const deleted = await PostbackMappingService.deleteMapping(req.params.network);
       
-      // Run audit using DepositAuditService
-      const DepositAuditService = require('./services/depositAudit.service');
-      const auditResults = await DepositAuditService.auditDeposits(dateFrom, dateTo);
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Mapping not found',
+          network: req.params.network,
+          timestamp: new Date().toISOString()
+        });
+      }
       
-      logger.info('✅ Deposit audit completed', {
-        auditId: auditResults.audit.auditId,
-        missingDeposits: auditResults.statistics.missingNotifications,
-        successRate: auditResults.statistics.successRate
+      res.json({
+        deleted: true,
+        network: req.params.network,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error deleting postback mapping', { network: req.params.network, error: error.message });
+      res.status(500).json({
+        error: 'Failed to delete postback mapping',
+        timestamp: new Date().toISOString()
       });
+    }
+  }
+  
+  /**
+   * Show how raw parameters translate for a network
+   * Body: { params: {...}, mapping: {...} } - mapping is optional (unsaved draft)
+   */
+  async previewPostbackMapping(req, res) {
+    try {
+      const { params = {}, mapping = null } = req.body || {};
+      const result = PostbackMappingService.previewMapping(req.params.network, params, mapping);
       
-      res.json(auditResults);
+      if (!result.success) {
+        return res.status(400).json({
+          error: 'Invalid mapping',
+          message: result.message,
+          timestamp: new Date().toISOString()
+        });
+      }
       
+      res.json({
+        ...result,
+        timestamp: new Date().toISOString()
+      });
     } catch (error) {
-      logger.error('❌ Deposit audit failed', {
-        error: error.message,
-        stack: error.stack
+      logger.error('Error previewing postback mapping', { network: req.params.network, error: error.message });
+      res.status(500).json({
+        error: 'Failed to preview postback mapping',
+        timestamp: new Date().toISOString()
       });
+    }
+  }
+  
+  /**
+   * Get status classification rules in evaluation order
+   */
+  async getStatusRules(req, res) {
+    try {
+      const rules = await StatusRuleService.listRules();
       
+      res.json({
+        count: rules.length,
+        rules,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting status rules', { error: error.message });
       res.status(500).json({
-        error: 'Audit failed',
-        message: error.message,
+        error: 'Failed to get status rules',
         timestamp: new Date().toISOString()
       });
     }
   }
   
   /**
-   * Audit specific deposit by SubID
+   * Create status classification rule
    */
-  async auditSpecificDeposit(req, res) {
+  async createStatusRule(req, res) {
     try {
-      const { subid } = req.params;
+      const result = await StatusRuleService.createRule(req.body);
       
-      if (!subid) {
+      if (!result.success) {
         return res.status(400).json({
-          error: 'SubID is required',
+          error: 'Invalid rule',
+          message: result.message,
           timestamp: new Date().toISOString()
         });
       }
       
-      logger.info('🔍 Auditing specific deposit', { subid });
+      res.status(201).json({
+        rule: result.rule,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error creating status rule', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to create status rule',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Update status classification rule
+   */
+  async updateStatusRule(req, res) {
+    try {
+      const result = await StatusRuleService.updateRule(req.params.id, req.body);
       
-      const DepositAuditService = require('./services/depositAudit.service');
-      const auditResult = await DepositAuditService.auditSpecificDeposit(subid);
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({
+          error: result.notFound ? 'Rule not found' : 'Invalid rule',
+          message: result.message,
+          timestamp: new Date().toISOString()
+        });
+      }
       
       res.json({
-        audit: {
-          subid,
-          timestamp: new Date().toISOString()
-        },
-        result: auditResult
+        rule: result.rule,
+        timestamp: new Date().toISOString()
       });
-      
     } catch (error) {
-      logger.error('❌ Specific deposit audit failed', {
-        subid: req.params.subid,
-        error: error.message
-      });
-      
+      logger.error('Error updating status rule', { ruleId: req.params.id, error: error.message });
       res.status(500).json({
-        error: 'Specific audit failed',
-        message: error.message,
-        subid: req.params.subid,
+        error: 'Failed to update status rule',
         timestamp: new Date().toISOString()
       });
     }
   }
-
+  
   /**
-   * Get audit scheduler statistics
+   * Delete status classification rule
    */
-  async getAuditSchedulerStats(req, res) {
+  async deleteStatusRule(req, res) {
     try {
-      const schedulerStats = auditScheduler.getSchedulerStats();
+      const deleted = await StatusRuleService.deleteRule(req.params.id);
+      
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Rule not found',
+          ruleId: req.params.id,
+          timestamp: new Date().toISOString()
+        });
+      }
       
       res.json({
-        auditScheduler: {
-          ...schedulerStats,
-          description: 'Автоматический планировщик аудита депозитов',
-          features: [
-            'Ежедневный аудит в 09:00 MSK',
-            'Еженедельный отчет в воскресенье 10:00 MSK', 
-            'Экстренная проверка каждые 4 часа',
-            'Автоматические уведомления в Telegram',
-            'История аудитов и трендовый анализ'
-          ]
-        },
+        deleted: true,
+        ruleId: req.params.id,
         timestamp: new Date().toISOString()
       });
-      
     } catch (error) {
-      logger.error('Error getting audit scheduler stats', { error: error.message });
+      logger.error('Error deleting status rule', { ruleId: req.params.id, error: error.message });
       res.status(500).json({
-        error: 'Failed to get scheduler statistics',
+        error: 'Failed to delete status rule',
         timestamp: new Date().toISOString()
       });
     }
   }
   
   /**
-   * Start the server
+   * Explain how a status is classified
+   * Body: { status, network }
    */
-  async start() {
+  async dryRunStatusRules(req, res) {
     try {
-      // Validate configuration
-      config.validateConfig();
+      const { status, network = null } = req.body || {};
       
-      // Initialize database
-      logger.info('🔄 Initializing database...');
-      await initializeDatabase();
-      
-      // Initialize Telegram bot
-      logger.info('🤖 Initializing Telegram bot...');
-      await telegramBotService.initialize();
-      
-      // Validate traffic sources configuration
-      const trafficSourceValidation = trafficSourceService.validateConfiguration();
-      if (!trafficSourceValidation.valid) {
-        throw new Error(`Traffic source configuration invalid: ${trafficSourceValidation.error}`);
+      if (!status) {
+        return res.status(400).json({
+          error: 'Status is required',
+          timestamp: new Date().toISOString()
+        });
       }
       
-      // Start automatic audit scheduler
+      res.json({
+        ...StatusRuleService.dryRun(status, network),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error in status rules dry run', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to run status rules',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Get exchange rates
+   */
+  async getExchangeRates(req, res) {
+    try {
+      const [rates, unconvertedDeposits] = await Promise.all([
+        ExchangeRateService.listRates(),
+        ExchangeRateService.countUnconverted()
+      ]);
+      
+      res.json({
+        baseCurrency: config.currency.base,
+        networkCurrencies: config.currency.networkDefaults,
+        count: rates.length,
+        rates,
+        unconvertedDeposits,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting exchange rates', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to get exchange rates',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Create or replace exchange rate
+   * Body: { rate } - base currency units per 1 unit of :currency
+   */
+  async saveExchangeRate(req, res) {
+    try {
+      const result = await ExchangeRateService.upsertRate(req.params.currency, req.body?.rate);
+      
+      if (!result.success) {
+        return res.status(400).json({
+          error: 'Invalid exchange rate',
+          message: result.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.json({
+        rate: result.rate,
+        convertedDeposits: result.convertedDeposits,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error saving exchange rate', { currency: req.params.currency, error: error.message });
+      res.status(500).json({
+        error: 'Failed to save exchange rate',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Delete exchange rate
+   */
+  async deleteExchangeRate(req, res) {
+    try {
+      const deleted = await ExchangeRateService.deleteRate(req.params.currency);
+      
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Exchange rate not found',
+          currency: req.params.currency,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.json({
+        deleted: true,
+        currency: req.params.currency.toUpperCase(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error deleting exchange rate', { currency: req.params.currency, error: error.message });
+      res.status(500).json({
+        error: 'Failed to delete exchange rate',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Import exchange rates from CSV ("currency,rate" lines)
+   * Body: text/csv, or JSON { csv }
+   */
+  async importExchangeRates(req, res) {
+    try {
+      const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+      const result = await ExchangeRateService.importCsv(csv);
+      
+      if (!result.success) {
+        return res.status(400).json({
+          error: 'Invalid CSV',
+          message: result.message,
+          errors: result.errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.json({
+        imported: result.imported,
+        rates: result.rates,
+        errors: result.errors,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error importing exchange rates', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to import exchange rates',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Get buyer ID bindings and buyer IDs seen in deposits without a binding
+   */
+  async getBuyerBindings(req, res) {
+    try {
+      const [bindings, unbound] = await Promise.all([
+        BuyerBindingService.listBindings(),
+        BuyerBindingService.getUnboundBuyers()
+      ]);
+      
+      res.json({
+        bindings,
+        unbound,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting buyer bindings', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to get buyer bindings',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Bind a buyer ID to a user
+   * Body: { userId, buyerId }
+   */
+  async createBuyerBinding(req, res) {
+    try {
+      const { userId, buyerId } = req.body || {};
+      
+      if (!userId || !buyerId) {
+        return res.status(400).json({
+          error: 'userId and buyerId are required',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const result = await BuyerBindingService.bind(userId, buyerId);
+      
+      if (!result.success) {
+        return res.status(400).json({
+          error: 'Failed to bind buyer ID',
+          message: result.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.status(201).json({
+        binding: result.binding,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error creating buyer binding', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to bind buyer ID',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Get roles, their permissions and the roles assignable at runtime
+   */
+  async getRoles(req, res) {
+    try {
+      const roles = Object.values(ACCESS.ROLES).map(role => ({
+        role,
+        label: ACCESS.ROLE_LABELS[role],
+        permissions: AccessPolicy.permissionsOf(role)
+      }));
+      
+      res.json({
+        roles,
+        assignable: ACCESS.ASSIGNABLE_ROLES,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting roles', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to get roles',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Change a user's role
+   * Body: { role } - API keys act as admins: admin and owner roles are not assignable here
+   */
+  async setUserRole(req, res) {
+    try {
+      const actor = { id: `api-key:${req.adminAuth.apiKey.id}`, role: ACCESS.ROLES.ADMIN };
+      const result = await UserManagerService.setRole(req.params.id, (req.body || {}).role, actor);
+      
+      if (!result.success) {
+        const statuses = { not_found: 404, owner: 403, forbidden: 403 };
+        return res.status(statuses[result.reason] || 400).json({
+          error: 'Failed to change role',
+          message: result.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const role = AccessPolicy.roleOf(result.user);
+      await telegramBotService.syncCommandMenu(result.user);
+      
+      res.json({
+        userId: result.user.id,
+        role: AccessPolicy.assignedRole(result.user),
+        previousRole: result.previousRole,
+        effectiveRole: role,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error changing user role', { userId: req.params.id, error: error.message });
+      res.status(500).json({
+        error: 'Failed to change role',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Remove a buyer ID binding
+   */
+  async deleteBuyerBinding(req, res) {
+    try {
+      const binding = await BuyerBindingService.unbind(req.params.buyerId);
+      
+      if (!binding) {
+        return res.status(404).json({
+          error: 'Buyer binding not found',
+          buyerId: req.params.buyerId,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.json({
+        deleted: true,
+        buyerId: binding.buyer_id,
+        userId: binding.user_id,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error deleting buyer binding', { buyerId: req.params.buyerId, error: error.message });
+      res.status(500).json({
+        error: 'Failed to delete buyer binding',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Deposit stats per bound user
+   * Query: from, to (YYYY-MM-DD, optional - all time by default)
+   */
+  async getBuyerStats(req, res) {
+    try {
+      const { from, to } = req.query;
+      const dateFrom = from ? new Date(`${from}T00:00:00Z`) : null;
+      const dateTo = to ? new Date(`${to}T23:59:59.999Z`) : null;
+      
+      if ((dateFrom && isNaN(dateFrom.getTime())) || (dateTo && isNaN(dateTo.getTime()))) {
+        return res.status(400).json({
+          error: 'Invalid date format. Use YYYY-MM-DD',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const users = await BuyerBindingService.getStatsByUser(dateFrom, dateTo);
+      
+      res.json({
+        period: { from: from || null, to: to || null },
+        currency: config.currency.base,
+        users,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting buyer stats', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to get buyer stats',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Get teams with their lead, members, buyer IDs and deposit stats
+   * Query: from, to (YYYY-MM-DD, optional - all time by default)
+   */
+  async getTeams(req, res) {
+    try {
+      const { from, to } = req.query;
+      const dateFrom = from ? new Date(`${from}T00:00:00Z`) : null;
+      const dateTo = to ? new Date(`${to}T23:59:59.999Z`) : null;
+      
+      if ((dateFrom && isNaN(dateFrom.getTime())) || (dateTo && isNaN(dateTo.getTime()))) {
+        return res.status(400).json({
+          error: 'Invalid date format. Use YYYY-MM-DD',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const [teams, stats] = await Promise.all([
+        TeamService.listTeams(),
+        TeamService.getStatsByTeam(dateFrom, dateTo)
+      ]);
+      
+      res.json({
+        period: { from: from || null, to: to || null },
+        currency: config.currency.base,
+        teams,
+        stats,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting teams', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to get teams',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Create a team
+   * Body: { name }
+   */
+  async createTeam(req, res) {
+    try {
+      const result = await TeamService.createTeam((req.body || {}).name);
+      
+      if (!result.success) {
+        return res.status(400).json({
+          error: 'Failed to create team',
+          message: result.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.status(201).json({
+        team: result.team,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error creating team', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to create team',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Delete a team - members and buyer IDs stay without a team
+   */
+  async deleteTeam(req, res) {
+    try {
+      const team = await TeamService.deleteTeam(req.params.id);
+      
+      if (!team) {
+        return res.status(404).json({
+          error: 'Team not found',
+          team: req.params.id,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.json({
+        deleted: true,
+        teamId: team.id,
+        name: team.name,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error deleting team', { team: req.params.id, error: error.message });
+      res.status(500).json({
+        error: 'Failed to delete team',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Make a user the team lead (the lead joins the team)
+   * Body: { userId }
+   */
+  async setTeamLead(req, res) {
+    try {
+      const { userId } = req.body || {};
+      
+      if (!userId) {
+        return res.status(400).json({
+          error: 'userId is required',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const result = await TeamService.setLead(req.params.id, userId);
+      
+      if (!result.success) {
+        return res.status(400).json({
+          error: 'Failed to set team lead',
+          message: result.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.json({
+        teamId: result.team.id,
+        leadUserId: result.user.id,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error setting team lead', { team: req.params.id, error: error.message });
+      res.status(500).json({
+        error: 'Failed to set team lead',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Assign a buyer ID to a team
+   * Body: { buyerId }
+   */
+  async addTeamBuyer(req, res) {
+    try {
+      const { buyerId } = req.body || {};
+      
+      if (!buyerId) {
+        return res.status(400).json({
+          error: 'buyerId is required',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const result = await TeamService.addBuyer(req.params.id, buyerId);
+      
+      if (!result.success) {
+        return res.status(400).json({
+          error: 'Failed to add buyer ID to team',
+          message: result.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.status(201).json({
+        teamBuyer: result.teamBuyer,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error adding team buyer', { team: req.params.id, error: error.message });
+      res.status(500).json({
+        error: 'Failed to add buyer ID to team',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Remove a buyer ID from a team
+   */
+  async removeTeamBuyer(req, res) {
+    try {
+      const [team, teamId] = await Promise.all([
+        TeamService.findTeam(req.params.id),
+        TeamService.getTeamIdByBuyer(req.params.buyerId)
+      ]);
+      
+      if (!team || teamId !== team.id) {
+        return res.status(404).json({
+          error: 'Buyer ID is not in this team',
+          buyerId: req.params.buyerId,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const teamBuyer = await TeamService.removeBuyer(req.params.buyerId);
+      
+      res.json({
+        deleted: true,
+        buyerId: teamBuyer.buyer_id,
+        teamId: team.id,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error removing team buyer', { buyerId: req.params.buyerId, error: error.message });
+      res.status(500).json({
+        error: 'Failed to remove buyer ID from team',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Move a user to a team or out of their team
+   * Body: { team } - team ID or name, null removes the user from their team
+   */
+  async setUserTeam(req, res) {
+    try {
+      const { team } = req.body || {};
+      const result = team === null || team === undefined || team === ''
+        ? await TeamService.removeMember(req.params.id)
+        : await TeamService.addMember(team, req.params.id);
+      
+      if (!result.success) {
+        return res.status(400).json({
+          error: 'Failed to change team',
+          message: result.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.json({
+        userId: result.user.id,
+        teamId: result.user.team_id,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error changing user team', { userId: req.params.id, error: error.message });
+      res.status(500).json({
+        error: 'Failed to change team',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Get notification destinations with their delivery status
+   */
+  async getDestinations(req, res) {
+    try {
+      const destinations = await NotificationDestinationService.listDestinations();
+      
+      res.json({
+        destinations,
+        failing: destinations.filter(destination => destination.is_active && destination.failure_count > 0).length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting notification destinations', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to get notification destinations',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Register a group chat, channel or forum topic
+   * Body: { chatId, threadId?, filters? } - chatId may be a @channel username
+   */
+  async createDestination(req, res) {
+    try {
+      const { chatId, threadId, filters } = req.body || {};
+      
+      if (!chatId) {
+        return res.status(400).json({
+          error: 'chatId is required',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const result = await NotificationDestinationService.register(chatId, threadId ? parseInt(threadId, 10) : null);
+      
+      if (!result.success) {
+        return res.status(400).json({
+          error: 'Bot cannot post to this chat',
+          message: result.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      let destination = result.destination;
+      if (filters) {
+        const update = await NotificationDestinationService.update(destination.id, filters);
+        if (!update.success) {
+          return res.status(400).json({
+            error: 'Invalid filters',
+            message: update.message,
+            destination,
+            timestamp: new Date().toISOString()
+          });
+        }
+        destination = update.destination;
+      }
+      
+      res.status(result.created ? 201 : 200).json({
+        destination,
+        created: result.created,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error creating notification destination', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to create notification destination',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Update destination filters, title or active flag
+   * Body: { buyer_ids?, geos?, traffic_source_ids?, offers?, min_payout?, title?, is_active? }
+   */
+  async updateDestination(req, res) {
+    try {
+      const result = await NotificationDestinationService.update(req.params.id, req.body || {});
+      
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({
+          error: result.notFound ? 'Destination not found' : 'Invalid filters',
+          message: result.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.json({
+        destination: result.destination,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error updating notification destination', { id: req.params.id, error: error.message });
+      res.status(500).json({
+        error: 'Failed to update notification destination',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Remove a notification destination
+   */
+  async deleteDestination(req, res) {
+    try {
+      const destination = await NotificationDestinationService.remove(req.params.id);
+      
+      if (!destination) {
+        return res.status(404).json({
+          error: 'Destination not found',
+          id: req.params.id,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.json({
+        deleted: true,
+        id: destination.id,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error deleting notification destination', { id: req.params.id, error: error.message });
+      res.status(500).json({
+        error: 'Failed to delete notification destination',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Re-check the bot's permissions in a destination
+   */
+  async checkDestination(req, res) {
+    try {
+      const result = await NotificationDestinationService.recheck(req.params.id);
+      
+      if (!result) {
+        return res.status(404).json({
+          error: 'Destination not found',
+          id: req.params.id,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.json({
+        ok: result.access.ok,
+        message: result.access.message || null,
+        isAdmin: result.access.isAdmin || false,
+        destination: result.destination,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error checking notification destination', { id: req.params.id, error: error.message });
+      res.status(500).json({
+        error: 'Failed to check notification destination',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Recipients of the deposit notifications of a SubID
+   * Query: limit (deposits, default 5)
+   */
+  async getDeliveries(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 5, 50);
+      const entries = await DeliveryService.getBySubId(req.params.subid, limit);
+      
+      if (entries.length === 0) {
+        return res.status(404).json({
+          error: 'Deposit not found',
+          subid: req.params.subid,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.json({
+        subid: req.params.subid,
+        deposits: entries.map(({ deposit, deliveries }) => ({
+          id: deposit.id,
+          payout: deposit.payout,
+          currency: deposit.currency,
+          depositType: deposit.deposit_type,
+          createdAt: deposit.created_at,
+          reversedAt: deposit.reversed_at,
+          notificationStatus: deposit.notification_status,
+          sent: deliveries.filter(delivery => delivery.status === 'sent').length,
+          failed: deliveries.filter(delivery => delivery.status === 'failed').length,
+          skipped: deliveries.filter(delivery => delivery.status === 'skipped').length,
+          deliveries
+        })),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting deliveries', { subid: req.params.subid, error: error.message });
+      res.status(500).json({
+        error: 'Failed to get deliveries',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Resend a deposit notification to its failed recipients
+   */
+  async resendDeposit(req, res) {
+    try {
+      const result = await DeliveryService.resendFailed(req.params.id);
+      
+      if (!result.success) {
+        return res.status(result.reason === 'not_found' ? 404 : 400).json({
+          error: result.message,
+          depositId: req.params.id,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.json({
+        depositId: result.deposit.id,
+        total: result.total,
+        resent: result.resent,
+        skipped: result.skipped,
+        failed: result.failed,
+        deliveries: result.deliveries,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error resending deposit notification', { depositId: req.params.id, error: error.message });
+      res.status(500).json({
+        error: 'Failed to resend deposit notification',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Audit deposits - compare Keitaro deposits with sent notifications
+   */
+  async auditDeposits(req, res) {
+    try {
+      const { dateFrom, dateTo } = req.body;
+      
+      // Validate dates
+      if (!dateFrom || !dateTo) {
+        return res.status(400).json({
+          error: 'dateFrom and dateTo are required',
+          example: {
+            dateFrom: '2025-08-29',
+            dateTo: '2025-08-29'
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // Validate date format
+      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+      if (!dateRegex.test(dateFrom) || !dateRegex.test(dateTo)) {
+        return res.status(400).json({
+          error: 'Invalid date format, use YYYY-MM-DD',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      logger.info('🔍 Starting deposit audit', { dateFrom, dateTo });
+      
+      // Run audit using DepositAuditService
+      const DepositAuditService = require('./services/depositAudit.service');
+      const auditResults = await DepositAuditService.auditDeposits(dateFrom, dateTo);
+      
+      logger.info('✅ Deposit audit completed', {
+        auditId: auditResults.audit.auditId,
+        missingDeposits: auditResults.statistics.missingNotifications,
+        successRate: auditResults.statistics.successRate
+      });
+      
+      res.json(auditResults);
+      
+    } catch (error) {
+      logger.error('❌ Deposit audit failed', {
+        error: error.message,
+        stack: error.stack
+      });
+      
+      res.status(500).json({
+        error: 'Audit failed',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Audit specific deposit by SubID
+   */
+  async auditSpecificDeposit(req, res) {
+    try {
+      const { subid } = req.params;
+      
+      if (!subid) {
+        return res.status(400).json({
+          error: 'SubID is required',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      logger.info('🔍 Auditing specific deposit', { subid });
+      
+      const DepositAuditService = require('./services/depositAudit.service');
+      const auditResult = await DepositAuditService.auditSpecificDeposit(subid);
+      
+      res.json({
+        audit: {
+          subid,
+          timestamp: new Date().toISOString()
+        },
+        result: auditResult
+      });
+      
+    } catch (error) {
+      logger.error('❌ Specific deposit audit failed', {
+        subid: req.params.subid,
+        error: error.message
+      });
+      
+      res.status(500).json({
+        error: 'Specific audit failed',
+        message: error.message,
+        subid: req.params.subid,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Get digest schedules and the scheduler's jobs
+   */
+  async getDigests(req, res) {
+    try {
+      const schedules = await DigestService.listSchedules();
+      
+      res.json({
+        scheduler: digestScheduler.getStats(),
+        schedules,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting digests', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to get digests',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Get API keys (without their hashes)
+   */
+  async getApiKeys(req, res) {
+    try {
+      const apiKeys = await ApiKeyService.list(req.query.revoked === 'true');
+      
+      res.json({
+        apiKeys: apiKeys.map(apiKey => ApiKeyService.serialize(apiKey)),
+        scopes: Object.values(ADMIN_API.SCOPES),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting API keys', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to get API keys',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Get admin audit log (?limit=50&keyId=&outcome=allowed|unauthorized|forbidden&since=YYYY-MM-DD)
+   */
+  async getAdminAuditLog(req, res) {
+    try {
+      const since = req.query.since ? new Date(req.query.since) : null;
+      if (since && isNaN(since.getTime())) {
+        return res.status(400).json({
+          error: 'since must be a date',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const entries = await ApiKeyService.getAuditLog({
+        limit: req.query.limit,
+        apiKeyId: req.query.keyId ? parseInt(req.query.keyId, 10) : null,
+        outcome: ['allowed', 'unauthorized', 'forbidden'].includes(req.query.outcome) ? req.query.outcome : null,
+        since
+      });
+      
+      res.json({
+        entries,
+        count: entries.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting admin audit log', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to get admin audit log',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Get audit scheduler statistics
+   */
+  async getAuditSchedulerStats(req, res) {
+    try {
+      const schedulerStats = auditScheduler.getSchedulerStats();
+      
+      res.json({
+        auditScheduler: {
+          ...schedulerStats,
+          description: 'Автоматический планировщик аудита депозитов',
+          features: [
+            'Ежедневный аудит в 09:00 MSK',
+            'Еженедельный отчет в воскресенье 10:00 MSK', 
+            'Экстренная проверка каждые 4 часа',
+            'Автоматические уведомления в Telegram',
+            'История аудитов и трендовый анализ'
+          ]
+        },
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      logger.error('Error getting audit scheduler stats', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to get scheduler statistics',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
+  /**
+   * Start the server
+   */
+  async start() {
+    try {
+      // Validate configuration
+      config.validateConfig();
+      
+      // Initialize database
+      logger.info('🔄 Initializing database...');
+      await initializeDatabase();
+      
+      // Initialize Telegram bot
+      logger.info('🤖 Initializing Telegram bot...');
+      await telegramBotService.initialize();
+      
+      // Validate traffic sources configuration
+      const trafficSourceValidation = trafficSourceService.validateConfiguration();
+      if (!trafficSourceValidation.valid) {
+        throw new Error(`Traffic source configuration invalid: ${trafficSourceValidation.error}`);
+      }
+      
+      // Load postback field mappings and status rules
+      logger.info('🗺️ Loading postback mappings...');
+      await PostbackMappingService.loadMappings();
+      logger.info('🧭 Loading status rules...');
+      await StatusRuleService.loadRules();
+      
+      // Load exchange rates and convert deposits recorded before their rate existed
+      logger.info('💱 Loading exchange rates...');
+      await ExchangeRateService.loadRates();
+      await ExchangeRateService.convertPending();
+      
+      // Start postback inbox worker
+      logger.info('📬 Starting postback processor...');
+      await postbackProcessor.start();
+      
+      // Start Keitaro retry scheduler
+      logger.info('⏳ Starting retry scheduler...');
+      await retryScheduler.start();
+      
+      // Start automatic audit scheduler
       logger.info('📅 Starting audit scheduler...');
       auditScheduler.start();
       
+      // Start per-user digest jobs
+      logger.info('🗞️ Starting digest scheduler...');
+      await digestScheduler.start();
+      
+      // Summaries of notifications held during quiet hours
+      logger.info('🌙 Starting quiet hours scheduler...');
+      quietHoursScheduler.start();
+      
       // Start server
       this.server = this.app.listen(config.port, () => {
         // Enhanced startup diagnostics for Render.com
@@ -997,16 +2253,34 @@ class TelegramDepositBot {
         logger.info('   GET  /ping                 - Simple keep-alive');
         logger.info('   GET  /alive                - Enhanced process info');
         logger.info('   GET  /health               - Health check');
-        logger.info('   GET  /postback             - Postback webhook');
-        logger.info('   POST /postback             - Postback webhook');
+        logger.info('   GET  /postback             - Postback webhook (stored, answered with 202)');
+        logger.info('   POST /postback             - Postback webhook (stored, answered with 202)');
+        logger.info('   GET  /postback/:network    - Postback webhook with network field mapping');
         logger.info('   POST /telegram/webhook     - Telegram webhook');
+        logger.info('   /admin/* require an API key (Authorization: Bearer <key>), issued with /newkey');
         logger.info('   GET  /admin/stats          - Application statistics');
         logger.info('   GET  /admin/test           - Service health test');
         logger.info('   POST /admin/test-notification - Test Telegram notification');
         logger.info('   POST /admin/setup-webhook  - Setup Telegram webhook manually');
         logger.info('   GET  /admin/webhook-info   - Get current webhook info');
+        logger.info('   POST /admin/webhook-secret/rotate - Replace the Telegram webhook secret token');
         logger.info('   GET  /admin/traffic-sources - Traffic sources info');
         logger.info('   GET  /admin/fallback-stats - Fallback mechanism statistics');
+        logger.info('   GET  /admin/retries        - Pending Keitaro retries');
+        logger.info('   GET  /admin/deposits/:id   - Deposit details');
+        logger.info('   GET  /admin/postback-mappings - Postback field mappings (PUT/DELETE /:network, POST /:network/preview)');
+        logger.info('   GET  /admin/status-rules   - Status rules (POST, PUT/DELETE /:id, POST /dry-run)');
+        logger.info('   GET  /admin/exchange-rates - Exchange rates (PUT/DELETE /:currency, POST /import CSV)');
+        logger.info('   GET  /admin/buyer-bindings - Buyer ID bindings (POST, DELETE /:buyerId)');
+        logger.info('   GET  /admin/roles - Roles and permissions (PUT /admin/users/:id/role)');
+        logger.info('   GET  /admin/buyer-stats - Deposit stats per bound user');
+        logger.info('   GET  /admin/teams - Teams with per-team stats (POST, DELETE /:id, PUT /:id/lead, POST/DELETE /:id/buyers, PUT /admin/users/:id/team)');
+        logger.info('   GET  /admin/destinations - Notification chats/channels/topics (POST, PUT/DELETE /:id, POST /:id/check)');
+        logger.info('   GET  /admin/deliveries/:subid - Recipients of a deposit notification');
+        logger.info('   POST /admin/deposits/:id/resend - Resend a deposit notification to failed recipients');
+        logger.info('   GET  /admin/digests - Digest schedules and scheduler jobs');
+        logger.info('   GET  /admin/api-keys - Admin API keys (issued with /newkey in Telegram)');
+        logger.info('   GET  /admin/audit-log - Admin API calls');
         logger.info('   POST /admin/audit-deposits - Audit deposits for date range');
         logger.info('   GET  /admin/audit-deposit/:subid - Audit specific deposit');
         logger.info('');
@@ -1274,9 +2548,25 @@ class TelegramDepositBot {
         platform: process.platform
       });
       
+      // Stop postback inbox worker - unfinished postbacks are recovered on next start
+      logger.info('📬 Stopping postback processor...');
+      postbackProcessor.stop();
+      
+      // Stop retry scheduler - pending retries are kept in the database
+      logger.info('⏳ Stopping retry scheduler...');
+      retryScheduler.stop();
+      
       // Stop audit scheduler
       logger.info('📅 Stopping audit scheduler...');
       auditScheduler.stop();
+      
+      // Stop digest jobs - schedules are kept in the database
+      logger.info('🗞️ Stopping digest scheduler...');
+      digestScheduler.stop();
+      
+      // Held notifications stay on the users and are summarised after restart
+      logger.info('🌙 Stopping quiet hours scheduler...');
+      quietHoursScheduler.stop();
     } catch (error) {
       console.log('Failed during shutdown logging:', error.message);
     }
@@ -0,0 +1,140 @@
+/**
+ * Admin Authentication Middleware
+ * API keys with scopes for /admin endpoints, every request is written to the admin audit log
+ *
+ * The key is sent as "Authorization: Bearer <key>" or "X-Api-Key: <key>".
+ * authenticate runs for all of /admin, requireScope(scope) guards each route.
+ */
+
+const logger = require('../utils/logger');
+const ApiKeyService = require('../services/apiKey.service');
+const AccessPolicy = require('../services/accessPolicy.service');
+
+// Counters since process start
+const metrics = {
+  allowed: 0,
+  unauthorized: 0,
+  forbidden: 0,
+  lastRejection: null
+};
+
+class AdminAuth {
+  /**
+   * Express middleware for /admin - resolves the key and schedules the audit log entry
+   */
+  static async authenticate(req, res, next) {
+    const startedAt = Date.now();
+    req.adminAuth = { apiKey: null, scope: null, outcome: 'unauthorized' };
+
+    res.on('finish', () => {
+      const { apiKey, scope, outcome } = req.adminAuth;
+      ApiKeyService.recordAudit({
+        api_key_id: apiKey ? apiKey.id : null,
+        key_name: apiKey ? apiKey.name : null,
+        method: req.method,
+        path: req.originalUrl.split('?')[0].slice(0, 500),
+        scope,
+        outcome,
+        status_code: res.statusCode,
+        duration_ms: Date.now() - startedAt,
+        ip: AdminAuth._normalizeIp(req.ip),
+        request_id: req.requestId || null
+      });
+    });
+
+    try {
+      const apiKey = await ApiKeyService.authenticate(AdminAuth._presentedKey(req));
+      if (!apiKey) {
+        return AdminAuth._reject(req, res, 401, 'unauthorized', 'Valid API key required');
+      }
+
+      req.adminAuth.apiKey = apiKey;
+      req.adminAuth.outcome = 'allowed';
+      await ApiKeyService.touch(apiKey, AdminAuth._normalizeIp(req.ip));
+      return next();
+
+    } catch (error) {
+      logger.error('Error authenticating admin request', {
+        url: req.originalUrl,
+        error: error.message
+      });
+      return res.status(500).json({
+        error: 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Express middleware allowing keys with the scope (see ADMIN_API.SCOPES)
+   */
+  static requireScope(scope) {
+    return (req, res, next) => {
+      const auth = req.adminAuth;
+      auth.scope = scope;
+
+      if (!AccessPolicy.keyAllows(auth.apiKey, scope)) {
+        return AdminAuth._reject(req, res, 403, 'forbidden', `API key lacks scope: ${scope}`);
+      }
+
+      metrics.allowed++;
+      return next();
+    };
+  }
+
+  /**
+   * Get authentication metrics
+   */
+  static getStats() {
+    return {
+      allowed: metrics.allowed,
+      rejected: {
+        unauthorized: metrics.unauthorized,
+        forbidden: metrics.forbidden,
+        total: metrics.unauthorized + metrics.forbidden
+      },
+      lastRejection: metrics.lastRejection
+    };
+  }
+
+  static _presentedKey(req) {
+    const authorization = req.get('Authorization') || '';
+    const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+    return bearer ? bearer[1] : req.get('X-Api-Key');
+  }
+
+  static _reject(req, res, status, outcome, message) {
+    const auth = req.adminAuth;
+    auth.outcome = outcome;
+    metrics[outcome]++;
+    metrics.lastRejection = {
+      outcome,
+      apiKeyId: auth.apiKey ? auth.apiKey.id : null,
+      scope: auth.scope,
+      path: req.originalUrl.split('?')[0],
+      ip: req.ip,
+      at: new Date().toISOString()
+    };
+
+    logger.security('Admin request rejected', {
+      outcome,
+      apiKeyId: auth.apiKey ? auth.apiKey.id : null,
+      scope: auth.scope,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      ip: req.ip
+    });
+
+    return res.status(status).json({
+      error: status === 401 ? 'Unauthorized' : 'Forbidden',
+      message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  static _normalizeIp(ip) {
+    return (ip || '').replace(/^::ffff:/, '');
+  }
+}
+
+module.exports = AdminAuth;
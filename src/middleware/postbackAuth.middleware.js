@@ -0,0 +1,163 @@
+/**
+ * Postback Authentication Middleware
+ * HMAC signature verification with per-network secrets and per-source IP allowlist
+ *
+ * Signature: hex HMAC-SHA256 of "<timestamp>.<canonical query>", where the canonical
+ * query is every parameter except signature and ts, sorted by name and URL-encoded.
+ * Signature and timestamp are sent as ?signature=&ts= or X-Postback-Signature /
+ * X-Postback-Timestamp headers. Timestamp is unix time in seconds.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const SIGNATURE_PARAM = 'signature';
+const TIMESTAMP_PARAM = 'ts';
+
+const REJECTION_REASONS = {
+  MISSING_SIGNATURE: 'missing_signature',
+  INVALID_SIGNATURE: 'invalid_signature',
+  STALE_TIMESTAMP: 'stale_timestamp',
+  IP_NOT_ALLOWED: 'ip_not_allowed'
+};
+
+// Counters since process start
+const metrics = {
+  accepted: {
+    signed: 0,
+    allowlisted: 0,
+    unsigned: 0
+  },
+  rejected: {
+    [REJECTION_REASONS.MISSING_SIGNATURE]: 0,
+    [REJECTION_REASONS.INVALID_SIGNATURE]: 0,
+    [REJECTION_REASONS.STALE_TIMESTAMP]: 0,
+    [REJECTION_REASONS.IP_NOT_ALLOWED]: 0
+  },
+  lastRejection: null
+};
+
+class PostbackAuth {
+  /**
+   * Express middleware for /postback
+   */
+  static verify(req, res, next) {
+    const authConfig = config.security.postbackAuth;
+    const source = (req.params.network || req.query.from || '').toLowerCase();
+
+    // Networks that cannot sign are authenticated by source IP
+    const allowlist = authConfig.ipAllowlist[source];
+    if (allowlist) {
+      const ip = PostbackAuth._normalizeIp(req.ip);
+      if (!allowlist.includes(ip)) {
+        return PostbackAuth._reject(req, res, REJECTION_REASONS.IP_NOT_ALLOWED, { source, ip });
+      }
+
+      metrics.accepted.allowlisted++;
+      return next();
+    }
+
+    const signature = req.query[SIGNATURE_PARAM] || req.get('X-Postback-Signature');
+    const ownSecret = authConfig.secrets[source];
+    const secret = ownSecret || config.security.webhookSecret;
+
+    if (!signature) {
+      // Signing is mandatory for sources with their own secret, optional otherwise
+      if (ownSecret || authConfig.signatureRequired) {
+        return PostbackAuth._reject(req, res, REJECTION_REASONS.MISSING_SIGNATURE, { source });
+      }
+
+      metrics.accepted.unsigned++;
+      return next();
+    }
+
+    const timestamp = parseInt(req.query[TIMESTAMP_PARAM] || req.get('X-Postback-Timestamp'), 10);
+    const ageSec = Math.abs(Date.now() / 1000 - timestamp);
+    if (!Number.isFinite(timestamp) || ageSec > authConfig.timestampToleranceSec) {
+      return PostbackAuth._reject(req, res, REJECTION_REASONS.STALE_TIMESTAMP, {
+        source,
+        timestamp: req.query[TIMESTAMP_PARAM] || req.get('X-Postback-Timestamp') || null
+      });
+    }
+
+    if (!secret || !PostbackAuth._safeEqual(signature, PostbackAuth.sign(req.query, timestamp, secret))) {
+      return PostbackAuth._reject(req, res, REJECTION_REASONS.INVALID_SIGNATURE, { source });
+    }
+
+    metrics.accepted.signed++;
+    return next();
+  }
+
+  /**
+   * Compute postback signature
+   * @param {Object} params - Postback parameters (signature and ts are ignored)
+   * @param {number} timestamp - Unix time in seconds
+   * @param {string} secret - Network secret
+   */
+  static sign(params, timestamp, secret) {
+    const canonical = Object.keys(params)
+      .filter(key => key !== SIGNATURE_PARAM && key !== TIMESTAMP_PARAM)
+      .sort()
+      .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+      .join('&');
+
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${canonical}`)
+      .digest('hex');
+  }
+
+  /**
+   * Get authentication metrics
+   */
+  static getStats() {
+    const authConfig = config.security.postbackAuth;
+    const rejectedTotal = Object.values(metrics.rejected).reduce((sum, count) => sum + count, 0);
+
+    return {
+      signatureRequired: authConfig.signatureRequired,
+      timestampToleranceSec: authConfig.timestampToleranceSec,
+      sourcesWithSecret: Object.keys(authConfig.secrets),
+      sourcesWithIpAllowlist: Object.keys(authConfig.ipAllowlist),
+      accepted: { ...metrics.accepted },
+      rejected: { ...metrics.rejected, total: rejectedTotal },
+      lastRejection: metrics.lastRejection
+    };
+  }
+
+  static _reject(req, res, reason, details = {}) {
+    metrics.rejected[reason]++;
+    metrics.lastRejection = {
+      reason,
+      ...details,
+      ip: req.ip,
+      at: new Date().toISOString()
+    };
+
+    logger.security('Postback rejected', {
+      reason,
+      ...details,
+      ip: req.ip,
+      subid: req.query.subid
+    });
+
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: `Postback rejected: ${reason}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  static _safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+  }
+
+  static _normalizeIp(ip) {
+    return (ip || '').replace(/^::ffff:/, '');
+  }
+}
+
+module.exports = PostbackAuth;
@@ -0,0 +1,56 @@
+/**
+ * Telegram Webhook Authentication Middleware
+ * Accepts only updates carrying the secret_token registered with setWebhook
+ */
+
+const logger = require('../utils/logger');
+const WebhookSecretService = require('../services/webhookSecret.service');
+const { TELEGRAM_WEBHOOK } = require('../config/constants');
+
+// Counters since process start
+const metrics = {
+  accepted: 0,
+  rejected: 0,
+  lastRejection: null
+};
+
+class TelegramWebhookAuth {
+  /**
+   * Express middleware for /telegram/webhook
+   */
+  static async verify(req, res, next) {
+    try {
+      if (await WebhookSecretService.matches(req.get(TELEGRAM_WEBHOOK.SECRET_HEADER))) {
+        metrics.accepted++;
+        return next();
+      }
+    } catch (error) {
+      logger.error('Error verifying Telegram webhook secret', { error: error.message });
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    metrics.rejected++;
+    metrics.lastRejection = {
+      ip: req.ip,
+      headerPresent: Boolean(req.get(TELEGRAM_WEBHOOK.SECRET_HEADER)),
+      at: new Date().toISOString()
+    };
+
+    logger.security('Telegram webhook update rejected', {
+      ip: req.ip,
+      headerPresent: metrics.lastRejection.headerPresent,
+      updateId: req.body && req.body.update_id
+    });
+
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  static getStats() {
+    return {
+      ...metrics,
+      secret: WebhookSecretService.getStats()
+    };
+  }
+}
+
+module.exports = TelegramWebhookAuth;
@@ -54,10 +54,15 @@ const User = sequelize.define('User', {
     comment: 'User status in bot'
   },
   role: {
-    type: DataTypes.ENUM('user', 'owner'),
+    type: DataTypes.ENUM('user', 'owner', 'admin', 'teamlead', 'buyer', 'viewer'),
     defaultValue: 'user',
     allowNull: false,
-    comment: 'User role'
+    comment: 'User role (owners come from OWNER_IDS, see accessPolicy.service.js)'
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Buying team the user belongs to'
   },
   language_code: {
     type: DataTypes.STRING(10),
@@ -89,6 +94,53 @@ const User = sequelize.define('User', {
     defaultValue: DataTypes.NOW,
     comment: 'Last bot interaction'
   },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false,
+    comment: 'False when Telegram reports the private chat unreachable (bot blocked, chat not found)'
+  },
+  deactivated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deactivation_reason: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'bot_blocked, user_deactivated or chat_not_found'
+  },
+  timezone: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'IANA timezone of quiet hours'
+  },
+  quiet_hours_start: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    comment: 'HH:MM, quiet hours are off when empty'
+  },
+  quiet_hours_end: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    comment: 'HH:MM, earlier than start - quiet hours cross midnight'
+  },
+  quiet_mode: {
+    type: DataTypes.STRING(10),
+    defaultValue: 'silent',
+    allowNull: false,
+    comment: 'silent - send without sound, hold - summarise after quiet hours'
+  },
+  held_deposit_ids: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    allowNull: false,
+    comment: 'Deposits held during quiet hours, waiting for the summary'
+  },
+  muted_until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'No deposit notifications until this time (/mute)'
+  },
   created_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW,
@@ -227,50 +279,1366 @@ const NotificationLog = sequelize.define('NotificationLog', {
   ]
 });
 
-// Model Associations
-User.hasMany(JoinRequest, { foreignKey: 'user_id', as: 'joinRequests' });
-JoinRequest.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+// Postback Inbox Model
+// Every incoming /postback is stored here before processing
+const Postback = sequelize.define('Postback', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  request_id: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'Request ID assigned on receipt'
+  },
+  subid: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'SubID from raw postback (may be missing)'
+  },
+  source: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Postback network (/postback/:network path or "from" parameter)'
+  },
+  method: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'GET'
+  },
+  params: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Raw postback parameters'
+  },
+  ip: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  state: {
+    type: DataTypes.ENUM('received', 'enriching', 'notified', 'ignored', 'failed'),
+    defaultValue: 'received',
+    allowNull: false,
+    comment: 'Processing state'
+  },
+  state_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Why the postback ended in its current state'
+  },
+  state_history: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'State transitions with timestamps'
+  },
+  result: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Processing result (broadcast stats, fallback info, etc.)'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Number of processing attempts'
+  },
+  processed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When a final state was reached'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'postbacks',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['state'] },
+    { fields: ['subid'] },
+    { fields: ['created_at'] }
+  ]
+});
 
-// Database connection and sync
-async function initializeDatabase() {
-  try {
-    logger.info('🔄 Connecting to PostgreSQL database...');
-    
-    // Test connection
-    await sequelize.authenticate();
-    logger.info('✅ Database connection established successfully');
-    
-    // Sync models
-    await sequelize.sync({ alter: config.env === 'development' });
-    logger.info('✅ Database models synchronized');
-    
-    // Create owners if they don't exist
-    const ownerIds = config.owners;
-    for (const ownerId of ownerIds) {
-      const [owner, created] = await User.findOrCreate({
-        where: { id: ownerId },
-        defaults: {
-          id: ownerId,
-          status: 'approved',
-          role: 'owner',
-          first_name: 'Owner',
-          approved_at: new Date()
-        }
-      });
-      
-      if (created) {
-        logger.info(`✅ Owner created`, { userId: ownerId });
-      }
-    }
-    
-    logger.info('🎯 Database initialization completed');
-    return true;
-  } catch (error) {
-    logger.error('❌ Database initialization failed', {
-      error: error.message,
-      stack: error.stack
-    });
-    throw error;
+// Pending Retry Model
+// Keitaro lookups waiting for the next attempt (eventual consistency misses)
+const PendingRetry = sequelize.define('PendingRetry', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  postback_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    comment: 'Postback inbox record being retried'
+  },
+  subid: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  source: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Postback "from" parameter, selects the retry schedule'
+  },
+  attempt: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false,
+    comment: 'Retries already performed'
+  },
+  max_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Retries allowed by the source schedule'
+  },
+  schedule: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Retry delays in ms'
+  },
+  next_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('waiting', 'running', 'resolved', 'exhausted'),
+    defaultValue: 'waiting',
+    allowNull: false
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'pending_retries',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['status', 'next_attempt_at'] },
+    { fields: ['subid'] }
+  ]
+});
+
+// Deposit Model
+// One row per deposit that passed the pipeline, with its notification outcome
+const Deposit = sequelize.define('Deposit', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  subid: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Keitaro click SubID'
+  },
+  postback_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Postback inbox record that produced the deposit'
+  },
+  buyer_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Buyer ID (Keitaro sub_id_1)'
+  },
+  geo: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  payout: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Original amount in the postback currency'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
+  base_payout: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+    comment: 'Amount in the base currency (null until a rate for the currency exists)'
+  },
+  base_currency: {
+    type: DataTypes.STRING(3),
+    allowNull: true
+  },
+  exchange_rate: {
+    type: DataTypes.DECIMAL(18, 8),
+    allowNull: true,
+    comment: 'Base currency units per 1 unit of currency used for base_payout'
+  },
+  postback_status: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Raw postback status'
+  },
+  deposit_type: {
+    type: DataTypes.ENUM('ftd', 'redeposit'),
+    allowNull: true,
+    comment: 'First-time deposit or redeposit (status rule + SubID deposit history)'
+  },
+  traffic_source_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  traffic_source_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  offer_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  campaign_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  subid2: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  subid4: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Creative (Keitaro sub_id_4)'
+  },
+  fallback_used: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+    comment: 'Built from postback data because Keitaro had no click'
+  },
+  click_data: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Raw Keitaro click data'
+  },
+  notification_status: {
+    type: DataTypes.ENUM('pending', 'sent', 'partial', 'failed'),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+  recipient_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  success_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  failed_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  notification_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  notification_log_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  notified_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  message_refs: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Delivered notification messages [{ chat_id, message_id }] for later edits'
+  },
+  reversed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when a chargeback/refund postback reversed the deposit'
+  },
+  reversal_status: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Raw status of the reversing postback'
+  },
+  reversal_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  reversal_postback_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Postback that reversed the deposit'
+  },
+  review_status: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'flagged - reported from a notification, resolved - checked by an owner'
+  },
+  flagged_by: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Telegram user who reported the deposit'
+  },
+  flagged_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reviewed_by: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Owner who resolved the report'
+  },
+  reviewed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'deposits',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['subid'] },
+    { fields: ['buyer_id'] },
+    { fields: ['notification_status'] },
+    { fields: ['deposit_type'] },
+    { fields: ['reversed_at'] },
+    { fields: ['review_status'] },
+    { fields: ['created_at'] }
+  ]
+});
+
+// Idempotency Key Model
+// Unique key per deposit event (SubID + status + transaction id) within the dedup window
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  key: {
+    type: DataTypes.STRING(512),
+    allowNull: false,
+    unique: true,
+    comment: 'subid:status:transaction_id'
+  },
+  subid: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Normalized postback status'
+  },
+  transaction_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Network transaction id, when sent'
+  },
+  postback_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Postback that claimed the key'
+  },
+  deposit_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Deposit created for the key'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'End of the dedup window'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'idempotency_keys',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['subid'] },
+    { fields: ['expires_at'] }
+  ]
+});
+
+// Postback Mapping Model
+// Translates a network's raw postback parameters into canonical fields
+const PostbackMapping = sequelize.define('PostbackMapping', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  network: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    comment: 'Postback "from" value or /postback/:network path (lowercase)'
+  },
+  fields: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Canonical field -> raw parameter name(s), e.g. {"subid": ["clickid", "sub1"]}'
+  },
+  value_map: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Canonical field -> raw value -> canonical value, e.g. {"status": {"purchase": "dep"}}'
+  },
+  defaults: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Canonical values used when the network does not send them'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'postback_mappings',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// Status Rule Model
+// Ordered rules classifying postback statuses into canonical event types
+const StatusRule = sequelize.define('StatusRule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  network: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Postback network the rule applies to (null - all networks)'
+  },
+  match_type: {
+    type: DataTypes.ENUM('exact', 'prefix', 'regex'),
+    allowNull: false
+  },
+  pattern: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Status value, prefix or regular expression (case-insensitive)'
+  },
+  event_type: {
+    type: DataTypes.ENUM('ftd', 'redeposit', 'deposit', 'lead', 'rejected', 'chargeback'),
+    allowNull: false,
+    comment: 'Canonical event type for matching statuses'
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 100,
+    comment: 'Lower priority is evaluated first'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'status_rules',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['network'] },
+    { fields: ['priority'] }
+  ]
+});
+
+// Exchange Rate Model
+// Rates for converting deposit payouts into the base currency (BASE_CURRENCY)
+const ExchangeRate = sequelize.define('ExchangeRate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    unique: true
+  },
+  rate: {
+    type: DataTypes.DECIMAL(18, 8),
+    allowNull: false,
+    comment: 'Base currency units per 1 unit of currency'
+  },
+  source: {
+    type: DataTypes.ENUM('manual', 'csv'),
+    defaultValue: 'manual',
+    allowNull: false
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'exchange_rates',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// User Filter Model
+// Per-user deposit notification subscription; an empty list does not restrict
+const UserFilter = sequelize.define('UserFilter', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  buyer_ids: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Buyer IDs (Keitaro sub_id_1)'
+  },
+  geos: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Country codes'
+  },
+  traffic_source_ids: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Keitaro traffic source IDs'
+  },
+  offers: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Offer name fragments (case-insensitive)'
+  },
+  min_payout: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+    comment: 'Minimum payout in the base currency'
+  },
+  muted_buyer_ids: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Buyer IDs whose deposits are never sent to the user'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'user_filters',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// Buyer Binding Model
+// Links a Keitaro buyer ID (sub_id_1) to the Telegram user who is that buyer
+const BuyerBinding = sequelize.define('BuyerBinding', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  buyer_id: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    comment: 'Keitaro sub_id_1'
+  },
+  user_id: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_by: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Owner who created the binding'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'buyer_bindings',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['user_id'] }
+  ]
+});
+
+// Team Model
+// Buying team: its members (users.team_id), buyer IDs (team_buyers) and lead
+const Team = sequelize.define('Team', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  lead_user_id: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Team lead, also a member of the team'
+  },
+  created_by: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Owner or admin who created the team'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'teams',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// Team Buyer Model
+// Keitaro buyer ID (sub_id_1) assigned to a team - its deposits go to the team
+const TeamBuyer = sequelize.define('TeamBuyer', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  buyer_id: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    comment: 'Keitaro sub_id_1'
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'teams',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  created_by: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Owner or admin who assigned the buyer ID'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'team_buyers',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['team_id'] }
+  ]
+});
+
+// Notification Destination Model
+// Group chat, channel or forum topic that receives deposit notifications with its own filters
+const NotificationDestination = sequelize.define('NotificationDestination', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  chat_id: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    comment: 'Telegram chat ID (negative for groups and channels)'
+  },
+  message_thread_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Forum topic ID (null - whole chat / General topic)'
+  },
+  title: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  chat_type: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'group, supergroup or channel'
+  },
+  buyer_ids: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Buyer IDs (Keitaro sub_id_1)'
+  },
+  geos: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Country codes'
+  },
+  traffic_source_ids: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Keitaro traffic source IDs'
+  },
+  offers: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Offer name fragments (case-insensitive)'
+  },
+  min_payout: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+    comment: 'Minimum payout in the base currency'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false
+  },
+  bot_is_admin: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+    comment: 'Bot admin status at the last permission check'
+  },
+  failure_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false,
+    comment: 'Consecutive failed deliveries'
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  last_error_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_success_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Owner who registered the destination'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'notification_destinations',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['chat_id', 'message_thread_id'] },
+    { fields: ['is_active'] }
+  ]
+});
+
+// Delivery Model
+// One row per recipient of a deposit notification
+const Delivery = sequelize.define('Delivery', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  notification_log_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'notification_logs',
+      key: 'id'
+    }
+  },
+  recipient_type: {
+    type: DataTypes.ENUM('user', 'destination'),
+    allowNull: false
+  },
+  chat_id: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  message_thread_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Forum topic of a destination'
+  },
+  user_id: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  destination_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'notification_destinations.id'
+  },
+  personal: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+    comment: 'Sent with the "your deposit" header to the bound buyer'
+  },
+  message_id: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Telegram message_id of the delivered message'
+  },
+  status: {
+    type: DataTypes.ENUM('sent', 'failed', 'skipped'),
+    allowNull: false,
+    comment: 'skipped - a resend found that the recipient no longer gets the deposit'
+  },
+  error_code: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Telegram error_code of the last failure'
+  },
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false,
+    comment: 'Send attempts including retries and resends'
+  },
+  sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'deliveries',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['notification_log_id'] },
+    { fields: ['chat_id'] },
+    { fields: ['status'] }
+  ]
+});
+
+// Digest Schedule Model
+// Daily/weekly deposit summary of a user, sent at a local time of the user's timezone
+const DigestSchedule = sequelize.define('DigestSchedule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  frequency: {
+    type: DataTypes.ENUM('daily', 'weekly'),
+    allowNull: false
+  },
+  send_time: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    comment: 'Local time HH:MM'
+  },
+  day_of_week: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Weekly digests: 0 - Sunday ... 6 - Saturday'
+  },
+  timezone: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'IANA timezone, e.g. Europe/Moscow'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false
+  },
+  last_sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'digest_schedules',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { unique: true, fields: ['user_id', 'frequency'] },
+    { fields: ['is_active'] }
+  ]
+});
+
+// API Key Model
+// Scoped key for /admin endpoints; only the SHA-256 hash of the key is stored
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Who or what uses the key'
+  },
+  key_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'Hex SHA-256 of the key'
+  },
+  key_prefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    comment: 'Start of the key, to recognise it in lists and logs'
+  },
+  scopes: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    allowNull: false,
+    comment: 'Granted ADMIN_API.SCOPES'
+  },
+  created_by: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Owner who issued the key'
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_used_ip: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revoked_by: {
+    type: DataTypes.BIGINT,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'api_keys',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['revoked_at'] }
+  ]
+});
+
+// Admin Audit Log Model
+// One row per /admin request, including rejected ones
+const AdminAuditLog = sequelize.define('AdminAuditLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  api_key_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'api_keys.id, empty when the key was missing or unknown'
+  },
+  key_name: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Key name at the time of the request'
+  },
+  method: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  path: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  scope: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Scope the route requires'
+  },
+  outcome: {
+    type: DataTypes.ENUM('allowed', 'unauthorized', 'forbidden'),
+    allowNull: false
+  },
+  status_code: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  duration_ms: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  ip: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  request_id: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'admin_audit_logs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    { fields: ['api_key_id'] },
+    { fields: ['outcome'] },
+    { fields: ['created_at'] }
+  ]
+});
+
+// Bot Setting Model
+// Runtime key/value settings of the bot (e.g. the Telegram webhook secret token)
+const BotSetting = sequelize.define('BotSetting', {
+  key: {
+    type: DataTypes.STRING(100),
+    primaryKey: true
+  },
+  value: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  updated_by: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: 'Owner who changed the value, empty for the bot itself'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  }
+}, {
+  tableName: 'bot_settings',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// Model Associations
+User.hasMany(JoinRequest, { foreignKey: 'user_id', as: 'joinRequests' });
+JoinRequest.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasOne(UserFilter, { foreignKey: 'user_id', as: 'notificationFilter' });
+UserFilter.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasMany(BuyerBinding, { foreignKey: 'user_id', as: 'buyerBindings' });
+BuyerBinding.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+Team.hasMany(User, { foreignKey: 'team_id', as: 'members', constraints: false });
+User.belongsTo(Team, { foreignKey: 'team_id', as: 'team', constraints: false });
+Team.belongsTo(User, { foreignKey: 'lead_user_id', as: 'lead', constraints: false });
+Team.hasMany(TeamBuyer, { foreignKey: 'team_id', as: 'buyers' });
+TeamBuyer.belongsTo(Team, { foreignKey: 'team_id', as: 'team' });
+NotificationLog.hasMany(Delivery, { foreignKey: 'notification_log_id', as: 'deliveries' });
+Delivery.belongsTo(NotificationLog, { foreignKey: 'notification_log_id', as: 'notificationLog' });
+Delivery.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+User.hasMany(DigestSchedule, { foreignKey: 'user_id', as: 'digestSchedules' });
+DigestSchedule.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+ApiKey.hasMany(AdminAuditLog, { foreignKey: 'api_key_id', as: 'auditLogs', constraints: false });
+AdminAuditLog.belongsTo(ApiKey, { foreignKey: 'api_key_id', as: 'apiKey', constraints: false });
+Postback.hasOne(PendingRetry, { foreignKey: 'postback_id', as: 'pendingRetry' });
+PendingRetry.belongsTo(Postback, { foreignKey: 'postback_id', as: 'postback' });
+Postback.hasMany(Deposit, { foreignKey: 'postback_id', as: 'deposits' });
+Deposit.belongsTo(Postback, { foreignKey: 'postback_id', as: 'postback' });
+IdempotencyKey.belongsTo(Deposit, { foreignKey: 'deposit_id', as: 'deposit' });
+
+// Database connection and sync
+async function initializeDatabase() {
+  try {
+    logger.info('🔄 Connecting to PostgreSQL database...');
+    
+    // Test connection
+    await sequelize.authenticate();
+    logger.info('✅ Database connection established successfully');
+    
+    // Add columns and enum values introduced after a table was created, then sync models
+    await addMissingColumns();
+    await addMissingEnumValues();
+    await sequelize.sync({ alter: config.env === 'development' });
+    logger.info('✅ Database models synchronized');
+    
+    // Create owners if they don't exist
+    const ownerIds = config.owners;
+    for (const ownerId of ownerIds) {
+      const [owner, created] = await User.findOrCreate({
+        where: { id: ownerId },
+        defaults: {
+          id: ownerId,
+          status: 'approved',
+          role: 'owner',
+          first_name: 'Owner',
+          approved_at: new Date()
+        }
+      });
+      
+      if (created) {
+        logger.info(`✅ Owner created`, { userId: ownerId });
+      }
+    }
+    
+    logger.info('🎯 Database initialization completed');
+    return true;
+  } catch (error) {
+    logger.error('❌ Database initialization failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+
+// sync() without alter only creates missing tables - add new columns to existing ones
+async function addMissingColumns() {
+  const queryInterface = sequelize.getQueryInterface();
+  
+  for (const model of Object.values(sequelize.models)) {
+    const tableName = model.getTableName();
+    
+    let existingColumns;
+    try {
+      existingColumns = await queryInterface.describeTable(tableName);
+    } catch (error) {
+      continue; // Table does not exist yet - sync() creates it
+    }
+    
+    for (const [name, attribute] of Object.entries(model.rawAttributes)) {
+      const column = attribute.field || name;
+      if (existingColumns[column]) {
+        continue;
+      }
+      
+      await queryInterface.addColumn(tableName, column, {
+        type: attribute.type,
+        allowNull: attribute.allowNull !== false,
+        defaultValue: attribute.defaultValue,
+        comment: attribute.comment
+      });
+      logger.info('🧱 Column added', { table: tableName, column });
+    }
+  }
+}
+
+// Same for ENUM columns: values added to a model are missing from the existing Postgres type
+async function addMissingEnumValues() {
+  for (const model of Object.values(sequelize.models)) {
+    const tableName = model.getTableName();
+    
+    for (const [name, attribute] of Object.entries(model.rawAttributes)) {
+      if (!(attribute.type instanceof DataTypes.ENUM)) {
+        continue;
+      }
+      
+      const typeName = `enum_${tableName}_${attribute.field || name}`;
+      const [rows] = await sequelize.query(
+        'SELECT e.enumlabel FROM pg_enum e JOIN pg_type t ON t.oid = e.enumtypid WHERE t.typname = :typeName',
+        { replacements: { typeName } }
+      );
+      if (rows.length === 0) {
+        continue; // Type does not exist yet - sync() creates it
+      }
+      
+      const existing = rows.map(row => row.enumlabel);
+      for (const value of attribute.values.filter(value => !existing.includes(value))) {
+        // ADD VALUE cannot be parameterized - values come from the model definitions
+        await sequelize.query(`ALTER TYPE "${typeName}" ADD VALUE IF NOT EXISTS '${value}'`);
+        logger.info('🧱 Enum value added', { type: typeName, value });
+      }
+    }
   }
 }
 
@@ -299,6 +1667,23 @@ module.exports = {
   User,
   JoinRequest,
   NotificationLog,
+  Postback,
+  PendingRetry,
+  Deposit,
+  IdempotencyKey,
+  PostbackMapping,
+  StatusRule,
+  ExchangeRate,
+  UserFilter,
+  BuyerBinding,
+  Team,
+  TeamBuyer,
+  NotificationDestination,
+  Delivery,
+  DigestSchedule,
+  ApiKey,
+  AdminAuditLog,
+  BotSetting,
   initializeDatabase,
   checkDatabaseHealth
 };
\ No newline at end of file
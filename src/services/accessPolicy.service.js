@@ -0,0 +1,241 @@
+/**
+ * Access Policy
+ * Roles and their permissions - commands, inline buttons and /admin routes are checked here
+ *
+ * Owners come from OWNER_IDS, the other roles are stored in users.role and assigned at runtime
+ * (/role or PUT /admin/users/:id/role). A user who is not approved has no role (guest).
+ */
+
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const { User } = require('../models');
+const { ACCESS } = require('../config/constants');
+
+const { ROLES, PERMISSIONS } = ACCESS;
+
+const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: Object.values(PERMISSIONS),
+  [ROLES.ADMIN]: [
+    PERMISSIONS.USE_BOT,
+    PERMISSIONS.REPORT_DEPOSITS,
+    PERMISSIONS.VIEW_STATS,
+    PERMISSIONS.ALL_STATS,
+    PERMISSIONS.ALL_DEPOSITS,
+    PERMISSIONS.VIEW_USERS,
+    PERMISSIONS.MANAGE_USERS
+  ],
+  // Team of a lead comes from teamScope (isLead) - a lead without a team gets only bound buyers
+  [ROLES.TEAMLEAD]: [
+    PERMISSIONS.USE_BOT,
+    PERMISSIONS.REPORT_DEPOSITS,
+    PERMISSIONS.VIEW_STATS
+  ],
+  [ROLES.BUYER]: [
+    PERMISSIONS.USE_BOT,
+    PERMISSIONS.REPORT_DEPOSITS,
+    PERMISSIONS.VIEW_STATS
+  ],
+  [ROLES.VIEWER]: [
+    PERMISSIONS.USE_BOT,
+    PERMISSIONS.VIEW_STATS,
+    PERMISSIONS.ALL_STATS,
+    PERMISSIONS.ALL_DEPOSITS,
+    PERMISSIONS.VIEW_USERS
+  ],
+  [ROLES.USER]: [
+    PERMISSIONS.USE_BOT,
+    PERMISSIONS.REPORT_DEPOSITS,
+    PERMISSIONS.VIEW_STATS,
+    PERMISSIONS.ALL_DEPOSITS
+  ],
+  [ROLES.GUEST]: []
+};
+
+// A user can be managed only by a higher rank: owners manage admins, admins everyone else
+const ROLE_RANK = {
+  [ROLES.OWNER]: 2,
+  [ROLES.ADMIN]: 1
+};
+
+class AccessPolicy {
+
+  static isOwnerId(userId) {
+    return config.owners.includes(parseInt(userId, 10));
+  }
+
+  /**
+   * Role in effect for a loaded user (owners by ID, even without a database row)
+   */
+  static roleOf(user) {
+    if (!user) {
+      return ROLES.GUEST;
+    }
+    if (!AccessPolicy.isOwnerId(user.id) && user.status !== 'approved') {
+      return ROLES.GUEST;
+    }
+    return AccessPolicy.assignedRole(user);
+  }
+
+  /**
+   * Role given to a user regardless of status - what bans and role changes are checked against
+   */
+  static assignedRole(user) {
+    if (AccessPolicy.isOwnerId(user.id)) {
+      return ROLES.OWNER;
+    }
+
+    // users.role "owner" without OWNER_IDS (owner removed from the env) is an ordinary user
+    const role = user.role || ROLES.USER;
+    return ACCESS.ASSIGNABLE_ROLES.includes(role) ? role : ROLES.USER;
+  }
+
+  static async roleOfId(userId) {
+    if (AccessPolicy.isOwnerId(userId)) {
+      return ROLES.OWNER;
+    }
+    return AccessPolicy.roleOf(await User.findByPk(userId));
+  }
+
+  /**
+   * @param {string|null} permission - null is allowed to everyone
+   */
+  static can(role, permission) {
+    return !permission || (ROLE_PERMISSIONS[role] || []).includes(permission);
+  }
+
+  static async userCan(userId, permission) {
+    return AccessPolicy.can(await AccessPolicy.roleOfId(userId), permission);
+  }
+
+  static permissionsOf(role) {
+    return (ROLE_PERMISSIONS[role] || []).slice();
+  }
+
+  /**
+   * Whether an actor may ban, unban or change the role of a user with targetRole
+   */
+  static canManage(actorRole, targetRole) {
+    return AccessPolicy.can(actorRole, PERMISSIONS.MANAGE_USERS) &&
+      AccessPolicy._rank(actorRole) > AccessPolicy._rank(targetRole);
+  }
+
+  /**
+   * Whether an actor may give a role - owners are never assigned, only below the actor's rank
+   */
+  static canAssign(actorRole, role) {
+    return ACCESS.ASSIGNABLE_ROLES.includes(role) &&
+      AccessPolicy.can(actorRole, PERMISSIONS.MANAGE_USERS) &&
+      AccessPolicy._rank(actorRole) > AccessPolicy._rank(role);
+  }
+
+  /**
+   * Buyer IDs whose stats a user may see
+   * @returns {Array|null} null - all buyers, otherwise the buyer IDs of the user's team or bound to the user
+   */
+  static async statsBuyerIds(userId, role) {
+    if (AccessPolicy.can(role, PERMISSIONS.ALL_STATS)) {
+      return null;
+    }
+
+    return AccessPolicy._scopedBuyerIds(userId, role);
+  }
+
+  /**
+   * Buyer IDs whose deposits a user receives (notifications, digests)
+   * @returns {Array|null} null - all deposits, otherwise the buyer IDs of the user's team or bound to the user
+   */
+  static async depositBuyerIds(userId, role) {
+    if (AccessPolicy.can(role, PERMISSIONS.ALL_STATS)) {
+      return null;
+    }
+
+    const team = await AccessPolicy.teamScope(userId, role);
+    if (!team && AccessPolicy.can(role, PERMISSIONS.ALL_DEPOSITS)) {
+      return null;
+    }
+    return AccessPolicy._scopedBuyerIds(userId, role, team);
+  }
+
+  /**
+   * Team that limits a user's stats and deposits to the team's buyer IDs: members whose role
+   * sees more than their own deposits and the lead. Roles with all stats are not limited.
+   * @returns {Object|null} Team
+   */
+  static async teamScope(userId, role) {
+    if (AccessPolicy.can(role, PERMISSIONS.ALL_STATS) || !AccessPolicy.can(role, PERMISSIONS.USE_BOT)) {
+      return null;
+    }
+
+    // Lazy require - teams depend on the user manager, which checks roles here
+    const TeamService = require('./team.service');
+    const team = await TeamService.getTeamOfUser(userId);
+    if (!team) {
+      return null;
+    }
+
+    const isLead = String(team.lead_user_id) === String(userId);
+    return isLead || AccessPolicy.can(role, PERMISSIONS.ALL_DEPOSITS) ? team : null;
+  }
+
+  /**
+   * Whether a deposit notification goes to a user - buyers get only deposits of their bound buyer IDs,
+   * team members only deposits of their team's buyer IDs (same rules as depositBuyerIds)
+   * @param {Object} scope - isOwn (the user's bound buyer), teamId and isLead of the user, depositTeamId
+   */
+  static receivesDeposit(role, { isOwn = false, teamId = null, isLead = false, depositTeamId = null } = {}) {
+    if (!AccessPolicy.can(role, PERMISSIONS.USE_BOT)) {
+      return false;
+    }
+    if (isOwn || AccessPolicy.can(role, PERMISSIONS.ALL_STATS)) {
+      return true;
+    }
+    if (teamId && (isLead || AccessPolicy.can(role, PERMISSIONS.ALL_DEPOSITS))) {
+      return String(teamId) === String(depositTeamId);
+    }
+    return AccessPolicy.can(role, PERMISSIONS.ALL_DEPOSITS);
+  }
+
+  /**
+   * IDs of owners and approved users with a permission (e.g. who handles join requests)
+   */
+  static async userIdsWith(permission) {
+    const roles = Object.keys(ROLE_PERMISSIONS)
+      .filter(role => role !== ROLES.OWNER && AccessPolicy.can(role, permission));
+    const users = await User.findAll({
+      where: { status: 'approved', is_active: true, role: { [Op.in]: roles } },
+      attributes: ['id']
+    });
+
+    const ids = users.map(user => parseInt(user.id, 10)).filter(id => !AccessPolicy.isOwnerId(id));
+    return config.owners.concat(ids);
+  }
+
+  /**
+   * Whether an /admin API key has a scope (see ADMIN_API.SCOPES)
+   */
+  static keyAllows(apiKey, scope) {
+    return Boolean(apiKey) && !apiKey.revoked_at && (apiKey.scopes || []).includes(scope);
+  }
+
+  static _rank(role) {
+    return ROLE_RANK[role] || 0;
+  }
+
+  /**
+   * Buyer IDs of the user's team scope, otherwise the buyer IDs bound to the user
+   * @param {Object|undefined} team - Already resolved team scope
+   */
+  static async _scopedBuyerIds(userId, role, team = undefined) {
+    const scope = team === undefined ? await AccessPolicy.teamScope(userId, role) : team;
+    if (scope) {
+      const TeamService = require('./team.service');
+      return TeamService.getBuyerIds(scope.id);
+    }
+
+    // Lazy require - buyer bindings depend on the user manager, which checks roles here
+    const BuyerBindingService = require('./buyerBinding.service');
+    return BuyerBindingService.getBuyerIds(userId);
+  }
+}
+
+module.exports = AccessPolicy;
@@ -0,0 +1,178 @@
+/**
+ * API Key Service
+ * Scoped keys of /admin endpoints (stored hashed) and the audit log of admin calls
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { ApiKey, AdminAuditLog } = require('../models');
+const { ADMIN_API } = require('../config/constants');
+
+const ALL_SCOPES = Object.values(ADMIN_API.SCOPES);
+
+// last_used_at is refreshed at most once a minute per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+class ApiKeyService {
+
+  /**
+   * Parse scopes: "all" or a comma separated list of ADMIN_API.SCOPES
+   * @returns {Object} { success, scopes } or { success: false, message }
+   */
+  static parseScopes(text) {
+    const tokens = String(text || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+    if (tokens.length === 0) {
+      return { success: false, message: `Укажите права: ${ALL_SCOPES.join(', ')} или all` };
+    }
+    if (tokens.includes('all')) {
+      return { success: true, scopes: ALL_SCOPES.slice() };
+    }
+
+    const unknown = tokens.filter(token => !ALL_SCOPES.includes(token));
+    if (unknown.length > 0) {
+      return { success: false, message: `Неизвестные права: ${unknown.join(', ')}. Доступны: ${ALL_SCOPES.join(', ')}` };
+    }
+
+    return { success: true, scopes: Array.from(new Set(tokens)) };
+  }
+
+  /**
+   * Issue a key - the plain key is returned only here, the database keeps its hash
+   * @returns {Object} { success, apiKey, key } or { success: false, message }
+   */
+  static async issue(name, scopes, createdBy = null) {
+    const trimmedName = String(name || '').trim();
+    if (!trimmedName || trimmedName.length > ADMIN_API.MAX_KEY_NAME_LENGTH) {
+      return { success: false, message: `Имя ключа - до ${ADMIN_API.MAX_KEY_NAME_LENGTH} символов` };
+    }
+
+    const key = `${ADMIN_API.KEY_PREFIX}${crypto.randomBytes(ADMIN_API.KEY_BYTES).toString('hex')}`;
+    const apiKey = await ApiKey.create({
+      name: trimmedName,
+      key_hash: ApiKeyService.hash(key),
+      key_prefix: key.slice(0, ADMIN_API.KEY_PREFIX.length + 6),
+      scopes,
+      created_by: createdBy
+    });
+
+    logger.security('API key issued', {
+      apiKeyId: apiKey.id,
+      name: apiKey.name,
+      scopes,
+      createdBy
+    });
+
+    return { success: true, apiKey, key };
+  }
+
+  /**
+   * @returns {Object|null} Revoked key, null when not found or already revoked
+   */
+  static async revoke(id, revokedBy = null) {
+    const apiKey = await ApiKey.findByPk(id);
+    if (!apiKey || apiKey.revoked_at) {
+      return null;
+    }
+
+    await apiKey.update({ revoked_at: new Date(), revoked_by: revokedBy });
+    logger.security('API key revoked', { apiKeyId: apiKey.id, name: apiKey.name, revokedBy });
+    return apiKey;
+  }
+
+  static async list(includeRevoked = false) {
+    return ApiKey.findAll({
+      where: includeRevoked ? {} : { revoked_at: null },
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Active key matching a presented key
+   * @returns {Object|null} ApiKey or null
+   */
+  static async authenticate(key) {
+    if (typeof key !== 'string' || !key.startsWith(ADMIN_API.KEY_PREFIX)) {
+      return null;
+    }
+
+    return ApiKey.findOne({ where: { key_hash: ApiKeyService.hash(key), revoked_at: null } });
+  }
+
+  /**
+   * Remember when and from where a key was last used
+   */
+  static async touch(apiKey, ip) {
+    const lastUsed = apiKey.last_used_at ? new Date(apiKey.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed < TOUCH_INTERVAL_MS && apiKey.last_used_ip === ip) {
+      return;
+    }
+
+    try {
+      await apiKey.update({ last_used_at: new Date(), last_used_ip: ip });
+    } catch (error) {
+      logger.warn('Failed to update API key usage', { apiKeyId: apiKey.id, error: error.message });
+    }
+  }
+
+  static hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Store an audit log entry - bookkeeping errors are logged, the request already completed
+   */
+  static async recordAudit(entry) {
+    try {
+      await AdminAuditLog.create(entry);
+    } catch (error) {
+      logger.error('❌ Failed to write admin audit log', {
+        method: entry.method,
+        path: entry.path,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Latest audit log entries
+   * @param {Object} options - limit, apiKeyId, outcome, since
+   */
+  static async getAuditLog({ limit = 50, apiKeyId = null, outcome = null, since = null } = {}) {
+    const where = {};
+    if (apiKeyId) {
+      where.api_key_id = apiKeyId;
+    }
+    if (outcome) {
+      where.outcome = outcome;
+    }
+    if (since) {
+      where.created_at = { [Op.gte]: since };
+    }
+
+    return AdminAuditLog.findAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), ADMIN_API.AUDIT_LOG_LIMIT)
+    });
+  }
+
+  /**
+   * Key fields safe to return from the API (no hash)
+   */
+  static serialize(apiKey) {
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      keyPrefix: apiKey.key_prefix,
+      scopes: apiKey.scopes,
+      createdBy: apiKey.created_by,
+      createdAt: apiKey.created_at,
+      lastUsedAt: apiKey.last_used_at,
+      lastUsedIp: apiKey.last_used_ip,
+      revokedAt: apiKey.revoked_at
+    };
+  }
+}
+
+module.exports = ApiKeyService;
@@ -7,6 +7,7 @@ const cron = require('node-cron');
 const logger = require('../utils/logger');
 const DepositAuditService = require('./depositAudit.service');
 const telegramBotService = require('./telegramBot.service');
+const ExchangeRateService = require('./exchangeRate.service');
 const config = require('../config/config');
 
 class AuditSchedulerService {
@@ -223,6 +224,19 @@ class AuditSchedulerService {
       message += `📅 Дата: ${date}\n`;
       message += `💰 Всего FB депозитов: ${stats.fbDepositsCount}\n`;
       message += `✅ Уведомления отправлены: ${stats.foundNotifications}\n`;
+      if (stats.sentByType) {
+        message += `🥇 FTD: ${stats.sentByType.ftd} | 🔁 Редепозиты: ${stats.sentByType.redeposit}\n`;
+      }
+      if (stats.revenue) {
+        message += `💵 Доход: ${ExchangeRateService.formatAmount(stats.revenue.net, stats.revenue.currency)}`;
+        if (stats.revenue.reversedCount > 0) {
+          message += ` (чарджбэки/рефанды: ${stats.revenue.reversedCount}, -${ExchangeRateService.formatAmount(stats.revenue.reversed, stats.revenue.currency)})`;
+        }
+        if (stats.revenue.unconvertedCount > 0) {
+          message += `, без курса валюты: ${stats.revenue.unconvertedCount}`;
+        }
+        message += `\n`;
+      }
       
       if (missing > 0) {
         message += `⚠️ <b>Пропущено: ${missing}</b>\n`;
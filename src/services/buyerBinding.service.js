@@ -0,0 +1,150 @@
+/**
+ * Buyer Binding Service
+ * Links Keitaro buyer IDs (sub_id_1) to Telegram users
+ */
+
+const logger = require('../utils/logger');
+const { BuyerBinding, User } = require('../models');
+const UserManagerService = require('./userManager.service');
+const DepositService = require('./deposit.service');
+
+class BuyerBindingService {
+
+  /**
+   * Bind a buyer ID to a user
+   * @returns {Object} { success, binding, message }
+   */
+  static async bind(userId, buyerId, ownerId = null) {
+    const id = DepositService.normalizeBuyerId(buyerId);
+    if (!id) {
+      return { success: false, message: 'Не указан ID баера' };
+    }
+
+    const user = await UserManagerService.getUserById(userId);
+    if (!user) {
+      return { success: false, message: 'Пользователь не найден' };
+    }
+    if (user.status !== 'approved' && !UserManagerService.isOwner(user.id)) {
+      return { success: false, message: `Пользователь не одобрен (статус: ${user.status})` };
+    }
+
+    const existing = await BuyerBinding.findOne({ where: DepositService.buyerIdWhere(id) });
+    if (existing) {
+      if (String(existing.user_id) === String(user.id)) {
+        return { success: true, binding: existing, user, message: 'ID баера уже привязан к этому пользователю' };
+      }
+      return {
+        success: false,
+        message: `ID баера ${id} уже привязан к пользователю ${existing.user_id}, сначала отвяжите его`
+      };
+    }
+
+    const binding = await BuyerBinding.create({
+      buyer_id: id,
+      user_id: user.id,
+      created_by: ownerId
+    });
+
+    logger.info('🔗 Buyer ID bound', { buyerId: id, userId: user.id, ownerId });
+    return { success: true, binding, user, message: 'ID баера привязан' };
+  }
+
+  /**
+   * Remove a buyer ID binding
+   * @returns {Object|null} Removed binding or null when the buyer ID was not bound
+   */
+  static async unbind(buyerId, ownerId = null) {
+    const id = DepositService.normalizeBuyerId(buyerId);
+    const binding = await BuyerBinding.findOne({ where: DepositService.buyerIdWhere(id) });
+    if (!binding) {
+      return null;
+    }
+
+    await binding.destroy();
+    logger.info('🔗 Buyer ID unbound', { buyerId: id, userId: binding.user_id, ownerId });
+    return binding;
+  }
+
+  /**
+   * Get all bindings with their users
+   */
+  static async listBindings() {
+    return BuyerBinding.findAll({
+      include: [{ model: User, as: 'user', attributes: ['id', 'username', 'first_name', 'last_name', 'status'] }],
+      order: [['user_id', 'ASC'], ['buyer_id', 'ASC']]
+    });
+  }
+
+  /**
+   * Get buyer IDs bound to a user
+   */
+  static async getBuyerIds(userId) {
+    const bindings = await BuyerBinding.findAll({ where: { user_id: userId } });
+    return bindings.map(binding => binding.buyer_id);
+  }
+
+  /**
+   * Get the user bound to a buyer ID
+   * @returns {string|null} User ID
+   */
+  static async findUserIdByBuyer(buyerId) {
+    const id = DepositService.normalizeBuyerId(buyerId);
+    if (!id || id === 'n/a') {
+      return null;
+    }
+
+    const binding = await BuyerBinding.findOne({ where: DepositService.buyerIdWhere(id) });
+    return binding ? String(binding.user_id) : null;
+  }
+
+  /**
+   * Buyer IDs seen in deposits that are not bound to any user
+   */
+  static async getUnboundBuyers() {
+    const bindings = await BuyerBinding.findAll({ attributes: ['buyer_id'] });
+    return DepositService.getBuyersExcept(bindings.map(binding => binding.buyer_id));
+  }
+
+  /**
+   * Deposit statistics per bound user for a period
+   * @param {Date|null} from - Period start (all time when omitted)
+   * @param {Date|null} to - Period end
+   * @param {string|number|null} userId - Single user
+   */
+  static async getStatsByUser(from = null, to = null, userId = null) {
+    const bindings = (await BuyerBindingService.listBindings())
+      .filter(binding => !userId || String(binding.user_id) === String(userId));
+    if (bindings.length === 0) {
+      return [];
+    }
+
+    const userOfBuyer = new Map(bindings.map(binding =>
+      [DepositService.normalizeBuyerId(binding.buyer_id), String(binding.user_id)]));
+    const rows = await DepositService.getGroupedStats(from, to, 'buyer_id', Array.from(userOfBuyer.keys()));
+    const statsByUser = DepositService.sumByBuyerGroup(rows, buyerId => userOfBuyer.get(buyerId));
+    const users = new Map();
+
+    for (const binding of bindings) {
+      const key = String(binding.user_id);
+      if (!users.has(key)) {
+        const stats = statsByUser.get(key) || { count: 0, ftd: 0, redeposit: 0, reversed: 0, payout: 0 };
+        users.set(key, {
+          userId: key,
+          username: binding.user?.username || null,
+          name: [binding.user?.first_name, binding.user?.last_name].filter(Boolean).join(' ') || null,
+          buyerIds: [],
+          deposits: stats.count,
+          ftd: stats.ftd,
+          redeposit: stats.redeposit,
+          reversed: stats.reversed,
+          payout: stats.payout
+        });
+      }
+      users.get(key).buyerIds.push(binding.buyer_id);
+    }
+
+    return Array.from(users.values()).sort((a, b) => b.payout - a.payout);
+  }
+}
+
+module.exports = BuyerBindingService;
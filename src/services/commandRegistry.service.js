@@ -0,0 +1,164 @@
+/**
+ * Command Registry
+ * Every bot command in one place: name, arguments, required permission, handler and help text.
+ * Polling and webhook updates are dispatched through it, /help and the command menus are built from it.
+ */
+
+const logger = require('../utils/logger');
+const AccessPolicy = require('./accessPolicy.service');
+const { ACCESS, BOT_COMMANDS } = require('../config/constants');
+
+const { ARGS } = BOT_COMMANDS;
+const { ROLES, PERMISSIONS } = ACCESS;
+
+// Commands of these permissions are listed as general ones in /help, the rest as management
+const GENERAL_PERMISSIONS = [null, PERMISSIONS.USE_BOT, PERMISSIONS.VIEW_STATS];
+
+/**
+ * permission - ACCESS.PERMISSIONS checked by the access policy, null - anyone
+ * handler - TelegramBotService method, called as handler(msg, args)
+ * usage - arguments shown in /help and when a required argument is missing
+ * groups - also accepted in groups and channels (commands are private-chat only by default)
+ */
+const COMMANDS = [
+  { name: 'start', permission: null, args: ARGS.NONE, handler: 'handleStartCommand', description: 'Подать заявку на доступ' },
+  { name: 'help', permission: null, args: ARGS.NONE, handler: 'handleHelpCommand', description: 'Справка по командам' },
+
+  { name: 'settings', permission: PERMISSIONS.USE_BOT, args: ARGS.NONE, handler: 'handleSettingsCommand', description: 'Фильтры уведомлений (баеры, ГЕО, источники, оффер, мин. сумма)' },
+  { name: 'mystats', permission: PERMISSIONS.VIEW_STATS, args: ARGS.NONE, handler: 'handleMyStatsCommand', description: 'Статистика ваших депозитов' },
+  { name: 'stats', permission: PERMISSIONS.VIEW_STATS, args: ARGS.OPTIONAL, usage: '[период] [by группа]', handler: 'handleStatsCommand', description: 'Депозиты за период' },
+  { name: 'digest', permission: PERMISSIONS.USE_BOT, args: ARGS.OPTIONAL, handler: 'handleDigestCommand', description: 'Ежедневный и еженедельный дайджест' },
+  { name: 'quiet', permission: PERMISSIONS.USE_BOT, args: ARGS.OPTIONAL, usage: '[HH:MM-HH:MM|off]', handler: 'handleQuietCommand', description: 'Тихие часы' },
+  { name: 'mute', permission: PERMISSIONS.USE_BOT, args: ARGS.OPTIONAL, usage: '[2h]', handler: 'handleMuteCommand', description: 'Пауза уведомлений' },
+  { name: 'unmute', permission: PERMISSIONS.USE_BOT, args: ARGS.NONE, handler: 'handleUnmuteCommand', description: 'Снять паузу уведомлений' },
+
+  { name: 'status', permission: PERMISSIONS.VIEW_USERS, args: ARGS.NONE, handler: 'handleStatusCommand', description: 'Статистика пользователей' },
+  { name: 'users', permission: PERMISSIONS.VIEW_USERS, args: ARGS.NONE, handler: 'handleUsersCommand', description: 'Список пользователей' },
+  { name: 'requests', permission: PERMISSIONS.VIEW_USERS, args: ARGS.NONE, handler: 'handleRequestsCommand', description: 'Заявки на вступление' },
+  { name: 'ban', permission: PERMISSIONS.MANAGE_USERS, args: ARGS.REQUIRED, usage: '<user_id>', handler: 'handleBanCommand', description: 'Заблокировать пользователя' },
+  { name: 'unban', permission: PERMISSIONS.MANAGE_USERS, args: ARGS.REQUIRED, usage: '<user_id>', handler: 'handleUnbanCommand', description: 'Разблокировать пользователя' },
+  { name: 'bind', permission: PERMISSIONS.MANAGE_USERS, args: ARGS.REQUIRED, usage: '<user_id> <subid1>', handler: 'handleBindCommand', description: 'Привязать баера к пользователю' },
+  { name: 'unbind', permission: PERMISSIONS.MANAGE_USERS, args: ARGS.REQUIRED, usage: '<subid1>', handler: 'handleUnbindCommand', description: 'Отвязать баера' },
+  { name: 'role', permission: PERMISSIONS.MANAGE_USERS, args: ARGS.REQUIRED, usage: '<user_id> <роль>', handler: 'handleRoleCommand', description: 'Назначить роль пользователю' },
+  { name: 'buyers', permission: PERMISSIONS.VIEW_USERS, args: ARGS.NONE, handler: 'handleBuyersCommand', description: 'Привязки и непривязанные баеры' },
+  { name: 'teams', permission: PERMISSIONS.ALL_STATS, args: ARGS.OPTIONAL, usage: '[период]', handler: 'handleTeamsCommand', description: 'Команды и их депозиты за период' },
+  { name: 'team', permission: PERMISSIONS.MANAGE_USERS, args: ARGS.OPTIONAL, usage: '<действие> ...', handler: 'handleTeamCommand', description: 'Создать команду, назначить тимлида, участников и баеров' },
+  { name: 'destinations', permission: PERMISSIONS.MANAGE_CONFIG, args: ARGS.NONE, handler: 'handleDestinationsCommand', description: 'Группы, каналы и темы для уведомлений' },
+  { name: 'adddest', permission: PERMISSIONS.MANAGE_CONFIG, args: ARGS.OPTIONAL, usage: '<chat_id|@канал> [id_темы]', groups: true, handler: 'handleAddDestinationCommand', description: 'Добавить чат (отправьте в группе или теме)' },
+  { name: 'deldest', permission: PERMISSIONS.MANAGE_CONFIG, args: ARGS.REQUIRED, usage: '<id>', handler: 'handleDeleteDestinationCommand', description: 'Удалить чат уведомлений' },
+  { name: 'destfilter', permission: PERMISSIONS.MANAGE_CONFIG, args: ARGS.OPTIONAL, usage: '<id> <фильтр> <значения>', handler: 'handleDestinationFilterCommand', description: 'Фильтры чата уведомлений' },
+  { name: 'checkdest', permission: PERMISSIONS.MANAGE_CONFIG, args: ARGS.REQUIRED, usage: '<id>', handler: 'handleCheckDestinationCommand', description: 'Проверить доступ бота к чату' },
+  { name: 'delivery', permission: PERMISSIONS.MANAGE_CONFIG, args: ARGS.REQUIRED, usage: '<subid>', handler: 'handleDeliveryCommand', description: 'Кто получил уведомление о депозите' },
+  { name: 'apikeys', permission: PERMISSIONS.MANAGE_CONFIG, args: ARGS.NONE, handler: 'handleApiKeysCommand', description: 'API ключи для /admin' },
+  { name: 'newkey', permission: PERMISSIONS.MANAGE_CONFIG, args: ARGS.OPTIONAL, usage: '<имя> <права|all>', handler: 'handleNewKeyCommand', description: 'Выпустить API ключ' },
+  { name: 'revokekey', permission: PERMISSIONS.MANAGE_CONFIG, args: ARGS.REQUIRED, usage: '<id>', handler: 'handleRevokeKeyCommand', description: 'Отозвать API ключ' },
+  { name: 'rotatewebhook', permission: PERMISSIONS.MANAGE_CONFIG, args: ARGS.NONE, handler: 'handleRotateWebhookCommand', description: 'Заменить секретный токен вебхука' }
+];
+
+const COMMANDS_BY_NAME = new Map(COMMANDS.map(command => [command.name, command]));
+
+class CommandRegistry {
+
+  static find(name) {
+    return COMMANDS_BY_NAME.get(String(name).toLowerCase()) || null;
+  }
+
+  /**
+   * Split "/name@bot args" into its parts
+   * @returns {Object|null} { name, botUsername, args } or null when the text is not a command
+   */
+  static parse(text) {
+    const match = String(text || '').trim().match(/^\/([A-Za-z0-9_]+)(?:@(\w+))?(?:\s+([\s\S]*))?$/);
+    if (!match) {
+      return null;
+    }
+
+    return {
+      name: match[1].toLowerCase(),
+      botUsername: match[2] || null,
+      args: match[3] && match[3].trim() ? match[3].trim() : null
+    };
+  }
+
+  /**
+   * Commands available to a role, in registry order
+   */
+  static commandsFor(role) {
+    return COMMANDS.filter(command => AccessPolicy.can(role, command.permission));
+  }
+
+  static isGeneral(command) {
+    return GENERAL_PERMISSIONS.includes(command.permission);
+  }
+
+  /**
+   * Commands for setMyCommands - Telegram shows only the description in the menu
+   */
+  static menuFor(role) {
+    return CommandRegistry.commandsFor(role).map(command => ({
+      command: command.name,
+      description: command.description
+    }));
+  }
+
+  static usageOf(command) {
+    return command.usage ? `/${command.name} ${command.usage}` : `/${command.name}`;
+  }
+
+  /**
+   * Route a command message to its handler
+   * @param {Object} service - TelegramBotService (handlers, sendMessage, username)
+   * @returns {boolean} true when the message was a command of this bot
+   */
+  static async dispatch(service, msg) {
+    const parsed = CommandRegistry.parse(msg.text);
+    if (!parsed) {
+      return false;
+    }
+
+    // "/cmd@other_bot" in a group is addressed to another bot
+    if (parsed.botUsername && service.username &&
+        parsed.botUsername.toLowerCase() !== service.username.toLowerCase()) {
+      return false;
+    }
+
+    const command = CommandRegistry.find(parsed.name);
+    if (!command) {
+      return false;
+    }
+
+    const chatId = msg.chat.id;
+    const isPrivate = msg.chat.type === 'private';
+    if (!isPrivate && !command.groups) {
+      return true;
+    }
+
+    const role = await AccessPolicy.roleOfId(msg.from.id);
+    if (!AccessPolicy.can(role, command.permission)) {
+      logger.info('Command denied', {
+        command: command.name,
+        userId: msg.from.id,
+        role
+      });
+      // Groups get no reply - the bot stays silent for other members
+      if (isPrivate) {
+        await service.sendMessage(chatId, role === ROLES.GUEST
+          ? '❌ Команда доступна только одобренным пользователям'
+          : '❌ Недостаточно прав для этой команды');
+      }
+      return true;
+    }
+
+    if (command.args === ARGS.REQUIRED && !parsed.args) {
+      if (isPrivate) {
+        await service.sendMessage(chatId, `Использование: ${CommandRegistry.usageOf(command)}`);
+      }
+      return true;
+    }
+
+    await service[command.handler](msg, command.args === ARGS.NONE ? null : parsed.args);
+    return true;
+  }
+}
+
+module.exports = CommandRegistry;
@@ -0,0 +1,229 @@
+/**
+ * Delivery Service
+ * Per-recipient delivery records of deposit notifications and resends of failed ones
+ */
+
+const logger = require('../utils/logger');
+const { Delivery, Deposit, NotificationLog, User } = require('../models');
+const DepositService = require('./deposit.service');
+const NotificationDestinationService = require('./notificationDestination.service');
+const SendQueue = require('./sendQueue.service');
+const { MESSAGE_TEMPLATES } = require('../config/constants');
+
+class DeliveryService {
+
+  /**
+   * Delivery record of a successful send
+   * @param {Object} recipient - recipient_type, chat_id and user_id / destination_id, message_thread_id, personal
+   */
+  static sent(recipient, message, attempts) {
+    return {
+      ...recipient,
+      status: 'sent',
+      message_id: message.message_id,
+      attempts,
+      sent_at: new Date()
+    };
+  }
+
+  /**
+   * Delivery record of a failed send
+   */
+  static failed(recipient, error, attempts) {
+    return {
+      ...recipient,
+      status: 'failed',
+      error_code: SendQueue.errorCode(error),
+      error_message: error.message,
+      attempts
+    };
+  }
+
+  /**
+   * Store the deliveries of a broadcast
+   * Bookkeeping errors are logged - the notification already went out
+   */
+  static async recordBroadcast(notificationLogId, deliveries) {
+    if (deliveries.length === 0) {
+      return [];
+    }
+
+    try {
+      return await Delivery.bulkCreate(deliveries.map(delivery => ({
+        ...delivery,
+        notification_log_id: notificationLogId
+      })));
+    } catch (error) {
+      logger.error('❌ Failed to record deliveries', {
+        notificationLogId,
+        deliveries: deliveries.length,
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Deliveries of a deposit notification
+   */
+  static async getForDeposit(deposit) {
+    if (!deposit.notification_log_id) {
+      return [];
+    }
+
+    return Delivery.findAll({
+      where: { notification_log_id: deposit.notification_log_id },
+      include: [{ model: User, as: 'user', attributes: ['id', 'username', 'first_name', 'last_name'] }],
+      order: [['status', 'DESC'], ['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Deposits of a SubID (latest first) with their deliveries
+   * @returns {Array} [{ deposit, deliveries }]
+   */
+  static async getBySubId(subid, limit = 5) {
+    const deposits = await Deposit.findAll({
+      where: { subid },
+      order: [['created_at', 'DESC']],
+      limit
+    });
+
+    const result = [];
+    for (const deposit of deposits) {
+      result.push({ deposit, deliveries: await DeliveryService.getForDeposit(deposit) });
+    }
+    return result;
+  }
+
+  /**
+   * Send the deposit notification again to its failed recipients
+   * Recipients are checked again as for a broadcast (role, team, filters, mute, quiet hours,
+   * active destination) - the ones that no longer get the deposit are marked skipped
+   * @returns {Object} { success, deposit, total, resent, skipped, failed, deliveries }
+   *   or { success: false, reason: not_found | reversed | not_notified, message }
+   */
+  static async resendFailed(depositId) {
+    const deposit = await Deposit.findByPk(depositId);
+    if (!deposit) {
+      return { success: false, reason: 'not_found', message: 'Deposit not found' };
+    }
+    if (deposit.reversed_at) {
+      return { success: false, reason: 'reversed', message: 'Deposit is reversed' };
+    }
+
+    const notificationLog = deposit.notification_log_id
+      ? await NotificationLog.findByPk(deposit.notification_log_id)
+      : null;
+    if (!notificationLog) {
+      return { success: false, reason: 'not_notified', message: 'Deposit notification was not sent' };
+    }
+
+    const failedDeliveries = await Delivery.findAll({
+      where: { notification_log_id: notificationLog.id, status: 'failed' },
+      order: [['id', 'ASC']]
+    });
+    if (failedDeliveries.length === 0) {
+      return { success: true, deposit, total: 0, resent: 0, skipped: 0, failed: 0, deliveries: [] };
+    }
+
+    // Lazy require - telegramBot.service records broadcasts through this service
+    const telegramBotService = require('./telegramBot.service');
+    const depositData = { ...DepositService.filterData(deposit), depositId: deposit.id };
+    const [{ users }, destinations] = await Promise.all([
+      telegramBotService.depositRecipients(depositData),
+      NotificationDestinationService.getMatching(depositData)
+    ]);
+    const recipientByUser = new Map(users.map(recipient => [String(recipient.user.id), recipient]));
+    const destinationIds = new Set(destinations.map(destination => String(destination.id)));
+
+    const messages = [];
+    let skipped = 0;
+
+    await Promise.all(failedDeliveries.map(async delivery => {
+      const isUser = delivery.recipient_type === 'user';
+      const recipient = isUser ? recipientByUser.get(String(delivery.user_id)) : null;
+      let skipReason = null;
+      let mode = 'normal';
+
+      if (isUser && !recipient) {
+        skipReason = 'Recipient no longer receives this deposit (role or filters)';
+      } else if (isUser) {
+        // Quiet hours are applied only to the recipients resent to - "hold" queues the deposit for the summary
+        mode = await telegramBotService.quietDeliveryMode(recipient.user, recipient.mode, depositData);
+        if (mode === 'muted') {
+          skipReason = 'Recipient muted notifications';
+        } else if (mode === 'hold') {
+          skipReason = 'Held for the quiet hours summary';
+        }
+      } else if (!destinationIds.has(String(delivery.destination_id))) {
+        skipReason = 'Destination is inactive or its filters do not match';
+      }
+
+      if (skipReason) {
+        skipped++;
+        await delivery.update({ status: 'skipped', error_code: null, error_message: skipReason });
+        return;
+      }
+
+      const text = delivery.personal
+        ? `${MESSAGE_TEMPLATES.PERSONAL_DEPOSIT_HEADER}\n\n${notificationLog.message_text}`
+        : notificationLog.message_text;
+      const options = {
+        parse_mode: 'HTML',
+        reply_markup: telegramBotService.depositKeyboard(deposit.id, delivery.chat_id, { mute: isUser })
+      };
+      if (mode === 'silent') {
+        options.disable_notification = true;
+      }
+      if (delivery.message_thread_id) {
+        options.message_thread_id = delivery.message_thread_id;
+      }
+      const tracking = { attempts: 0 };
+
+      try {
+        const sent = await telegramBotService.sendMessage(delivery.chat_id, text, options, tracking);
+        await delivery.update({
+          status: 'sent',
+          message_id: sent.message_id,
+          error_code: null,
+          error_message: null,
+          attempts: delivery.attempts + tracking.attempts,
+          sent_at: new Date()
+        });
+        const ref = { chat_id: delivery.chat_id, message_id: sent.message_id, personal: delivery.personal };
+        if (delivery.destination_id) {
+          ref.destination_id = delivery.destination_id;
+        }
+        messages.push(ref);
+      } catch (error) {
+        await delivery.update({
+          error_code: SendQueue.errorCode(error),
+          error_message: error.message,
+          attempts: delivery.attempts + tracking.attempts
+        });
+      }
+    }));
+
+    await DepositService.recordResend(deposit, messages);
+
+    logger.info('🔁 Deposit notification resent to failed recipients', {
+      depositId: deposit.id,
+      total: failedDeliveries.length,
+      resent: messages.length,
+      skipped
+    });
+
+    return {
+      success: true,
+      deposit,
+      total: failedDeliveries.length,
+      resent: messages.length,
+      skipped,
+      failed: failedDeliveries.length - messages.length - skipped,
+      deliveries: failedDeliveries
+    };
+  }
+}
+
+module.exports = DeliveryService;
@@ -0,0 +1,630 @@
+/**
+ * Deposit Service
+ * Records deposits and their notification outcome in the deposits table
+ */
+
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { Deposit, Postback, sequelize } = require('../models');
+const { STATUS_RULES } = require('../config/constants');
+const config = require('../config/config');
+const ExchangeRateService = require('./exchangeRate.service');
+
+class DepositService {
+
+  /**
+   * Record a deposit before its notification is sent
+   * A postback records one deposit - a repeated call for the same postback returns the stored one
+   * @param {Object} depositData - Enriched deposit data (same shape as the notification data)
+   * @param {Object} context - Postback context: postbackId, status, currency, eventType (status rule result)
+   */
+  static async recordDeposit(depositData, { postbackId = null, status = null, currency = null, eventType = null } = {}) {
+    const recorded = await DepositService.findForPostback(postbackId);
+    if (recorded) {
+      logger.warn('⚠️ Deposit already recorded for postback', { postbackId, depositId: recorded.id });
+      return recorded;
+    }
+    
+    const depositType = await DepositService.resolveDepositType(eventType, depositData.clickId);
+    const payout = parseFloat(depositData.payout) || 0;
+    const payoutCurrency = (currency || config.currency.base).toUpperCase();
+    const conversion = ExchangeRateService.convert(payout, payoutCurrency);
+    
+    if (conversion.rate === null) {
+      logger.warn('⚠️ No exchange rate for deposit currency - base amount pending', {
+        subid: depositData.clickId,
+        currency: payoutCurrency,
+        baseCurrency: conversion.baseCurrency
+      });
+    }
+    
+    const deposit = await Deposit.create({
+      subid: depositData.clickId,
+      postback_id: postbackId,
+      buyer_id: DepositService._nullIfUnknown(depositData.subid1),
+      geo: DepositService._nullIfUnknown(depositData.geo),
+      payout,
+      currency: payoutCurrency,
+      base_payout: conversion.baseAmount,
+      base_currency: conversion.rate === null ? null : conversion.baseCurrency,
+      exchange_rate: conversion.rate,
+      postback_status: status,
+      deposit_type: depositType,
+      traffic_source_id: depositData.traffic_source_id || null,
+      traffic_source_name: DepositService._nullIfUnknown(depositData.traffic_source_name),
+      offer_name: DepositService._nullIfUnknown(depositData.offer_name),
+      campaign_name: DepositService._nullIfUnknown(depositData.campaign_name),
+      subid2: DepositService._nullIfUnknown(depositData.subid2),
+      subid4: DepositService._nullIfUnknown(depositData.subid4),
+      fallback_used: !!depositData.fallbackUsed,
+      click_data: depositData.rawClickData || null
+    });
+
+    logger.info('💾 Deposit recorded', {
+      depositId: deposit.id,
+      subid: deposit.subid,
+      buyerId: deposit.buyer_id,
+      payout: deposit.payout,
+      currency: deposit.currency,
+      basePayout: deposit.base_payout,
+      depositType: deposit.deposit_type,
+      fallbackUsed: deposit.fallback_used
+    });
+
+    return deposit;
+  }
+
+  /**
+   * Fields the notification needs from the recorded deposit
+   */
+  static notificationFields(deposit) {
+    return {
+      depositId: deposit.id,
+      depositType: deposit.deposit_type,
+      currency: deposit.currency,
+      basePayout: deposit.base_payout,
+      baseCurrency: config.currency.base
+    };
+  }
+
+  /**
+   * Notification data of an already recorded deposit (same shape as the enriched postback data)
+   * Used when the notification of a stored deposit is sent again
+   */
+  static notificationData(deposit) {
+    return {
+      subid1: deposit.buyer_id || 'N/A',
+      geo: deposit.geo || 'N/A',
+      payout: parseFloat(deposit.payout) || 0,
+      traffic_source_name: deposit.traffic_source_name,
+      offer_name: deposit.offer_name,
+      campaign_name: deposit.campaign_name,
+      subid2: deposit.subid2,
+      subid4: deposit.subid4,
+      traffic_source_id: deposit.traffic_source_id,
+      clickId: deposit.subid,
+      fallbackUsed: deposit.fallback_used,
+      ...DepositService.notificationFields(deposit)
+    };
+  }
+
+  /**
+   * Buyer IDs (sub_id_1) are case-insensitive, as in notification filters - bindings and team
+   * buyer IDs are stored normalized and looked up with buyerIdWhere
+   */
+  static normalizeBuyerId(buyerId) {
+    return String(buyerId || '').trim().toLowerCase();
+  }
+
+  /**
+   * Where condition matching the buyer_id column against buyer IDs regardless of case
+   * @param {string|string[]} buyerIds
+   * @param {symbol} operator - Op.in or Op.notIn
+   */
+  static buyerIdWhere(buyerIds, operator = Op.in) {
+    const ids = [].concat(buyerIds).map(DepositService.normalizeBuyerId);
+    return sequelize.where(sequelize.fn('LOWER', sequelize.col('buyer_id')), { [operator]: ids });
+  }
+
+  /**
+   * Deposit fields notification filters are matched against (see NotificationFilterService.matches)
+   */
+  static filterData(deposit) {
+    return {
+      subid1: deposit.buyer_id,
+      geo: deposit.geo,
+      traffic_source_id: deposit.traffic_source_id,
+      offer_name: deposit.offer_name,
+      payout: deposit.payout,
+      currency: deposit.currency,
+      basePayout: deposit.base_payout
+    };
+  }
+
+  /**
+   * Resolve FTD / redeposit for a deposit event
+   * Explicit ftd/redeposit statuses are kept; a generic deposit is an FTD only
+   * when the SubID has no recorded deposits yet
+   * @param {string|null} eventType - Event type from the status rules
+   * @param {string} subid - Postback SubID
+   */
+  static async resolveDepositType(eventType, subid) {
+    if (STATUS_RULES.DEPOSIT_TYPES.includes(eventType)) {
+      return eventType;
+    }
+
+    const previousDeposits = await Deposit.count({ where: { subid } });
+    return previousDeposits > 0 ? 'redeposit' : 'ftd';
+  }
+
+  /**
+   * Store the broadcast outcome on a deposit
+   * @param {Object} deposit - Deposit instance
+   * @param {Object} notificationResult - Result of telegramBotService.sendDepositNotification
+   */
+  static async recordNotification(deposit, notificationResult) {
+    try {
+      if (!notificationResult.success) {
+        await deposit.update({
+          notification_status: 'failed',
+          notification_error: notificationResult.error || null
+        });
+        return deposit;
+      }
+
+      const stats = notificationResult.stats || {};
+      let notificationStatus = 'sent';
+      if (stats.success === 0 && stats.total > 0) {
+        notificationStatus = 'failed';
+      } else if (stats.failed > 0) {
+        notificationStatus = 'partial';
+      }
+
+      await deposit.update({
+        notification_status: notificationStatus,
+        recipient_count: stats.total || 0,
+        success_count: stats.success || 0,
+        failed_count: stats.failed || 0,
+        notification_log_id: notificationResult.notificationLogId || null,
+        message_refs: notificationResult.messages || [],
+        notified_at: new Date()
+      });
+
+      return deposit;
+    } catch (error) {
+      // Notification already went out - a bookkeeping failure must not fail the postback
+      logger.error('❌ Failed to record deposit notification outcome', {
+        depositId: deposit.id,
+        subid: deposit.subid,
+        error: error.message
+      });
+      return deposit;
+    }
+  }
+
+  /**
+   * Find the deposit a chargeback/refund postback reverses
+   * Latest not yet reversed deposit of the SubID; with several of them the one
+   * with the same payout wins
+   * @param {string} subid - Postback SubID
+   * @param {number} payout - Postback payout (chargebacks may send it negative)
+   */
+  static async findReversible(subid, payout = null) {
+    const deposits = await Deposit.findAll({
+      where: { subid, reversed_at: null },
+      order: [['created_at', 'DESC']]
+    });
+
+    if (deposits.length === 0) {
+      return null;
+    }
+
+    if (payout) {
+      const amount = Math.abs(parseFloat(payout));
+      const samePayout = deposits.find(deposit => Math.abs(parseFloat(deposit.payout) - amount) < 0.005);
+      if (samePayout) {
+        return samePayout;
+      }
+    }
+
+    return deposits[0];
+  }
+
+  /**
+   * Mark a deposit reversed by a chargeback/refund postback
+   * @param {Object} deposit - Deposit instance
+   * @param {Object} reversal - postbackId, status, reason
+   */
+  static async reverseDeposit(deposit, { postbackId = null, status = null, reason = null } = {}) {
+    await deposit.update({
+      reversed_at: new Date(),
+      reversal_status: status,
+      reversal_reason: reason,
+      reversal_postback_id: postbackId
+    });
+
+    logger.info('↩️ Deposit reversed', {
+      depositId: deposit.id,
+      subid: deposit.subid,
+      payout: deposit.payout,
+      status,
+      reason
+    });
+
+    return deposit;
+  }
+
+  /**
+   * Record messages delivered by a resend to previously failed recipients
+   * @param {Array} messages - Message refs of the resent notifications
+   */
+  static async recordResend(deposit, messages) {
+    if (messages.length === 0) {
+      return deposit;
+    }
+
+    const failedCount = Math.max((deposit.failed_count || 0) - messages.length, 0);
+    await deposit.update({
+      notification_status: failedCount === 0 ? 'sent' : 'partial',
+      success_count: (deposit.success_count || 0) + messages.length,
+      failed_count: failedCount,
+      message_refs: [...(deposit.message_refs || []), ...messages]
+    });
+
+    return deposit;
+  }
+
+  /**
+   * Flag a deposit for owner review (reported from a notification)
+   * @returns {boolean} false when the deposit is already waiting for review
+   */
+  static async flagForReview(deposit, userId) {
+    if (deposit.review_status === 'flagged') {
+      return false;
+    }
+
+    await deposit.update({
+      review_status: 'flagged',
+      flagged_by: userId,
+      flagged_at: new Date(),
+      reviewed_by: null,
+      reviewed_at: null
+    });
+
+    logger.info('🚩 Deposit flagged for review', {
+      depositId: deposit.id,
+      subid: deposit.subid,
+      userId
+    });
+
+    return true;
+  }
+
+  /**
+   * Close an open report of a deposit
+   * @returns {boolean} false when the deposit is not flagged
+   */
+  static async resolveReview(deposit, ownerId) {
+    if (deposit.review_status !== 'flagged') {
+      return false;
+    }
+
+    await deposit.update({
+      review_status: 'resolved',
+      reviewed_by: ownerId,
+      reviewed_at: new Date()
+    });
+
+    logger.info('✅ Deposit review resolved', { depositId: deposit.id, ownerId });
+    return true;
+  }
+
+  /**
+   * Get a deposit with the postback that produced it
+   */
+  static async findById(id) {
+    return Deposit.findByPk(id, {
+      include: [{ model: Postback, as: 'postback' }]
+    });
+  }
+
+  /**
+   * Deposit already recorded for a postback - by the deposit linked to its idempotency key,
+   * otherwise by the postback that produced it
+   * @param {number} postbackId - Postback inbox record
+   * @param {number|null} depositId - deposit_id of the postback's idempotency key
+   */
+  static async findForPostback(postbackId, depositId = null) {
+    if (depositId) {
+      return Deposit.findByPk(depositId);
+    }
+    if (!postbackId) {
+      return null;
+    }
+
+    return Deposit.findOne({
+      where: { postback_id: postbackId },
+      order: [['created_at', 'ASC']]
+    });
+  }
+
+  /**
+   * Get the latest deposit for a SubID
+   */
+  static async findBySubId(subid) {
+    return Deposit.findOne({
+      where: { subid },
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Get deposits whose notification went out for a period
+   * A deposit no user is subscribed to (all filtered out) counts as handled
+   * @param {Date} from - Period start
+   * @param {Date} to - Period end
+   */
+  static async getNotifiedForPeriod(from, to) {
+    return Deposit.findAll({
+      where: {
+        created_at: { [Op.between]: [from, to] },
+        notification_status: { [Op.in]: ['sent', 'partial'] }
+      },
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Get all deposits of a period as plain rows (fields used by reports and filters)
+   */
+  static async getForPeriod(from, to) {
+    return Deposit.findAll({
+      attributes: [
+        'id', 'buyer_id', 'geo', 'traffic_source_id', 'traffic_source_name', 'offer_name', 'campaign_name',
+        'payout', 'currency', 'base_payout', 'deposit_type', 'reversed_at', 'created_at'
+      ],
+      where: { created_at: { [Op.between]: [from, to] } },
+      order: [['created_at', 'ASC']],
+      raw: true
+    });
+  }
+
+  /**
+   * Get deposit statistics
+   * Payout totals are net revenue in the base currency - reversed deposits are excluded
+   * and reported separately, deposits without a rate are counted as unconverted
+   */
+  static async getStats() {
+    try {
+      const startOfDay = new Date();
+      startOfDay.setHours(0, 0, 0, 0);
+      const reversed = { reversed_at: { [Op.ne]: null } };
+
+      const [
+        total,
+        today,
+        fallback,
+        failedNotifications,
+        flagged,
+        totalPayout,
+        todayPayout,
+        reversedCount,
+        reversedPayout,
+        unconverted,
+        byTypeTotal,
+        byTypeToday
+      ] = await Promise.all([
+        Deposit.count(),
+        Deposit.count({ where: { created_at: { [Op.gte]: startOfDay } } }),
+        Deposit.count({ where: { fallback_used: true } }),
+        Deposit.count({ where: { notification_status: 'failed' } }),
+        Deposit.count({ where: { review_status: 'flagged' } }),
+        Deposit.sum('base_payout', { where: { reversed_at: null } }),
+        Deposit.sum('base_payout', { where: { created_at: { [Op.gte]: startOfDay }, reversed_at: null } }),
+        Deposit.count({ where: reversed }),
+        Deposit.sum('base_payout', { where: reversed }),
+        ExchangeRateService.countUnconverted(),
+        DepositService._countByType(),
+        DepositService._countByType({ created_at: { [Op.gte]: startOfDay } })
+      ]);
+
+      const byType = {};
+      for (const type of [...STATUS_RULES.DEPOSIT_TYPES, 'untyped']) {
+        byType[type] = {
+          total: byTypeTotal[type]?.count || 0,
+          today: byTypeToday[type]?.count || 0,
+          totalPayout: byTypeTotal[type]?.payout || 0,
+          todayPayout: byTypeToday[type]?.payout || 0
+        };
+      }
+
+      return {
+        total,
+        today,
+        fallback,
+        failedNotifications,
+        flagged,
+        totalPayout: parseFloat(totalPayout) || 0,
+        todayPayout: parseFloat(todayPayout) || 0,
+        reversed: reversedCount,
+        reversedPayout: parseFloat(reversedPayout) || 0,
+        currency: config.currency.base,
+        unconverted,
+        byType
+      };
+    } catch (error) {
+      logger.error('Error getting deposit stats', {
+        error: error.message
+      });
+      return {
+        total: 0,
+        today: 0,
+        fallback: 0,
+        failedNotifications: 0,
+        flagged: 0,
+        totalPayout: 0,
+        todayPayout: 0,
+        reversed: 0,
+        reversedPayout: 0,
+        currency: config.currency.base,
+        unconverted: 0,
+        byType: {}
+      };
+    }
+  }
+
+  /**
+   * Deposit statistics per buyer ID for a period (net base payout, FTD/redeposit split)
+   * @param {Date|null} from - Period start (all time when omitted)
+   * @param {Date|null} to - Period end
+   * @param {string[]|null} buyerIds - Limit to these buyer IDs
+   */
+  static async getStatsByBuyer(from = null, to = null, buyerIds = null) {
+    const rows = await DepositService.getGroupedStats(from, to, 'buyer_id', buyerIds);
+    return rows
+      .filter(row => row.key !== null)
+      .map(({ key, ...stats }) => ({ buyerId: key, ...stats }));
+  }
+
+  /**
+   * Deposit statistics for a period grouped by a deposit column
+   * @param {Date|null} from - Period start (all time when omitted)
+   * @param {Date|null} to - Period end
+   * @param {string|null} field - Column to group by (buyer_id, geo, ...), null - period totals
+   * @param {string[]|null} buyerIds - Limit to these buyer IDs
+   * @returns {Array} [{ key, count, ftd, redeposit, reversed, payout }], key is null for totals,
+   *   buyer IDs are lowercased (grouped regardless of case)
+   */
+  static async getGroupedStats(from = null, to = null, field = null, buyerIds = null) {
+    const where = {};
+    if (from || to) {
+      where.created_at = {};
+      if (from) {
+        where.created_at[Op.gte] = from;
+      }
+      if (to) {
+        where.created_at[Op.lte] = to;
+      }
+    }
+    if (buyerIds) {
+      where[Op.and] = [DepositService.buyerIdWhere(buyerIds)];
+    }
+    const groupColumn = field === 'buyer_id' ? sequelize.fn('LOWER', sequelize.col('buyer_id')) : field;
+
+    const rows = await Deposit.findAll({
+      attributes: [
+        ...(field ? [[groupColumn, field]] : []),
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.literal("COUNT(*) FILTER (WHERE deposit_type = 'ftd')"), 'ftd'],
+        [sequelize.literal("COUNT(*) FILTER (WHERE deposit_type = 'redeposit')"), 'redeposit'],
+        [sequelize.literal('COUNT(*) FILTER (WHERE reversed_at IS NOT NULL)'), 'reversed'],
+        [sequelize.literal('SUM(CASE WHEN reversed_at IS NULL THEN base_payout ELSE 0 END)'), 'payout']
+      ],
+      where,
+      ...(field ? { group: [groupColumn] } : {}),
+      raw: true
+    });
+
+    return rows.map(row => ({
+      key: field ? row[field] : null,
+      count: parseInt(row.count, 10) || 0,
+      ftd: parseInt(row.ftd, 10) || 0,
+      redeposit: parseInt(row.redeposit, 10) || 0,
+      reversed: parseInt(row.reversed, 10) || 0,
+      payout: parseFloat(row.payout) || 0
+    }));
+  }
+
+  /**
+   * Sum per-buyer stats rows up per group of buyer IDs (team, bound user)
+   * @param {Array} rows - Rows of getGroupedStats grouped by buyer_id
+   * @param {Function} groupOf - Normalized buyer ID -> group key, rows without a group are skipped
+   * @returns {Map} Group key -> { count, ftd, redeposit, reversed, payout }
+   */
+  static sumByBuyerGroup(rows, groupOf) {
+    const groups = new Map();
+
+    for (const row of rows) {
+      const key = groupOf(DepositService.normalizeBuyerId(row.key));
+      if (key === undefined) {
+        continue;
+      }
+      if (!groups.has(key)) {
+        groups.set(key, { count: 0, ftd: 0, redeposit: 0, reversed: 0, payout: 0 });
+      }
+
+      const group = groups.get(key);
+      group.count += row.count;
+      group.ftd += row.ftd;
+      group.redeposit += row.redeposit;
+      group.reversed += row.reversed;
+      group.payout = Math.round((group.payout + row.payout) * 100) / 100;
+    }
+
+    return groups;
+  }
+
+  /**
+   * Buyer IDs seen in deposits that are not in the given list (lowercased, grouped regardless of case)
+   * Fallback deposits are skipped - their buyer ID is derived from the SubID
+   */
+  static async getBuyersExcept(buyerIds) {
+    const where = { buyer_id: { [Op.ne]: null }, fallback_used: false };
+    if (buyerIds.length > 0) {
+      where[Op.and] = [DepositService.buyerIdWhere(buyerIds, Op.notIn)];
+    }
+
+    const buyerId = sequelize.fn('LOWER', sequelize.col('buyer_id'));
+    const rows = await Deposit.findAll({
+      attributes: [
+        [buyerId, 'buyer_id'],
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.fn('MAX', sequelize.col('created_at')), 'last_seen']
+      ],
+      where,
+      group: [buyerId],
+      order: [[sequelize.literal('last_seen'), 'DESC']],
+      raw: true
+    });
+
+    return rows.map(row => ({
+      buyerId: row.buyer_id,
+      deposits: parseInt(row.count, 10) || 0,
+      lastSeen: row.last_seen
+    }));
+  }
+
+  /**
+   * Deposit count and net base payout per deposit type (deposits recorded before typing are "untyped")
+   */
+  static async _countByType(where = {}) {
+    const rows = await Deposit.findAll({
+      attributes: [
+        'deposit_type',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.literal('SUM(CASE WHEN reversed_at IS NULL THEN base_payout ELSE 0 END)'), 'payout']
+      ],
+      where,
+      group: ['deposit_type'],
+      raw: true
+    });
+
+    const result = {};
+    for (const row of rows) {
+      result[row.deposit_type || 'untyped'] = {
+        count: parseInt(row.count, 10) || 0,
+        payout: parseFloat(row.payout) || 0
+      };
+    }
+    return result;
+  }
+
+  static _nullIfUnknown(value) {
+    if (value === undefined || value === null || value === 'N/A') {
+      return null;
+    }
+    return String(value);
+  }
+}
+
+module.exports = DepositService;
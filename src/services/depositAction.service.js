@@ -0,0 +1,86 @@
+/**
+ * Deposit Action Service
+ * Signed callback data of the inline buttons under deposit notifications
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { DEPOSIT_ACTIONS } = require('../config/constants');
+
+const ACTIONS = [
+  DEPOSIT_ACTIONS.DETAILS,
+  DEPOSIT_ACTIONS.HIDE_DETAILS,
+  DEPOSIT_ACTIONS.BUYER_STATS,
+  DEPOSIT_ACTIONS.MUTE_BUYER,
+  DEPOSIT_ACTIONS.REPORT,
+  DEPOSIT_ACTIONS.RESOLVE_REPORT
+];
+
+class DepositActionService {
+
+  /**
+   * Build callback data for a button
+   * The signature covers the chat, so a button cannot be replayed in another chat
+   * @param {string} action - One of DEPOSIT_ACTIONS
+   * @param {number} depositId - Deposit ID
+   * @param {string|number} chatId - Chat the button is sent to
+   */
+  static build(action, depositId, chatId) {
+    return [
+      DEPOSIT_ACTIONS.PREFIX,
+      action,
+      depositId,
+      DepositActionService.sign(action, depositId, chatId)
+    ].join(':');
+  }
+
+  /**
+   * Whether callback data belongs to a deposit button (signed or not)
+   */
+  static isDepositAction(data) {
+    return typeof data === 'string' && data.startsWith(`${DEPOSIT_ACTIONS.PREFIX}:`);
+  }
+
+  /**
+   * Parse and verify callback data
+   * @returns {Object|null} { action, depositId } or null when the data is malformed or forged
+   */
+  static parse(data, chatId) {
+    const parts = String(data || '').split(':');
+    if (parts.length !== 4 || parts[0] !== DEPOSIT_ACTIONS.PREFIX) {
+      return null;
+    }
+
+    const [, action, id, signature] = parts;
+    const depositId = parseInt(id, 10);
+    if (!ACTIONS.includes(action) || !Number.isInteger(depositId) || String(depositId) !== id) {
+      return null;
+    }
+
+    const expected = DepositActionService.sign(action, depositId, chatId);
+    if (!DepositActionService._safeEqual(signature, expected)) {
+      return null;
+    }
+
+    return { action, depositId };
+  }
+
+  static sign(action, depositId, chatId) {
+    return crypto
+      .createHmac('sha256', config.security.callbackSecret)
+      .update(`${action}:${depositId}:${chatId}`)
+      .digest('base64')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '')
+      .slice(0, DEPOSIT_ACTIONS.SIGNATURE_LENGTH);
+  }
+
+  static _safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+  }
+}
+
+module.exports = DepositActionService;
@@ -3,9 +3,11 @@
  * Compares Keitaro deposits with bot notifications to find missing deposits
  */
 
+const config = require('../config/config');
 const logger = require('../utils/logger');
 const keitaroService = require('./keitaro.service');
 const trafficSourceService = require('./trafficSource.service');
+const DepositService = require('./deposit.service');
 const { KNOWN_FB_POSTBACK_SOURCES } = require('../config/constants');
 
 class DepositAuditService {
@@ -48,10 +50,11 @@ class DepositAuditService {
         statistics: {
           totalKeitaroDeposits: keitaroDeposits.length,
           fbDepositsCount: fbDeposits.length,
-          sentNotificationsCount: sentNotifications.notifications?.length || 0,
-          extractedSubIds: sentNotifications.subIds?.length || 0,
+          sentNotificationsCount: sentNotifications.deposits?.length || 0,
           missingNotifications: auditResults.missing.length,
           foundNotifications: auditResults.found.length,
+          sentByType: this._countByDepositType(sentNotifications.deposits || []),
+          revenue: this._sumRevenue(sentNotifications.deposits || []),
           successRate: fbDeposits.length > 0 
             ? Math.round((fbDeposits.length - auditResults.missing.length) / fbDeposits.length * 100) 
             : 100
@@ -63,8 +66,7 @@ class DepositAuditService {
       logger.info('✅ Deposit audit completed', {
         auditId: finalResults.audit.auditId,
         totalFBDeposits: fbDeposits.length,
-        sentNotifications: sentNotifications.notifications?.length || 0,
-        extractedSubIds: sentNotifications.subIds?.length || 0,
+        sentNotifications: sentNotifications.deposits?.length || 0,
         foundNotifications: auditResults.found.length,
         missingNotifications: auditResults.missing.length,
         successRate: `${finalResults.statistics.successRate}%`
@@ -139,77 +141,37 @@ class DepositAuditService {
   }
   
   /**
-   * Get sent notifications from database for specified period
+   * Get notified deposits from database for specified period
    */
   static async _getSentNotifications(dateFrom, dateTo) {
-    logger.info('📋 Fetching sent notifications from database', { dateFrom, dateTo });
+    logger.info('📋 Fetching notified deposits from database', { dateFrom, dateTo });
     
     try {
-      const { NotificationLog } = require('../models');
-      const { Op } = require('sequelize');
+      const deposits = await DepositService.getNotifiedForPeriod(
+        new Date(dateFrom + 'T00:00:00.000Z'),
+        new Date(dateTo + 'T23:59:59.999Z')
+      );
       
-      const notifications = await NotificationLog.findAll({
-        where: {
-          type: 'deposit',
-          created_at: {
-            [Op.between]: [
-              new Date(dateFrom + 'T00:00:00.000Z'),
-              new Date(dateTo + 'T23:59:59.999Z')
-            ]
-          },
-          success_count: {
-            [Op.gt]: 0  // Only successful notifications
-          }
-        },
-        order: [['created_at', 'DESC']]
-      });
-      
-      // Extract SubIDs from metadata
-      const subIds = [];
-      notifications.forEach(notification => {
-        const metadata = notification.metadata || {};
-        
-        // Extract SubID from various fields
-        if (metadata.clickId) {
-          subIds.push({
-            subid: metadata.clickId,
-            sentAt: notification.created_at,
-            recipients: notification.recipient_count,
-            success: notification.success_count
-          });
-        } else if (metadata.subid) {
-          subIds.push({
-            subid: metadata.subid,
-            sentAt: notification.created_at,
-            recipients: notification.recipient_count,
-            success: notification.success_count
-          });
-        } else if (metadata.sub_id) {
-          subIds.push({
-            subid: metadata.sub_id,
-            sentAt: notification.created_at,
-            recipients: notification.recipient_count,
-            success: notification.success_count
-          });
-        }
-        
-        // For regular notifications, we might need to reconstruct SubID from subid1
-        // This is tricky because subid1 is only first 8 chars, we can't reconstruct full SubID
-        // We'll handle this in the comparison logic instead
-      });
+      const subIds = deposits.map(deposit => ({
+        subid: deposit.subid,
+        depositType: deposit.deposit_type,
+        reversed: !!deposit.reversed_at,
+        sentAt: deposit.notified_at || deposit.created_at,
+        recipients: deposit.recipient_count,
+        success: deposit.success_count
+      }));
       
-      logger.info('✅ Sent notifications retrieved', {
-        totalNotifications: notifications.length,
-        subIdsExtracted: subIds.length
+      logger.info('✅ Notified deposits retrieved', {
+        totalDeposits: deposits.length
       });
       
       return {
-        notifications,
+        deposits,
         subIds
       };
       
     } catch (error) {
-      logger.error('❌ Failed to get sent notifications', { error: error.message });
+      logger.error('❌ Failed to get notified deposits', { error: error.message });
       throw new Error(`Database error: ${error.message}`);
     }
   }
@@ -218,17 +180,13 @@ class DepositAuditService {
    * Compare Keitaro deposits with sent notifications
    */
   static _compareDeposits(keitaroDeposits, sentNotifications) {
-    // Create sets for quick lookup
     const sentSubIds = new Set(sentNotifications.subIds?.map(n => n.subid) || []);
-    const sentSubId1s = new Set(); // First 8 chars of subids for partial matching
-    
-    // Also create a set of subid1 values from notifications for regular notifications
-    sentNotifications.notifications?.forEach(notification => {
-      const metadata = notification.metadata || {};
-      if (metadata.subid1) {
-        sentSubId1s.add(metadata.subid1);
-      }
-    });
+    const sentTypes = new Map();
+    for (const notification of sentNotifications.subIds || []) {
+      const types = sentTypes.get(notification.subid) || [];
+      types.push(notification.depositType || null);
+      sentTypes.set(notification.subid, types);
+    }
     
     const missing = [];
     const found = [];
@@ -242,19 +200,11 @@ class DepositAuditService {
         continue;
       }
       
-      // Check exact SubID match first (for fallback notifications)
-      let notificationFound = sentSubIds.has(subId);
-      
-      // If not found by exact match, check by subid1 (first 8 chars for regular notifications)
-      if (!notificationFound) {
-        const subId1 = subId.slice(0, 8);
-        notificationFound = sentSubId1s.has(subId1);
-      }
-      
-      if (notificationFound) {
+      if (sentSubIds.has(subId)) {
         found.push({
           subid: subId,
           status: 'sent',
+          depositTypes: sentTypes.get(subId),
           deposit
         });
       } else {
@@ -270,6 +220,48 @@ class DepositAuditService {
     return { missing, found };
   }
   
+  /**
+   * Count notified deposits by deposit type
+   */
+  static _countByDepositType(deposits) {
+    const counts = { ftd: 0, redeposit: 0, untyped: 0 };
+    for (const deposit of deposits) {
+      counts[deposit.deposit_type || 'untyped']++;
+    }
+    return counts;
+  }
+  
+  /**
+   * Revenue of notified deposits in the base currency - reversed (chargeback/refund)
+   * payouts are subtracted, deposits without an exchange rate are only counted
+   */
+  static _sumRevenue(deposits) {
+    let gross = 0;
+    let reversed = 0;
+    let reversedCount = 0;
+    let unconvertedCount = 0;
+    for (const deposit of deposits) {
+      if (deposit.base_payout === null || deposit.base_payout === undefined) {
+        unconvertedCount++;
+        continue;
+      }
+      const payout = parseFloat(deposit.base_payout) || 0;
+      gross += payout;
+      if (deposit.reversed_at) {
+        reversed += payout;
+        reversedCount++;
+      }
+    }
+    return {
+      gross: Math.round(gross * 100) / 100,
+      reversed: Math.round(reversed * 100) / 100,
+      net: Math.round((gross - reversed) * 100) / 100,
+      currency: config.currency.base,
+      reversedCount,
+      unconvertedCount
+    };
+  }
+  
   /**
    * Determine why a deposit might be missing
    */
@@ -373,48 +365,25 @@ class DepositAuditService {
       // Check if it's FB source
       const isFB = trafficSourceService.isFBSource(depositData.traffic_source_id);
       
-      // Check notification logs - look for subid in metadata
-      const { NotificationLog } = require('../models');
-      const { Op } = require('sequelize');
-      
-      const notificationSent = await NotificationLog.findOne({
-        where: {
-          [Op.or]: [
-            // Check for clickId in metadata (fallback notifications)
-            {
-              metadata: {
-                clickId: subId
-              }
-            },
-            // Check for subid1 containing this subid (regular notifications)
-            // SubID format: first 8 chars used as subid1 (buyer ID)
-            {
-              metadata: {
-                subid1: subId.slice(0, 8)
-              }
-            },
-            // Also check if any field in metadata contains the full subid
-            {
-              [Op.or]: [
-                { 'metadata.clickId': subId },
-                { 'metadata.subid': subId },
-                { 'metadata.sub_id': subId }
-              ]
-            }
-          ]
-        },
-        order: [['created_at', 'DESC']]
-      });
+      // Check recorded deposit for this SubID
+      const recorded = await DepositService.findBySubId(subId);
+      const notificationSent = !!recorded && ['sent', 'partial'].includes(recorded.notification_status);
       
       return {
         subid: subId,
         status: notificationSent ? 'notification_sent' : 'notification_missing',
         deposit: depositData,
         isFBSource: isFB,
-        notification: notificationSent ? {
-          sentAt: notificationSent.created_at,
-          recipients: notificationSent.recipient_count,
-          success: notificationSent.success_count
+        notification: recorded ? {
+          depositId: recorded.id,
+          notificationStatus: recorded.notification_status,
+          depositType: recorded.deposit_type,
+          reversedAt: recorded.reversed_at,
+          reversalReason: recorded.reversal_reason,
+          sentAt: recorded.notified_at,
+          recipients: recorded.recipient_count,
+          success: recorded.success_count,
+          fallbackUsed: recorded.fallback_used
         } : null
       };
       
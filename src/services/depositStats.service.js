@@ -0,0 +1,202 @@
+/**
+ * Deposit Stats Service
+ * Period and grouping arguments of /stats and the report built from stored deposits
+ */
+
+const DepositService = require('./deposit.service');
+const TeamService = require('./team.service');
+const { DEPOSIT_STATS } = require('../config/constants');
+
+const GROUP_NAMES = Object.keys(DEPOSIT_STATS.GROUP_BY);
+
+class DepositStatsService {
+
+  /**
+   * Parse /stats arguments: [today|yesterday|7d|30d|YYYY-MM-DD..YYYY-MM-DD] [by buyer|geo|source|offer|campaign|team]
+   * Periods are calendar days in server time, the default is today
+   * @param {string|null} input - Command arguments
+   * @param {Date} now - Current time
+   * @returns {Object} { success, period: { from, to, label }, groupBy } or { success: false, message }
+   */
+  static parseArgs(input, now = new Date()) {
+    const tokens = String(input || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    let period = null;
+    let groupBy = null;
+
+    for (let index = 0; index < tokens.length; index++) {
+      let token = tokens[index];
+
+      if (token === 'by') {
+        token = tokens[++index];
+        if (!DEPOSIT_STATS.GROUP_BY[token]) {
+          return { success: false, message: `После by укажите: ${GROUP_NAMES.join(', ')}` };
+        }
+      }
+
+      if (DEPOSIT_STATS.GROUP_BY[token]) {
+        if (groupBy) {
+          return { success: false, message: 'Группировка указана дважды' };
+        }
+        groupBy = token;
+        continue;
+      }
+
+      if (period) {
+        return { success: false, message: 'Период указан дважды' };
+      }
+      period = DepositStatsService.parsePeriod(token, now);
+      if (!period.success) {
+        return period;
+      }
+    }
+
+    return {
+      success: true,
+      period: period || DepositStatsService.parsePeriod('today', now),
+      groupBy
+    };
+  }
+
+  /**
+   * Parse a period: today, yesterday, <N>d (last N days including today), YYYY-MM-DD or YYYY-MM-DD..YYYY-MM-DD
+   * @returns {Object} { success, from, to, label } or { success: false, message }
+   */
+  static parsePeriod(token, now = new Date()) {
+    const startOfToday = DepositStatsService._startOfDay(now);
+
+    if (token === 'today') {
+      return { success: true, from: startOfToday, to: now, label: 'сегодня' };
+    }
+
+    if (token === 'yesterday') {
+      const from = new Date(startOfToday);
+      from.setDate(from.getDate() - 1);
+      return { success: true, from, to: new Date(startOfToday.getTime() - 1), label: 'вчера' };
+    }
+
+    const days = token.match(/^(\d+)d$/);
+    if (days) {
+      const count = parseInt(days[1], 10);
+      if (count < 1 || count > DEPOSIT_STATS.MAX_RANGE_DAYS) {
+        return { success: false, message: `Период - от 1 до ${DEPOSIT_STATS.MAX_RANGE_DAYS} дней` };
+      }
+      const from = new Date(startOfToday);
+      from.setDate(from.getDate() - (count - 1));
+      return { success: true, from, to: now, label: `последние ${count} дн.` };
+    }
+
+    const range = token.match(/^(\d{4}-\d{2}-\d{2})(?:\.\.(\d{4}-\d{2}-\d{2}))?$/);
+    if (range) {
+      const from = DepositStatsService._parseDate(range[1]);
+      const lastDay = DepositStatsService._parseDate(range[2] || range[1]);
+      if (!from || !lastDay) {
+        return { success: false, message: 'Неверная дата, используйте YYYY-MM-DD' };
+      }
+      if (from > lastDay) {
+        return { success: false, message: 'Начало периода позже конца' };
+      }
+
+      const to = new Date(lastDay);
+      to.setDate(to.getDate() + 1);
+      to.setTime(to.getTime() - 1);
+      if ((to - from) / (24 * 60 * 60 * 1000) > DEPOSIT_STATS.MAX_RANGE_DAYS) {
+        return { success: false, message: `Период - не больше ${DEPOSIT_STATS.MAX_RANGE_DAYS} дней` };
+      }
+
+      const format = date => date.toLocaleDateString('ru-RU');
+      const label = range[2] && range[2] !== range[1] ? `${format(from)} - ${format(lastDay)}` : format(from);
+      return { success: true, from, to, label };
+    }
+
+    return {
+      success: false,
+      message: `Неизвестный аргумент «${token}». Период: today, yesterday, 7d, 30d, YYYY-MM-DD..YYYY-MM-DD; ` +
+        `группировка: by ${GROUP_NAMES.join('|')}`
+    };
+  }
+
+  /**
+   * Period totals and, with a grouping, per-group rows (largest payout first)
+   * @param {Object} period - from, to
+   * @param {string|null} groupBy - Key of DEPOSIT_STATS.GROUP_BY
+   * @param {string[]|null} buyerIds - Limit to these buyer IDs
+   * @returns {Object} { totals, rows }
+   */
+  static async getReport(period, groupBy = null, buyerIds = null) {
+    const field = groupBy ? DEPOSIT_STATS.GROUP_BY[groupBy] : null;
+    const [[totals], groupedRows] = await Promise.all([
+      DepositService.getGroupedStats(period.from, period.to, null, buyerIds),
+      field ? DepositService.getGroupedStats(period.from, period.to, field, buyerIds) : []
+    ]);
+
+    const rows = groupBy === 'team' ? await TeamService.groupByTeam(groupedRows) : groupedRows;
+    rows.sort(DepositStatsService._byPayout);
+    return { totals, rows };
+  }
+
+  /**
+   * Same rows as DepositService.getGroupedStats computed from already loaded deposits
+   * (reports that apply per-user notification filters)
+   * @param {Array} deposits - Rows of DepositService.getForPeriod
+   * @param {string|null} field - Column to group by, null - one totals row
+   */
+  static aggregate(deposits, field = null) {
+    const groups = new Map();
+    const empty = key => ({ key, count: 0, ftd: 0, redeposit: 0, reversed: 0, payout: 0 });
+    if (!field) {
+      groups.set(null, empty(null));
+    }
+
+    for (const deposit of deposits) {
+      let key = field ? deposit[field] : null;
+      if (field === 'buyer_id' && key) {
+        // Grouped regardless of case, as in DepositService.getGroupedStats
+        key = DepositService.normalizeBuyerId(key);
+      }
+      if (!groups.has(key)) {
+        groups.set(key, empty(key));
+      }
+
+      const row = groups.get(key);
+      row.count++;
+      if (deposit.deposit_type === 'ftd') {
+        row.ftd++;
+      } else if (deposit.deposit_type === 'redeposit') {
+        row.redeposit++;
+      }
+      if (deposit.reversed_at) {
+        row.reversed++;
+      } else {
+        row.payout += parseFloat(deposit.base_payout) || 0;
+      }
+    }
+
+    return Array.from(groups.values())
+      .map(row => ({ ...row, payout: Math.round(row.payout * 100) / 100 }))
+      .sort(DepositStatsService._byPayout);
+  }
+
+  static _byPayout(a, b) {
+    return b.payout - a.payout || b.count - a.count;
+  }
+
+  static _startOfDay(date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    return start;
+  }
+
+  /**
+   * YYYY-MM-DD as local midnight, null for impossible dates
+   */
+  static _parseDate(text) {
+    const [year, month, day] = text.split('-').map(part => parseInt(part, 10));
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+      return null;
+    }
+    return date;
+  }
+}
+
+module.exports = DepositStatsService;
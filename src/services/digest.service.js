@@ -0,0 +1,239 @@
+/**
+ * Digest Service
+ * Per-user daily/weekly digest schedules and the deposit summary they send
+ */
+
+const logger = require('../utils/logger');
+const { TimezoneHelper } = require('../utils/timezone');
+const { User, DigestSchedule } = require('../models');
+const DepositService = require('./deposit.service');
+const DepositStatsService = require('./depositStats.service');
+const NotificationFilterService = require('./notificationFilter.service');
+const AccessPolicy = require('./accessPolicy.service');
+const TeamService = require('./team.service');
+const QuietHoursService = require('./quietHours.service');
+const { DIGEST, ACCESS, TEAMS } = require('../config/constants');
+
+class DigestService {
+
+  /**
+   * Get schedules
+   * @param {string|number|null} userId - Schedules of one user (all users when omitted)
+   * @param {boolean} activeOnly - Skip disabled schedules
+   */
+  static async listSchedules(userId = null, activeOnly = false) {
+    const where = {};
+    if (userId) {
+      where.user_id = userId;
+    }
+    if (activeOnly) {
+      where.is_active = true;
+    }
+
+    return DigestSchedule.findAll({ where, order: [['user_id', 'ASC'], ['frequency', 'ASC']] });
+  }
+
+  static async getSchedule(scheduleId) {
+    return DigestSchedule.findByPk(scheduleId);
+  }
+
+  /**
+   * Parse schedule arguments of /digest daily|weekly: [day] [HH:MM] [timezone] in any order
+   * @returns {Object} { success, time, dayOfWeek, timezone } (undefined - not given) or { success: false, message }
+   */
+  static parseScheduleArgs(frequency, tokens) {
+    const result = { success: true };
+
+    for (const token of tokens) {
+      const time = token.match(/^(\d{1,2}):(\d{2})$/);
+      const day = DIGEST.WEEK_DAYS.indexOf(token.toLowerCase().slice(0, 3));
+
+      if (time) {
+        const hours = parseInt(time[1], 10);
+        const minutes = parseInt(time[2], 10);
+        if (hours > 23 || minutes > 59) {
+          return { success: false, message: 'Время указывается как ЧЧ:ММ, например 09:00' };
+        }
+        result.time = `${String(hours).padStart(2, '0')}:${time[2]}`;
+      } else if (frequency === 'weekly' && day !== -1 && /^[a-z]+$/i.test(token)) {
+        result.dayOfWeek = day;
+      } else if (TimezoneHelper.isValid(token)) {
+        result.timezone = token;
+      } else {
+        return {
+          success: false,
+          message: `Не понял «${token}». Время - ЧЧ:ММ, день недели - ${DIGEST.WEEK_DAYS.join(', ')}, ` +
+            'часовой пояс - например Europe/Moscow'
+        };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Create or update a user's schedule, missing values are kept or defaulted
+   * The schedule runs in the user's timezone - a given timezone becomes the user's (see setTimezone)
+   * @param {Object} values - time, dayOfWeek, timezone
+   * @returns {Object} { success, schedule, created } or { success: false, message }
+   */
+  static async setSchedule(userId, frequency, { time, dayOfWeek, timezone } = {}) {
+    if (!DIGEST.FREQUENCIES.includes(frequency)) {
+      return { success: false, message: `Unknown frequency, use: ${DIGEST.FREQUENCIES.join(', ')}` };
+    }
+    if (timezone !== undefined && !TimezoneHelper.isValid(timezone)) {
+      return { success: false, message: `Unknown timezone: ${timezone}` };
+    }
+
+    const schedules = timezone
+      ? await DigestService.setTimezone(userId, timezone)
+      : await DigestService.listSchedules(userId);
+    const existing = schedules.find(schedule => schedule.frequency === frequency);
+
+    const values = {
+      send_time: time || (existing ? existing.send_time : DIGEST.DEFAULT_TIME),
+      day_of_week: null,
+      timezone: timezone || await DigestService.timezoneOf(userId),
+      is_active: true
+    };
+    if (frequency === 'weekly') {
+      values.day_of_week = dayOfWeek !== undefined
+        ? dayOfWeek
+        : (existing ? existing.day_of_week : DIGEST.DEFAULT_WEEKLY_DAY);
+    }
+
+    const schedule = existing
+      ? await existing.update(values)
+      : await DigestSchedule.create({ user_id: userId, frequency, ...values });
+
+    logger.info('🗓️ Digest schedule saved', {
+      userId,
+      frequency,
+      sendTime: schedule.send_time,
+      dayOfWeek: schedule.day_of_week,
+      timezone: schedule.timezone
+    });
+
+    return { success: true, schedule, created: !existing };
+  }
+
+  /**
+   * Disable a user's digests
+   * @param {string|null} frequency - daily or weekly, all digests when omitted
+   * @returns {Array} Disabled schedules
+   */
+  static async disable(userId, frequency = null) {
+    const schedules = (await DigestService.listSchedules(userId, true))
+      .filter(schedule => !frequency || schedule.frequency === frequency);
+
+    for (const schedule of schedules) {
+      await schedule.update({ is_active: false });
+    }
+
+    if (schedules.length > 0) {
+      logger.info('🗓️ Digest schedules disabled', { userId, frequency });
+    }
+    return schedules;
+  }
+
+  /**
+   * Set the user's timezone (shared with quiet hours) and the timezone of all of their digests
+   * @returns {Array} Updated schedules - their jobs have to be rescheduled
+   */
+  static async setTimezone(userId, timezone) {
+    await User.update({ timezone }, { where: { id: userId } });
+
+    const schedules = await DigestService.listSchedules(userId);
+    for (const schedule of schedules) {
+      await schedule.update({ timezone });
+    }
+    return schedules;
+  }
+
+  /**
+   * Timezone digests of a user are sent in - the user's timezone (see QuietHoursService.timezoneOf)
+   */
+  static async timezoneOf(userId) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'timezone'] });
+    return QuietHoursService.timezoneOf(user || {});
+  }
+
+  /**
+   * Unsaved schedule for a one-off digest (/digest now without a schedule)
+   */
+  static async buildPreviewSchedule(userId, frequency) {
+    return DigestSchedule.build({
+      user_id: userId,
+      frequency,
+      send_time: DIGEST.DEFAULT_TIME,
+      day_of_week: frequency === 'weekly' ? DIGEST.DEFAULT_WEEKLY_DAY : null,
+      timezone: await DigestService.timezoneOf(userId)
+    });
+  }
+
+  /**
+   * Cron expression of a schedule (evaluated by node-cron in the schedule's timezone)
+   */
+  static cronExpression(schedule) {
+    const [hours, minutes] = schedule.send_time.split(':').map(part => parseInt(part, 10));
+    const dayOfWeek = schedule.frequency === 'weekly' ? schedule.day_of_week : '*';
+    return `${minutes} ${hours} * * ${dayOfWeek}`;
+  }
+
+  /**
+   * Reported and compared periods: yesterday vs the day before, or the last 7 days vs the 7 before
+   * Day boundaries are midnights of the schedule's timezone
+   */
+  static getPeriods(frequency, timezone, now = new Date()) {
+    const days = frequency === 'weekly' ? 7 : 1;
+    const startOf = offsetDays => TimezoneHelper.startOfDay(now, timezone, offsetDays);
+    const format = date => date.toLocaleDateString('ru-RU', { timeZone: timezone });
+
+    const current = { from: startOf(-days), to: new Date(startOf(0).getTime() - 1) };
+    const previous = { from: startOf(-2 * days), to: new Date(current.from.getTime() - 1) };
+    current.label = days === 1 ? format(current.from) : `${format(current.from)} - ${format(current.to)}`;
+
+    return { current, previous };
+  }
+
+  /**
+   * Build a digest: deposits of the period that the user receives and that pass their notification filters
+   * Team members get their team's deposits, roles with all stats also a comparison of teams
+   * @returns {Object} { frequency, timezone, period, totals, previous, byBuyer, byTeam, byGeo, bestOffer, filtered }
+   */
+  static async buildDigest(schedule, now = new Date()) {
+    const periods = DigestService.getPeriods(schedule.frequency, schedule.timezone, now);
+    const role = await AccessPolicy.roleOfId(schedule.user_id);
+    const [filter, deposits, buyerIds] = await Promise.all([
+      NotificationFilterService.getFilter(schedule.user_id),
+      DepositService.getForPeriod(periods.previous.from, periods.current.to),
+      AccessPolicy.depositBuyerIds(schedule.user_id, role)
+    ]);
+
+    const scope = buyerIds ? new Set(buyerIds.map(DepositService.normalizeBuyerId)) : null;
+    const visible = deposits.filter(deposit =>
+      (!scope || scope.has(DepositService.normalizeBuyerId(deposit.buyer_id))) &&
+      NotificationFilterService.matches(filter, DepositService.filterData(deposit))
+    );
+    const current = visible.filter(deposit => new Date(deposit.created_at) >= periods.current.from);
+    const previous = visible.filter(deposit => new Date(deposit.created_at) < periods.current.from);
+    const offers = DepositStatsService.aggregate(current, 'offer_name').filter(row => row.key);
+    const byBuyer = DepositStatsService.aggregate(current, 'buyer_id');
+    const byTeam = AccessPolicy.can(role, ACCESS.PERMISSIONS.ALL_STATS) ? await TeamService.groupByTeam(byBuyer) : [];
+
+    return {
+      frequency: schedule.frequency,
+      timezone: schedule.timezone,
+      period: periods.current,
+      totals: DepositStatsService.aggregate(current)[0],
+      previous: DepositStatsService.aggregate(previous)[0],
+      byBuyer,
+      byTeam: byTeam.some(row => row.key !== TEAMS.NO_TEAM_LABEL) ? byTeam : null,
+      byGeo: DepositStatsService.aggregate(current, 'geo'),
+      bestOffer: offers.length > 0 ? offers[0] : null,
+      filtered: !NotificationFilterService.isEmpty(filter)
+    };
+  }
+}
+
+module.exports = DigestService;
@@ -0,0 +1,167 @@
+/**
+ * Digest Scheduler Service
+ * One node-cron job per active digest schedule, run in the schedule's timezone
+ */
+
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const DigestService = require('./digest.service');
+const UserManagerService = require('./userManager.service');
+const AccessPolicy = require('./accessPolicy.service');
+const telegramBotService = require('./telegramBot.service');
+const { ACCESS } = require('../config/constants');
+
+class DigestSchedulerService {
+  constructor() {
+    this.isRunning = false;
+    // schedule ID -> { job, userId, frequency, expression, timezone }
+    this.jobs = new Map();
+    this.counters = {
+      sent: 0,
+      skipped: 0,
+      failed: 0
+    };
+    this.lastRunAt = null;
+  }
+
+  /**
+   * Load active schedules and start their jobs
+   */
+  async start() {
+    if (this.isRunning) {
+      logger.warn('⚠️ Digest scheduler already running');
+      return;
+    }
+
+    const schedules = await DigestService.listSchedules(null, true);
+    this.isRunning = true;
+    schedules.forEach(schedule => this.schedule(schedule));
+
+    logger.info('✅ Digest scheduler started', { schedules: this.jobs.size });
+  }
+
+  /**
+   * Stop all jobs
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    for (const id of Array.from(this.jobs.keys())) {
+      this.unschedule(id);
+    }
+    this.isRunning = false;
+    logger.info('🛑 Digest scheduler stopped');
+  }
+
+  /**
+   * Start (or restart after a change) the job of a schedule, disabled schedules are removed
+   */
+  schedule(schedule) {
+    this.unschedule(schedule.id);
+    if (!this.isRunning || !schedule.is_active) {
+      return;
+    }
+
+    const expression = DigestService.cronExpression(schedule);
+    const job = cron.schedule(expression, async () => {
+      await this.runSchedule(schedule.id);
+    }, {
+      scheduled: true,
+      timezone: schedule.timezone
+    });
+
+    this.jobs.set(schedule.id, {
+      job,
+      userId: String(schedule.user_id),
+      frequency: schedule.frequency,
+      expression,
+      timezone: schedule.timezone
+    });
+  }
+
+  unschedule(scheduleId) {
+    const entry = this.jobs.get(scheduleId);
+    if (entry) {
+      entry.job.stop();
+      this.jobs.delete(scheduleId);
+    }
+  }
+
+  /**
+   * Cron callback - reloads the schedule, it may have changed since the job started
+   * (the job of a deleted or disabled schedule is removed)
+   */
+  async runSchedule(scheduleId) {
+    try {
+      const schedule = await DigestService.getSchedule(scheduleId);
+      if (!schedule || !schedule.is_active) {
+        this.unschedule(scheduleId);
+        return;
+      }
+
+      await this.sendDigest(schedule);
+      this.lastRunAt = new Date();
+    } catch (error) {
+      this.counters.failed++;
+      logger.error('❌ Scheduled digest failed', { scheduleId, error: error.message });
+    }
+  }
+
+  /**
+   * Build and send a digest to its user
+   * Users who do not receive notifications (not approved, blocked the bot) are skipped
+   * @returns {boolean} true when the digest was sent
+   */
+  async sendDigest(schedule) {
+    const user = await UserManagerService.getUserById(schedule.user_id);
+    const allowed = user && user.is_active !== false &&
+      AccessPolicy.can(AccessPolicy.roleOf(user), ACCESS.PERMISSIONS.USE_BOT);
+
+    if (!allowed) {
+      this.counters.skipped++;
+      logger.debug('Digest skipped - user does not receive notifications', {
+        scheduleId: schedule.id,
+        userId: schedule.user_id
+      });
+      return false;
+    }
+
+    const digest = await DigestService.buildDigest(schedule);
+    await telegramBotService.sendMessage(schedule.user_id, telegramBotService.formatDigest(digest), { parse_mode: 'HTML' });
+    await schedule.update({ last_sent_at: new Date() });
+    this.counters.sent++;
+
+    logger.info('🗞️ Digest sent', {
+      scheduleId: schedule.id,
+      userId: schedule.user_id,
+      frequency: schedule.frequency,
+      deposits: digest.totals.count
+    });
+    return true;
+  }
+
+  /**
+   * Job list and counters for /admin/digests
+   */
+  getStats() {
+    return {
+      isRunning: this.isRunning,
+      jobs: Array.from(this.jobs.entries()).map(([scheduleId, entry]) => ({
+        scheduleId,
+        userId: entry.userId,
+        frequency: entry.frequency,
+        cron: entry.expression,
+        timezone: entry.timezone
+      })),
+      lastRunAt: this.lastRunAt,
+      ...this.counters
+    };
+  }
+}
+
+// Create singleton instance
+const digestScheduler = new DigestSchedulerService();
+
+module.exports = digestScheduler;
@@ -0,0 +1,233 @@
+/**
+ * Exchange Rate Service
+ * Converts deposit payouts into the base currency with owner-maintained rates
+ */
+
+const Joi = require('joi');
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { ExchangeRate, Deposit, sequelize } = require('../models');
+
+// Rates by currency code, refreshed on every change
+const ratesCache = new Map();
+
+const CURRENCY_SYMBOLS = {
+  USD: '$',
+  EUR: '€',
+  TRY: '₺',
+  GBP: '£',
+  RUB: '₽'
+};
+
+const rateSchema = Joi.object({
+  currency: Joi.string().trim().length(3).pattern(/^[A-Za-z]{3}$/).uppercase().required(),
+  rate: Joi.number().positive().required()
+});
+
+class ExchangeRateService {
+
+  /**
+   * Load rates into memory
+   */
+  static async loadRates() {
+    const rates = await ExchangeRate.findAll();
+
+    ratesCache.clear();
+    rates.forEach(rate => {
+      ratesCache.set(rate.currency, parseFloat(rate.rate));
+    });
+
+    logger.info('✅ Exchange rates loaded', {
+      baseCurrency: config.currency.base,
+      currencies: Array.from(ratesCache.keys())
+    });
+
+    return ratesCache.size;
+  }
+
+  /**
+   * Payout currency of a postback: postback value, then network default, then base currency
+   * @param {string|undefined} currency - Currency from the (mapped) postback
+   * @param {string|null} network - Postback network ("from")
+   */
+  static resolveCurrency(currency, network = null) {
+    const networkDefault = network ? config.currency.networkDefaults[String(network).toLowerCase()] : null;
+    return String(currency || networkDefault || config.currency.base).toUpperCase();
+  }
+
+  /**
+   * Convert an amount into the base currency
+   * @returns {Object} { baseAmount, rate, baseCurrency } - baseAmount and rate are null without a rate
+   */
+  static convert(amount, currency) {
+    const baseCurrency = config.currency.base;
+    const code = String(currency || baseCurrency).toUpperCase();
+    const rate = code === baseCurrency ? 1 : ratesCache.get(code);
+
+    if (!rate) {
+      return { baseAmount: null, rate: null, baseCurrency };
+    }
+
+    return {
+      baseAmount: Math.round((parseFloat(amount) || 0) * rate * 100) / 100,
+      rate,
+      baseCurrency
+    };
+  }
+
+  /**
+   * Format an amount with its currency symbol ($50.00, €12.50, 100.00 PLN)
+   */
+  static formatAmount(amount, currency = config.currency.base) {
+    const value = (parseFloat(amount) || 0).toFixed(2);
+    const code = String(currency || config.currency.base).toUpperCase();
+    const symbol = CURRENCY_SYMBOLS[code];
+    return symbol ? `${symbol}${value}` : `${value} ${code}`;
+  }
+
+  /**
+   * Get all rates (admin view)
+   */
+  static async listRates() {
+    return ExchangeRate.findAll({ order: [['currency', 'ASC']] });
+  }
+
+  /**
+   * Create or replace the rate of a currency
+   * @param {string} source - manual or csv
+   * @returns {Object} { success, rate, convertedDeposits } or { success: false, message }
+   */
+  static async upsertRate(currency, rate, source = 'manual') {
+    const validation = ExchangeRateService._validate(currency, rate);
+    if (!validation.success) {
+      return validation;
+    }
+
+    const [record] = await ExchangeRate.upsert({
+      currency: validation.value.currency,
+      rate: validation.value.rate,
+      source
+    }, { returning: true });
+
+    ratesCache.set(record.currency, parseFloat(record.rate));
+    const convertedDeposits = await ExchangeRateService.convertPending(record.currency);
+
+    logger.info('💱 Exchange rate saved', {
+      currency: record.currency,
+      rate: record.rate,
+      source,
+      convertedDeposits
+    });
+
+    return { success: true, rate: record, convertedDeposits };
+  }
+
+  /**
+   * Import rates from CSV: "currency,rate" per line, header and # comments are skipped
+   * @returns {Object} { success, imported, errors }
+   */
+  static async importCsv(csv) {
+    const lines = String(csv || '').split(/\r?\n/);
+    const rows = [];
+    const errors = [];
+
+    lines.forEach((line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#') || /^currency\s*[,;]/i.test(trimmed)) {
+        return;
+      }
+
+      const [currency, rate] = trimmed.split(/[,;]/).map(part => part.trim());
+      const validation = ExchangeRateService._validate(currency, rate);
+      if (validation.success) {
+        rows.push(validation.value);
+      } else {
+        errors.push({ line: index + 1, value: trimmed, message: validation.message });
+      }
+    });
+
+    if (rows.length === 0) {
+      return { success: false, imported: 0, errors, message: 'No valid rates in CSV' };
+    }
+
+    const imported = [];
+    for (const row of rows) {
+      const result = await ExchangeRateService.upsertRate(row.currency, row.rate, 'csv');
+      imported.push({ currency: row.currency, rate: row.rate, convertedDeposits: result.convertedDeposits });
+    }
+
+    return { success: true, imported: imported.length, rates: imported, errors };
+  }
+
+  /**
+   * Delete the rate of a currency (already converted deposits keep their base amount)
+   */
+  static async deleteRate(currency) {
+    const code = String(currency || '').toUpperCase();
+    const deleted = await ExchangeRate.destroy({ where: { currency: code } });
+
+    if (deleted > 0) {
+      ratesCache.delete(code);
+      logger.info('🗑️ Exchange rate deleted', { currency: code });
+    }
+
+    return deleted > 0;
+  }
+
+  /**
+   * Fill base amounts of deposits recorded while their currency had no rate
+   * @param {string|null} currency - Single currency, all currencies with a rate when omitted
+   * @returns {number} Converted deposits
+   */
+  static async convertPending(currency = null) {
+    const currencies = currency
+      ? [currency]
+      : [config.currency.base, ...ratesCache.keys()];
+    let converted = 0;
+
+    for (const code of currencies) {
+      const { rate, baseCurrency } = ExchangeRateService.convert(0, code);
+      if (!rate) {
+        continue;
+      }
+
+      const [count] = await Deposit.update({
+        base_payout: sequelize.literal(`ROUND(payout * ${Number(rate)}, 2)`),
+        base_currency: baseCurrency,
+        exchange_rate: rate
+      }, {
+        where: { currency: code, base_payout: null }
+      });
+      converted += count;
+    }
+
+    if (converted > 0) {
+      logger.info('💱 Pending deposits converted to base currency', { currency, converted });
+    }
+
+    return converted;
+  }
+
+  /**
+   * Count deposits still waiting for a rate
+   */
+  static async countUnconverted() {
+    return Deposit.count({ where: { base_payout: null, currency: { [Op.ne]: config.currency.base } } });
+  }
+
+  static _validate(currency, rate) {
+    const { error, value } = rateSchema.validate({ currency, rate });
+    if (error) {
+      return { success: false, message: error.details.map(d => d.message).join(', ') };
+    }
+
+    if (value.currency === config.currency.base) {
+      return { success: false, message: `${value.currency} is the base currency, its rate is always 1` };
+    }
+
+    return { success: true, value };
+  }
+}
+
+module.exports = ExchangeRateService;
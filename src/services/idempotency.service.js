@@ -0,0 +1,135 @@
+/**
+ * Idempotency Service
+ * Database-backed postback deduplication (SubID + status + transaction id)
+ */
+
+const { Op, UniqueConstraintError } = require('sequelize');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { IdempotencyKey } = require('../models');
+const { IDEMPOTENCY } = require('../config/constants');
+
+class IdempotencyService {
+
+  /**
+   * Get the network transaction id from postback params, if any
+   */
+  static extractTransactionId(params = {}) {
+    for (const param of IDEMPOTENCY.TRANSACTION_ID_PARAMS) {
+      if (params[param]) {
+        return String(params[param]);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build idempotency key for a deposit event
+   */
+  static buildKey({ subid, status, transactionId }) {
+    return `${subid}:${String(status).toLowerCase()}:${transactionId || '-'}`;
+  }
+
+  /**
+   * Claim a key for a postback
+   * @returns {Object} { claimed: true, record } or { claimed: false, existing }
+   */
+  static async claim({ subid, status, transactionId, postbackId }) {
+    const key = IdempotencyService.buildKey({ subid, status, transactionId });
+    const expiresAt = new Date(Date.now() + config.idempotency.windowHours * 60 * 60 * 1000);
+
+    const existing = await IdempotencyKey.findOne({ where: { key } });
+
+    if (existing) {
+      // Scheduled Keitaro retries come back with the key they already hold
+      if (existing.postback_id === postbackId) {
+        return { claimed: true, record: existing };
+      }
+
+      if (existing.expires_at > new Date()) {
+        return { claimed: false, existing };
+      }
+
+      // Dedup window is over - the key is free for a new event
+      const [reclaimed] = await IdempotencyKey.update({
+        postback_id: postbackId,
+        deposit_id: null,
+        expires_at: expiresAt
+      }, {
+        where: { id: existing.id, expires_at: existing.expires_at }
+      });
+
+      if (!reclaimed) {
+        return { claimed: false, existing: await existing.reload() };
+      }
+
+      return { claimed: true, record: await existing.reload() };
+    }
+
+    try {
+      const record = await IdempotencyKey.create({
+        key,
+        subid,
+        status: String(status).toLowerCase(),
+        transaction_id: transactionId,
+        postback_id: postbackId,
+        expires_at: expiresAt
+      });
+
+      return { claimed: true, record };
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        // Another worker claimed the same key concurrently
+        return { claimed: false, existing: await IdempotencyKey.findOne({ where: { key } }) };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Link the deposit created for a claimed key
+   */
+  static async attachDeposit(record, depositId) {
+    await record.update({ deposit_id: depositId });
+  }
+
+  /**
+   * Free a claimed key when the postback did not record a deposit
+   */
+  static async release(record) {
+    try {
+      await record.destroy();
+    } catch (error) {
+      logger.warn('⚠️ Failed to release idempotency key', {
+        key: record.key,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove keys whose dedup window is over
+   */
+  static async cleanupExpired() {
+    const removed = await IdempotencyKey.destroy({
+      where: { expires_at: { [Op.lt]: new Date() } }
+    });
+
+    if (removed > 0) {
+      logger.info('🧹 Removed expired idempotency keys', { removed });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Count keys inside the dedup window
+   */
+  static async countActive() {
+    return IdempotencyKey.count({
+      where: { expires_at: { [Op.gte]: new Date() } }
+    });
+  }
+}
+
+module.exports = IdempotencyService;
@@ -0,0 +1,201 @@
+/**
+ * Notification Destination Service
+ * Group chats, channels and forum topics that receive deposit notifications
+ */
+
+const logger = require('../utils/logger');
+const { NotificationDestination } = require('../models');
+const NotificationFilterService = require('./notificationFilter.service');
+const { NOTIFICATION_FILTERS } = require('../config/constants');
+
+const FILTER_FIELDS = [...NOTIFICATION_FILTERS.LIST_FIELDS, 'min_payout'];
+
+class NotificationDestinationService {
+
+  /**
+   * Get destinations
+   * @param {boolean} activeOnly - Skip disabled destinations
+   */
+  static async listDestinations(activeOnly = false) {
+    return NotificationDestination.findAll({
+      where: activeOnly ? { is_active: true } : {},
+      order: [['id', 'ASC']]
+    });
+  }
+
+  static async getById(id) {
+    return NotificationDestination.findByPk(id);
+  }
+
+  /**
+   * Active destinations whose filters match a deposit
+   */
+  static async getMatching(depositData) {
+    const destinations = await NotificationDestinationService.listDestinations(true);
+    return destinations.filter(destination =>
+      NotificationFilterService.matches(destination.get({ plain: true }), depositData)
+    );
+  }
+
+  /**
+   * Register a chat or forum topic after checking the bot's permissions there
+   * @param {string|number} chatRef - Chat ID or @channel username
+   * @param {number|null} threadId - Forum topic ID
+   * @returns {Object} { success, destination, created, access } or { success: false, message }
+   */
+  static async register(chatRef, threadId = null, ownerId = null) {
+    // Lazy require - telegramBot.service uses this service for broadcasts
+    const telegramBotService = require('./telegramBot.service');
+    const access = await telegramBotService.checkDestinationAccess(chatRef, threadId);
+    if (!access.ok) {
+      return { success: false, message: access.message };
+    }
+
+    const where = { chat_id: access.chat.id, message_thread_id: threadId || null };
+    const existing = await NotificationDestination.findOne({ where });
+    const values = {
+      title: access.chat.title,
+      chat_type: access.chat.type,
+      bot_is_admin: access.isAdmin,
+      is_active: true,
+      failure_count: 0,
+      last_error: null,
+      last_error_at: null
+    };
+
+    let destination;
+    if (existing) {
+      destination = await existing.update(values);
+    } else {
+      destination = await NotificationDestination.create({ ...where, ...values, created_by: ownerId });
+    }
+
+    logger.info('📢 Notification destination registered', {
+      destinationId: destination.id,
+      chatId: destination.chat_id,
+      threadId: destination.message_thread_id,
+      chatType: destination.chat_type,
+      botIsAdmin: access.isAdmin,
+      ownerId
+    });
+
+    return { success: true, destination, created: !existing, access };
+  }
+
+  /**
+   * Re-check the bot's permissions in a destination
+   * @returns {Object|null} { destination, access } or null when the destination does not exist
+   */
+  static async recheck(id) {
+    const destination = await NotificationDestination.findByPk(id);
+    if (!destination) {
+      return null;
+    }
+
+    const telegramBotService = require('./telegramBot.service');
+    const access = await telegramBotService.checkDestinationAccess(destination.chat_id, destination.message_thread_id);
+
+    if (access.ok) {
+      await destination.update({ bot_is_admin: access.isAdmin, title: access.chat.title });
+    } else {
+      await destination.update({ last_error: access.message, last_error_at: new Date() });
+    }
+
+    return { destination, access };
+  }
+
+  /**
+   * Update title, active flag and filters
+   * Filter values may be arrays or comma-separated strings (see NotificationFilterService.parseInput)
+   * @returns {Object} { success, destination } or { success: false, message }
+   */
+  static async update(id, changes) {
+    const destination = await NotificationDestination.findByPk(id);
+    if (!destination) {
+      return { success: false, notFound: true, message: 'Destination not found' };
+    }
+
+    const values = {};
+    for (const field of FILTER_FIELDS) {
+      if (changes[field] === undefined) {
+        continue;
+      }
+      const input = Array.isArray(changes[field]) ? changes[field].join(',') : String(changes[field] === null ? '-' : changes[field]);
+      const parsed = NotificationFilterService.parseInput(field, input);
+      if (!parsed.success) {
+        return { success: false, message: `${field}: ${parsed.message}` };
+      }
+      values[field] = parsed.value;
+    }
+    if (changes.title !== undefined) {
+      values.title = changes.title;
+    }
+    if (changes.is_active !== undefined) {
+      values.is_active = Boolean(changes.is_active);
+    }
+
+    await destination.update(values);
+    logger.info('📢 Notification destination updated', { destinationId: destination.id, changes: values });
+
+    return { success: true, destination };
+  }
+
+  /**
+   * Set a destination filter field from owner input
+   */
+  static async setFilterFromInput(id, field, input) {
+    if (!FILTER_FIELDS.includes(field)) {
+      return { success: false, message: `Неизвестный фильтр. Доступны: ${FILTER_FIELDS.join(', ')}` };
+    }
+    return NotificationDestinationService.update(id, { [field]: input });
+  }
+
+  static async remove(id) {
+    const destination = await NotificationDestination.findByPk(id);
+    if (!destination) {
+      return null;
+    }
+
+    await destination.destroy();
+    logger.info('🗑️ Notification destination removed', { destinationId: destination.id, chatId: destination.chat_id });
+    return destination;
+  }
+
+  /**
+   * Record a delivery outcome
+   * @param {Error|null} error - Delivery error, null on success
+   * @returns {boolean} true when the destination has just started failing
+   */
+  static async recordDelivery(destination, error = null) {
+    try {
+      if (!error) {
+        await destination.update({ failure_count: 0, last_success_at: new Date() });
+        return false;
+      }
+
+      const startedFailing = destination.failure_count === 0;
+      await destination.update({
+        failure_count: destination.failure_count + 1,
+        last_error: error.message,
+        last_error_at: new Date()
+      });
+      return startedFailing;
+    } catch (updateError) {
+      logger.error('❌ Failed to record destination delivery', {
+        destinationId: destination.id,
+        error: updateError.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Active destinations whose last deliveries failed
+   */
+  static async getFailing() {
+    const destinations = await NotificationDestinationService.listDestinations(true);
+    return destinations.filter(destination => destination.failure_count > 0);
+  }
+}
+
+module.exports = NotificationDestinationService;
@@ -0,0 +1,234 @@
+/**
+ * Notification Filter Service
+ * Per-user subscription filters applied to deposit notifications
+ */
+
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { UserFilter } = require('../models');
+const DepositService = require('./deposit.service');
+const { NOTIFICATION_FILTERS } = require('../config/constants');
+
+// Muted buyers are per-user only - destinations use the shared list fields
+const USER_LIST_FIELDS = [...NOTIFICATION_FILTERS.LIST_FIELDS, 'muted_buyer_ids'];
+
+class NotificationFilterService {
+
+  /**
+   * Get a user's filter (null when the user has none)
+   */
+  static async getFilter(userId) {
+    const filter = await UserFilter.findOne({ where: { user_id: userId } });
+    return filter ? filter.get({ plain: true }) : null;
+  }
+
+  /**
+   * Get filters for a list of users
+   * @returns {Map} String user ID -> plain filter
+   */
+  static async getFiltersForUsers(userIds) {
+    const filters = new Map();
+    if (userIds.length === 0) {
+      return filters;
+    }
+
+    const rows = await UserFilter.findAll({ where: { user_id: { [Op.in]: userIds } } });
+    rows.forEach(row => filters.set(String(row.user_id), row.get({ plain: true })));
+    return filters;
+  }
+
+  /**
+   * Check whether a deposit passes a user's filter
+   * @param {Object|null} filter - Plain filter (null - no filter)
+   * @param {Object} depositData - Notification data
+   */
+  static matches(filter, depositData) {
+    if (!filter) {
+      return true;
+    }
+
+    const buyerId = DepositService.normalizeBuyerId(depositData.subid1);
+    if ((filter.muted_buyer_ids || []).includes(buyerId)) {
+      return false;
+    }
+
+    const buyerIds = filter.buyer_ids || [];
+    if (buyerIds.length > 0 && !buyerIds.includes(buyerId)) {
+      return false;
+    }
+
+    const geos = filter.geos || [];
+    if (geos.length > 0 && !geos.includes(String(depositData.geo || '').toUpperCase())) {
+      return false;
+    }
+
+    const sourceIds = filter.traffic_source_ids || [];
+    if (sourceIds.length > 0 && !sourceIds.includes(parseInt(depositData.traffic_source_id, 10))) {
+      return false;
+    }
+
+    const offers = filter.offers || [];
+    const offerName = String(depositData.offer_name || '').toLowerCase();
+    if (offers.length > 0 && !offers.some(offer => offerName.includes(offer))) {
+      return false;
+    }
+
+    if (filter.min_payout !== null && filter.min_payout !== undefined) {
+      const amount = NotificationFilterService._baseAmount(depositData);
+      // Without an exchange rate the amount cannot be compared - do not hide the deposit
+      if (amount !== null && amount < parseFloat(filter.min_payout)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Set a filter field from user input
+   * @param {string} field - buyer_ids, geos, traffic_source_ids, offers, muted_buyer_ids or min_payout
+   * @param {string} input - Comma-separated values, "-" clears the field
+   * @returns {Object} { success, filter } or { success: false, message }
+   */
+  static async setFromInput(userId, field, input) {
+    const parsed = NotificationFilterService.parseInput(field, input);
+    if (!parsed.success) {
+      return parsed;
+    }
+
+    const filter = await NotificationFilterService._update(userId, { [field]: parsed.value });
+    return { success: true, filter };
+  }
+
+  /**
+   * Parse user input for a filter field
+   */
+  static parseInput(field, input) {
+    const text = String(input || '').trim();
+    const clear = text === '-' || text === '';
+
+    if (field === 'min_payout') {
+      if (clear || text === '0') {
+        return { success: true, value: null };
+      }
+      const amount = parseFloat(text.replace(',', '.').replace(/[^\d.]/g, ''));
+      if (!Number.isFinite(amount) || amount < 0) {
+        return { success: false, message: 'Введите сумму числом, например 50' };
+      }
+      return { success: true, value: amount };
+    }
+
+    if (!USER_LIST_FIELDS.includes(field)) {
+      return { success: false, message: 'Неизвестный фильтр' };
+    }
+
+    if (clear) {
+      return { success: true, value: [] };
+    }
+
+    let values = text.split(/[,;\n]/).map(value => value.trim()).filter(Boolean);
+
+    if (field === 'geos') {
+      values = values.map(value => value.toUpperCase());
+      if (values.some(value => !/^[A-Z]{2}$/.test(value))) {
+        return { success: false, message: 'ГЕО указываются двухбуквенными кодами стран, например TR, DE' };
+      }
+    } else if (field === 'traffic_source_ids') {
+      values = values.map(value => parseInt(value, 10));
+      if (values.some(value => !Number.isInteger(value))) {
+        return { success: false, message: 'ID источников должны быть числами' };
+      }
+    } else {
+      values = values.map(value => value.toLowerCase());
+    }
+
+    values = [...new Set(values)];
+    if (values.length > NOTIFICATION_FILTERS.MAX_VALUES) {
+      return { success: false, message: `Не больше ${NOTIFICATION_FILTERS.MAX_VALUES} значений` };
+    }
+
+    return { success: true, value: values };
+  }
+
+  /**
+   * Add or remove a traffic source from the filter
+   */
+  static async toggleSource(userId, sourceId) {
+    const filter = await NotificationFilterService.getFilter(userId);
+    const sourceIds = filter ? [...(filter.traffic_source_ids || [])] : [];
+    const id = parseInt(sourceId, 10);
+
+    const index = sourceIds.indexOf(id);
+    if (index === -1) {
+      sourceIds.push(id);
+    } else {
+      sourceIds.splice(index, 1);
+    }
+
+    return NotificationFilterService._update(userId, { traffic_source_ids: sourceIds });
+  }
+
+  /**
+   * Stop sending a buyer's deposits to the user ("Mute" button of a notification)
+   * @returns {boolean} false when the buyer was already muted
+   */
+  static async muteBuyer(userId, buyerId) {
+    const id = DepositService.normalizeBuyerId(buyerId);
+    const filter = await NotificationFilterService.getFilter(userId);
+    const muted = filter ? [...(filter.muted_buyer_ids || [])] : [];
+
+    if (muted.includes(id)) {
+      return false;
+    }
+    if (muted.length >= NOTIFICATION_FILTERS.MAX_VALUES) {
+      muted.shift();
+    }
+    muted.push(id);
+
+    await NotificationFilterService._update(userId, { muted_buyer_ids: muted });
+    return true;
+  }
+
+  /**
+   * Remove all filters of a user
+   */
+  static async reset(userId) {
+    await UserFilter.destroy({ where: { user_id: userId } });
+    logger.info('⚙️ Notification filters reset', { userId });
+  }
+
+  /**
+   * Check whether a filter restricts anything
+   */
+  static isEmpty(filter) {
+    if (!filter) {
+      return true;
+    }
+    return USER_LIST_FIELDS.every(field => (filter[field] || []).length === 0) &&
+      (filter.min_payout === null || filter.min_payout === undefined);
+  }
+
+  static async _update(userId, changes) {
+    const [filter] = await UserFilter.findOrCreate({
+      where: { user_id: userId },
+      defaults: { user_id: userId }
+    });
+    await filter.update(changes);
+
+    logger.info('⚙️ Notification filter updated', { userId, changes });
+    return filter.get({ plain: true });
+  }
+
+  static _baseAmount(depositData) {
+    if (depositData.basePayout !== null && depositData.basePayout !== undefined) {
+      return parseFloat(depositData.basePayout);
+    }
+    if (!depositData.currency || depositData.currency.toUpperCase() === config.currency.base) {
+      return parseFloat(depositData.payout) || 0;
+    }
+    return null;
+  }
+}
+
+module.exports = NotificationFilterService;
@@ -0,0 +1,202 @@
+/**
+ * Postback Mapping Service
+ * Translates each affiliate network's raw postback parameters into the canonical postback
+ */
+
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { PostbackMapping } = require('../models');
+const { CANONICAL_POSTBACK_FIELDS } = require('../config/constants');
+
+// Active mappings by network, refreshed on every change
+const mappingsCache = new Map();
+
+const rawNamesSchema = Joi.alternatives().try(
+  Joi.string().min(1),
+  Joi.array().items(Joi.string().min(1)).min(1)
+);
+
+const mappingSchema = Joi.object({
+  fields: Joi.object().pattern(Joi.string().valid(...CANONICAL_POSTBACK_FIELDS), rawNamesSchema).default({}),
+  value_map: Joi.object().pattern(
+    Joi.string().valid(...CANONICAL_POSTBACK_FIELDS),
+    Joi.object().pattern(Joi.string(), Joi.alternatives().try(Joi.string(), Joi.number()))
+  ).default({}),
+  defaults: Joi.object().pattern(
+    Joi.string().valid(...CANONICAL_POSTBACK_FIELDS),
+    Joi.alternatives().try(Joi.string(), Joi.number())
+  ).default({}),
+  description: Joi.string().allow('', null).optional(),
+  is_active: Joi.boolean().default(true)
+});
+
+class PostbackMappingService {
+
+  /**
+   * Load active mappings into memory
+   */
+  static async loadMappings() {
+    const mappings = await PostbackMapping.findAll({ where: { is_active: true } });
+
+    mappingsCache.clear();
+    mappings.forEach(mapping => {
+      mappingsCache.set(mapping.network, mapping.get({ plain: true }));
+    });
+
+    logger.info('✅ Postback mappings loaded', {
+      networks: Array.from(mappingsCache.keys())
+    });
+
+    return mappingsCache.size;
+  }
+
+  /**
+   * Translate raw postback parameters into the canonical postback
+   * @param {string|null} network - /postback/:network path value (falls back to "from")
+   * @param {Object} raw - Raw postback parameters
+   */
+  static apply(network, raw = {}) {
+    const key = PostbackMappingService._networkKey(network, raw);
+    return PostbackMappingService.translate(mappingsCache.get(key) || null, raw, key);
+  }
+
+  /**
+   * Translate parameters with a given mapping (no mapping - parameters pass through)
+   */
+  static translate(mapping, raw = {}, network = null) {
+    const canonical = { ...raw };
+
+    if (mapping) {
+      for (const [field, rawNames] of Object.entries(mapping.fields || {})) {
+        const names = Array.isArray(rawNames) ? rawNames : [rawNames];
+        const name = names.find(candidate => raw[candidate] !== undefined && raw[candidate] !== '');
+        if (name) {
+          canonical[field] = raw[name];
+        }
+      }
+
+      for (const [field, values] of Object.entries(mapping.value_map || {})) {
+        if (canonical[field] === undefined) {
+          continue;
+        }
+        const mapped = values[String(canonical[field]).toLowerCase()];
+        if (mapped !== undefined) {
+          canonical[field] = String(mapped);
+        }
+      }
+
+      for (const [field, value] of Object.entries(mapping.defaults || {})) {
+        if (canonical[field] === undefined || canonical[field] === '') {
+          canonical[field] = String(value);
+        }
+      }
+    }
+
+    // Network from the path identifies the source when the network does not send "from"
+    if (network && !canonical.from) {
+      canonical.from = network;
+    }
+
+    return canonical;
+  }
+
+  /**
+   * Get all mappings (admin view)
+   */
+  static async listMappings() {
+    return PostbackMapping.findAll({ order: [['network', 'ASC']] });
+  }
+
+  /**
+   * Create or replace a network mapping
+   * @returns {Object} { success, mapping } or { success: false, message }
+   */
+  static async upsertMapping(network, data) {
+    const { error, value } = mappingSchema.validate(data || {});
+    if (error) {
+      return {
+        success: false,
+        message: error.details.map(d => d.message).join(', ')
+      };
+    }
+
+    const key = PostbackMappingService._networkKey(network);
+    if (!key) {
+      return { success: false, message: 'Network is required' };
+    }
+
+    const [mapping] = await PostbackMapping.upsert({
+      network: key,
+      fields: value.fields,
+      value_map: PostbackMappingService._lowercaseValueKeys(value.value_map),
+      defaults: value.defaults,
+      description: value.description || null,
+      is_active: value.is_active
+    }, { returning: true });
+
+    await PostbackMappingService.loadMappings();
+
+    logger.info('⚙️ Postback mapping saved', { network: key });
+
+    return { success: true, mapping };
+  }
+
+  /**
+   * Delete a network mapping
+   */
+  static async deleteMapping(network) {
+    const key = PostbackMappingService._networkKey(network);
+    const deleted = await PostbackMapping.destroy({ where: { network: key } });
+
+    if (deleted > 0) {
+      await PostbackMappingService.loadMappings();
+      logger.info('🗑️ Postback mapping deleted', { network: key });
+    }
+
+    return deleted > 0;
+  }
+
+  /**
+   * Preview translation of raw parameters
+   * @param {Object|null} draft - Unsaved mapping to try instead of the stored one
+   */
+  static previewMapping(network, raw, draft = null) {
+    const key = PostbackMappingService._networkKey(network, raw);
+
+    if (draft) {
+      const { error, value } = mappingSchema.validate(draft);
+      if (error) {
+        return {
+          success: false,
+          message: error.details.map(d => d.message).join(', ')
+        };
+      }
+      value.value_map = PostbackMappingService._lowercaseValueKeys(value.value_map);
+      return { success: true, network: key, canonical: PostbackMappingService.translate(value, raw, key) };
+    }
+
+    return {
+      success: true,
+      network: key,
+      mappingFound: mappingsCache.has(key),
+      canonical: PostbackMappingService.translate(mappingsCache.get(key) || null, raw, key)
+    };
+  }
+
+  static _networkKey(network, raw = {}) {
+    return String(network || raw.from || '').trim().toLowerCase();
+  }
+
+  static _lowercaseValueKeys(valueMap) {
+    const result = {};
+    for (const [field, values] of Object.entries(valueMap || {})) {
+      result[field] = {};
+      for (const [rawValue, canonicalValue] of Object.entries(values)) {
+        result[field][rawValue.toLowerCase()] = canonicalValue;
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = PostbackMappingService;
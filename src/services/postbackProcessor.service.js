@@ -0,0 +1,351 @@
+/**
+ * Postback Processor Service
+ * Background worker that processes postbacks stored in the inbox table
+ */
+
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { Postback, sequelize } = require('../models');
+const { POSTBACK_QUEUE, IDEMPOTENCY } = require('../config/constants');
+const IdempotencyService = require('./idempotency.service');
+
+const { STATES } = POSTBACK_QUEUE;
+
+class PostbackProcessorService {
+  constructor() {
+    this.isRunning = false;
+    this.pollTimer = null;
+    this.cleanupTimer = null;
+    this.inFlight = new Set();
+    this.stats = {
+      processed: 0,
+      notified: 0,
+      ignored: 0,
+      failed: 0,
+      lastProcessedAt: null
+    };
+  }
+
+  /**
+   * Start the inbox worker
+   * Recovers postbacks interrupted by a restart and starts polling
+   */
+  async start() {
+    if (this.isRunning) {
+      logger.warn('⚠️ Postback processor already running');
+      return;
+    }
+
+    await this.recoverInterrupted();
+
+    this.pollTimer = setInterval(() => {
+      this.processPending().catch(error => {
+        logger.error('❌ Postback inbox poll failed', { error: error.message });
+      });
+    }, POSTBACK_QUEUE.POLL_INTERVAL);
+
+    this.cleanupTimer = setInterval(() => {
+      IdempotencyService.cleanupExpired().catch(error => {
+        logger.error('❌ Idempotency key cleanup failed', { error: error.message });
+      });
+    }, IDEMPOTENCY.CLEANUP_INTERVAL);
+
+    this.isRunning = true;
+    logger.info('✅ Postback processor started', {
+      pollInterval: POSTBACK_QUEUE.POLL_INTERVAL,
+      batchSize: POSTBACK_QUEUE.BATCH_SIZE
+    });
+
+    // Pick up anything that arrived while we were down
+    await this.processPending();
+  }
+
+  /**
+   * Stop the inbox worker
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    clearInterval(this.pollTimer);
+    clearInterval(this.cleanupTimer);
+    this.pollTimer = null;
+    this.cleanupTimer = null;
+    this.isRunning = false;
+
+    logger.info('🛑 Postback processor stopped', {
+      inFlight: this.inFlight.size
+    });
+  }
+
+  /**
+   * Return postbacks left in "enriching" by a previous process to the inbox
+   * Postbacks waiting for a scheduled Keitaro retry stay in "enriching"
+   */
+  async recoverInterrupted() {
+    try {
+      const [recovered] = await Postback.update({
+        state: STATES.RECEIVED,
+        state_reason: 'Recovered after restart'
+      }, {
+        where: {
+          state: STATES.ENRICHING,
+          id: {
+            [Op.notIn]: sequelize.literal(
+              "(SELECT postback_id FROM pending_retries WHERE status IN ('waiting', 'running'))"
+            )
+          }
+        }
+      });
+
+      if (recovered > 0) {
+        logger.warn('♻️ Recovered interrupted postbacks', { recovered });
+      }
+
+      return recovered;
+    } catch (error) {
+      logger.error('❌ Failed to recover interrupted postbacks', { error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Schedule immediate processing of a freshly stored postback
+   */
+  enqueue(postbackId) {
+    setImmediate(async () => {
+      try {
+        const postback = await Postback.findByPk(postbackId);
+        if (postback) {
+          await this.processRecord(postback);
+        }
+      } catch (error) {
+        logger.error('❌ Failed to process enqueued postback', {
+          postbackId,
+          error: error.message
+        });
+      }
+    });
+  }
+
+  /**
+   * Run a scheduled Keitaro retry for a postback kept in "enriching"
+   * The running retry entry is always settled: resolved when there is nothing to retry (postback
+   * gone or no longer in "enriching"), put back to waiting when the postback is busy or the run fails
+   */
+  retry(postbackId) {
+    setImmediate(async () => {
+      try {
+        const postback = await Postback.findByPk(postbackId);
+        if (!postback) {
+          await this._resolveRetry(postbackId);
+          return;
+        }
+        if (this.inFlight.has(postback.id)) {
+          await this._releaseRetry(postbackId);
+          return;
+        }
+
+        const claimed = await this.processRecord(postback, STATES.ENRICHING);
+        if (!claimed) {
+          await this._resolveRetry(postbackId);
+        }
+      } catch (error) {
+        logger.error('❌ Failed to run scheduled retry', {
+          postbackId,
+          error: error.message
+        });
+        await this._releaseRetry(postbackId);
+      }
+    });
+  }
+
+  /**
+   * Process all postbacks waiting in the inbox
+   */
+  async processPending() {
+    const pending = await Postback.findAll({
+      where: { state: STATES.RECEIVED },
+      order: [['created_at', 'ASC']],
+      limit: POSTBACK_QUEUE.BATCH_SIZE
+    });
+
+    // Records are processed concurrently - a slow Keitaro lookup must not block the inbox
+    for (const postback of pending) {
+      if (!this.inFlight.has(postback.id)) {
+        this.processRecord(postback).catch(error => {
+          logger.error('❌ Unhandled postback processing error', {
+            postbackId: postback.id,
+            error: error.message
+          });
+        });
+      }
+    }
+
+    return pending.length;
+  }
+
+  /**
+   * Claim and process a single inbox record
+   * @param {string} fromState - State the record is claimed from ("enriching" for scheduled retries)
+   * @returns {boolean} false if the record was in flight or already claimed
+   */
+  async processRecord(postback, fromState = STATES.RECEIVED) {
+    if (this.inFlight.has(postback.id)) {
+      return false;
+    }
+
+    this.inFlight.add(postback.id);
+
+    try {
+      // Claim the record - only one worker may move it out of "received"
+      const claimed = await this._transition(postback, STATES.ENRICHING, null, {
+        attempts: (postback.attempts || 0) + 1
+      }, fromState);
+
+      if (!claimed) {
+        logger.debug('Postback already claimed', { postbackId: postback.id });
+        return false;
+      }
+
+      // Lazy require to avoid circular dependency with the controller
+      const WebhookController = require('../controllers/webhook.controller');
+      const outcome = await WebhookController.handleStoredPostback(postback);
+
+      // Keitaro retry scheduled - the record stays in "enriching" until the retry runs
+      if (outcome.deferred) {
+        await this._transition(postback, STATES.ENRICHING, outcome.reason || null, {
+          result: outcome.result || null
+        });
+
+        logger.info('⏳ Postback waiting for Keitaro retry', {
+          postbackId: postback.id,
+          requestId: postback.request_id,
+          subid: postback.subid,
+          reason: outcome.reason
+        });
+        return true;
+      }
+
+      await this._transition(postback, outcome.state, outcome.reason || null, {
+        result: outcome.result || null,
+        processed_at: new Date()
+      });
+
+      this._recordOutcome(outcome.state);
+      await this._resolveRetry(postback.id);
+
+      logger.info('📬 Postback processed', {
+        postbackId: postback.id,
+        requestId: postback.request_id,
+        subid: postback.subid,
+        state: outcome.state,
+        reason: outcome.reason
+      });
+
+    } catch (error) {
+      logger.error('💥 Postback processing failed', {
+        postbackId: postback.id,
+        requestId: postback.request_id,
+        error: error.message,
+        stack: error.stack
+      });
+
+      await this._transition(postback, STATES.FAILED, error.message, {
+        processed_at: new Date()
+      }).catch(() => {});
+
+      this._recordOutcome(STATES.FAILED);
+      await this._resolveRetry(postback.id);
+    } finally {
+      this.inFlight.delete(postback.id);
+    }
+
+    return true;
+  }
+
+  /**
+   * Move a record to a new state and append the transition to its history
+   * @returns {boolean} true if the row was updated
+   */
+  async _transition(postback, state, reason, extra = {}, expectedState = null) {
+    const history = [
+      ...(postback.state_history || []),
+      { state, reason, at: new Date().toISOString() }
+    ];
+
+    const where = { id: postback.id };
+    if (expectedState) {
+      where.state = expectedState;
+    }
+
+    const [affected] = await Postback.update({
+      state,
+      state_reason: reason,
+      state_history: history,
+      ...extra
+    }, { where });
+
+    if (affected > 0) {
+      postback.set({ state, state_reason: reason, state_history: history, ...extra });
+    }
+
+    return affected > 0;
+  }
+
+  async _resolveRetry(postbackId) {
+    try {
+      // Lazy require to avoid circular dependency with the scheduler
+      const retryScheduler = require('./retryScheduler.service');
+      await retryScheduler.resolve(postbackId);
+    } catch (error) {
+      logger.warn('⚠️ Failed to resolve pending retry', { postbackId, error: error.message });
+    }
+  }
+
+  async _releaseRetry(postbackId) {
+    try {
+      const retryScheduler = require('./retryScheduler.service');
+      await retryScheduler.release(postbackId);
+    } catch (error) {
+      logger.warn('⚠️ Failed to release pending retry', { postbackId, error: error.message });
+    }
+  }
+
+  _recordOutcome(state) {
+    this.stats.processed++;
+    if (this.stats[state] !== undefined) {
+      this.stats[state]++;
+    }
+    this.stats.lastProcessedAt = new Date().toISOString();
+  }
+
+  /**
+   * Get inbox statistics
+   */
+  async getStats() {
+    const rows = await Postback.findAll({
+      attributes: ['state', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['state'],
+      raw: true
+    });
+
+    const byState = {};
+    rows.forEach(row => {
+      byState[row.state] = parseInt(row.count);
+    });
+
+    return {
+      isRunning: this.isRunning,
+      inFlight: this.inFlight.size,
+      byState,
+      sinceStart: { ...this.stats }
+    };
+  }
+}
+
+// Create singleton instance
+const postbackProcessor = new PostbackProcessorService();
+
+module.exports = postbackProcessor;
@@ -0,0 +1,248 @@
+/**
+ * Quiet Hours Service
+ * Per-user quiet hours (silent or held notifications) and temporary /mute
+ */
+
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { TimezoneHelper } = require('../utils/timezone');
+const { sequelize, User, Deposit } = require('../models');
+const { QUIET_HOURS } = require('../config/constants');
+
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+
+class QuietHoursService {
+
+  /**
+   * How a deposit notification reaches the user right now
+   * @param {Object} user - User with quiet hours fields
+   * @returns {string} muted (not sent), hold (summarised later), silent (no sound) or normal
+   */
+  static deliveryMode(user, now = new Date()) {
+    if (user.muted_until && new Date(user.muted_until) > now) {
+      return 'muted';
+    }
+    if (!QuietHoursService.isQuietTime(user, now)) {
+      return 'normal';
+    }
+    return user.quiet_mode === 'hold' ? 'hold' : 'silent';
+  }
+
+  /**
+   * Whether the moment falls into the user's quiet hours (start inclusive, end exclusive)
+   */
+  static isQuietTime(user, now = new Date()) {
+    if (!user.quiet_hours_start || !user.quiet_hours_end) {
+      return false;
+    }
+
+    const start = QuietHoursService._minutes(user.quiet_hours_start);
+    const end = QuietHoursService._minutes(user.quiet_hours_end);
+    const current = TimezoneHelper.minutesOfDay(now, QuietHoursService.timezoneOf(user));
+
+    return start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  static timezoneOf(user) {
+    return user.timezone || QUIET_HOURS.DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * Parse /quiet arguments: [HH:MM-HH:MM] [silent|hold] [timezone] in any order
+   * @returns {Object} { success, start, end, mode, timezone } (undefined - not given) or { success: false, message }
+   */
+  static parseArgs(tokens) {
+    const result = { success: true };
+
+    for (const token of tokens) {
+      const range = token.split('-');
+      const mode = token.toLowerCase();
+
+      if (range.length === 2 && TIME_PATTERN.test(range[0]) && TIME_PATTERN.test(range[1])) {
+        const [start, end] = range.map(QuietHoursService._normalizeTime);
+        if (!start || !end) {
+          return { success: false, message: 'Время указывается как ЧЧ:ММ, например 23:00-08:00' };
+        }
+        if (start === end) {
+          return { success: false, message: 'Начало и конец тихих часов совпадают' };
+        }
+        result.start = start;
+        result.end = end;
+      } else if (QUIET_HOURS.MODES.includes(mode)) {
+        result.mode = mode;
+      } else if (TimezoneHelper.isValid(token)) {
+        result.timezone = token;
+      } else {
+        return {
+          success: false,
+          message: `Не понял «${token}». Интервал - ЧЧ:ММ-ЧЧ:ММ, режим - ${QUIET_HOURS.MODES.join(' или ')}, ` +
+            'часовой пояс - например Europe/Moscow'
+        };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse a /mute duration: 30m, 2h, 1d (a bare number is hours)
+   * @returns {number|null} Minutes, null when invalid or longer than QUIET_HOURS.MAX_MUTE_MINUTES
+   */
+  static parseDuration(text) {
+    const match = String(text || '').trim().toLowerCase().match(/^(\d+)\s*(m|min|h|d)?$/);
+    if (!match) {
+      return null;
+    }
+
+    const units = { m: 1, min: 1, h: 60, d: 24 * 60 };
+    const minutes = parseInt(match[1], 10) * units[match[2] || 'h'];
+    return minutes > 0 && minutes <= QUIET_HOURS.MAX_MUTE_MINUTES ? minutes : null;
+  }
+
+  /**
+   * Update quiet hours settings, values that are not given are kept
+   * @param {Object} values - start, end, mode, timezone
+   * @returns {Object|null} Updated user, null when the user does not exist
+   */
+  static async setQuietHours(userId, { start, end, mode, timezone } = {}) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      return null;
+    }
+
+    const values = {};
+    if (start && end) {
+      values.quiet_hours_start = start;
+      values.quiet_hours_end = end;
+    }
+    if (mode) {
+      values.quiet_mode = mode;
+    }
+    if (timezone) {
+      values.timezone = timezone;
+    }
+
+    await user.update(values);
+    logger.info('🌙 Quiet hours updated', {
+      userId,
+      start: user.quiet_hours_start,
+      end: user.quiet_hours_end,
+      mode: user.quiet_mode,
+      timezone: user.timezone
+    });
+    return user;
+  }
+
+  /**
+   * Turn quiet hours off, held notifications are summarised by the next release run
+   */
+  static async disableQuietHours(userId) {
+    const [updated] = await User.update(
+      { quiet_hours_start: null, quiet_hours_end: null },
+      { where: { id: userId } }
+    );
+    return updated > 0;
+  }
+
+  /**
+   * Mute deposit notifications for a while
+   * @returns {Date} End of the mute
+   */
+  static async mute(userId, minutes, now = new Date()) {
+    const mutedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+    await User.update({ muted_until: mutedUntil }, { where: { id: userId } });
+
+    logger.info('🔇 User muted notifications', { userId, mutedUntil: mutedUntil.toISOString() });
+    return mutedUntil;
+  }
+
+  /**
+   * @returns {boolean} true when the user was muted
+   */
+  static async unmute(userId, now = new Date()) {
+    const [updated] = await User.update(
+      { muted_until: null },
+      { where: { id: userId, muted_until: { [Op.gt]: now } } }
+    );
+    return updated > 0;
+  }
+
+  /**
+   * Hold a deposit notification until the user's quiet hours end
+   * Appended in SQL - concurrent broadcasts must not overwrite each other; a deposit already held stays once
+   */
+  static async hold(userId, depositId) {
+    const id = parseInt(depositId, 10);
+    await User.update(
+      { held_deposit_ids: sequelize.literal(`held_deposit_ids || '[${id}]'::jsonb`) },
+      {
+        where: {
+          id: userId,
+          [Op.and]: sequelize.literal(`NOT held_deposit_ids @> '[${id}]'::jsonb`)
+        }
+      }
+    );
+  }
+
+  /**
+   * Users with held notifications whose quiet hours (and mute) are over
+   */
+  static async getUsersToRelease(now = new Date()) {
+    const users = await User.findAll({
+      where: sequelize.where(sequelize.fn('jsonb_array_length', sequelize.col('held_deposit_ids')), Op.gt, 0)
+    });
+
+    return users.filter(user => !['muted', 'hold'].includes(QuietHoursService.deliveryMode(user, now)));
+  }
+
+  /**
+   * @returns {Array} Held deposits of a user that still exist, oldest first
+   */
+  static async getHeld(user) {
+    const ids = user.held_deposit_ids || [];
+    if (ids.length === 0) {
+      return [];
+    }
+    return Deposit.findAll({
+      where: { id: { [Op.in]: ids } },
+      order: [['created_at', 'ASC']]
+    });
+  }
+
+  /**
+   * Clear the held notifications a user was loaded with
+   * Removed in SQL - deposits held meanwhile by a broadcast stay
+   */
+  static async clearHeld(user) {
+    const ids = (user.held_deposit_ids || []).map(id => parseInt(id, 10)).filter(Number.isInteger);
+    if (ids.length === 0) {
+      return;
+    }
+    await User.update(
+      {
+        held_deposit_ids: sequelize.literal(
+          'COALESCE((SELECT jsonb_agg(held) FROM jsonb_array_elements(held_deposit_ids) AS held ' +
+          `WHERE held::text::bigint NOT IN (${ids.join(', ')})), '[]'::jsonb)`
+        )
+      },
+      { where: { id: user.id } }
+    );
+  }
+
+  static _normalizeTime(text) {
+    const [hours, minutes] = text.split(':').map(part => parseInt(part, 10));
+    if (hours > 23 || minutes > 59) {
+      return null;
+    }
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  }
+
+  static _minutes(time) {
+    const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+    return hours * 60 + minutes;
+  }
+}
+
+module.exports = QuietHoursService;
@@ -0,0 +1,116 @@
+/**
+ * Quiet Hours Scheduler Service
+ * Sends the summary of notifications held during quiet hours once they are over
+ */
+
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const QuietHoursService = require('./quietHours.service');
+const AccessPolicy = require('./accessPolicy.service');
+const telegramBotService = require('./telegramBot.service');
+const { QUIET_HOURS, ACCESS } = require('../config/constants');
+
+class QuietHoursSchedulerService {
+  constructor() {
+    this.isRunning = false;
+    this.isReleasing = false;
+    this.job = null;
+    this.counters = {
+      summaries: 0,
+      released: 0,
+      discarded: 0,
+      failed: 0
+    };
+    this.lastRunAt = null;
+  }
+
+  start() {
+    if (this.isRunning) {
+      logger.warn('⚠️ Quiet hours scheduler already running');
+      return;
+    }
+
+    this.job = cron.schedule(QUIET_HOURS.RELEASE_CRON, async () => {
+      await this.releaseHeld();
+    }, {
+      scheduled: true
+    });
+
+    this.isRunning = true;
+    logger.info('✅ Quiet hours scheduler started', { cron: QUIET_HOURS.RELEASE_CRON });
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.job.stop();
+    this.job = null;
+    this.isRunning = false;
+    logger.info('🛑 Quiet hours scheduler stopped');
+  }
+
+  /**
+   * Summarise held notifications of users whose quiet hours ended
+   * Users who no longer receive notifications (not approved, blocked the bot) lose them,
+   * a summary that failed to send is tried again on the next run
+   */
+  async releaseHeld(now = new Date()) {
+    // A slow run must not overlap the next minute's one
+    if (this.isReleasing) {
+      return;
+    }
+    this.isReleasing = true;
+
+    try {
+      const users = await QuietHoursService.getUsersToRelease(now);
+
+      for (const user of users) {
+        const deposits = await QuietHoursService.getHeld(user);
+        const allowed = user.is_active !== false &&
+          AccessPolicy.can(AccessPolicy.roleOf(user), ACCESS.PERMISSIONS.USE_BOT);
+
+        if (!allowed || deposits.length === 0) {
+          await QuietHoursService.clearHeld(user);
+          this.counters.discarded += deposits.length;
+          continue;
+        }
+
+        try {
+          await telegramBotService.sendMessage(user.id, telegramBotService.formatHeldSummary(user, deposits), {
+            parse_mode: 'HTML'
+          });
+        } catch (error) {
+          this.counters.failed++;
+          logger.warn('Failed to send held notifications summary', { userId: user.id, error: error.message });
+          continue;
+        }
+
+        await QuietHoursService.clearHeld(user);
+        this.counters.summaries++;
+        this.counters.released += deposits.length;
+        logger.info('🌅 Held notifications summarised', { userId: user.id, deposits: deposits.length });
+      }
+
+      this.lastRunAt = new Date();
+    } catch (error) {
+      logger.error('❌ Held notifications release failed', { error: error.message });
+    } finally {
+      this.isReleasing = false;
+    }
+  }
+
+  getStats() {
+    return {
+      isRunning: this.isRunning,
+      lastRunAt: this.lastRunAt,
+      ...this.counters
+    };
+  }
+}
+
+// Create singleton instance
+const quietHoursScheduler = new QuietHoursSchedulerService();
+
+module.exports = quietHoursScheduler;
@@ -0,0 +1,227 @@
+/**
+ * Retry Scheduler Service
+ * Database-backed scheduler for Keitaro lookups that missed due to eventual consistency
+ */
+
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { PendingRetry, sequelize } = require('../models');
+const { RETRY_SCHEDULES } = require('../config/constants');
+
+class RetrySchedulerService {
+  constructor() {
+    this.isRunning = false;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Start polling for due retries
+   */
+  async start() {
+    if (this.isRunning) {
+      logger.warn('⚠️ Retry scheduler already running');
+      return;
+    }
+
+    // Retries that were running when the process stopped are attempted again
+    const [recovered] = await PendingRetry.update(
+      { status: 'waiting' },
+      { where: { status: 'running' } }
+    );
+
+    if (recovered > 0) {
+      logger.warn('♻️ Recovered interrupted Keitaro retries', { recovered });
+    }
+
+    this.pollTimer = setInterval(() => {
+      this.processDue().catch(error => {
+        logger.error('❌ Retry scheduler poll failed', { error: error.message });
+      });
+    }, RETRY_SCHEDULES.POLL_INTERVAL);
+
+    this.isRunning = true;
+    logger.info('✅ Retry scheduler started', {
+      pollInterval: RETRY_SCHEDULES.POLL_INTERVAL,
+      defaultSchedule: RETRY_SCHEDULES.DEFAULT,
+      sourceSchedules: Object.keys(config.keitaro.retrySchedules)
+    });
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    this.isRunning = false;
+    logger.info('🛑 Retry scheduler stopped');
+  }
+
+  /**
+   * Get retry delays for a postback source
+   */
+  getSchedule(source) {
+    const key = (source || '').toLowerCase();
+    return config.keitaro.retrySchedules[key] || RETRY_SCHEDULES.DEFAULT;
+  }
+
+  /**
+   * Schedule the next Keitaro retry for a postback
+   * @returns {Object|null} Pending retry, or null when the schedule is exhausted
+   */
+  async schedule(postback, { subid, source, error = null }) {
+    let entry = await PendingRetry.findOne({ where: { postback_id: postback.id } });
+    const delays = entry ? entry.schedule : this.getSchedule(source);
+    const attempt = entry ? entry.attempt : 0;
+
+    if (attempt >= delays.length) {
+      if (entry) {
+        await entry.update({ status: 'exhausted', last_error: error });
+      }
+
+      logger.info('⌛ Keitaro retry schedule exhausted', {
+        postbackId: postback.id,
+        subid,
+        source,
+        attempts: attempt
+      });
+
+      return null;
+    }
+
+    const nextAttemptAt = new Date(Date.now() + delays[attempt]);
+
+    if (entry) {
+      await entry.update({
+        status: 'waiting',
+        next_attempt_at: nextAttemptAt,
+        last_error: error
+      });
+    } else {
+      entry = await PendingRetry.create({
+        postback_id: postback.id,
+        subid,
+        source: source || null,
+        attempt: 0,
+        max_attempts: delays.length,
+        schedule: delays,
+        next_attempt_at: nextAttemptAt,
+        status: 'waiting',
+        last_error: error
+      });
+    }
+
+    logger.info('⏳ Keitaro retry scheduled', {
+      postbackId: postback.id,
+      subid,
+      source,
+      retry: `${attempt + 1}/${delays.length}`,
+      delaySeconds: delays[attempt] / 1000,
+      nextAttemptAt: nextAttemptAt.toISOString()
+    });
+
+    return entry;
+  }
+
+  /**
+   * Mark the running retry of a postback as resolved
+   */
+  async resolve(postbackId) {
+    await PendingRetry.update(
+      { status: 'resolved' },
+      { where: { postback_id: postbackId, status: { [Op.in]: ['waiting', 'running'] } } }
+    );
+  }
+
+  /**
+   * Put a running retry back to waiting without using up the attempt - it runs on the next poll
+   * (the postback was busy or the retry could not start)
+   */
+  async release(postbackId) {
+    await PendingRetry.update(
+      { status: 'waiting', attempt: sequelize.literal('GREATEST(attempt - 1, 0)') },
+      { where: { postback_id: postbackId, status: 'running' } }
+    );
+  }
+
+  /**
+   * Hand due retries back to the postback processor
+   */
+  async processDue() {
+    const due = await PendingRetry.findAll({
+      where: {
+        status: 'waiting',
+        next_attempt_at: { [Op.lte]: new Date() }
+      },
+      order: [['next_attempt_at', 'ASC']],
+      limit: 20
+    });
+
+    for (const entry of due) {
+      // Claim the entry so a concurrent poll does not run it twice
+      const [claimed] = await PendingRetry.update({
+        status: 'running',
+        attempt: entry.attempt + 1
+      }, {
+        where: { id: entry.id, status: 'waiting' }
+      });
+
+      if (!claimed) {
+        continue;
+      }
+
+      logger.info('🔁 Running scheduled Keitaro retry', {
+        postbackId: entry.postback_id,
+        subid: entry.subid,
+        retry: `${entry.attempt + 1}/${entry.max_attempts}`
+      });
+
+      // Lazy require to avoid circular dependency with the processor
+      const postbackProcessor = require('./postbackProcessor.service');
+      postbackProcessor.retry(entry.postback_id);
+    }
+
+    return due.length;
+  }
+
+  /**
+   * Get retries currently waiting (admin view)
+   */
+  async getPending() {
+    const entries = await PendingRetry.findAll({
+      where: { status: { [Op.in]: ['waiting', 'running'] } },
+      order: [['next_attempt_at', 'ASC']]
+    });
+
+    return entries.map(entry => ({
+      postbackId: entry.postback_id,
+      subid: entry.subid,
+      source: entry.source,
+      status: entry.status,
+      retry: `${entry.attempt + 1}/${entry.max_attempts}`,
+      nextAttemptAt: entry.next_attempt_at,
+      waitingSince: entry.created_at,
+      lastError: entry.last_error
+    }));
+  }
+
+  /**
+   * Get configured schedules (admin view)
+   */
+  getSchedules() {
+    return {
+      default: RETRY_SCHEDULES.DEFAULT,
+      sources: config.keitaro.retrySchedules
+    };
+  }
+}
+
+// Create singleton instance
+const retryScheduler = new RetrySchedulerService();
+
+module.exports = retryScheduler;
@@ -0,0 +1,243 @@
+/**
+ * Send Queue Service
+ * Outbound Telegram request queue: global and per-chat rate limits,
+ * 429 retry_after rescheduling and retries of transient errors
+ */
+
+const logger = require('../utils/logger');
+const { SEND_QUEUE } = require('../config/constants');
+
+class SendQueue {
+  constructor() {
+    this.pending = [];
+    // chatId -> earliest time the next request to the chat may start
+    this.chatNextAt = new Map();
+    // Chats with a request in flight - keeps per-chat order
+    this.chatBusy = new Set();
+    this.inFlight = 0;
+    this.lastSentAt = 0;
+    this.timer = null;
+    this.latencies = [];
+    this.counters = {
+      enqueued: 0,
+      sent: 0,
+      failed: 0,
+      rateLimited: 0,
+      retried: 0
+    };
+  }
+
+  /**
+   * Queue a Telegram request
+   * @param {string|number} chatId - Target chat (used for per-chat limits)
+   * @param {Function} request - Returns the Telegram API promise
+   * @param {Object|null} tracking - Receives the number of attempts made ({ attempts })
+   * @returns {Promise} Resolves with the API result, rejects after the last failed attempt
+   */
+  enqueue(chatId, request, tracking = null) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({
+        chatId: String(chatId),
+        request,
+        tracking,
+        resolve,
+        reject,
+        attempts: 0,
+        rateLimitHits: 0,
+        enqueuedAt: Date.now(),
+        notBefore: 0
+      });
+      this.counters.enqueued++;
+      this._drain();
+    });
+  }
+
+  /**
+   * Queue depth, latency and counters for /admin/stats
+   */
+  getStats() {
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+    const average = sorted.length > 0
+      ? Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length)
+      : 0;
+    const now = Date.now();
+
+    return {
+      depth: this.pending.length,
+      inFlight: this.inFlight,
+      oldestWaitMs: this.pending.length > 0 ? now - Math.min(...this.pending.map(item => item.enqueuedAt)) : 0,
+      throttledChats: Array.from(this.chatNextAt.values()).filter(time => time > now).length,
+      latencyMs: {
+        samples: sorted.length,
+        average,
+        p95: sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : 0,
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : 0
+      },
+      ...this.counters
+    };
+  }
+
+  /**
+   * Start every request that is allowed to go now and schedule the next wake-up
+   */
+  _drain() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    let wakeAt = Infinity;
+
+    for (let index = 0; index < this.pending.length;) {
+      const now = Date.now();
+      const item = this.pending[index];
+
+      if (this.chatBusy.has(item.chatId)) {
+        index++;
+        continue;
+      }
+
+      const readyAt = Math.max(item.notBefore, this.chatNextAt.get(item.chatId) || 0);
+      if (readyAt > now) {
+        wakeAt = Math.min(wakeAt, readyAt);
+        index++;
+        continue;
+      }
+
+      const globalReadyAt = this.lastSentAt + SEND_QUEUE.GLOBAL_INTERVAL;
+      if (globalReadyAt > now) {
+        wakeAt = Math.min(wakeAt, globalReadyAt);
+        break;
+      }
+
+      this.pending.splice(index, 1);
+      this._send(item);
+    }
+
+    if (wakeAt !== Infinity) {
+      this.timer = setTimeout(() => this._drain(), Math.max(wakeAt - Date.now(), 1));
+    }
+  }
+
+  async _send(item) {
+    const now = Date.now();
+    this.lastSentAt = now;
+    this.chatNextAt.set(item.chatId, now + SendQueue._chatInterval(item.chatId));
+    this.chatBusy.add(item.chatId);
+    this.inFlight++;
+    item.attempts++;
+    if (item.tracking) {
+      item.tracking.attempts = item.attempts;
+    }
+
+    try {
+      const result = await item.request();
+      this.counters.sent++;
+      this._recordLatency(Date.now() - item.enqueuedAt);
+      item.resolve(result);
+    } catch (error) {
+      this._handleError(item, error);
+    } finally {
+      this.chatBusy.delete(item.chatId);
+      this.inFlight--;
+      this._drain();
+    }
+  }
+
+  _handleError(item, error) {
+    const retryAfter = SendQueue._retryAfter(error);
+
+    if (retryAfter !== null && item.rateLimitHits < SEND_QUEUE.MAX_RATE_LIMIT_RETRIES) {
+      item.rateLimitHits++;
+      this.counters.rateLimited++;
+      // The chat stays closed until Telegram lets us send again
+      const delay = retryAfter * 1000;
+      this.chatNextAt.set(item.chatId, Date.now() + delay);
+      this._requeue(item, delay);
+
+      logger.warn('⏳ Telegram rate limit hit, message rescheduled', {
+        chatId: item.chatId,
+        retryAfter,
+        rateLimitHits: item.rateLimitHits
+      });
+      return;
+    }
+
+    if (SendQueue._isTransient(error) && item.attempts < SEND_QUEUE.MAX_ATTEMPTS) {
+      const delay = SEND_QUEUE.RETRY_DELAYS[Math.min(item.attempts - 1, SEND_QUEUE.RETRY_DELAYS.length - 1)];
+      this.counters.retried++;
+      this._requeue(item, delay);
+
+      logger.warn(`Message send attempt ${item.attempts} failed, retrying`, {
+        chatId: item.chatId,
+        error: error.message,
+        delay
+      });
+      return;
+    }
+
+    this.counters.failed++;
+    this._recordLatency(Date.now() - item.enqueuedAt);
+    item.reject(error);
+  }
+
+  _requeue(item, delay) {
+    item.notBefore = Date.now() + delay;
+    // Back to the front of the chat's requests so per-chat order is kept
+    const index = this.pending.findIndex(pending => pending.chatId === item.chatId);
+    if (index === -1) {
+      this.pending.push(item);
+    } else {
+      this.pending.splice(index, 0, item);
+    }
+  }
+
+  _recordLatency(latency) {
+    this.latencies.push(latency);
+    if (this.latencies.length > SEND_QUEUE.LATENCY_SAMPLES) {
+      this.latencies.shift();
+    }
+  }
+
+  /**
+   * Groups and channels have negative IDs and a lower per-chat limit
+   */
+  static _chatInterval(chatId) {
+    return String(chatId).startsWith('-') ? SEND_QUEUE.GROUP_CHAT_INTERVAL : SEND_QUEUE.PRIVATE_CHAT_INTERVAL;
+  }
+
+  /**
+   * Telegram error_code (HTTP status) of a failed request, null for network errors
+   */
+  static errorCode(error) {
+    const body = error.response && error.response.body;
+    return (body && body.error_code) || (error.response && error.response.statusCode) || null;
+  }
+
+  /**
+   * retry_after seconds of a 429 response, null for other errors
+   */
+  static _retryAfter(error) {
+    if (SendQueue.errorCode(error) !== 429) {
+      return null;
+    }
+
+    const body = error.response.body;
+    const retryAfter = body && body.parameters && parseInt(body.parameters.retry_after, 10);
+    return retryAfter > 0 ? retryAfter : SEND_QUEUE.DEFAULT_RETRY_AFTER;
+  }
+
+  /**
+   * 429, 5xx responses and network failures are worth retrying - other 4xx and errors
+   * without a Telegram response (bad request data, bugs) are not
+   */
+  static _isTransient(error) {
+    const code = SendQueue.errorCode(error);
+    if (code) {
+      return code === 429 || code >= 500;
+    }
+    return SEND_QUEUE.NETWORK_ERROR_CODES.includes(error.code);
+  }
+}
+
+module.exports = SendQueue;
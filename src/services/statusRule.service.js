@@ -0,0 +1,247 @@
+/**
+ * Status Rule Service
+ * Classifies postback statuses into canonical event types with an ordered rule set
+ */
+
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { StatusRule } = require('../models');
+const { STATUS_RULES } = require('../config/constants');
+
+// Active rules in evaluation order, refreshed on every change
+let rulesCache = [];
+
+const ruleSchema = Joi.object({
+  network: Joi.string().trim().lowercase().allow(null, '').optional(),
+  match_type: Joi.string().valid(...STATUS_RULES.MATCH_TYPES).required(),
+  pattern: Joi.string().trim().min(1).max(255).required(),
+  event_type: Joi.string().valid(...STATUS_RULES.EVENT_TYPES).required(),
+  priority: Joi.number().integer().default(100),
+  description: Joi.string().allow('', null).optional(),
+  is_active: Joi.boolean().default(true)
+});
+
+class StatusRuleService {
+
+  /**
+   * Load active rules into memory, seeding defaults into an empty table
+   * and upgrading default rules of earlier releases
+   */
+  static async loadRules() {
+    const count = await StatusRule.count();
+    if (count === 0) {
+      await StatusRule.bulkCreate(STATUS_RULES.DEFAULT_RULES);
+      logger.info('🌱 Default status rules created', { rules: STATUS_RULES.DEFAULT_RULES.length });
+    } else {
+      await StatusRuleService._upgradeDefaultRules();
+    }
+
+    const rules = await StatusRule.findAll({ where: { is_active: true } });
+    rulesCache = StatusRuleService._sortRules(rules.map(rule => StatusRuleService._compile(rule.get({ plain: true }))));
+
+    logger.info('✅ Status rules loaded', { rules: rulesCache.length });
+    return rulesCache.length;
+  }
+
+  /**
+   * Classify a postback status
+   * @param {string} status - Raw postback status
+   * @param {string} network - Postback network ("from")
+   * @returns {Object} { eventType, rule } - eventType is null when no rule matched
+   */
+  static classify(status, network = null) {
+    return StatusRuleService._evaluate(rulesCache, status, network, false);
+  }
+
+  /**
+   * Explain classification of a status: which rules were checked and which one matched
+   */
+  static dryRun(status, network = null) {
+    return StatusRuleService._evaluate(rulesCache, status, network, true);
+  }
+
+  /**
+   * Get all rules in evaluation order (admin view)
+   */
+  static async listRules() {
+    const rules = await StatusRule.findAll();
+    return StatusRuleService._sortRules(rules.map(rule => rule.get({ plain: true })));
+  }
+
+  /**
+   * Create a rule
+   * @returns {Object} { success, rule } or { success: false, message }
+   */
+  static async createRule(data) {
+    const validation = StatusRuleService._validate(data);
+    if (!validation.success) {
+      return validation;
+    }
+
+    const rule = await StatusRule.create(validation.value);
+    await StatusRuleService.loadRules();
+
+    logger.info('⚙️ Status rule created', { ruleId: rule.id, pattern: rule.pattern, eventType: rule.event_type });
+    return { success: true, rule };
+  }
+
+  /**
+   * Update a rule
+   * @returns {Object} { success, rule } or { success: false, message, notFound }
+   */
+  static async updateRule(id, data) {
+    const rule = await StatusRule.findByPk(id);
+    if (!rule) {
+      return { success: false, notFound: true, message: 'Rule not found' };
+    }
+
+    const validation = StatusRuleService._validate({
+      network: rule.network,
+      match_type: rule.match_type,
+      pattern: rule.pattern,
+      event_type: rule.event_type,
+      priority: rule.priority,
+      description: rule.description,
+      is_active: rule.is_active,
+      ...data
+    });
+    if (!validation.success) {
+      return validation;
+    }
+
+    await rule.update(validation.value);
+    await StatusRuleService.loadRules();
+
+    logger.info('⚙️ Status rule updated', { ruleId: rule.id });
+    return { success: true, rule };
+  }
+
+  /**
+   * Delete a rule
+   */
+  static async deleteRule(id) {
+    const deleted = await StatusRule.destroy({ where: { id } });
+    if (deleted > 0) {
+      await StatusRuleService.loadRules();
+      logger.info('🗑️ Status rule deleted', { ruleId: id });
+    }
+    return deleted > 0;
+  }
+
+  /**
+   * Replace unchanged default rules of earlier releases with the current defaults
+   * (rules edited by an admin no longer match and are kept)
+   */
+  static async _upgradeDefaultRules() {
+    for (const superseded of STATUS_RULES.SUPERSEDED_RULES) {
+      const replacement = STATUS_RULES.DEFAULT_RULES.find(rule => rule.priority === superseded.priority);
+      const [updated] = await StatusRule.update(replacement, {
+        where: { ...superseded, network: null }
+      });
+      if (updated > 0) {
+        logger.info('🌱 Default status rule upgraded', {
+          from: superseded.pattern,
+          to: replacement.pattern,
+          eventType: replacement.event_type
+        });
+      }
+    }
+  }
+
+  static _validate(data) {
+    const { error, value } = ruleSchema.validate(data || {}, { stripUnknown: true });
+    if (error) {
+      return { success: false, message: error.details.map(d => d.message).join(', ') };
+    }
+
+    value.network = value.network || null;
+    if (value.match_type === 'regex') {
+      try {
+        new RegExp(value.pattern, 'i');
+      } catch (regexError) {
+        return { success: false, message: `Invalid regex: ${regexError.message}` };
+      }
+    } else {
+      value.pattern = value.pattern.toLowerCase();
+    }
+
+    return { success: true, value };
+  }
+
+  static _evaluate(rules, status, network, explain) {
+    const value = String(status || '').trim().toLowerCase();
+    const networkKey = network ? String(network).toLowerCase() : null;
+    const checked = [];
+
+    for (const rule of rules) {
+      if (rule.network && rule.network !== networkKey) {
+        continue;
+      }
+
+      const matched = StatusRuleService._matches(rule, value);
+      if (explain) {
+        checked.push({ ruleId: rule.id, priority: rule.priority, network: rule.network, matchType: rule.match_type, pattern: rule.pattern, matched });
+      }
+
+      if (matched) {
+        const result = {
+          eventType: rule.event_type,
+          rule: { id: rule.id, matchType: rule.match_type, pattern: rule.pattern, network: rule.network, priority: rule.priority }
+        };
+        if (explain) {
+          result.status = value;
+          result.network = networkKey;
+          result.explanation = `Status "${value}" matched ${rule.match_type} rule #${rule.id} "${rule.pattern}"` +
+            `${rule.network ? ` for network ${rule.network}` : ''} -> ${rule.event_type}`;
+          result.checked = checked;
+        }
+        return result;
+      }
+    }
+
+    const result = { eventType: null, rule: null };
+    if (explain) {
+      result.status = value;
+      result.network = networkKey;
+      result.explanation = `Status "${value}" matched no rule - postback will be ignored`;
+      result.checked = checked;
+    }
+    return result;
+  }
+
+  static _matches(rule, value) {
+    switch (rule.match_type) {
+      case 'exact':
+        return value === rule.pattern;
+      case 'prefix':
+        return value.startsWith(rule.pattern);
+      case 'regex':
+        return rule.regex ? rule.regex.test(value) : false;
+      default:
+        return false;
+    }
+  }
+
+  static _compile(rule) {
+    if (rule.match_type === 'regex') {
+      try {
+        rule.regex = new RegExp(rule.pattern, 'i');
+      } catch (error) {
+        logger.warn('⚠️ Invalid status rule regex - rule skipped', { ruleId: rule.id, pattern: rule.pattern });
+        rule.regex = null;
+      }
+    }
+    return rule;
+  }
+
+  // Priority ascending; network-specific rules before global ones on equal priority
+  static _sortRules(rules) {
+    return rules.sort((a, b) =>
+      a.priority - b.priority ||
+      (a.network ? 0 : 1) - (b.network ? 0 : 1) ||
+      a.id - b.id
+    );
+  }
+}
+
+module.exports = StatusRuleService;
@@ -0,0 +1,299 @@
+/**
+ * Team Service
+ * Buying teams: members, lead and the buyer IDs whose deposits go to the team
+ */
+
+const { sequelize, Team, TeamBuyer, User } = require('../models');
+const logger = require('../utils/logger');
+const UserManagerService = require('./userManager.service');
+const DepositService = require('./deposit.service');
+const { TEAMS } = require('../config/constants');
+
+const NAME_PATTERN = new RegExp(`^[\\p{L}\\p{N}_-]{1,${TEAMS.NAME_MAX_LENGTH}}$`, 'u');
+const MEMBER_ATTRIBUTES = ['id', 'username', 'first_name', 'last_name', 'role', 'status'];
+
+class TeamService {
+
+  /**
+   * Get all teams with their lead, members and buyer IDs
+   */
+  static async listTeams() {
+    return Team.findAll({
+      include: [
+        { model: User, as: 'lead', attributes: MEMBER_ATTRIBUTES },
+        { model: User, as: 'members', attributes: MEMBER_ATTRIBUTES },
+        { model: TeamBuyer, as: 'buyers', attributes: ['buyer_id'] }
+      ],
+      order: [['name', 'ASC']]
+    });
+  }
+
+  /**
+   * Find a team by ID or name (case-insensitive)
+   */
+  static async findTeam(ref) {
+    const value = String(ref || '').trim();
+    if (!value) {
+      return null;
+    }
+    if (/^\d+$/.test(value)) {
+      return Team.findByPk(parseInt(value, 10));
+    }
+
+    return Team.findOne({
+      where: sequelize.where(sequelize.fn('LOWER', sequelize.col('name')), value.toLowerCase())
+    });
+  }
+
+  /**
+   * Create a team
+   * @returns {Object} { success, team } or { success: false, message }
+   */
+  static async createTeam(name, actorId = null) {
+    const teamName = String(name || '').trim();
+    if (!NAME_PATTERN.test(teamName) || /^\d+$/.test(teamName)) {
+      return {
+        success: false,
+        message: `Название - до ${TEAMS.NAME_MAX_LENGTH} букв, цифр, "_" или "-" и не только из цифр`
+      };
+    }
+    if (await TeamService.findTeam(teamName)) {
+      return { success: false, message: `Команда ${teamName} уже есть` };
+    }
+
+    const team = await Team.create({ name: teamName, created_by: actorId });
+    logger.info('👥 Team created', { teamId: team.id, name: teamName, actorId });
+    return { success: true, team };
+  }
+
+  /**
+   * Delete a team - its members stay without a team, its buyer IDs are released
+   * @returns {Object|null} Deleted team or null when not found
+   */
+  static async deleteTeam(ref, actorId = null) {
+    const team = await TeamService.findTeam(ref);
+    if (!team) {
+      return null;
+    }
+
+    await sequelize.transaction(async transaction => {
+      await User.update({ team_id: null }, { where: { team_id: team.id }, transaction });
+      await TeamBuyer.destroy({ where: { team_id: team.id }, transaction });
+      await team.destroy({ transaction });
+    });
+
+    logger.info('👥 Team deleted', { teamId: team.id, name: team.name, actorId });
+    return team;
+  }
+
+  /**
+   * Add a user to a team (moves them from their previous team)
+   * @returns {Object} { success, team, user, previousTeamId } or { success: false, message }
+   */
+  static async addMember(ref, userId, actorId = null) {
+    const team = await TeamService.findTeam(ref);
+    if (!team) {
+      return { success: false, message: `Команда ${ref} не найдена` };
+    }
+
+    const user = await TeamService._findMember(userId);
+    if (!user.success) {
+      return user;
+    }
+
+    const previousTeamId = user.user.team_id;
+    await sequelize.transaction(async transaction => {
+      // A lead who moves to another team stops leading the previous one
+      if (previousTeamId && previousTeamId !== team.id) {
+        await Team.update({ lead_user_id: null },
+          { where: { id: previousTeamId, lead_user_id: user.user.id }, transaction });
+      }
+      await user.user.update({ team_id: team.id }, { transaction });
+    });
+
+    logger.info('👥 Team member added', { teamId: team.id, userId: user.user.id, previousTeamId, actorId });
+    return { success: true, team, user: user.user, previousTeamId };
+  }
+
+  /**
+   * Make a user the team lead, the lead becomes a member of the team
+   * @returns {Object} { success, team, user } or { success: false, message }
+   */
+  static async setLead(ref, userId, actorId = null) {
+    const result = await TeamService.addMember(ref, userId, actorId);
+    if (!result.success) {
+      return result;
+    }
+
+    await result.team.update({ lead_user_id: result.user.id });
+    logger.info('👥 Team lead set', { teamId: result.team.id, userId: result.user.id, actorId });
+    return { success: true, team: result.team, user: result.user };
+  }
+
+  /**
+   * Remove a user from their team
+   * @returns {Object} { success, team, user } or { success: false, message }
+   */
+  static async removeMember(userId, actorId = null) {
+    const user = await UserManagerService.getUserById(userId);
+    if (!user || !user.team_id) {
+      return { success: false, message: 'Пользователь не состоит в команде' };
+    }
+
+    const team = await Team.findByPk(user.team_id);
+    await sequelize.transaction(async transaction => {
+      if (team && String(team.lead_user_id) === String(user.id)) {
+        await team.update({ lead_user_id: null }, { transaction });
+      }
+      await user.update({ team_id: null }, { transaction });
+    });
+
+    logger.info('👥 Team member removed', { teamId: team ? team.id : null, userId: user.id, actorId });
+    return { success: true, team, user };
+  }
+
+  /**
+   * Assign a buyer ID to a team
+   * @returns {Object} { success, team, teamBuyer, message } or { success: false, message }
+   */
+  static async addBuyer(ref, buyerId, actorId = null) {
+    const id = DepositService.normalizeBuyerId(buyerId);
+    if (!id) {
+      return { success: false, message: 'Не указан ID баера' };
+    }
+
+    const team = await TeamService.findTeam(ref);
+    if (!team) {
+      return { success: false, message: `Команда ${ref} не найдена` };
+    }
+
+    const existing = await TeamBuyer.findOne({ where: DepositService.buyerIdWhere(id) });
+    if (existing) {
+      if (existing.team_id === team.id) {
+        return { success: true, team, teamBuyer: existing, message: 'ID баера уже в этой команде' };
+      }
+      return {
+        success: false,
+        message: `ID баера ${id} уже в команде #${existing.team_id}, сначала уберите его оттуда`
+      };
+    }
+
+    const teamBuyer = await TeamBuyer.create({ buyer_id: id, team_id: team.id, created_by: actorId });
+    logger.info('👥 Team buyer added', { teamId: team.id, buyerId: id, actorId });
+    return { success: true, team, teamBuyer, message: 'ID баера добавлен в команду' };
+  }
+
+  /**
+   * Remove a buyer ID from its team
+   * @returns {Object|null} Removed assignment or null when the buyer ID has no team
+   */
+  static async removeBuyer(buyerId, actorId = null) {
+    const teamBuyer = await TeamBuyer.findOne({ where: DepositService.buyerIdWhere(buyerId) });
+    if (!teamBuyer) {
+      return null;
+    }
+
+    await teamBuyer.destroy();
+    logger.info('👥 Team buyer removed', { teamId: teamBuyer.team_id, buyerId: teamBuyer.buyer_id, actorId });
+    return teamBuyer;
+  }
+
+  /**
+   * Get the team a user belongs to
+   */
+  static async getTeamOfUser(userId) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'team_id'] });
+    return user && user.team_id ? Team.findByPk(user.team_id) : null;
+  }
+
+  static async getBuyerIds(teamId) {
+    const buyers = await TeamBuyer.findAll({ where: { team_id: teamId }, attributes: ['buyer_id'] });
+    return buyers.map(buyer => buyer.buyer_id);
+  }
+
+  /**
+   * Team of a deposit's buyer ID
+   * @returns {number|null} Team ID
+   */
+  static async getTeamIdByBuyer(buyerId) {
+    const id = DepositService.normalizeBuyerId(buyerId);
+    if (!id || id === 'n/a') {
+      return null;
+    }
+
+    const teamBuyer = await TeamBuyer.findOne({ where: DepositService.buyerIdWhere(id), attributes: ['team_id'] });
+    return teamBuyer ? teamBuyer.team_id : null;
+  }
+
+  /**
+   * IDs of the users leading a team
+   * @returns {Set<string>}
+   */
+  static async getLeadIds() {
+    const teams = await Team.findAll({ attributes: ['lead_user_id'] });
+    return new Set(teams.filter(team => team.lead_user_id).map(team => String(team.lead_user_id)));
+  }
+
+  /**
+   * Sum per-buyer stats rows up per team (key - team name, buyer IDs without a team in one row),
+   * largest payout first
+   * @param {Array} rows - Rows of DepositService.getGroupedStats grouped by buyer_id
+   */
+  static async groupByTeam(rows) {
+    const teamBuyers = await TeamBuyer.findAll({
+      include: [{ model: Team, as: 'team', attributes: ['name'] }]
+    });
+    const teamOfBuyer = new Map(teamBuyers.map(teamBuyer =>
+      [DepositService.normalizeBuyerId(teamBuyer.buyer_id), teamBuyer.team.name]));
+    const teams = DepositService.sumByBuyerGroup(rows, buyerId => teamOfBuyer.get(buyerId) || TEAMS.NO_TEAM_LABEL);
+
+    return Array.from(teams, ([key, stats]) => ({ key, ...stats }))
+      .sort((a, b) => b.payout - a.payout || b.count - a.count);
+  }
+
+  /**
+   * Deposit statistics per team for a period - comparison of teams
+   * @param {Date|null} from - Period start (all time when omitted)
+   * @param {Date|null} to - Period end
+   */
+  static async getStatsByTeam(from = null, to = null) {
+    const teams = await TeamService.listTeams();
+    const teamOfBuyer = new Map(teams.flatMap(team =>
+      team.buyers.map(buyer => [DepositService.normalizeBuyerId(buyer.buyer_id), team.id])));
+    const rows = await DepositService.getGroupedStats(from, to, 'buyer_id', Array.from(teamOfBuyer.keys()));
+    const statsByTeam = DepositService.sumByBuyerGroup(rows, buyerId => teamOfBuyer.get(buyerId));
+
+    return teams.map(team => {
+      const stats = statsByTeam.get(team.id) || { count: 0, ftd: 0, redeposit: 0, reversed: 0, payout: 0 };
+      return {
+        teamId: team.id,
+        name: team.name,
+        leadUserId: team.lead_user_id ? String(team.lead_user_id) : null,
+        members: team.members.length,
+        buyerIds: team.buyers.map(buyer => buyer.buyer_id),
+        deposits: stats.count,
+        ftd: stats.ftd,
+        redeposit: stats.redeposit,
+        reversed: stats.reversed,
+        payout: stats.payout
+      };
+    }).sort((a, b) => b.payout - a.payout);
+  }
+
+  /**
+   * Approved user (or owner) who can join a team
+   * @returns {Object} { success, user } or { success: false, message }
+   */
+  static async _findMember(userId) {
+    const user = await UserManagerService.getUserById(userId);
+    if (!user) {
+      return { success: false, message: 'Пользователь не найден' };
+    }
+    if (user.status !== 'approved' && !UserManagerService.isOwner(user.id)) {
+      return { success: false, message: `Пользователь не одобрен (статус: ${user.status})` };
+    }
+    return { success: true, user };
+  }
+}
+
+module.exports = TeamService;
@@ -7,18 +7,52 @@ const TelegramBot = require('node-telegram-bot-api');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const UserManagerService = require('./userManager.service');
-const { MESSAGE_TEMPLATES } = require('../config/constants');
+const DepositService = require('./deposit.service');
+const ExchangeRateService = require('./exchangeRate.service');
+const NotificationFilterService = require('./notificationFilter.service');
+const BuyerBindingService = require('./buyerBinding.service');
+const NotificationDestinationService = require('./notificationDestination.service');
+const SendQueue = require('./sendQueue.service');
+const DeliveryService = require('./delivery.service');
+const DepositActionService = require('./depositAction.service');
+const DepositStatsService = require('./depositStats.service');
+const DigestService = require('./digest.service');
+const QuietHoursService = require('./quietHours.service');
+const ApiKeyService = require('./apiKey.service');
+const WebhookSecretService = require('./webhookSecret.service');
+const CommandRegistry = require('./commandRegistry.service');
+const AccessPolicy = require('./accessPolicy.service');
+const TeamService = require('./team.service');
+const { TimezoneHelper } = require('../utils/timezone');
+const {
+  MESSAGE_TEMPLATES,
+  TRAFFIC_SOURCES,
+  UNREACHABLE_CHAT_ERRORS,
+  DEPOSIT_ACTIONS,
+  DEPOSIT_STATS,
+  DIGEST,
+  QUIET_HOURS,
+  ADMIN_API,
+  ACCESS,
+  TEAMS
+} = require('../config/constants');
 const { NotificationLog } = require('../models');
 
 class TelegramBotService {
   constructor() {
     this.bot = null;
     this.isInitialized = false;
+    // Bot username, used to ignore "/command@other_bot" in groups
+    this.username = null;
     this.lastBroadcastStats = {
       total: 0,
       success: 0,
       failed: 0
     };
+    // Users typing a value for /settings: userId -> filter field
+    this.settingsInput = new Map();
+    // All outbound messages go through the rate-limited queue
+    this.sendQueue = new SendQueue();
   }
   
   /**
@@ -57,10 +91,13 @@ class TelegramBotService {
       };
       
       this.bot = new TelegramBot(config.telegram.botToken, options);
+      await this.setupCommandMenus();
       
       if (config.bot.webhookMode && config.bot.webhookUrl) {
-        // Set webhook for Telegram
-        await this.bot.setWebHook(config.bot.webhookUrl);
+        // Set webhook for Telegram - updates without the secret token are rejected by /telegram/webhook
+        await this.bot.setWebHook(config.bot.webhookUrl, {
+          secret_token: await WebhookSecretService.getSecret()
+        });
         this.setupWebhookHandlers();
         logger.info('✅ Telegram bot initialized with webhook', { 
           url: config.bot.webhookUrl 
@@ -96,39 +133,9 @@ class TelegramBotService {
    * Setup polling event handlers
    */
   setupPollingHandlers() {
-    // Handle /start command
-    this.bot.onText(/\/start/, async (msg) => {
-      await this.handleStartCommand(msg);
-    });
-    
-    // Handle /help command
-    this.bot.onText(/\/help/, async (msg) => {
-      await this.handleHelpCommand(msg);
-    });
-    
-    // Handle /status command (owners only)
-    this.bot.onText(/\/status/, async (msg) => {
-      await this.handleStatusCommand(msg);
-    });
-    
-    // Handle /users command (owners only)
-    this.bot.onText(/\/users/, async (msg) => {
-      await this.handleUsersCommand(msg);
-    });
-    
-    // Handle /requests command (owners only)
-    this.bot.onText(/\/requests/, async (msg) => {
-      await this.handleRequestsCommand(msg);
-    });
-    
-    // Handle /ban command (owners only)
-    this.bot.onText(/\/ban (.+)/, async (msg, match) => {
-      await this.handleBanCommand(msg, match[1]);
-    });
-    
-    // Handle /unban command (owners only)
-    this.bot.onText(/\/unban (.+)/, async (msg, match) => {
-      await this.handleUnbanCommand(msg, match[1]);
+    // Commands and /settings input - same entry point as webhook updates
+    this.bot.on('message', async (msg) => {
+      await this.handleMessage(msg);
     });
     
     // Handle callback queries (inline buttons)
@@ -182,6 +189,97 @@ class TelegramBotService {
     logger.info('📱 Telegram bot polling handlers configured');
   }
   
+  /**
+   * Command menus per role: the "user" menu in all private chats and a chat-scoped menu for owners.
+   * Menus of users with another role are kept by Telegram - they are set when the role or status
+   * changes (see syncCommandMenu), not on every start
+   */
+  async setupCommandMenus() {
+    try {
+      const me = await this.bot.getMe();
+      this.username = me.username;
+      
+      await this.bot.setMyCommands(CommandRegistry.menuFor(ACCESS.ROLES.USER), {
+        scope: { type: 'all_private_chats' }
+      });
+      
+      for (const ownerId of config.owners) {
+        await this.refreshCommandMenu(ownerId, ACCESS.ROLES.OWNER);
+      }
+      
+      logger.info('✅ Telegram command menus configured', { owners: config.owners.length });
+    } catch (error) {
+      // Commands still work without the menu
+      logger.warn('Failed to configure Telegram command menus', { error: error.message });
+    }
+  }
+  
+  /**
+   * Command menu of one user's private chat - users with the default role fall back to the common menu
+   * Sent through the send queue like messages to the chat
+   */
+  async refreshCommandMenu(userId, role) {
+    const scope = { type: 'chat', chat_id: userId };
+    
+    if (role === ACCESS.ROLES.USER || role === ACCESS.ROLES.GUEST) {
+      // deleteMyCommands does not serialize the scope itself
+      await this.sendQueue.enqueue(userId, () => this.bot.deleteMyCommands({ scope: JSON.stringify(scope) }));
+      return;
+    }
+    
+    await this.sendQueue.enqueue(userId, () => this.bot.setMyCommands(CommandRegistry.menuFor(role), { scope }));
+  }
+  
+  /**
+   * Update a user's command menu after a role or status change (approve, ban, /role)
+   * Commands work without the menu - a failure is only logged
+   */
+  async syncCommandMenu(user) {
+    try {
+      await this.refreshCommandMenu(user.id, AccessPolicy.roleOf(user));
+    } catch (error) {
+      logger.warn('Failed to refresh command menu', { userId: user.id, error: error.message });
+    }
+  }
+  
+  /**
+   * Handle an update received by the webhook
+   */
+  async handleUpdate(update) {
+    if (update.message) {
+      await this.handleMessage(update.message);
+    }
+    
+    if (update.callback_query) {
+      await this.handleCallbackQuery(update.callback_query);
+    }
+  }
+  
+  /**
+   * Handle an incoming message (polling and webhook) - commands go through the command registry,
+   * other text may be a value typed for /settings
+   */
+  async handleMessage(msg) {
+    if (!msg.text || !msg.from) {
+      return;
+    }
+    
+    try {
+      if (msg.text.startsWith('/')) {
+        await CommandRegistry.dispatch(this, msg);
+      } else {
+        await this.handleSettingsInput(msg);
+      }
+    } catch (error) {
+      logger.error('Telegram message handling error', {
+        userId: msg.from.id,
+        chatId: msg.chat.id,
+        text: msg.text.slice(0, 100),
+        error: error.message
+      });
+    }
+  }
+  
   /**
    * Handle /start command
    */
@@ -196,33 +294,31 @@ class TelegramBotService {
         chatType: msg.chat.type
       });
       
-      // Only allow private chats
-      if (msg.chat.type !== 'private') {
-        return;
-      }
-      
       // Create or update user
       const dbUser = await UserManagerService.createOrUpdateUser(user);
       
+      // A user who blocked the bot and came back gets notifications again
+      if (await UserManagerService.reactivateUser(dbUser)) {
+        await this.notifyOwnersAboutReactivation(dbUser);
+      }
+      
       if (UserManagerService.isOwner(user.id)) {
         // Owner welcome message
-        const message = `👑 *Добро пожаловать, Владелец!*\n\n` +
-                       `Доступные команды:\n` +
-                       `/status - Статистика пользователей\n` +
-                       `/users - Список пользователей\n` +
-                       `/requests - Заявки на вступление\n` +
-                       `/ban <user\\_id> - Заблокировать пользователя\n` +
-                       `/unban <user\\_id> - Разблокировать пользователя\n\n` +
+        const message = `👑 <b>Добро пожаловать, Владелец!</b>\n\n` +
+                       `Команды владельца:\n` +
+                       `${this._formatCommandList(this._managementCommands(ACCESS.ROLES.OWNER))}\n\n` +
+                       `Все команды - /help\n\n` +
                        `Бот готов к работе! 🚀`;
         
-        await this.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        await this.sendMessage(chatId, message, { parse_mode: 'HTML' });
         
       } else if (dbUser.status === 'approved') {
         // Approved user message
         const message = `✅ *Добро пожаловать!*\n\n` +
                        `Ваш доступ к боту одобрен.\n` +
                        `Вы будете получать уведомления о депозитах.\n\n` +
-                       `Используйте /help для получения справки.`;
+                       `Используйте /settings, чтобы выбрать, какие депозиты получать,\n` +
+                       `и /help для получения справки.`;
         
         await this.sendMessage(chatId, message, { parse_mode: 'Markdown' });
         
@@ -277,34 +373,49 @@ class TelegramBotService {
   }
   
   /**
-   * Handle /help command
+   * Handle /help command - commands of the user's role, generated from the command registry
    */
   async handleHelpCommand(msg) {
     const chatId = msg.chat.id;
-    const user = msg.from;
-    
-    if (msg.chat.type !== 'private') return;
+    const role = await AccessPolicy.roleOfId(msg.from.id);
+    const commonCommands = this._formatCommandList(CommandRegistry.commandsFor(role).filter(CommandRegistry.isGeneral));
+    const managementCommands = this._managementCommands(role);
     
-    let message = `ℹ️ *Справка по боту*\n\n`;
+    let message = `ℹ️ <b>Справка по боту</b>\n\n`;
     
-    if (UserManagerService.isOwner(user.id)) {
-      message += `*Команды владельца:*\n` +
-                `/status - Статистика пользователей\n` +
-                `/users - Список пользователей\n` +
-                `/requests - Заявки на вступление\n` +
-                `/ban <user\\_id> - Заблокировать пользователя\n` +
-                `/unban <user\\_id> - Разблокировать пользователя\n\n` +
-                `*Общие команды:*\n` +
-                `/help - Эта справка\n\n` +
+    if (managementCommands.length > 0) {
+      message += `Ваша роль: ${ACCESS.ROLE_LABELS[role]}\n\n` +
+                `<b>Команды управления:</b>\n` +
+                `${this._formatCommandList(managementCommands)}\n\n` +
+                `<b>Общие команды:</b>\n` +
+                `${commonCommands}\n\n` +
                 `Бот автоматически отправляет уведомления о депозитах всем одобренным пользователям.`;
     } else {
-      message += `*Доступные команды:*\n` +
-                `/help - Эта справка\n\n` +
+      // Guests see the commands they get after approval
+      const commands = role === ACCESS.ROLES.GUEST
+        ? this._formatCommandList(CommandRegistry.commandsFor(ACCESS.ROLES.USER))
+        : commonCommands;
+      
+      if (role !== ACCESS.ROLES.GUEST && role !== ACCESS.ROLES.USER) {
+        message += `Ваша роль: ${ACCESS.ROLE_LABELS[role]}\n\n`;
+      }
+      message += `<b>Доступные команды:</b>\n` +
+                `${commands}\n\n` +
                 `Бот отправляет уведомления о депозитах.\n` +
                 `Если у вас нет доступа, отправьте /start для подачи заявки.`;
     }
     
-    await this.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    await this.sendMessage(chatId, message, { parse_mode: 'HTML' });
+  }
+  
+  _managementCommands(role) {
+    return CommandRegistry.commandsFor(role).filter(command => !CommandRegistry.isGeneral(command));
+  }
+  
+  _formatCommandList(commands) {
+    return commands
+      .map(command => `${this._escapeHtml(CommandRegistry.usageOf(command))} - ${this._escapeHtml(command.description)}`)
+      .join('\n');
   }
   
   /**
@@ -314,15 +425,13 @@ class TelegramBotService {
     const chatId = msg.chat.id;
     const user = msg.from;
     
-    if (msg.chat.type !== 'private') return;
-    
-    if (!UserManagerService.isOwner(user.id)) {
-      await this.sendMessage(chatId, '❌ Команда доступна только владельцам');
-      return;
-    }
-    
     try {
-      const stats = await UserManagerService.getUserStats();
+      const [stats, depositStats] = await Promise.all([
+        UserManagerService.getUserStats(),
+        DepositService.getStats()
+      ]);
+      const ftdStats = depositStats.byType.ftd || { today: 0, total: 0 };
+      const redepositStats = depositStats.byType.redeposit || { today: 0, total: 0 };
       
       const message = `📊 *Статистика пользователей*\n\n` +
                      `👥 Всего пользователей: ${stats.total}\n` +
@@ -330,8 +439,19 @@ class TelegramBotService {
                      `⏳ Ожидает: ${stats.pending}\n` +
                      `❌ Отклонено: ${stats.rejected}\n` +
                      `🚫 Заблокировано: ${stats.banned}\n` +
-                     `👑 Владельцев: ${stats.owners}\n\n` +
+                     `👑 Владельцев: ${stats.owners}\n` +
+                     `💤 Недоступны (бот заблокирован): ${stats.inactive}\n\n` +
                      `📝 Новых заявок: ${stats.pendingRequests}\n\n` +
+                     `💰 *Депозиты*\n` +
+                     `├ Сегодня: ${depositStats.today} (${ExchangeRateService.formatAmount(depositStats.todayPayout)})\n` +
+                     `├ Всего: ${depositStats.total} (${ExchangeRateService.formatAmount(depositStats.totalPayout)})\n` +
+                     `├ Отменено (чарджбэк/рефанд): ${depositStats.reversed} (-${ExchangeRateService.formatAmount(depositStats.reversedPayout)})\n` +
+                     `├ Без курса валюты: ${depositStats.unconverted}\n` +
+                     `├ FTD: ${ftdStats.today} сегодня / ${ftdStats.total} всего\n` +
+                     `├ Редепозиты: ${redepositStats.today} сегодня / ${redepositStats.total} всего\n` +
+                     `├ Через фоллбэк: ${depositStats.fallback}\n` +
+                     `├ Жалобы на проверке: ${depositStats.flagged}\n` +
+                     `└ Не доставлено: ${depositStats.failedNotifications}\n\n` +
                      `📈 Последняя рассылка:\n` +
                      `└ Отправлено: ${this.lastBroadcastStats.success}/${this.lastBroadcastStats.total}`;
       
@@ -353,13 +473,6 @@ class TelegramBotService {
     const chatId = msg.chat.id;
     const user = msg.from;
     
-    if (msg.chat.type !== 'private') return;
-    
-    if (!UserManagerService.isOwner(user.id)) {
-      await this.sendMessage(chatId, '❌ Команда доступна только владельцам');
-      return;
-    }
-    
     try {
       const users = await UserManagerService.getAllUsers();
       
@@ -382,9 +495,11 @@ class TelegramBotService {
       if (groupedUsers.approved.length > 0) {
         message += `✅ *Одобренные (${groupedUsers.approved.length}):*\n`;
         for (const u of groupedUsers.approved.slice(0, 10)) {
-          const roleEmoji = u.role === 'owner' ? '👑' : '👤';
+          const role = AccessPolicy.roleOf(u);
+          const roleEmoji = role === ACCESS.ROLES.OWNER ? '👑' : '👤';
+          const roleLabel = role === ACCESS.ROLES.USER ? '' : `, ${ACCESS.ROLE_LABELS[role]}`;
           const displayName = this._escapeMarkdown(u.username || u.first_name || String(u.id));
-          message += `${roleEmoji} @${displayName} (ID: ${u.id})\n`;
+          message += `${roleEmoji} @${displayName} (ID: ${u.id}${roleLabel})${u.is_active === false ? ' 💤' : ''}\n`;
         }
         if (groupedUsers.approved.length > 10) {
           message += `... и еще ${groupedUsers.approved.length - 10}\n`;
@@ -452,13 +567,6 @@ class TelegramBotService {
     const chatId = msg.chat.id;
     const user = msg.from;
     
-    if (msg.chat.type !== 'private') return;
-    
-    if (!UserManagerService.isOwner(user.id)) {
-      await this.sendMessage(chatId, '❌ Команда доступна только владельцам');
-      return;
-    }
-    
     try {
       const requests = await UserManagerService.getPendingRequests();
       
@@ -514,7 +622,19 @@ class TelegramBotService {
     const data = callbackQuery.data;
     
     try {
-      if (!UserManagerService.isOwner(userId)) {
+      // Deposit notification buttons check their signature and permissions themselves
+      if (DepositActionService.isDepositAction(data)) {
+        await this.handleDepositActionCallback(callbackQuery);
+        return;
+      }
+      
+      // Notification settings are available to every approved user
+      if (data.startsWith('settings_')) {
+        await this.handleSettingsCallback(callbackQuery);
+        return;
+      }
+      
+      if (!(await AccessPolicy.userCan(userId, this._callbackPermission(data)))) {
         await this.bot.answerCallbackQuery(callbackQuery.id, {
           text: '❌ Недостаточно прав',
           show_alert: true
@@ -546,6 +666,7 @@ class TelegramBotService {
           // Notify user about decision
           if (result.user) {
             await this.notifyUserAboutDecision(result.user, result.action);
+            await this.syncCommandMenu(result.user);
           }
           
           await this.bot.answerCallbackQuery(callbackQuery.id, {
@@ -583,6 +704,7 @@ class TelegramBotService {
         });
         
         if (result.success) {
+          await this.syncCommandMenu(result.user);
           await this.showBanManagement(chatId);
         }
         
@@ -596,8 +718,30 @@ class TelegramBotService {
         });
         
         if (result.success) {
+          await this.syncCommandMenu(result.user);
           await this.showBanManagement(chatId);
         }
+        
+      } else if (data.startsWith('resend_')) {
+        const depositId = parseInt(data.split('_')[1]);
+        const result = await DeliveryService.resendFailed(depositId);
+        
+        const errors = {
+          not_found: 'Депозит не найден',
+          reversed: 'Депозит отменен (чарджбэк/рефанд)',
+          not_notified: 'Уведомление о депозите не отправлялось'
+        };
+        await this.bot.answerCallbackQuery(callbackQuery.id, {
+          text: result.success
+            ? `🔁 Переотправлено: ${result.resent} из ${result.total}` +
+              (result.skipped > 0 ? `, пропущено: ${result.skipped}` : '')
+            : `❌ ${errors[result.reason] || result.message}`,
+          show_alert: true
+        });
+        
+        if (result.success) {
+          await this.showDelivery(chatId, result.deposit.subid, callbackQuery.message.message_id);
+        }
       }
       
     } catch (error) {
@@ -621,13 +765,6 @@ class TelegramBotService {
     const chatId = msg.chat.id;
     const ownerId = msg.from.id;
     
-    if (msg.chat.type !== 'private') return;
-    
-    if (!UserManagerService.isOwner(ownerId)) {
-      await this.sendMessage(chatId, '❌ Команда доступна только владельцам');
-      return;
-    }
-    
     try {
       const userId = parseInt(userIdStr);
       if (isNaN(userId)) {
@@ -644,6 +781,7 @@ class TelegramBotService {
                        `Ник: @${username}`;
         
         await this.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        await this.syncCommandMenu(result.user);
         
         // Notify banned user
         try {
@@ -673,13 +811,6 @@ class TelegramBotService {
     const chatId = msg.chat.id;
     const ownerId = msg.from.id;
     
-    if (msg.chat.type !== 'private') return;
-    
-    if (!UserManagerService.isOwner(ownerId)) {
-      await this.sendMessage(chatId, '❌ Команда доступна только владельцам');
-      return;
-    }
-    
     try {
       const userId = parseInt(userIdStr);
       if (isNaN(userId)) {
@@ -696,6 +827,7 @@ class TelegramBotService {
                        `Ник: @${username}`;
         
         await this.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        await this.syncCommandMenu(result.user);
         
         // Notify unbanned user
         try {
@@ -719,215 +851,2345 @@ class TelegramBotService {
   }
   
   /**
-   * Send deposit notification to all approved users
+   * Handle /role <user_id> [role] command - show or change a user's role (owners and admins)
    */
-  async sendDepositNotification(depositData) {
+  async handleRoleCommand(msg, args) {
+    const chatId = msg.chat.id;
+    const actorId = msg.from.id;
+    
     try {
-      logger.info('📱 Starting deposit notification broadcast', {
-        subid1: depositData.subid1,
-        payout: depositData.payout,
-        geo: depositData.geo
-      });
-      
-      const users = await UserManagerService.getApprovedUsers();
-      const message = this._formatDepositMessage(depositData);
+      const [userIdStr, role] = args.trim().split(/\s+/);
+      const userId = parseInt(userIdStr, 10);
+      if (isNaN(userId)) {
+        await this.sendMessage(chatId, '❌ Неверный формат ID пользователя');
+        return;
+      }
       
-      let successCount = 0;
-      let failedCount = 0;
+      const actorRole = await AccessPolicy.roleOfId(actorId);
       
-      // Send to all approved users
-      for (const user of users) {
-        try {
-          await this.sendMessage(user.id, message, { parse_mode: 'HTML' });
-          successCount++;
-          
-          // Small delay to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 50));
-          
-        } catch (error) {
-          failedCount++;
-          logger.warn('Failed to send notification to user', {
-            userId: user.id,
-            username: user.username,
-            error: error.message
-          });
+      if (!role) {
+        const user = await UserManagerService.getUserById(userId);
+        if (!user) {
+          await this.sendMessage(chatId, '❌ Пользователь не найден');
+          return;
         }
+        
+        const assignable = ACCESS.ASSIGNABLE_ROLES.filter(candidate => AccessPolicy.canAssign(actorRole, candidate));
+        const status = user.status === 'approved' ? '' : ` (статус: ${user.status})`;
+        await this.sendMessage(chatId,
+          `👤 <code>${userId}</code>: ${ACCESS.ROLE_LABELS[AccessPolicy.assignedRole(user)]}${status}\n\n` +
+          `Назначить: /role ${userId} &lt;${assignable.join('|')}&gt;`,
+          { parse_mode: 'HTML' });
+        return;
       }
       
-      // Update stats
-      this.lastBroadcastStats = {
-        total: users.length,
-        success: successCount,
-        failed: failedCount
-      };
+      const result = await UserManagerService.setRole(userId, role, { id: actorId, role: actorRole });
+      if (!result.success) {
+        await this.sendMessage(chatId, `❌ ${result.message}`);
+        return;
+      }
       
-      // Log notification
-      await NotificationLog.create({
-        type: 'deposit',
-        recipient_count: users.length,
-        success_count: successCount,
-        failed_count: failedCount,
-        message_text: message,
-        metadata: depositData
-      });
+      const newRole = AccessPolicy.assignedRole(result.user);
+      await this.sendMessage(chatId,
+        `✅ Роль <code>${userId}</code>: ${ACCESS.ROLE_LABELS[result.previousRole]} → ${ACCESS.ROLE_LABELS[newRole]}`,
+        { parse_mode: 'HTML' });
       
-      logger.info('✅ Deposit notification broadcast completed', {
-        total: users.length,
-        success: successCount,
-        failed: failedCount,
-        payout: depositData.payout
-      });
+      await this.syncCommandMenu(result.user);
       
-      return {
-        success: true,
-        stats: {
-          total: users.length,
-          success: successCount,
-          failed: failedCount
-        }
-      };
+      // Notify the user
+      try {
+        await this.sendMessage(userId, `ℹ️ Ваша роль в боте: ${ACCESS.ROLE_LABELS[newRole]}. Команды - /help`);
+      } catch (e) {
+        // User might have blocked the bot
+      }
       
     } catch (error) {
-      logger.error('❌ Failed to send deposit notification', {
-        error: error.message,
-        depositData
-      });
-      
-      return {
-        success: false,
+      logger.error('Error handling role command', {
+        actorId,
+        args,
         error: error.message
-      };
-    }
-  }
-  
-  /**
-   * Format deposit message
-   */
-  _formatDepositMessage(data) {
-    try {
-      let message = MESSAGE_TEMPLATES.DEPOSIT_NOTIFICATION;
-      
-      const replacements = {
-        '{subid1}': this._escapeHtml(data.subid1 || 'N/A'),
-        '{geo}': this._escapeHtml(data.geo || 'N/A'),
-        '{traffic_source_name}': this._escapeHtml(data.traffic_source_name || 'N/A'),
-        '{offer_name}': this._escapeHtml(data.offer_name || 'N/A'),
-        '{campaign_name}': this._escapeHtml(data.campaign_name || 'N/A'),
-        '{subid2}': this._escapeHtml(data.subid2 || 'N/A'),
-        '{subid4}': this._escapeHtml(data.subid4 || 'N/A'),
-        '{clickId}': this._escapeHtml(data.clickId || 'N/A'),
-        '{payout}': this._formatPayout(data.payout)
-      };
-      
-      Object.entries(replacements).forEach(([placeholder, value]) => {
-        message = message.replace(new RegExp(placeholder.replace(/[{}]/g, '\\$&'), 'g'), value);
-      });
-      
-      message += `\n\n<i>🕒 ${new Date().toLocaleString('ru-RU', { timeZone: 'Europe/Moscow' })}</i>`;
-      
-      return message;
-    } catch (error) {
-      logger.error('Error formatting deposit message', {
-        error: error.message,
-        data
       });
-      
-      return `🥳 Новый депозит!\n\nПлательщик: ${data.subid1 || 'N/A'}\nСумма: ${this._formatPayout(data.payout)}\nИсточник: ${data.traffic_source_name || 'N/A'}`;
+      await this.sendMessage(chatId, '❌ Ошибка изменения роли');
     }
   }
   
   /**
-   * Notify owners about new join request
+   * Handle /bind <userId> <subid1> command (owners only)
    */
-  async notifyOwnersAboutNewRequest(user, request) {
+  async handleBindCommand(msg, args) {
+    const chatId = msg.chat.id;
+    const ownerId = msg.from.id;
+    
+    const [userIdStr, buyerId] = (args || '').trim().split(/\s+/);
+    const userId = parseInt(userIdStr);
+    if (isNaN(userId) || !buyerId) {
+      await this.sendMessage(chatId, 'Использование: /bind <user\\_id> <subid1>', { parse_mode: 'Markdown' });
+      return;
+    }
+    
     try {
-      // Escape Markdown special characters in user data
-      const firstName = this._escapeMarkdown(user.first_name || 'Не указано');
-      const lastName = this._escapeMarkdown(user.last_name || '');
-      const username = this._escapeMarkdown(user.username || 'Не указан');
+      const result = await BuyerBindingService.bind(userId, buyerId, ownerId);
       
-      const message = `🔔 *Новая заявка на доступ*\n\n` +
-                     `👤 Имя: ${firstName} ${lastName}\n` +
-                     `🔖 Ник: @${username}\n` +
-                     `🆔 ID: \`${user.id}\`\n` +
-                     `📅 Дата: ${new Date().toLocaleDateString('ru-RU')}\n\n` +
-                     `Используйте /requests для обработки заявок.`;
+      if (!result.success) {
+        await this.sendMessage(chatId, `❌ ${result.message}`);
+        return;
+      }
       
-      for (const ownerId of config.owners) {
+      const username = this._escapeHtml(result.user.username || result.user.first_name || userId);
+      await this.sendMessage(chatId,
+        `🔗 ${result.message}\n\nБаер: <code>${this._escapeHtml(buyerId)}</code>\nПользователь: ${username} (<code>${userId}</code>)`,
+        { parse_mode: 'HTML' });
+
+      if (String(result.user.id) !== String(ownerId)) {
         try {
-          await this.sendMessage(ownerId, message, { parse_mode: 'Markdown' });
+          await this.sendMessage(result.user.id,
+            `🔗 К вам привязан ID баера <code>${this._escapeHtml(result.binding.buyer_id)}</code>.\n\n` +
+            `Ваши депозиты будут отмечены в уведомлениях, статистика - /mystats`,
+            { parse_mode: 'HTML' });
         } catch (error) {
-          logger.warn('Failed to notify owner about new request', {
-            ownerId,
+          logger.warn('Failed to notify user about buyer binding', {
+            userId: result.user.id,
             error: error.message
           });
         }
       }
+
     } catch (error) {
-      logger.error('Error notifying owners about new request', {
-        userId: user.id,
+      logger.error('Error handling bind command', {
+        ownerId,
+        args,
         error: error.message
       });
+      await this.sendMessage(chatId, '❌ Ошибка привязки баера');
     }
   }
   
   /**
-   * Notify user about approval/rejection decision
+   * Handle /unbind <subid1> command (owners only)
    */
-  async notifyUserAboutDecision(user, action) {
+  async handleUnbindCommand(msg, buyerId) {
+    const chatId = msg.chat.id;
+    const ownerId = msg.from.id;
+    
+    if (!buyerId || !buyerId.trim()) {
+      await this.sendMessage(chatId, 'Использование: /unbind <subid1>');
+      return;
+    }
+    
     try {
-      let message;
+      const binding = await BuyerBindingService.unbind(buyerId, ownerId);
       
-      if (action === 'approved') {
-        message = `✅ *Поздравляем!*\n\n` +
-                 `Ваша заявка на доступ к боту одобрена.\n` +
-                 `Теперь вы будете получать уведомления о депозитах.\n\n` +
-                 `Добро пожаловать! 🎉`;
-      } else {
-        message = `❌ *Заявка отклонена*\n\n` +
-                 `К сожалению, ваша заявка на доступ к боту была отклонена.`;
+      if (!binding) {
+        await this.sendMessage(chatId, `❌ ID баера ${buyerId.trim()} не привязан`);
+        return;
       }
       
-      await this.sendMessage(user.id, message, { parse_mode: 'Markdown' });
+      await this.sendMessage(chatId,
+        `✅ Баер <code>${this._escapeHtml(binding.buyer_id)}</code> отвязан от пользователя <code>${binding.user_id}</code>`,
+        { parse_mode: 'HTML' });
       
     } catch (error) {
-      logger.warn('Failed to notify user about decision', {
+      logger.error('Error handling unbind command', {
+        ownerId,
+        buyerId,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка отвязки баера');
+    }
+  }
+  
+  /**
+   * Handle /buyers command - bindings with stats and unbound buyer IDs (owners only)
+   */
+  async handleBuyersCommand(msg) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    try {
+      const [userStats, unbound] = await Promise.all([
+        BuyerBindingService.getStatsByUser(),
+        BuyerBindingService.getUnboundBuyers()
+      ]);
+      
+      let message = `🔗 <b>Привязки баеров</b>\n\n`;
+      
+      if (userStats.length === 0) {
+        message += `Привязок нет.\n`;
+      } else {
+        userStats.forEach(stats => {
+          const name = this._escapeHtml(stats.username ? `@${stats.username}` : stats.name || stats.userId);
+          message += `👤 ${name} (<code>${stats.userId}</code>)\n` +
+                    `├ Баеры: ${stats.buyerIds.map(id => `<code>${this._escapeHtml(id)}</code>`).join(', ')}\n` +
+                    `└ Депозиты: ${stats.deposits} (FTD ${stats.ftd}, редепы ${stats.redeposit}), ${ExchangeRateService.formatAmount(stats.payout)}\n\n`;
+        });
+      }
+      
+      if (unbound.length > 0) {
+        message += `❓ <b>Непривязанные баеры</b>\n`;
+        unbound.slice(0, 20).forEach(buyer => {
+          message += `• <code>${this._escapeHtml(buyer.buyerId)}</code> - ${buyer.deposits} деп.\n`;
+        });
+        if (unbound.length > 20) {
+          message += `... и еще ${unbound.length - 20}\n`;
+        }
+        message += `\nПривязать: /bind &lt;user_id&gt; &lt;subid1&gt;`;
+      }
+      
+      await this.sendMessage(chatId, message, { parse_mode: 'HTML' });
+      
+    } catch (error) {
+      logger.error('Error handling buyers command', {
+        userId: user.id,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка получения привязок');
+    }
+  }
+  
+  /**
+   * Handle /teams [period] command - teams with their lead, members, buyer IDs and deposits,
+   * largest payout first (owners, admins and viewers)
+   */
+  async handleTeamsCommand(msg, args) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    try {
+      const period = DepositStatsService.parsePeriod(String(args || 'today').trim().toLowerCase());
+      if (!period.success) {
+        await this.sendMessage(chatId, `❌ ${period.message}`);
+        return;
+      }
+    
+      const [stats, teams] = await Promise.all([
+        TeamService.getStatsByTeam(period.from, period.to),
+        TeamService.listTeams()
+      ]);
+    
+      if (stats.length === 0) {
+        await this.sendMessage(chatId, 'ℹ️ Команд нет. Создать: /team new &lt;название&gt;', { parse_mode: 'HTML' });
+        return;
+      }
+    
+      const teamsById = new Map(teams.map(team => [team.id, team]));
+      const userName = member => this._escapeHtml(member.username ? `@${member.username}` : member.first_name || member.id);
+    
+      let message = `👥 <b>Команды: ${this._escapeHtml(period.label)}</b>\n\n`;
+      stats.forEach(entry => {
+        const team = teamsById.get(entry.teamId);
+        const members = team.members
+          .filter(member => String(member.id) !== entry.leadUserId)
+          .map(member => `${userName(member)} (<code>${member.id}</code>)`);
+    
+        message += `<b>${this._escapeHtml(entry.name)}</b> (#${entry.teamId})\n` +
+                  `├ Тимлид: ${team.lead ? `${userName(team.lead)} (<code>${team.lead.id}</code>)` : 'не назначен'}\n` +
+                  `├ Участники: ${members.length > 0 ? members.join(', ') : 'нет'}\n` +
+                  `├ Баеры: ${entry.buyerIds.length > 0 ? entry.buyerIds.map(id => `<code>${this._escapeHtml(id)}</code>`).join(', ') : 'нет'}\n` +
+                  `└ Депозиты: ${entry.deposits} (FTD ${entry.ftd}, редепы ${entry.redeposit}), ${ExchangeRateService.formatAmount(entry.payout)}\n\n`;
+      });
+      message += `Вместе с баерами без команды: /stats [период] by team`;
+    
+      await this.sendMessage(chatId, message, { parse_mode: 'HTML' });
+    
+    } catch (error) {
+      logger.error('Error handling teams command', {
+        userId: user.id,
+        args,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка получения команд');
+    }
+  }
+  
+  /**
+   * Handle /team command - create and delete teams, set members, lead and buyer IDs (owners and admins)
+   * /team new|del <team>, /team lead|add <team> <user_id>, /team remove <user_id>,
+   * /team buyer <team> <subid1>, /team unbuyer <subid1>
+   */
+  async handleTeamCommand(msg, args) {
+    const chatId = msg.chat.id;
+    const actorId = msg.from.id;
+    
+    try {
+      const [action, ...tokens] = String(args || '').trim().split(/\s+/).filter(Boolean);
+      const command = (action || '').toLowerCase();
+      const [teamRef, value] = tokens;
+    
+      if (command === 'new' && teamRef) {
+        const result = await TeamService.createTeam(teamRef, actorId);
+        await this.sendMessage(chatId, result.success
+          ? `✅ Команда <b>${this._escapeHtml(result.team.name)}</b> создана (#${result.team.id})\n\n` +
+            `Тимлид: /team lead ${this._escapeHtml(result.team.name)} &lt;user_id&gt;`
+          : `❌ ${this._escapeHtml(result.message)}`, { parse_mode: 'HTML' });
+    
+      } else if (command === 'del' && teamRef) {
+        const team = await TeamService.deleteTeam(teamRef, actorId);
+        await this.sendMessage(chatId, team
+          ? `✅ Команда <b>${this._escapeHtml(team.name)}</b> удалена, ее участники и баеры остались без команды`
+          : `❌ Команда ${this._escapeHtml(teamRef)} не найдена`, { parse_mode: 'HTML' });
+    
+      } else if ((command === 'lead' || command === 'add') && teamRef && value) {
+        const userId = parseInt(value, 10);
+        if (isNaN(userId)) {
+          await this.sendMessage(chatId, '❌ Неверный формат ID пользователя');
+          return;
+        }
+    
+        const result = command === 'lead'
+          ? await TeamService.setLead(teamRef, userId, actorId)
+          : await TeamService.addMember(teamRef, userId, actorId);
+        if (!result.success) {
+          await this.sendMessage(chatId, `❌ ${this._escapeHtml(result.message)}`, { parse_mode: 'HTML' });
+          return;
+        }
+    
+        const teamName = this._escapeHtml(result.team.name);
+        await this.sendMessage(chatId,
+          `✅ <code>${userId}</code> ${command === 'lead' ? 'теперь тимлид команды' : 'добавлен в команду'} <b>${teamName}</b>`,
+          { parse_mode: 'HTML' });
+    
+        if (String(userId) !== String(actorId)) {
+          try {
+            await this.sendMessage(userId,
+              `👥 ${command === 'lead' ? 'Вы назначены тимлидом команды' : 'Вы добавлены в команду'} <b>${teamName}</b>.\n\n` +
+              `Уведомления, /stats и дайджест - по депозитам баеров команды`,
+              { parse_mode: 'HTML' });
+          } catch (error) {
+            logger.warn('Failed to notify user about team membership', { userId, error: error.message });
+          }
+        }
+    
+      } else if (command === 'remove' && teamRef) {
+        const result = await TeamService.removeMember(teamRef, actorId);
+        await this.sendMessage(chatId, result.success
+          ? `✅ <code>${result.user.id}</code> больше не в команде${result.team ? ` <b>${this._escapeHtml(result.team.name)}</b>` : ''}`
+          : `❌ ${result.message}`, { parse_mode: 'HTML' });
+    
+      } else if (command === 'buyer' && teamRef && value) {
+        const result = await TeamService.addBuyer(teamRef, value, actorId);
+        await this.sendMessage(chatId, result.success
+          ? `👥 ${result.message}\n\nБаер: <code>${this._escapeHtml(result.teamBuyer.buyer_id)}</code>\n` +
+            `Команда: <b>${this._escapeHtml(result.team.name)}</b>`
+          : `❌ ${this._escapeHtml(result.message)}`, { parse_mode: 'HTML' });
+    
+      } else if (command === 'unbuyer' && teamRef) {
+        const teamBuyer = await TeamService.removeBuyer(teamRef, actorId);
+        await this.sendMessage(chatId, teamBuyer
+          ? `✅ Баер <code>${this._escapeHtml(teamBuyer.buyer_id)}</code> убран из команды #${teamBuyer.team_id}`
+          : `❌ ID баера ${this._escapeHtml(teamRef)} не в команде`, { parse_mode: 'HTML' });
+    
+      } else {
+        await this.sendMessage(chatId,
+          `👥 <b>Команды</b>\n\n` +
+          `Депозиты баеров команды приходят ее участникам и тимлиду, /stats и дайджест участников - ` +
+          `по баерам команды. Владельцы, администраторы и наблюдатели видят все команды: /teams\n\n` +
+          `/team new &lt;название&gt; - создать\n` +
+          `/team del &lt;команда&gt; - удалить\n` +
+          `/team lead &lt;команда&gt; &lt;user_id&gt; - назначить тимлида\n` +
+          `/team add &lt;команда&gt; &lt;user_id&gt; - добавить участника\n` +
+          `/team remove &lt;user_id&gt; - убрать из команды\n` +
+          `/team buyer &lt;команда&gt; &lt;subid1&gt; - добавить ID баера\n` +
+          `/team unbuyer &lt;subid1&gt; - убрать ID баера`,
+          { parse_mode: 'HTML' }
+        );
+      }
+    
+    } catch (error) {
+      logger.error('Error handling team command', {
+        actorId,
+        args,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка изменения команды');
+    }
+  }
+  
+  /**
+   * Handle /delivery <subid> command - recipients of the latest deposit notification (owners only)
+   */
+  async handleDeliveryCommand(msg, subid) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    if (!subid || !subid.trim()) {
+      await this.sendMessage(chatId, 'Использование: /delivery <subid>');
+      return;
+    }
+    
+    try {
+      await this.showDelivery(chatId, subid.trim());
+    } catch (error) {
+      logger.error('Error handling delivery command', {
+        userId: user.id,
+        subid,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка получения доставки');
+    }
+  }
+  
+  /**
+   * Show who received the latest deposit notification of a SubID
+   */
+  async showDelivery(chatId, subid, messageId = null) {
+    const [entry] = await DeliveryService.getBySubId(subid, 1);
+    
+    if (!entry) {
+      await this.sendMessage(chatId, `❌ Депозит с SubID ${subid} не найден`);
+      return;
+    }
+    
+    const { deposit, deliveries } = entry;
+    const failed = deliveries.filter(delivery => delivery.status === 'failed');
+    const sentCount = deliveries.filter(delivery => delivery.status === 'sent').length;
+    
+    let message = `📬 <b>Доставка уведомления</b>\n\n` +
+                 `🔍 SubID: <code>${this._escapeHtml(deposit.subid)}</code>\n` +
+                 `💰 ${this._formatPayout(deposit.payout, deposit.currency, deposit.base_payout)}` +
+                 ` · ${new Date(deposit.created_at).toLocaleString('ru-RU', { timeZone: 'Europe/Moscow' })}\n`;
+    
+    if (deposit.reversed_at) {
+      message += `⛔️ Отменен: ${this._escapeHtml(deposit.reversal_reason || deposit.reversal_status || 'N/A')}\n`;
+    }
+    
+    if (deliveries.length === 0) {
+      message += `\nПолучателей нет (статус уведомления: ${deposit.notification_status || 'N/A'})`;
+    } else {
+      message += `📊 Доставлено: ${sentCount} из ${deliveries.length}\n\n`;
+      
+      const lines = deliveries.map(delivery => {
+        let recipient;
+        if (delivery.recipient_type === 'destination') {
+          recipient = `📢 чат #${delivery.destination_id} (<code>${delivery.chat_id}</code>` +
+                     `${delivery.message_thread_id ? `, тема ${delivery.message_thread_id}` : ''})`;
+        } else {
+          const name = delivery.user ? delivery.user.username || delivery.user.first_name : null;
+          recipient = `${name ? this._escapeHtml(name) + ' ' : ''}(<code>${delivery.chat_id}</code>)${delivery.personal ? ' 🎉' : ''}`;
+        }
+        
+        if (delivery.status === 'sent') {
+          return `✅ ${recipient}${delivery.attempts > 1 ? `, попыток: ${delivery.attempts}` : ''}`;
+        }
+        if (delivery.status === 'skipped') {
+          return `⏭️ ${recipient} - пропущен при переотправке (больше не получает этот депозит)`;
+        }
+        const errorText = `${delivery.error_code ? delivery.error_code + ': ' : ''}${delivery.error_message || 'N/A'}`;
+        return `❌ ${recipient} - ${this._escapeHtml(errorText.slice(0, 150))}, попыток: ${delivery.attempts}`;
+      });
+      
+      // Keep within the Telegram message limit
+      let shown = 0;
+      for (const line of lines) {
+        if (message.length + line.length > 3800) {
+          break;
+        }
+        message += `${line}\n`;
+        shown++;
+      }
+      if (shown < lines.length) {
+        message += `... и еще ${lines.length - shown}\n`;
+      }
+    }
+    
+    const options = { parse_mode: 'HTML' };
+    if (failed.length > 0 && !deposit.reversed_at) {
+      options.reply_markup = {
+        inline_keyboard: [[
+          { text: `🔁 Переотправить неудачные (${failed.length})`, callback_data: `resend_${deposit.id}` }
+        ]]
+      };
+    }
+    
+    if (messageId) {
+      await this.bot.editMessageText(message, { chat_id: chatId, message_id: messageId, ...options });
+    } else {
+      await this.sendMessage(chatId, message, options);
+    }
+  }
+  
+  /**
+   * Handle /stats command - deposit report for a period, optionally grouped
+   * /stats [today|yesterday|7d|30d|YYYY-MM-DD..YYYY-MM-DD] [by buyer|geo|source|offer|campaign|team]
+   * Owners, admins and viewers see all deposits, team members their team's buyer IDs,
+   * other roles only their bound buyer IDs (see AccessPolicy)
+   */
+  async handleStatsCommand(msg, args) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    try {
+      const parsed = DepositStatsService.parseArgs(args);
+      if (!parsed.success) {
+        await this.sendMessage(chatId, `❌ ${parsed.message}`);
+        return;
+      }
+      
+      const buyerIds = await AccessPolicy.statsBuyerIds(user.id, await AccessPolicy.roleOfId(user.id));
+      if (buyerIds && buyerIds.length === 0) {
+        await this.sendMessage(chatId, 'ℹ️ К вам или вашей команде не привязан ни один ID баера. Обратитесь к владельцу бота.');
+        return;
+      }
+      
+      const report = await DepositStatsService.getReport(parsed.period, parsed.groupBy, buyerIds);
+      await this.sendMessage(chatId, this._formatStatsReport(report, parsed, buyerIds), { parse_mode: 'HTML' });
+      
+    } catch (error) {
+      logger.error('Error handling stats command', {
+        userId: user.id,
+        args,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка получения статистики');
+    }
+  }
+  
+  /**
+   * Format a /stats report: totals and a monospace table per group
+   */
+  _formatStatsReport({ totals, rows }, { period, groupBy }, buyerIds = null) {
+    let message = `📊 <b>Депозиты: ${this._escapeHtml(period.label)}</b>\n`;
+    if (buyerIds) {
+      // A team may have many buyers - the header must not push the report over Telegram's message limit
+      const shown = buyerIds.slice(0, DEPOSIT_STATS.HEADER_BUYERS)
+        .map(id => `<code>${this._escapeHtml(id)}</code>`).join(', ');
+      const more = buyerIds.length - DEPOSIT_STATS.HEADER_BUYERS;
+      message += `Баеры (${buyerIds.length}): ${shown}${more > 0 ? ` и еще ${more}` : ''}\n`;
+    }
+    message += `\n├ Депозитов: ${totals.count} (FTD ${totals.ftd}, редепы ${totals.redeposit})\n` +
+              `├ Отменено: ${totals.reversed}\n` +
+              `└ Доход: ${ExchangeRateService.formatAmount(totals.payout)}`;
+    
+    if (!groupBy || rows.length === 0) {
+      return message;
+    }
+    
+    return `${message}\n\n${this.formatStatsTable(rows, groupBy)}`;
+  }
+  
+  /**
+   * Monospace table of grouped deposit stats (rows of DepositService.getGroupedStats)
+   * Long tables are cut, the remaining groups are summed into one row
+   * @param {string} groupBy - Key of DEPOSIT_STATS.GROUP_BY
+   */
+  formatStatsTable(rows, groupBy, maxRows = DEPOSIT_STATS.MAX_ROWS) {
+    const groupTitles = {
+      buyer: 'Баер',
+      geo: 'ГЕО',
+      source: 'Источник',
+      offer: 'Оффер',
+      campaign: 'Кампания',
+      team: 'Команда'
+    };
+    
+    let tableRows = rows;
+    if (rows.length > maxRows) {
+      const rest = rows.slice(maxRows - 1);
+      tableRows = [...rows.slice(0, maxRows - 1), {
+        key: `другие (${rest.length})`,
+        count: rest.reduce((sum, row) => sum + row.count, 0),
+        ftd: rest.reduce((sum, row) => sum + row.ftd, 0),
+        redeposit: rest.reduce((sum, row) => sum + row.redeposit, 0),
+        payout: rest.reduce((sum, row) => sum + row.payout, 0)
+      }];
+    }
+    
+    const width = DEPOSIT_STATS.KEY_WIDTH;
+    const cell = value => {
+      const text = String(value === null || value === undefined || value === '' ? 'N/A' : value);
+      return (text.length > width ? `${text.slice(0, width - 1)}…` : text).padEnd(width);
+    };
+    const line = (key, count, ftd, redeposit, payout) =>
+      `${cell(key)} ${String(count).padStart(4)} ${String(ftd).padStart(4)} ${String(redeposit).padStart(4)} ${String(payout).padStart(10)}`;
+    
+    const table = [
+      line(groupTitles[groupBy], 'Деп', 'FTD', 'Ред', config.currency.base),
+      ...tableRows.map(row => line(row.key, row.count, row.ftd, row.redeposit, row.payout.toFixed(2)))
+    ].join('\n');
+    
+    return `<pre>${this._escapeHtml(table)}</pre>`;
+  }
+  
+  /**
+   * Handle /digest command - daily/weekly digest schedules (approved users)
+   * /digest daily [HH:MM] [timezone], /digest weekly [day] [HH:MM] [timezone],
+   * /digest off [daily|weekly], /digest tz <timezone>, /digest now [daily|weekly]
+   */
+  async handleDigestCommand(msg, args) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    try {
+      // Lazy require - the digest scheduler sends through this service
+      const digestScheduler = require('./digestScheduler.service');
+      const [action, ...tokens] = String(args || '').trim().split(/\s+/).filter(Boolean);
+      const command = (action || '').toLowerCase();
+      const option = (tokens[0] || '').toLowerCase();
+      
+      if (DIGEST.FREQUENCIES.includes(command)) {
+        const parsed = DigestService.parseScheduleArgs(command, tokens);
+        if (!parsed.success) {
+          await this.sendMessage(chatId, `❌ ${parsed.message}`);
+          return;
+        }
+        
+        const result = await DigestService.setSchedule(user.id, command, parsed);
+        // A new timezone moves all of the user's digests
+        const changed = parsed.timezone ? await DigestService.listSchedules(user.id) : [result.schedule];
+        changed.forEach(schedule => digestScheduler.schedule(schedule));
+        await this.sendMessage(chatId, `✅ Дайджест включен: ${this._formatDigestSchedule(result.schedule)}`);
+        
+      } else if (command === 'off') {
+        const frequency = DIGEST.FREQUENCIES.includes(option) ? option : null;
+        const disabled = await DigestService.disable(user.id, frequency);
+        disabled.forEach(schedule => digestScheduler.unschedule(schedule.id));
+        await this.sendMessage(chatId, disabled.length > 0 ? '🔕 Дайджест выключен' : 'ℹ️ Дайджест не был включен');
+        
+      } else if (command === 'tz') {
+        if (!TimezoneHelper.isValid(tokens[0])) {
+          await this.sendMessage(chatId, '❌ Укажите часовой пояс, например: /digest tz Europe/Berlin');
+          return;
+        }
+        
+        const schedules = await DigestService.setTimezone(user.id, tokens[0]);
+        schedules.forEach(schedule => digestScheduler.schedule(schedule));
+        await this.sendMessage(chatId, `✅ Часовой пояс дайджестов и тихих часов: ${tokens[0]}`);
+        
+      } else if (command === 'now') {
+        const frequency = DIGEST.FREQUENCIES.includes(option) ? option : 'daily';
+        const schedules = await DigestService.listSchedules(user.id);
+        const schedule = schedules.find(item => item.frequency === frequency) ||
+          await DigestService.buildPreviewSchedule(user.id, frequency);
+        const digest = await DigestService.buildDigest(schedule);
+        await this.sendMessage(chatId, this.formatDigest(digest), { parse_mode: 'HTML' });
+        
+      } else {
+        const schedules = await DigestService.listSchedules(user.id, true);
+        const current = schedules.length > 0
+          ? schedules.map(schedule => `• ${this._formatDigestSchedule(schedule)}`).join('\n')
+          : 'Дайджест выключен';
+        
+        await this.sendMessage(chatId,
+          `🗞️ <b>Дайджест депозитов</b>\n\n${current}\n\n` +
+          `Ежедневный - итоги вчерашнего дня, еженедельный - последних 7 дней, ` +
+          `со сравнением с предыдущим периодом и с учетом ваших фильтров /settings.\n\n` +
+          `/digest daily 09:00 - каждый день\n` +
+          `/digest weekly mon 10:00 - по понедельникам\n` +
+          `/digest tz Europe/Moscow - часовой пояс\n` +
+          `/digest now [daily|weekly] - прислать сейчас\n` +
+          `/digest off [daily|weekly] - выключить`,
+          { parse_mode: 'HTML' }
+        );
+      }
+      
+    } catch (error) {
+      logger.error('Error handling digest command', {
+        userId: user.id,
+        args,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка настройки дайджеста');
+    }
+  }
+  
+  _formatDigestSchedule(schedule) {
+    const days = ['воскресеньям', 'понедельникам', 'вторникам', 'средам', 'четвергам', 'пятницам', 'субботам'];
+    const when = schedule.frequency === 'weekly'
+      ? `еженедельно по ${days[schedule.day_of_week]}`
+      : 'ежедневно';
+    return `${when} в ${schedule.send_time} (${schedule.timezone})`;
+  }
+  
+  /**
+   * Digest message: totals compared with the previous period, team, buyer and GEO tables, best offer
+   */
+  formatDigest(digest) {
+    const weekly = digest.frequency === 'weekly';
+    const { totals, previous } = digest;
+    
+    let message = weekly
+      ? `📅 <b>Дайджест за неделю: ${digest.period.label}</b>\n`
+      : `☀️ <b>Дайджест за ${digest.period.label}</b>\n`;
+    if (digest.filtered) {
+      message += `<i>С учетом ваших фильтров (/settings)</i>\n`;
+    }
+    
+    if (totals.count === 0) {
+      message += `\nДепозитов не было` +
+                `${previous.count > 0 ? ` (${weekly ? 'на прошлой неделе' : 'днем ранее'}: ${previous.count})` : ''}`;
+      return message;
+    }
+    
+    message += `\n├ Депозитов: ${totals.count} (FTD ${totals.ftd}, редепы ${totals.redeposit})` +
+              `${this._formatChange(totals.count, previous.count)}\n` +
+              `├ Отменено: ${totals.reversed}\n` +
+              `└ Доход: ${ExchangeRateService.formatAmount(totals.payout)}` +
+              `${this._formatChange(totals.payout, previous.payout)}\n` +
+              `<i>Сравнение с ${weekly ? 'предыдущей неделей' : 'предыдущим днем'}: ` +
+              `${previous.count} деп., ${ExchangeRateService.formatAmount(previous.payout)}</i>\n\n` +
+              `${digest.byTeam ? `👥 <b>Команды</b>\n${this.formatStatsTable(digest.byTeam, 'team', DIGEST.TOP_ROWS)}\n` : ''}` +
+              `👤 <b>Баеры</b>\n${this.formatStatsTable(digest.byBuyer, 'buyer', DIGEST.TOP_ROWS)}\n` +
+              `🌍 <b>ГЕО</b>\n${this.formatStatsTable(digest.byGeo, 'geo', DIGEST.TOP_ROWS)}`;
+    
+    if (digest.bestOffer) {
+      message += `\n🏆 Лучший оффер: <b>${this._escapeHtml(digest.bestOffer.key)}</b> - ` +
+                `${ExchangeRateService.formatAmount(digest.bestOffer.payout)} (${digest.bestOffer.count} деп.)`;
+    }
+    
+    return message;
+  }
+  
+  /**
+   * " ▲ +15%" / " ▼ -10%" against the previous period, empty without a base to compare with
+   */
+  _formatChange(current, previous) {
+    if (!previous) {
+      return '';
+    }
+    
+    const percent = Math.round((current - previous) / previous * 100);
+    if (percent > 0) {
+      return ` ▲ +${percent}%`;
+    }
+    return percent < 0 ? ` ▼ ${percent}%` : ' = 0%';
+  }
+  
+  /**
+   * Handle /quiet command - quiet hours: [HH:MM-HH:MM] [silent|hold] [timezone], off
+   */
+  async handleQuietCommand(msg, args) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    try {
+      const tokens = String(args || '').trim().split(/\s+/).filter(Boolean);
+      
+      if (tokens.length === 1 && tokens[0].toLowerCase() === 'off') {
+        await QuietHoursService.disableQuietHours(user.id);
+        await this.sendMessage(chatId, '🔔 Тихие часы выключены');
+        return;
+      }
+      
+      if (tokens.length > 0) {
+        const parsed = QuietHoursService.parseArgs(tokens);
+        if (!parsed.success) {
+          await this.sendMessage(chatId, `❌ ${parsed.message}`);
+          return;
+        }
+        
+        const dbUser = await QuietHoursService.setQuietHours(user.id, parsed);
+        if (parsed.timezone) {
+          // The timezone is shared with digests - move their jobs too
+          const digestScheduler = require('./digestScheduler.service');
+          const schedules = await DigestService.setTimezone(user.id, parsed.timezone);
+          schedules.forEach(schedule => digestScheduler.schedule(schedule));
+        }
+        if (!dbUser.quiet_hours_start) {
+          await this.sendMessage(chatId, 'ℹ️ Настройки сохранены. Укажите интервал, например: /quiet 23:00-08:00');
+          return;
+        }
+        
+        await this.sendMessage(chatId, `✅ Тихие часы: ${this._formatQuietHours(dbUser)}`);
+        return;
+      }
+      
+      const dbUser = await UserManagerService.getUserById(user.id);
+      const mute = this._formatMute(dbUser);
+      const modes = QUIET_HOURS.MODES.join('|');
+      
+      await this.sendMessage(chatId,
+        `🌙 <b>Тихие часы</b>\n\n` +
+        `${dbUser.quiet_hours_start ? this._formatQuietHours(dbUser) : 'Выключены'}\n` +
+        `${mute ? `${mute}\n` : ''}\n` +
+        `В тихие часы уведомления приходят без звука (silent) или копятся и приходят ` +
+        `одной сводкой после их окончания (hold).\n\n` +
+        `/quiet 23:00-08:00 [${modes}] [Europe/Moscow] - включить\n` +
+        `/quiet hold - сменить режим\n` +
+        `/quiet Asia/Almaty - сменить часовой пояс\n` +
+        `/quiet off - выключить\n` +
+        `/mute 2h - пауза уведомлений (30m, 2h, 1d), /unmute - снять`,
+        { parse_mode: 'HTML' }
+      );
+      
+    } catch (error) {
+      logger.error('Error handling quiet command', {
+        userId: user.id,
+        args,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка настройки тихих часов');
+    }
+  }
+  
+  /**
+   * Handle /mute command - no deposit notifications for a while
+   */
+  async handleMuteCommand(msg, args) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    try {
+      const minutes = QuietHoursService.parseDuration(args);
+      if (!minutes) {
+        await this.sendMessage(chatId,
+          `❌ Укажите длительность паузы, например: /mute 2h (30m, 2h, 1d, не больше ` +
+          `${QUIET_HOURS.MAX_MUTE_MINUTES / (24 * 60)} дн.)`
+        );
+        return;
+      }
+      
+      const mutedUntil = await QuietHoursService.mute(user.id, minutes);
+      const dbUser = await UserManagerService.getUserById(user.id);
+      await this.sendMessage(chatId,
+        `🔕 Уведомления о депозитах на паузе до ${this._formatQuietTime(mutedUntil, dbUser)}\n` +
+        `Снять паузу: /unmute`
+      );
+      
+    } catch (error) {
+      logger.error('Error handling mute command', {
+        userId: user.id,
+        args,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка при постановке на паузу');
+    }
+  }
+  
+  /**
+   * Handle /unmute command
+   */
+  async handleUnmuteCommand(msg) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    try {
+      const unmuted = await QuietHoursService.unmute(user.id);
+      await this.sendMessage(chatId, unmuted ? '🔔 Уведомления снова включены' : 'ℹ️ Уведомления не были на паузе');
+      
+    } catch (error) {
+      logger.error('Error handling unmute command', {
+        userId: user.id,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка при снятии паузы');
+    }
+  }
+  
+  _formatQuietHours(user) {
+    const mode = user.quiet_mode === 'hold' ? 'сводка после окончания' : 'без звука';
+    return `${user.quiet_hours_start}-${user.quiet_hours_end} (${QuietHoursService.timezoneOf(user)}, ${mode})`;
+  }
+  
+  /**
+   * Mute line for /quiet and /settings, empty when not muted
+   */
+  _formatMute(user) {
+    if (!user.muted_until || new Date(user.muted_until) <= new Date()) {
+      return '';
+    }
+    return `🔕 Пауза до ${this._formatQuietTime(user.muted_until, user)} (/unmute)`;
+  }
+  
+  _formatQuietTime(date, user) {
+    return new Date(date).toLocaleString('ru-RU', {
+      timeZone: QuietHoursService.timezoneOf(user),
+      day: '2-digit',
+      month: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+  
+  /**
+   * Summary of deposits held during quiet hours (oldest first)
+   */
+  formatHeldSummary(user, deposits) {
+    const totals = DepositStatsService.aggregate(deposits)[0];
+    
+    let message = `🌅 <b>Депозиты за тихие часы</b>\n\n` +
+                 `├ Депозитов: ${totals.count} (FTD ${totals.ftd}, редепы ${totals.redeposit})\n` +
+                 `├ Отменено: ${totals.reversed}\n` +
+                 `└ Доход: ${ExchangeRateService.formatAmount(totals.payout)}\n\n`;
+    
+    const lines = deposits.slice(0, QUIET_HOURS.SUMMARY_ROWS).map(deposit => {
+      const time = new Date(deposit.created_at).toLocaleTimeString('ru-RU', {
+        timeZone: QuietHoursService.timezoneOf(user),
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+      const line = `${time} ${this._escapeHtml(deposit.geo || 'N/A')} · ` +
+                   `${this._escapeHtml(deposit.buyer_id || deposit.subid)} · ` +
+                   `${this._formatPayout(deposit.payout, deposit.currency, deposit.base_payout)}`;
+      return deposit.reversed_at ? `• <s>${line}</s>` : `• ${line}`;
+    });
+    if (deposits.length > QUIET_HOURS.SUMMARY_ROWS) {
+      lines.push(`… и еще ${deposits.length - QUIET_HOURS.SUMMARY_ROWS}`);
+    }
+    
+    return message + lines.join('\n');
+  }
+  
+  /**
+   * Handle /mystats command - deposits of the user's own buyer IDs
+   */
+  async handleMyStatsCommand(msg) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    try {
+      const now = new Date();
+      const startOfDay = new Date(now);
+      startOfDay.setHours(0, 0, 0, 0);
+      const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+      
+      const [today, month, total] = await Promise.all([
+        BuyerBindingService.getStatsByUser(startOfDay, now, user.id),
+        BuyerBindingService.getStatsByUser(monthAgo, now, user.id),
+        BuyerBindingService.getStatsByUser(null, null, user.id)
+      ]);
+      
+      if (total.length === 0) {
+        await this.sendMessage(chatId, 'ℹ️ К вам не привязан ни один ID баера. Обратитесь к владельцу бота.');
+        return;
+      }
+      
+      const line = stats => `${stats.deposits} (FTD ${stats.ftd}, редепы ${stats.redeposit}), ${ExchangeRateService.formatAmount(stats.payout)}`;
+      const message = `📊 <b>Ваши депозиты</b>\n\n` +
+                     `Баеры: ${total[0].buyerIds.map(id => `<code>${this._escapeHtml(id)}</code>`).join(', ')}\n\n` +
+                     `├ Сегодня: ${line(today[0])}\n` +
+                     `├ 30 дней: ${line(month[0])}\n` +
+                     `└ Всего: ${line(total[0])}`;
+      
+      await this.sendMessage(chatId, message, { parse_mode: 'HTML' });
+      
+    } catch (error) {
+      logger.error('Error handling mystats command', {
+        userId: user.id,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка получения статистики');
+    }
+  }
+  
+  /**
+   * Handle /adddest command (owners only)
+   * In a group: registers the current chat (and forum topic). In private: /adddest <chat_id|@channel> [topic_id]
+   */
+  async handleAddDestinationCommand(msg, args) {
+    const chatId = msg.chat.id;
+    const ownerId = msg.from.id;
+    const isPrivate = msg.chat.type === 'private';
+    const replyOptions = { parse_mode: 'HTML' };
+    if (msg.is_topic_message) {
+      replyOptions.message_thread_id = msg.message_thread_id;
+    }
+    
+    let chatRef = chatId;
+    let threadId = msg.is_topic_message ? msg.message_thread_id : null;
+    
+    if (isPrivate) {
+      const [ref, thread] = (args || '').trim().split(/\s+/);
+      threadId = thread ? parseInt(thread, 10) : null;
+      
+      if (!ref || (thread && isNaN(threadId))) {
+        await this.sendMessage(chatId,
+          'Использование: /adddest &lt;chat_id|@канал&gt; [id_темы]\n\n' +
+          'Или отправьте /adddest в нужной группе или теме.',
+          { parse_mode: 'HTML' });
+        return;
+      }
+      chatRef = ref;
+    }
+    
+    try {
+      const result = await NotificationDestinationService.register(chatRef, threadId, ownerId);
+      
+      if (!result.success) {
+        await this.sendMessage(chatId, `❌ ${this._escapeHtml(result.message)}`, replyOptions);
+        return;
+      }
+      
+      const destination = result.destination;
+      const message = `✅ ${result.created ? 'Чат добавлен' : 'Чат обновлен'} для уведомлений о депозитах\n\n` +
+                     `${this._formatDestination(destination)}\n\n` +
+                     `Фильтры: /destfilter ${destination.id} &lt;фильтр&gt; &lt;значения&gt;`;
+      
+      await this.sendMessage(chatId, message, replyOptions);
+      
+    } catch (error) {
+      logger.error('Error handling adddest command', {
+        ownerId,
+        chatId,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка регистрации чата', replyOptions);
+    }
+  }
+  
+  /**
+   * Handle /destinations command - registered chats and their delivery status (owners only)
+   */
+  async handleDestinationsCommand(msg) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    try {
+      const destinations = await NotificationDestinationService.listDestinations();
+      
+      let message = `📢 <b>Чаты для уведомлений</b>\n\n`;
+      
+      if (destinations.length === 0) {
+        message += `Чатов нет. Отправьте /adddest в группе или теме, чтобы добавить ее.\n`;
+      } else {
+        destinations.forEach(destination => {
+          message += `${this._formatDestination(destination)}\n\n`;
+        });
+      }
+      
+      message += `/adddest - добавить, /deldest &lt;id&gt; - удалить\n` +
+                `/destfilter &lt;id&gt; &lt;фильтр&gt; &lt;значения&gt; - фильтры (buyer_ids, geos, traffic_source_ids, offers, min_payout; "-" очищает)\n` +
+                `/checkdest &lt;id&gt; - проверить права бота`;
+      
+      await this.sendMessage(chatId, message, { parse_mode: 'HTML' });
+      
+    } catch (error) {
+      logger.error('Error handling destinations command', {
+        userId: user.id,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка получения списка чатов');
+    }
+  }
+  
+  /**
+   * Handle /deldest <id> command (owners only)
+   */
+  async handleDeleteDestinationCommand(msg, args) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    const id = parseInt(args, 10);
+    if (isNaN(id)) {
+      await this.sendMessage(chatId, 'Использование: /deldest <id>');
+      return;
+    }
+    
+    try {
+      const destination = await NotificationDestinationService.remove(id);
+      
+      if (!destination) {
+        await this.sendMessage(chatId, `❌ Чат #${id} не найден`);
+        return;
+      }
+      
+      await this.sendMessage(chatId, `✅ Чат #${id} (${this._escapeHtml(destination.title || destination.chat_id)}) удален`, { parse_mode: 'HTML' });
+      
+    } catch (error) {
+      logger.error('Error handling deldest command', {
+        userId: user.id,
+        args,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка удаления чата');
+    }
+  }
+  
+  /**
+   * Handle /destfilter <id> <field> <values> command (owners only)
+   */
+  async handleDestinationFilterCommand(msg, args) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    const match = (args || '').trim().match(/^(\d+)\s+(\w+)\s+(.+)$/);
+    if (!match) {
+      await this.sendMessage(chatId,
+        'Использование: /destfilter &lt;id&gt; &lt;фильтр&gt; &lt;значения&gt;\n\n' +
+        'Фильтры: buyer_ids, geos, traffic_source_ids, offers, min_payout\n' +
+        'Пример: <code>/destfilter 3 geos TR, AZ</code>, "-" очищает фильтр',
+        { parse_mode: 'HTML' });
+      return;
+    }
+    
+    try {
+      const [, id, field, input] = match;
+      const result = await NotificationDestinationService.setFilterFromInput(parseInt(id, 10), field, input);
+      
+      if (!result.success) {
+        const reason = result.notFound ? `Чат #${id} не найден` : result.message;
+        await this.sendMessage(chatId, `❌ ${this._escapeHtml(reason)}`, { parse_mode: 'HTML' });
+        return;
+      }
+      
+      await this.sendMessage(chatId, `✅ Фильтр обновлен\n\n${this._formatDestination(result.destination)}`, { parse_mode: 'HTML' });
+      
+    } catch (error) {
+      logger.error('Error handling destfilter command', {
+        userId: user.id,
+        args,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка обновления фильтра');
+    }
+  }
+  
+  /**
+   * Handle /checkdest <id> command - re-check bot permissions (owners only)
+   */
+  async handleCheckDestinationCommand(msg, args) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    const id = parseInt(args, 10);
+    if (isNaN(id)) {
+      await this.sendMessage(chatId, 'Использование: /checkdest <id>');
+      return;
+    }
+    
+    try {
+      const result = await NotificationDestinationService.recheck(id);
+      
+      if (!result) {
+        await this.sendMessage(chatId, `❌ Чат #${id} не найден`);
+        return;
+      }
+      
+      const status = result.access.ok
+        ? '✅ Бот может публиковать сообщения'
+        : `❌ ${this._escapeHtml(result.access.message)}`;
+      await this.sendMessage(chatId, `${status}\n\n${this._formatDestination(result.destination)}`, { parse_mode: 'HTML' });
+      
+    } catch (error) {
+      logger.error('Error handling checkdest command', {
+        userId: user.id,
+        args,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка проверки чата');
+    }
+  }
+  
+  /**
+   * Check that the bot can post to a group, channel or forum topic
+   * @param {string|number} chatRef - Chat ID or @channel username
+   * @param {number|null} threadId - Forum topic ID
+   * @returns {Object} { ok, chat: { id, type, title }, isAdmin } or { ok: false, message }
+   */
+  async checkDestinationAccess(chatRef, threadId = null) {
+    let chat;
+    try {
+      chat = await this.bot.getChat(chatRef);
+    } catch (error) {
+      return { ok: false, message: `Чат не найден или бот в него не добавлен (${error.message})` };
+    }
+    
+    if (chat.type === 'private') {
+      return { ok: false, message: 'Личные чаты получают уведомления после одобрения пользователя' };
+    }
+    if (threadId && !chat.is_forum) {
+      return { ok: false, message: 'В чате не включены темы' };
+    }
+    
+    let member;
+    try {
+      const botInfo = await this.bot.getMe();
+      member = await this.bot.getChatMember(chat.id, botInfo.id);
+    } catch (error) {
+      return { ok: false, message: `Не удалось проверить права бота (${error.message})` };
+    }
+    
+    const isAdmin = ['administrator', 'creator'].includes(member.status);
+    
+    if (chat.type === 'channel') {
+      if (!isAdmin || !member.can_post_messages) {
+        return { ok: false, message: 'Бот должен быть администратором канала с правом публикации сообщений' };
+      }
+    } else if (['left', 'kicked'].includes(member.status)) {
+      return { ok: false, message: 'Бот не состоит в чате' };
+    } else if (member.status === 'restricted' && !member.can_send_messages) {
+      return { ok: false, message: 'Боту запрещено отправлять сообщения в чате' };
+    } else if (!isAdmin && chat.permissions && chat.permissions.can_send_messages === false) {
+      return { ok: false, message: 'Участникам чата запрещено писать - назначьте бота администратором' };
+    }
+    
+    return {
+      ok: true,
+      chat: {
+        id: chat.id,
+        type: chat.type,
+        title: chat.title || (chat.username ? `@${chat.username}` : String(chat.id))
+      },
+      isAdmin
+    };
+  }
+  
+  /**
+   * Handle /apikeys command - active admin API keys (owners only)
+   */
+  async handleApiKeysCommand(msg) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    try {
+      const apiKeys = await ApiKeyService.list();
+      
+      let message = `🔑 <b>API ключи /admin</b>\n\n`;
+      
+      if (apiKeys.length === 0) {
+        message += `Ключей нет - все запросы к /admin отклоняются.\n\n`;
+      } else {
+        apiKeys.forEach(apiKey => {
+          message += `${this._formatApiKey(apiKey)}\n\n`;
+        });
+      }
+      
+      message += `/newkey &lt;имя&gt; &lt;права через запятую|all&gt; - выпустить ключ\n` +
+                `/revokekey &lt;id&gt; - отозвать\n` +
+                `Права: ${Object.values(ADMIN_API.SCOPES).join(', ')}`;
+      
+      await this.sendMessage(chatId, message, { parse_mode: 'HTML' });
+      
+    } catch (error) {
+      logger.error('Error handling apikeys command', {
+        userId: user.id,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка получения списка ключей');
+    }
+  }
+  
+  /**
+   * Handle /newkey <name> <scopes> command (owners only)
+   * The key is shown once - only its hash is stored
+   */
+  async handleNewKeyCommand(msg, args) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    const [name, ...scopeTokens] = String(args || '').trim().split(/\s+/).filter(Boolean);
+    const parsed = ApiKeyService.parseScopes(scopeTokens.join(','));
+    if (!name || !parsed.success) {
+      await this.sendMessage(chatId,
+        `Использование: /newkey <имя> <права через запятую|all>\n` +
+        `Права: ${Object.values(ADMIN_API.SCOPES).join(', ')}` +
+        `${name && scopeTokens.length > 0 ? `\n\n❌ ${parsed.message}` : ''}`
+      );
+      return;
+    }
+    
+    try {
+      const result = await ApiKeyService.issue(name, parsed.scopes, user.id);
+      if (!result.success) {
+        await this.sendMessage(chatId, `❌ ${result.message}`);
+        return;
+      }
+      
+      await this.sendMessage(chatId,
+        `✅ Ключ #${result.apiKey.id} «${this._escapeHtml(result.apiKey.name)}» выпущен\n` +
+        `Права: ${result.apiKey.scopes.join(', ')}\n\n` +
+        `<code>${result.key}</code>\n\n` +
+        `Сохраните ключ - он показывается один раз. Передавайте его в заголовке ` +
+        `<code>Authorization: Bearer &lt;ключ&gt;</code>.`,
+        { parse_mode: 'HTML' }
+      );
+      
+    } catch (error) {
+      logger.error('Error handling newkey command', {
+        userId: user.id,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка выпуска ключа');
+    }
+  }
+  
+  /**
+   * Handle /revokekey <id> command (owners only)
+   */
+  async handleRevokeKeyCommand(msg, args) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    const id = parseInt(args, 10);
+    if (isNaN(id)) {
+      await this.sendMessage(chatId, 'Использование: /revokekey <id>');
+      return;
+    }
+    
+    try {
+      const apiKey = await ApiKeyService.revoke(id, user.id);
+      
+      if (!apiKey) {
+        await this.sendMessage(chatId, `❌ Активный ключ #${id} не найден`);
+        return;
+      }
+      
+      await this.sendMessage(chatId, `✅ Ключ #${id} (${this._escapeHtml(apiKey.name)}) отозван`, { parse_mode: 'HTML' });
+      
+    } catch (error) {
+      logger.error('Error handling revokekey command', {
+        userId: user.id,
+        args,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка отзыва ключа');
+    }
+  }
+  
+  _formatApiKey(apiKey) {
+    const lastUsed = apiKey.last_used_at
+      ? `использован ${new Date(apiKey.last_used_at).toLocaleString('ru-RU', { timeZone: 'Europe/Moscow' })}` +
+        `${apiKey.last_used_ip ? ` с ${this._escapeHtml(apiKey.last_used_ip)}` : ''}`
+      : 'не использовался';
+    
+    return `#${apiKey.id} <b>${this._escapeHtml(apiKey.name)}</b> (<code>${this._escapeHtml(apiKey.key_prefix)}…</code>)\n` +
+           `   ${apiKey.scopes.join(', ')}\n` +
+           `   ${lastUsed}`;
+  }
+  
+  /**
+   * Handle /rotatewebhook command - replace the webhook secret token (owners only)
+   */
+  async handleRotateWebhookCommand(msg) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    try {
+      const result = await WebhookSecretService.rotate(user.id);
+      
+      if (!result.success) {
+        await this.sendMessage(chatId, `❌ Telegram не принял новый токен: ${result.message}\nСтарый токен продолжает действовать.`);
+        return;
+      }
+      
+      await this.sendMessage(chatId, result.registered
+        ? '✅ Секретный токен вебхука заменен и зарегистрирован в Telegram'
+        : '✅ Секретный токен вебхука заменен. Бот работает в режиме polling - токен будет передан Telegram при установке вебхука');
+      
+    } catch (error) {
+      logger.error('Error handling rotatewebhook command', {
+        userId: user.id,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка замены токена вебхука');
+    }
+  }
+  
+  /**
+   * Handle /settings command - notification filters menu (approved users)
+   */
+  async handleSettingsCommand(msg) {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    try {
+      this.settingsInput.delete(user.id);
+      await this.showSettingsMenu(chatId, user.id);
+      
+    } catch (error) {
+      logger.error('Error handling settings command', {
+        userId: user.id,
+        error: error.message
+      });
+      await this.sendMessage(chatId, '❌ Ошибка загрузки настроек');
+    }
+  }
+  
+  /**
+   * Show notification filters menu (new message or edit of the menu message)
+   */
+  async showSettingsMenu(chatId, userId, messageId = null) {
+    const [filter, user] = await Promise.all([
+      NotificationFilterService.getFilter(userId),
+      UserManagerService.getUserById(userId)
+    ]);
+    const list = (values, format = value => value) =>
+      values && values.length > 0 ? this._escapeHtml(values.map(format).join(', ')) : 'все';
+    
+    const message = `⚙️ <b>Настройки уведомлений</b>\n\n` +
+                   `Вы получаете депозиты, подходящие под все фильтры. Пустой фильтр не ограничивает.\n\n` +
+                   `👤 Баеры (subid1): ${list(filter?.buyer_ids)}\n` +
+                   `🌍 ГЕО: ${list(filter?.geos)}\n` +
+                   `🔗 Источники: ${list(filter?.traffic_source_ids, id => TRAFFIC_SOURCES.SOURCES_MAP[id] || id)}\n` +
+                   `🎯 Оффер: ${list(filter?.offers)}\n` +
+                   `💰 Мин. сумма: ${filter?.min_payout ? ExchangeRateService.formatAmount(filter.min_payout) : 'нет'}\n` +
+                   `🔇 Заглушенные баеры: ${filter?.muted_buyer_ids?.length ? list(filter.muted_buyer_ids) : 'нет'}\n\n` +
+                   `🌙 Тихие часы: ${user?.quiet_hours_start ? this._formatQuietHours(user) : 'нет'} (/quiet)` +
+                   `${user && this._formatMute(user) ? `\n${this._formatMute(user)}` : ''}`;
+    
+    const keyboard = {
+      inline_keyboard: [
+        [
+          { text: '👤 Баеры', callback_data: 'settings_edit_buyer_ids' },
+          { text: '🌍 ГЕО', callback_data: 'settings_edit_geos' }
+        ],
+        [
+          { text: '🔗 Источники', callback_data: 'settings_sources' },
+          { text: '🎯 Оффер', callback_data: 'settings_edit_offers' }
+        ],
+        [
+          { text: '💰 Мин. сумма', callback_data: 'settings_edit_min_payout' },
+          { text: '🔇 Заглушенные', callback_data: 'settings_edit_muted_buyer_ids' }
+        ],
+        [
+          { text: '🧹 Сбросить все', callback_data: 'settings_reset' }
+        ]
+      ]
+    };
+    
+    if (messageId) {
+      await this.bot.editMessageText(message, {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'HTML',
+        reply_markup: keyboard
+      });
+    } else {
+      await this.sendMessage(chatId, message, { parse_mode: 'HTML', reply_markup: keyboard });
+    }
+  }
+  
+  /**
+   * Handle /settings inline buttons
+   */
+  async handleSettingsCallback(callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const messageId = callbackQuery.message.message_id;
+    const userId = callbackQuery.from.id;
+    const data = callbackQuery.data;
+    
+    if (!(await AccessPolicy.userCan(userId, ACCESS.PERMISSIONS.USE_BOT))) {
+      await this.bot.answerCallbackQuery(callbackQuery.id, {
+        text: '❌ Недостаточно прав',
+        show_alert: true
+      });
+      return;
+    }
+    
+    const prompts = {
+      buyer_ids: 'Отправьте ID баеров (subid1) через запятую, например: 1234, 5678',
+      geos: 'Отправьте коды стран через запятую, например: TR, DE',
+      offers: 'Отправьте части названий офферов через запятую',
+      min_payout: `Отправьте минимальную сумму в ${config.currency.base}, например: 50`,
+      muted_buyer_ids: 'Отправьте через запятую ID баеров, депозиты которых не нужно присылать'
+    };
+    
+    if (data.startsWith('settings_edit_')) {
+      const field = data.replace('settings_edit_', '');
+      this.settingsInput.set(userId, field);
+      
+      await this.bot.answerCallbackQuery(callbackQuery.id);
+      await this.sendMessage(chatId, `✏️ ${prompts[field]}\n\n«-» - очистить фильтр.`);
+      
+    } else if (data === 'settings_sources' || data.startsWith('settings_src_')) {
+      if (data.startsWith('settings_src_')) {
+        await NotificationFilterService.toggleSource(userId, data.replace('settings_src_', ''));
+      }
+      
+      const filter = await NotificationFilterService.getFilter(userId);
+      const selected = filter ? filter.traffic_source_ids || [] : [];
+      const buttons = TRAFFIC_SOURCES.FB_SOURCES.map(id => ({
+        text: `${selected.includes(id) ? '✅ ' : ''}${TRAFFIC_SOURCES.SOURCES_MAP[id] || id}`,
+        callback_data: `settings_src_${id}`
+      }));
+      
+      const rows = [];
+      for (let i = 0; i < buttons.length; i += 2) {
+        rows.push(buttons.slice(i, i + 2));
+      }
+      rows.push([{ text: '⬅️ Назад', callback_data: 'settings_back' }]);
+      
+      await this.bot.editMessageText('🔗 <b>Источники трафика</b>\n\nОтметьте источники, депозиты которых хотите получать. Ничего не отмечено - все источники.', {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: rows }
+      });
+      await this.bot.answerCallbackQuery(callbackQuery.id);
+      
+    } else if (data === 'settings_reset') {
+      await NotificationFilterService.reset(userId);
+      this.settingsInput.delete(userId);
+      
+      await this.showSettingsMenu(chatId, userId, messageId);
+      await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Фильтры сброшены' });
+      
+    } else if (data === 'settings_back') {
+      await this.showSettingsMenu(chatId, userId, messageId);
+      await this.bot.answerCallbackQuery(callbackQuery.id);
+    }
+  }
+  
+  /**
+   * Handle a value typed after choosing a /settings filter
+   * @returns {boolean} true when the message was consumed as settings input
+   */
+  async handleSettingsInput(msg) {
+    const userId = msg.from.id;
+    const field = this.settingsInput.get(userId);
+    
+    if (msg.chat.type !== 'private' || !field) {
+      return false;
+    }
+    
+    try {
+      const result = await NotificationFilterService.setFromInput(userId, field, msg.text);
+      
+      if (!result.success) {
+        await this.sendMessage(msg.chat.id, `❌ ${result.message}`);
+        return true;
+      }
+      
+      this.settingsInput.delete(userId);
+      await this.sendMessage(msg.chat.id, '✅ Фильтр сохранен');
+      await this.showSettingsMenu(msg.chat.id, userId);
+      
+    } catch (error) {
+      logger.error('Error saving notification filter', {
+        userId,
+        field,
+        error: error.message
+      });
+      await this.sendMessage(msg.chat.id, '❌ Ошибка сохранения фильтра');
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Send deposit notification to all approved users matching their filters
+   */
+  async sendDepositNotification(depositData) {
+    try {
+      logger.info('📱 Starting deposit notification broadcast', {
+        subid1: depositData.subid1,
+        payout: depositData.payout,
+        geo: depositData.geo
+      });
+      
+      const message = this._formatDepositMessage(depositData);
+      const audience = await this.depositRecipients(depositData);
+      const { buyerUserId, filteredCount } = audience;
+      
+      // Quiet hours and /mute: muted users are skipped, held deposits are summarised after quiet hours
+      const quiet = { silent: 0, held: 0, muted: 0 };
+      const recipients = [];
+      for (const { user, mode: quietMode } of audience.users) {
+        const mode = await this.quietDeliveryMode(user, quietMode, depositData);
+        if (mode === 'muted') {
+          quiet.muted++;
+          continue;
+        }
+        if (mode === 'hold') {
+          quiet.held++;
+          continue;
+        }
+        if (mode === 'silent') {
+          quiet.silent++;
+        }
+        recipients.push({ user, silent: mode === 'silent' });
+      }
+      
+      // Group chats, channels and forum topics with matching filters
+      const destinations = await NotificationDestinationService.getMatching(depositData);
+      
+      const personalMessage = `${MESSAGE_TEMPLATES.PERSONAL_DEPOSIT_HEADER}\n\n${message}`;
+      
+      let successCount = 0;
+      let failedCount = 0;
+      const messages = [];
+      // One delivery record per recipient, stored once the notification log exists
+      const deliveries = [];
+      
+      // Send to all subscribed users - the send queue paces the requests
+      const userSends = recipients.map(async ({ user, silent }) => {
+        const personal = String(user.id) === buyerUserId;
+        const recipient = { recipient_type: 'user', chat_id: user.id, user_id: user.id, personal };
+        const tracking = { attempts: 0 };
+        
+        const options = { parse_mode: 'HTML' };
+        if (silent) {
+          options.disable_notification = true;
+        }
+        if (depositData.depositId) {
+          options.reply_markup = this.depositKeyboard(depositData.depositId, user.id, { mute: true });
+        }
+        
+        try {
+          const sent = await this.sendMessage(user.id, personal ? personalMessage : message, options, tracking);
+          messages.push({ chat_id: user.id, message_id: sent.message_id, personal });
+          deliveries.push(DeliveryService.sent(recipient, sent, tracking.attempts));
+          successCount++;
+          
+        } catch (error) {
+          failedCount++;
+          deliveries.push(DeliveryService.failed(recipient, error, tracking.attempts));
+          logger.warn('Failed to send notification to user', {
+            userId: user.id,
+            username: user.username,
+            error: error.message
+          });
+        }
+      });
+      
+      let destinationSuccess = 0;
+      let destinationFailed = 0;
+      
+      const destinationSends = destinations.map(async destination => {
+        const options = { parse_mode: 'HTML' };
+        if (destination.message_thread_id) {
+          options.message_thread_id = destination.message_thread_id;
+        }
+        if (depositData.depositId) {
+          options.reply_markup = this.depositKeyboard(depositData.depositId, destination.chat_id);
+        }
+        const recipient = {
+          recipient_type: 'destination',
+          chat_id: destination.chat_id,
+          destination_id: destination.id,
+          message_thread_id: destination.message_thread_id
+        };
+        const tracking = { attempts: 0 };
+        
+        try {
+          const sent = await this.sendMessage(destination.chat_id, message, options, tracking);
+          messages.push({ chat_id: destination.chat_id, message_id: sent.message_id, destination_id: destination.id });
+          deliveries.push(DeliveryService.sent(recipient, sent, tracking.attempts));
+          destinationSuccess++;
+          await NotificationDestinationService.recordDelivery(destination);
+          
+        } catch (error) {
+          destinationFailed++;
+          deliveries.push(DeliveryService.failed(recipient, error, tracking.attempts));
+          logger.warn('Failed to send notification to destination', {
+            destinationId: destination.id,
+            chatId: destination.chat_id,
+            threadId: destination.message_thread_id,
+            error: error.message
+          });
+          
+          const startedFailing = await NotificationDestinationService.recordDelivery(destination, error);
+          if (startedFailing) {
+            await this.notifyOwnersAboutFailingDestination(destination, error);
+          }
+        }
+      });
+      
+      await Promise.all([...userSends, ...destinationSends]);
+      
+      const total = recipients.length + destinations.length;
+      successCount += destinationSuccess;
+      failedCount += destinationFailed;
+      
+      // Update stats
+      this.lastBroadcastStats = {
+        total,
+        success: successCount,
+        failed: failedCount
+      };
+      
+      // Log notification
+      const notificationLog = await NotificationLog.create({
+        type: 'deposit',
+        recipient_count: total,
+        success_count: successCount,
+        failed_count: failedCount,
+        message_text: message,
+        metadata: depositData
+      });
+      await DeliveryService.recordBroadcast(notificationLog.id, deliveries);
+      
+      logger.info('✅ Deposit notification broadcast completed', {
+        total,
+        success: successCount,
+        failed: failedCount,
+        filtered: filteredCount,
+        quiet,
+        destinations: destinations.length,
+        payout: depositData.payout
+      });
+      
+      return {
+        success: true,
+        notificationLogId: notificationLog.id,
+        messages,
+        stats: {
+          total,
+          success: successCount,
+          failed: failedCount,
+          filtered: filteredCount,
+          quiet,
+          destinations: {
+            total: destinations.length,
+            success: destinationSuccess,
+            failed: destinationFailed
+          }
+        }
+      };
+      
+    } catch (error) {
+      logger.error('❌ Failed to send deposit notification', {
+        error: error.message,
+        depositData
+      });
+      
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Users a deposit notification goes to: approved users whose role and team
+   * (see AccessPolicy.receivesDeposit) and subscription filters match the deposit, with their
+   * current quiet hours mode (QuietHoursService.deliveryMode). Read-only - holding a deposit for
+   * quiet hours is up to the caller (see quietDeliveryMode)
+   * @returns {Object} { users: [{ user, mode }], buyerUserId, filteredCount }
+   */
+  async depositRecipients(depositData) {
+    const approvedUsers = await UserManagerService.getApprovedUsers();
+    
+    // The buyer of this deposit gets a personal message, team members get deposits of their team's buyers
+    const [buyerUserId, depositTeamId, leadIds] = await Promise.all([
+      BuyerBindingService.findUserIdByBuyer(depositData.subid1),
+      TeamService.getTeamIdByBuyer(depositData.subid1),
+      TeamService.getLeadIds()
+    ]);
+    
+    // Apply each user's role and team (see AccessPolicy.receivesDeposit) and subscription filters
+    const filters = await NotificationFilterService.getFiltersForUsers(approvedUsers.map(user => user.id));
+    const users = approvedUsers.filter(user =>
+      AccessPolicy.receivesDeposit(AccessPolicy.roleOf(user), {
+        isOwn: String(user.id) === buyerUserId,
+        teamId: user.team_id,
+        isLead: leadIds.has(String(user.id)),
+        depositTeamId
+      }) &&
+      NotificationFilterService.matches(filters.get(String(user.id)) || null, depositData)
+    );
+    
+    return {
+      users: users.map(user => ({ user, mode: QuietHoursService.deliveryMode(user) })),
+      buyerUserId,
+      filteredCount: approvedUsers.length - users.length
+    };
+  }
+  
+  /**
+   * Quiet hours delivery mode of a recipient (see depositRecipients) - holds the deposit in "hold" mode
+   * A deposit that cannot be held (not stored, hold failed) is sent silently instead
+   */
+  async quietDeliveryMode(user, mode, depositData) {
+    if (mode !== 'hold') {
+      return mode;
+    }
+    if (!depositData.depositId) {
+      return 'silent';
+    }
+    
+    try {
+      await QuietHoursService.hold(user.id, depositData.depositId);
+      return 'hold';
+    } catch (error) {
+      logger.warn('Failed to hold notification for quiet hours', {
+        userId: user.id,
+        depositId: depositData.depositId,
+        error: error.message
+      });
+      return 'silent';
+    }
+  }
+  
+  /**
+   * Edit delivered deposit notifications after a chargeback/refund:
+   * the original message is struck through and the reversal reason appended
+   * @param {Object} deposit - Reversed deposit instance
+   * @param {Object} reversal - title, reason
+   */
+  async markDepositReversed(deposit, { title, reason }) {
+    const refs = deposit.message_refs || [];
+    let successCount = 0;
+    let failedCount = 0;
+    
+    if (refs.length === 0) {
+      return { total: 0, success: 0, failed: 0 };
+    }
+    
+    const original = await this._originalDepositMessage(deposit);
+    
+    const notice = MESSAGE_TEMPLATES.REVERSAL_NOTICE
+      .replace('{reversal_title}', this._escapeHtml(title))
+      .replace('{reason}', this._escapeHtml(reason || 'N/A'));
+    const message = `<s>${original}</s>\n\n${notice}\n` +
+                   `<i>🕒 ${new Date().toLocaleString('ru-RU', { timeZone: 'Europe/Moscow' })}</i>`;
+    const personalMessage = `<s>${MESSAGE_TEMPLATES.PERSONAL_DEPOSIT_HEADER}</s>\n\n${message}`;
+    
+    await Promise.all(refs.map(async ref => {
+      try {
+        await this.editMessageText(ref.personal ? personalMessage : message, {
+          chat_id: ref.chat_id,
+          message_id: ref.message_id,
+          parse_mode: 'HTML'
+        });
+        successCount++;
+        
+      } catch (error) {
+        failedCount++;
+        logger.warn('Failed to edit deposit notification', {
+          depositId: deposit.id,
+          chatId: ref.chat_id,
+          messageId: ref.message_id,
+          error: error.message
+        });
+      }
+    }));
+    
+    logger.info('✏️ Deposit notifications marked reversed', {
+      depositId: deposit.id,
+      total: refs.length,
+      success: successCount,
+      failed: failedCount
+    });
+    
+    return { total: refs.length, success: successCount, failed: failedCount };
+  }
+  
+  /**
+   * Text of the sent deposit notification (rebuilt from the deposit when the log is missing)
+   */
+  async _originalDepositMessage(deposit) {
+    const notificationLog = deposit.notification_log_id
+      ? await NotificationLog.findByPk(deposit.notification_log_id)
+      : null;
+    if (notificationLog) {
+      return notificationLog.message_text;
+    }
+    
+    return this._formatDepositMessage({
+      subid1: deposit.buyer_id,
+      geo: deposit.geo,
+      payout: deposit.payout,
+      traffic_source_name: deposit.traffic_source_name,
+      offer_name: deposit.offer_name,
+      campaign_name: deposit.campaign_name,
+      subid2: deposit.subid2,
+      subid4: deposit.subid4,
+      clickId: deposit.subid,
+      ...DepositService.notificationFields(deposit)
+    });
+  }
+  
+  /**
+   * Inline buttons under a deposit notification, callback data is signed for the chat
+   * @param {Object} options - mute: offer "Mute this buyer" (private chats), expanded: details are shown
+   */
+  depositKeyboard(depositId, chatId, { mute = false, expanded = false } = {}) {
+    const button = (text, action) => ({
+      text,
+      callback_data: DepositActionService.build(action, depositId, chatId)
+    });
+    
+    const rows = [[
+      expanded
+        ? button('🔼 Скрыть детали', DEPOSIT_ACTIONS.HIDE_DETAILS)
+        : button('🔍 Детали', DEPOSIT_ACTIONS.DETAILS),
+      button('📊 Баер сегодня', DEPOSIT_ACTIONS.BUYER_STATS)
+    ]];
+    if (mute) {
+      rows.push([
+        button('🔇 Заглушить баера', DEPOSIT_ACTIONS.MUTE_BUYER),
+        button('🚩 Сообщить о проблеме', DEPOSIT_ACTIONS.REPORT)
+      ]);
+    } else {
+      rows.push([button('🚩 Сообщить о проблеме', DEPOSIT_ACTIONS.REPORT)]);
+    }
+    
+    return { inline_keyboard: rows };
+  }
+  
+  /**
+   * Handle inline buttons of deposit notifications (approved users, resolving a report - owners)
+   */
+  async handleDepositActionCallback(callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const userId = callbackQuery.from.id;
+    const parsed = DepositActionService.parse(callbackQuery.data, chatId);
+    
+    if (!parsed) {
+      logger.security('Deposit button with invalid signature', {
+        userId,
+        chatId,
+        data: callbackQuery.data
+      });
+      await this.bot.answerCallbackQuery(callbackQuery.id, {
+        text: '❌ Недействительная кнопка',
+        show_alert: true
+      });
+      return;
+    }
+    
+    if (!(await AccessPolicy.userCan(userId, this._depositActionPermission(parsed.action)))) {
+      await this.bot.answerCallbackQuery(callbackQuery.id, {
+        text: '❌ Недостаточно прав',
+        show_alert: true
+      });
+      return;
+    }
+    
+    const deposit = await DepositService.findById(parsed.depositId);
+    if (!deposit) {
+      await this.bot.answerCallbackQuery(callbackQuery.id, {
+        text: '❌ Депозит не найден',
+        show_alert: true
+      });
+      return;
+    }
+    
+    switch (parsed.action) {
+      case DEPOSIT_ACTIONS.DETAILS:
+      case DEPOSIT_ACTIONS.HIDE_DETAILS:
+        await this._toggleDepositDetails(callbackQuery, deposit, parsed.action === DEPOSIT_ACTIONS.DETAILS);
+        break;
+      case DEPOSIT_ACTIONS.BUYER_STATS:
+        await this._answerBuyerStats(callbackQuery, deposit);
+        break;
+      case DEPOSIT_ACTIONS.MUTE_BUYER:
+        await this._muteDepositBuyer(callbackQuery, deposit);
+        break;
+      case DEPOSIT_ACTIONS.REPORT:
+        await this._reportDeposit(callbackQuery, deposit);
+        break;
+      case DEPOSIT_ACTIONS.RESOLVE_REPORT:
+        await this._resolveDepositReport(callbackQuery, deposit);
+        break;
+    }
+  }
+  
+  /**
+   * Expand the notification with the raw Keitaro click fields or collapse it back
+   */
+  async _toggleDepositDetails(callbackQuery, deposit, expand) {
+    const chat = callbackQuery.message.chat;
+    const messageId = callbackQuery.message.message_id;
+    
+    if (deposit.reversed_at) {
+      await this.bot.answerCallbackQuery(callbackQuery.id, {
+        text: 'Депозит отменен (чарджбэк/рефанд)',
+        show_alert: true
+      });
+      return;
+    }
+    
+    const ref = (deposit.message_refs || []).find(messageRef =>
+      String(messageRef.chat_id) === String(chat.id) && String(messageRef.message_id) === String(messageId)
+    );
+    let message = await this._originalDepositMessage(deposit);
+    if (ref && ref.personal) {
+      message = `${MESSAGE_TEMPLATES.PERSONAL_DEPOSIT_HEADER}\n\n${message}`;
+    }
+    if (expand) {
+      message += `\n\n${this._formatClickData(deposit.click_data)}`;
+    }
+    
+    await this.editMessageText(message, {
+      chat_id: chat.id,
+      message_id: messageId,
+      parse_mode: 'HTML',
+      reply_markup: this.depositKeyboard(deposit.id, chat.id, { mute: chat.type === 'private', expanded: expand })
+    });
+    await this.bot.answerCallbackQuery(callbackQuery.id);
+  }
+  
+  /**
+   * Show today's totals of the deposit's buyer (in the user's timezone) - only for buyers
+   * whose stats the user may see, as in /stats
+   */
+  async _answerBuyerStats(callbackQuery, deposit) {
+    if (!deposit.buyer_id) {
+      await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'У депозита нет ID баера', show_alert: true });
+      return;
+    }
+    
+    const userId = callbackQuery.from.id;
+    const [user, role] = await Promise.all([
+      UserManagerService.getUserById(userId),
+      AccessPolicy.roleOfId(userId)
+    ]);
+    const buyerIds = await AccessPolicy.statsBuyerIds(userId, role);
+    const buyerId = DepositService.normalizeBuyerId(deposit.buyer_id);
+    if (buyerIds && !buyerIds.map(DepositService.normalizeBuyerId).includes(buyerId)) {
+      await this.bot.answerCallbackQuery(callbackQuery.id, {
+        text: '❌ Статистика этого баера вам недоступна',
+        show_alert: true
+      });
+      return;
+    }
+    
+    const now = new Date();
+    const startOfDay = TimezoneHelper.startOfDay(now, QuietHoursService.timezoneOf(user || {}));
+    const [stats] = await DepositService.getStatsByBuyer(startOfDay, now, [deposit.buyer_id]);
+    const buyerLabel = deposit.buyer_id.length > 40 ? `${deposit.buyer_id.slice(0, 39)}…` : deposit.buyer_id;
+    
+    // Alerts are plain text up to 200 characters
+    const text = stats
+      ? `📊 Баер ${buyerLabel} сегодня\n` +
+        `Депозитов: ${stats.count} (FTD: ${stats.ftd}, редеп: ${stats.redeposit})\n` +
+        `Отменено: ${stats.reversed}\n` +
+        `Сумма: ${ExchangeRateService.formatAmount(stats.payout)}`
+      : `📊 Баер ${buyerLabel}: сегодня депозитов нет`;
+    
+    await this.bot.answerCallbackQuery(callbackQuery.id, { text, show_alert: true });
+  }
+  
+  /**
+   * Add the deposit's buyer to the user's muted buyers
+   */
+  async _muteDepositBuyer(callbackQuery, deposit) {
+    if (callbackQuery.message.chat.type !== 'private') {
+      await this.bot.answerCallbackQuery(callbackQuery.id, {
+        text: 'Заглушить баера можно только в личном чате с ботом',
+        show_alert: true
+      });
+      return;
+    }
+    if (!deposit.buyer_id) {
+      await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'У депозита нет ID баера', show_alert: true });
+      return;
+    }
+    
+    const muted = await NotificationFilterService.muteBuyer(callbackQuery.from.id, deposit.buyer_id);
+    await this.bot.answerCallbackQuery(callbackQuery.id, {
+      text: muted
+        ? `🔇 Депозиты баера ${deposit.buyer_id} больше не будут приходить.\nВернуть: /settings`
+        : `Баер ${deposit.buyer_id} уже заглушен.\nВернуть: /settings`,
+      show_alert: true
+    });
+  }
+  
+  /**
+   * Flag the deposit for owner review
+   */
+  async _reportDeposit(callbackQuery, deposit) {
+    const flagged = await DepositService.flagForReview(deposit, callbackQuery.from.id);
+    if (!flagged) {
+      await this.bot.answerCallbackQuery(callbackQuery.id, {
+        text: 'Депозит уже отправлен владельцам на проверку',
+        show_alert: true
+      });
+      return;
+    }
+    
+    await this.notifyOwnersAboutReport(deposit, callbackQuery.from);
+    await this.bot.answerCallbackQuery(callbackQuery.id, {
+      text: '🚩 Депозит отправлен владельцам на проверку',
+      show_alert: true
+    });
+  }
+  
+  /**
+   * Close a deposit report from the owner notification
+   */
+  async _resolveDepositReport(callbackQuery, deposit) {
+    const ownerId = callbackQuery.from.id;
+    const resolved = await DepositService.resolveReview(deposit, ownerId);
+    
+    await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id
+    });
+    await this.bot.answerCallbackQuery(callbackQuery.id, {
+      text: resolved ? '✅ Жалоба закрыта' : 'Жалоба уже закрыта'
+    });
+    
+    if (resolved && deposit.flagged_by && String(deposit.flagged_by) !== String(ownerId)) {
+      try {
+        await this.sendMessage(
+          deposit.flagged_by,
+          `✅ Владелец проверил депозит <code>${this._escapeHtml(deposit.subid)}</code>, о котором вы сообщили`,
+          { parse_mode: 'HTML' }
+        );
+      } catch (error) {
+        logger.warn('Failed to notify reporter about resolved deposit', {
+          depositId: deposit.id,
+          userId: deposit.flagged_by,
+          error: error.message
+        });
+      }
+    }
+  }
+  
+  /**
+   * Raw Keitaro click fields for the "Details" button
+   */
+  _formatClickData(clickData) {
+    const entries = Object.entries(clickData || {})
+      .filter(([, value]) => value !== null && value !== undefined && value !== '');
+    if (entries.length === 0) {
+      return '📋 <i>Данных Keitaro нет - депозит записан по данным постбэка</i>';
+    }
+    
+    const lines = [];
+    let length = 0;
+    for (const [key, value] of entries) {
+      let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      if (text.length > DEPOSIT_ACTIONS.DETAILS_MAX_VALUE_LENGTH) {
+        text = `${text.slice(0, DEPOSIT_ACTIONS.DETAILS_MAX_VALUE_LENGTH - 1)}…`;
+      }
+      const line = this._escapeHtml(`${key}: ${text}`);
+      if (length + line.length > DEPOSIT_ACTIONS.DETAILS_MAX_LENGTH) {
+        lines.push(`… и еще ${entries.length - lines.length}`);
+        break;
+      }
+      lines.push(line);
+      length += line.length + 1;
+    }
+    
+    return `📋 <b>Данные Keitaro</b>\n<pre>${lines.join('\n')}</pre>`;
+  }
+  
+  /**
+   * Format deposit message (template by deposit type: FTD, redeposit or untyped)
+   */
+  _formatDepositMessage(data) {
+    try {
+      let message = MESSAGE_TEMPLATES.DEPOSIT_NOTIFICATION;
+      if (data.depositType === 'ftd') {
+        message = MESSAGE_TEMPLATES.FTD_NOTIFICATION;
+      } else if (data.depositType === 'redeposit') {
+        message = MESSAGE_TEMPLATES.REDEPOSIT_NOTIFICATION;
+      }
+      
+      const replacements = {
+        '{subid1}': this._escapeHtml(data.subid1 || 'N/A'),
+        '{geo}': this._escapeHtml(data.geo || 'N/A'),
+        '{traffic_source_name}': this._escapeHtml(data.traffic_source_name || 'N/A'),
+        '{offer_name}': this._escapeHtml(data.offer_name || 'N/A'),
+        '{campaign_name}': this._escapeHtml(data.campaign_name || 'N/A'),
+        '{subid2}': this._escapeHtml(data.subid2 || 'N/A'),
+        '{subid4}': this._escapeHtml(data.subid4 || 'N/A'),
+        '{clickId}': this._escapeHtml(data.clickId || 'N/A'),
+        '{payout}': this._formatPayout(data.payout, data.currency, data.basePayout)
+      };
+      
+      Object.entries(replacements).forEach(([placeholder, value]) => {
+        message = message.replace(new RegExp(placeholder.replace(/[{}]/g, '\\$&'), 'g'), value);
+      });
+      
+      message += `\n\n<i>🕒 ${new Date().toLocaleString('ru-RU', { timeZone: 'Europe/Moscow' })}</i>`;
+      
+      return message;
+    } catch (error) {
+      logger.error('Error formatting deposit message', {
+        error: error.message,
+        data
+      });
+      
+      const title = data.depositType === 'redeposit' ? '🔁 Редепозит!' : '🥳 Новый депозит!';
+      return `${title}\n\nПлательщик: ${data.subid1 || 'N/A'}\nСумма: ${this._formatPayout(data.payout, data.currency, data.basePayout)}\nИсточник: ${data.traffic_source_name || 'N/A'}`;
+    }
+  }
+  
+  /**
+   * Notify owners and admins about new join request
+   */
+  async notifyOwnersAboutNewRequest(user, request) {
+    try {
+      // Escape Markdown special characters in user data
+      const firstName = this._escapeMarkdown(user.first_name || 'Не указано');
+      const lastName = this._escapeMarkdown(user.last_name || '');
+      const username = this._escapeMarkdown(user.username || 'Не указан');
+      
+      const message = `🔔 *Новая заявка на доступ*\n\n` +
+                     `👤 Имя: ${firstName} ${lastName}\n` +
+                     `🔖 Ник: @${username}\n` +
+                     `🆔 ID: \`${user.id}\`\n` +
+                     `📅 Дата: ${new Date().toLocaleDateString('ru-RU')}\n\n` +
+                     `Используйте /requests для обработки заявок.`;
+      
+      // Owners and admins handle join requests
+      const managerIds = await AccessPolicy.userIdsWith(ACCESS.PERMISSIONS.MANAGE_USERS);
+      for (const managerId of managerIds) {
+        try {
+          await this.sendMessage(managerId, message, { parse_mode: 'Markdown' });
+        } catch (error) {
+          logger.warn('Failed to notify owner about new request', {
+            ownerId: managerId,
+            error: error.message
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('Error notifying owners about new request', {
         userId: user.id,
-        action,
         error: error.message
       });
     }
   }
   
   /**
-   * Send message with retry logic
+   * Notify owners that deliveries to a destination started failing
+   */
+  async notifyOwnersAboutFailingDestination(destination, error) {
+    const message = `⚠️ <b>Не удалось отправить уведомление в чат</b>\n\n` +
+                   `${this._formatDestination(destination)}\n\n` +
+                   `Проверьте, что бот состоит в чате и может писать: /checkdest ${destination.id}`;
+    
+    for (const ownerId of config.owners) {
+      try {
+        await this.sendMessage(ownerId, message, { parse_mode: 'HTML' });
+      } catch (sendError) {
+        logger.warn('Failed to notify owner about failing destination', {
+          ownerId,
+          destinationId: destination.id,
+          error: sendError.message
+        });
+      }
+    }
+  }
+  
+  /**
+   * Notify owners that a user reported a deposit from its notification
    */
-  async sendMessage(chatId, message, options = {}) {
-    const maxRetries = 3;
-    const retryDelay = 1000;
+  async notifyOwnersAboutReport(deposit, reporter) {
+    const name = this._escapeHtml(reporter.username ? `@${reporter.username}` : reporter.first_name || reporter.id);
+    const message = `🚩 <b>Жалоба на депозит</b>\n\n` +
+                   `🙋 От: ${name} (<code>${reporter.id}</code>)\n` +
+                   `🆔 SubID: <code>${this._escapeHtml(deposit.subid)}</code>\n` +
+                   `👤 Баер: ${this._escapeHtml(deposit.buyer_id || 'N/A')}\n` +
+                   `💰 ${this._formatPayout(deposit.payout, deposit.currency, deposit.base_payout)}\n\n` +
+                   `Доставка и повторная отправка: /delivery ${this._escapeHtml(deposit.subid)}`;
     
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    for (const ownerId of config.owners) {
       try {
-        const result = await this.bot.sendMessage(chatId, message, options);
-        return result;
+        await this.sendMessage(ownerId, message, {
+          parse_mode: 'HTML',
+          reply_markup: {
+            inline_keyboard: [[{
+              text: '✅ Проверено',
+              callback_data: DepositActionService.build(DEPOSIT_ACTIONS.RESOLVE_REPORT, deposit.id, ownerId)
+            }]]
+          }
+        });
       } catch (error) {
-        const isLastAttempt = attempt === maxRetries;
-        
-        if (isLastAttempt) {
-          throw error;
-        }
-        
-        logger.warn(`Message send attempt ${attempt} failed`, {
-          chatId,
-          error: error.message,
-          attempt
+        logger.warn('Failed to notify owner about deposit report', {
+          ownerId,
+          depositId: deposit.id,
+          error: error.message
         });
-        
-        await new Promise(resolve => setTimeout(resolve, retryDelay * attempt));
       }
     }
   }
   
+  /**
+   * Notify owners that a user was deactivated because their chat is unreachable
+   */
+  async notifyOwnersAboutDeactivation(user, reason) {
+    const reasons = {
+      bot_blocked: 'заблокировал бота',
+      user_deactivated: 'аккаунт удален',
+      chat_not_found: 'чат не найден'
+    };
+    const name = this._escapeHtml(user.username ? `@${user.username}` : user.first_name || user.id);
+    const message = `💤 <b>Пользователь отключен от рассылки</b>\n\n` +
+                   `👤 ${name} (<code>${user.id}</code>)\n` +
+                   `Причина: ${reasons[reason] || reason}\n\n` +
+                   `Рассылка возобновится, когда пользователь снова отправит /start.`;
+    
+    for (const ownerId of config.owners) {
+      if (String(ownerId) === String(user.id)) {
+        continue;
+      }
+      try {
+        await this.sendMessage(ownerId, message, { parse_mode: 'HTML' });
+      } catch (error) {
+        logger.warn('Failed to notify owner about deactivated user', {
+          ownerId,
+          userId: user.id,
+          error: error.message
+        });
+      }
+    }
+  }
+  
+  /**
+   * Notify owners that a deactivated user is back
+   */
+  async notifyOwnersAboutReactivation(user) {
+    const name = this._escapeHtml(user.username ? `@${user.username}` : user.first_name || user.id);
+    const message = `🔔 Пользователь ${name} (<code>${user.id}</code>) снова активен и получает уведомления`;
+    
+    for (const ownerId of config.owners) {
+      if (String(ownerId) === String(user.id)) {
+        continue;
+      }
+      try {
+        await this.sendMessage(ownerId, message, { parse_mode: 'HTML' });
+      } catch (error) {
+        logger.warn('Failed to notify owner about reactivated user', {
+          ownerId,
+          userId: user.id,
+          error: error.message
+        });
+      }
+    }
+  }
+  
+  /**
+   * Notify user about approval/rejection decision
+   */
+  async notifyUserAboutDecision(user, action) {
+    try {
+      let message;
+      
+      if (action === 'approved') {
+        message = `✅ *Поздравляем!*\n\n` +
+                 `Ваша заявка на доступ к боту одобрена.\n` +
+                 `Теперь вы будете получать уведомления о депозитах.\n\n` +
+                 `Добро пожаловать! 🎉`;
+      } else {
+        message = `❌ *Заявка отклонена*\n\n` +
+                 `К сожалению, ваша заявка на доступ к боту была отклонена.`;
+      }
+      
+      await this.sendMessage(user.id, message, { parse_mode: 'Markdown' });
+      
+    } catch (error) {
+      logger.warn('Failed to notify user about decision', {
+        userId: user.id,
+        action,
+        error: error.message
+      });
+    }
+  }
+  
+  /**
+   * Send message through the rate-limited queue
+   * 429 responses are rescheduled after retry_after, 5xx and network errors retried (see sendQueue.service.js)
+   * A private chat that turns out unreachable deactivates its user
+   * @param {Object|null} tracking - Receives the number of send attempts ({ attempts })
+   */
+  async sendMessage(chatId, message, options = {}, tracking = null) {
+    try {
+      return await this.sendQueue.enqueue(chatId, () => this.bot.sendMessage(chatId, message, options), tracking);
+    } catch (error) {
+      await this._handleUnreachableChat(chatId, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Edit a sent message through the rate-limited queue
+   */
+  async editMessageText(message, options) {
+    return this.sendQueue.enqueue(options.chat_id, () => this.bot.editMessageText(message, options));
+  }
+  
+  /**
+   * Send queue depth, latency and counters
+   */
+  getSendQueueStats() {
+    return this.sendQueue.getStats();
+  }
+  
   /**
    * Health check
    */
@@ -1002,6 +3264,27 @@ class TelegramBotService {
   /**
    * Utility methods
    */
+  // Permissions of inline buttons - user management, delivery and deposit buttons
+  _callbackPermission(data) {
+    if (data === 'users_stats') {
+      return ACCESS.PERMISSIONS.VIEW_USERS;
+    }
+    if (data.startsWith('resend_')) {
+      return ACCESS.PERMISSIONS.MANAGE_CONFIG;
+    }
+    return ACCESS.PERMISSIONS.MANAGE_USERS;
+  }
+  
+  _depositActionPermission(action) {
+    if (action === DEPOSIT_ACTIONS.RESOLVE_REPORT) {
+      return ACCESS.PERMISSIONS.MANAGE_CONFIG;
+    }
+    if (action === DEPOSIT_ACTIONS.REPORT) {
+      return ACCESS.PERMISSIONS.REPORT_DEPOSITS;
+    }
+    return ACCESS.PERMISSIONS.USE_BOT;
+  }
+  
   _escapeHtml(text) {
     if (typeof text !== 'string') {
       return String(text || '');
@@ -1043,12 +3326,83 @@ class TelegramBotService {
       .replace(/!/g, '\\!');   // Exclamation
   }
   
-  _formatPayout(payout) {
+  /**
+   * Deactivate the user of a private chat Telegram reports as unreachable
+   */
+  async _handleUnreachableChat(chatId, error) {
+    const reason = this._unreachableReason(error);
+    // Groups and channels (negative IDs) are tracked as notification destinations
+    if (!reason || String(chatId).startsWith('-')) {
+      return;
+    }
+    
+    const user = await UserManagerService.deactivateUser(chatId, reason);
+    if (user) {
+      await this.notifyOwnersAboutDeactivation(user, reason);
+    }
+  }
+  
+  /**
+   * Reason code of an error meaning the chat no longer receives messages, null otherwise
+   */
+  _unreachableReason(error) {
+    const code = SendQueue.errorCode(error);
+    if (code !== 400 && code !== 403) {
+      return null;
+    }
+    
+    const match = UNREACHABLE_CHAT_ERRORS.find(({ pattern }) => pattern.test(error.message));
+    return match ? match.reason : null;
+  }
+  
+  /**
+   * Describe a notification destination: title, topic, filters and delivery status (HTML)
+   */
+  _formatDestination(destination) {
+    const list = (label, values) => values && values.length > 0 ? `${label}: ${this._escapeHtml(values.join(', '))}` : null;
+    const sources = (destination.traffic_source_ids || []).map(id => TRAFFIC_SOURCES.SOURCES_MAP[id] || id);
+    const filters = [
+      list('баеры', destination.buyer_ids),
+      list('ГЕО', destination.geos),
+      list('источники', sources),
+      list('оффер', destination.offers),
+      destination.min_payout && `от ${ExchangeRateService.formatAmount(destination.min_payout)}`
+    ].filter(Boolean);
+    
+    let status = destination.is_active ? '✅' : '⏸';
+    if (destination.is_active && destination.failure_count > 0) {
+      status = '⚠️';
+    }
+    
+    let text = `${status} <b>#${destination.id}</b> ${this._escapeHtml(destination.title || destination.chat_id)}` +
+               ` (${destination.chat_type || 'chat'}${destination.message_thread_id ? `, тема ${destination.message_thread_id}` : ''})\n` +
+               `├ Бот администратор: ${destination.bot_is_admin ? 'да' : 'нет'}\n` +
+               `└ Фильтры: ${filters.length > 0 ? filters.join('; ') : 'все депозиты'}`;
+    
+    if (destination.failure_count > 0) {
+      text += `\n⚠️ Ошибок подряд: ${destination.failure_count}, последняя: ${this._escapeHtml(destination.last_error || 'N/A')}`;
+    }
+    
+    return text;
+  }
+  
+  /**
+   * Format payout: original amount, plus the base currency amount for other currencies
+   */
+  _formatPayout(payout, currency = null, basePayout = null) {
     try {
-      const amount = parseFloat(payout) || 0;
-      return `$${amount.toFixed(2)}`;
+      const baseCurrency = config.currency.base;
+      const original = ExchangeRateService.formatAmount(payout, currency || baseCurrency);
+      
+      if (!currency || currency.toUpperCase() === baseCurrency) {
+        return original;
+      }
+      
+      return basePayout === null || basePayout === undefined
+        ? `${original} (курс ${currency.toUpperCase()} не задан)`
+        : `${original} (≈ ${ExchangeRateService.formatAmount(basePayout, baseCurrency)})`;
     } catch (error) {
-      return '$0.00';
+      return ExchangeRateService.formatAmount(0);
     }
   }
 
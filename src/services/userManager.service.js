@@ -6,6 +6,8 @@
 const { User, JoinRequest } = require('../models');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const AccessPolicy = require('./accessPolicy.service');
+const { ACCESS } = require('../config/constants');
 
 class UserManagerService {
   /**
@@ -239,10 +241,14 @@ class UserManagerService {
         return { success: false, message: 'Пользователь не найден' };
       }
       
-      if (user.role === 'owner') {
+      if (this.isOwner(user.id)) {
         return { success: false, message: 'Нельзя заблокировать владельца' };
       }
       
+      if (!AccessPolicy.canManage(await AccessPolicy.roleOfId(ownerId), AccessPolicy.assignedRole(user))) {
+        return { success: false, message: 'Недостаточно прав для управления этим пользователем' };
+      }
+      
       await user.update({
         status: 'banned',
         updated_at: new Date()
@@ -280,6 +286,10 @@ class UserManagerService {
         return { success: false, message: 'Пользователь не найден' };
       }
       
+      if (!AccessPolicy.canManage(await AccessPolicy.roleOfId(ownerId), AccessPolicy.assignedRole(user))) {
+        return { success: false, message: 'Недостаточно прав для управления этим пользователем' };
+      }
+      
       await user.update({
         status: 'approved',
         approved_by: ownerId,
@@ -309,13 +319,121 @@ class UserManagerService {
     }
   }
   
+  /**
+   * Change a user's role (see ACCESS.ASSIGNABLE_ROLES)
+   * @param {Object} actor - { id, role } of who changes it (role of an API key: admin)
+   * @returns {Object} { success, user, previousRole } or { success: false, reason, message }
+   *   reason: invalid_role, not_found, owner, forbidden
+   */
+  static async setRole(userId, role, actor) {
+    try {
+      const newRole = String(role || '').toLowerCase();
+      if (!ACCESS.ASSIGNABLE_ROLES.includes(newRole)) {
+        return { success: false, reason: 'invalid_role', message: `Неизвестная роль. Доступны: ${ACCESS.ASSIGNABLE_ROLES.join(', ')}` };
+      }
+      
+      if (this.isOwner(userId)) {
+        return { success: false, reason: 'owner', message: 'Роль владельца задается в OWNER_IDS' };
+      }
+      
+      const user = await User.findByPk(userId);
+      if (!user) {
+        return { success: false, reason: 'not_found', message: 'Пользователь не найден' };
+      }
+      
+      const previousRole = AccessPolicy.assignedRole(user);
+      if (!AccessPolicy.canManage(actor.role, previousRole) || !AccessPolicy.canAssign(actor.role, newRole)) {
+        return { success: false, reason: 'forbidden', message: 'Недостаточно прав для назначения этой роли' };
+      }
+      
+      await user.update({ role: newRole });
+      
+      logger.security('User role changed', {
+        userId: user.id,
+        username: user.username,
+        previousRole,
+        role: newRole,
+        changedBy: actor.id,
+        changedByRole: actor.role
+      });
+      
+      return { success: true, user, previousRole };
+      
+    } catch (error) {
+      logger.error('Error changing user role', {
+        userId,
+        role,
+        error: error.message
+      });
+      return { success: false, message: 'Ошибка изменения роли' };
+    }
+  }
+  
+  /**
+   * Deactivate a user whose private chat is unreachable
+   * @param {string} reason - bot_blocked, user_deactivated or chat_not_found
+   * @returns {Object|null} Deactivated user, null when the user is unknown or already inactive
+   */
+  static async deactivateUser(userId, reason) {
+    try {
+      const user = await User.findByPk(userId);
+      if (!user || !user.is_active) {
+        return null;
+      }
+      
+      await user.update({
+        is_active: false,
+        deactivated_at: new Date(),
+        deactivation_reason: reason
+      });
+      
+      logger.warn('💤 User deactivated - chat unreachable', {
+        userId,
+        username: user.username,
+        reason
+      });
+      
+      return user;
+    } catch (error) {
+      logger.error('Error deactivating user', {
+        userId,
+        reason,
+        error: error.message
+      });
+      return null;
+    }
+  }
+  
+  /**
+   * Reactivate a user who contacted the bot again
+   * @returns {boolean} true when the user was inactive
+   */
+  static async reactivateUser(user) {
+    if (user.is_active) {
+      return false;
+    }
+    
+    await user.update({
+      is_active: true,
+      deactivated_at: null,
+      deactivation_reason: null
+    });
+    
+    logger.info('User reactivated', {
+      userId: user.id,
+      username: user.username
+    });
+    
+    return true;
+  }
+  
   /**
    * Get all users 
    */
   static async getAllUsers() {
     try {
       const users = await User.findAll({
-        attributes: ['id', 'username', 'first_name', 'last_name', 'status', 'role', 'created_at', 'last_activity'],
+        attributes: ['id', 'username', 'first_name', 'last_name', 'status', 'role', 'is_active', 'deactivation_reason', 'created_at', 'last_activity'],
         order: [['created_at', 'DESC']]
       });
       
@@ -335,9 +453,13 @@ class UserManagerService {
     try {
       const users = await User.findAll({
         where: { 
-          status: 'approved'
+          status: 'approved',
+          is_active: true
         },
-        attributes: ['id', 'username', 'first_name', 'last_name', 'language_code'],
+        attributes: [
+          'id', 'username', 'first_name', 'last_name', 'language_code', 'role', 'status', 'team_id',
+          'timezone', 'quiet_hours_start', 'quiet_hours_end', 'quiet_mode', 'muted_until'
+        ],
         order: [['last_activity', 'DESC']]
       });
       
@@ -362,7 +484,8 @@ class UserManagerService {
         rejectedUsers,
         bannedUsers,
         owners,
-        pendingRequests
+        pendingRequests,
+        inactiveUsers
       ] = await Promise.all([
         User.count(),
         User.count({ where: { status: 'pending' } }),
@@ -370,7 +493,8 @@ class UserManagerService {
         User.count({ where: { status: 'rejected' } }),
         User.count({ where: { status: 'banned' } }),
         User.count({ where: { role: 'owner' } }),
-        JoinRequest.count({ where: { status: 'pending' } })
+        JoinRequest.count({ where: { status: 'pending' } }),
+        User.count({ where: { status: 'approved', is_active: false } })
       ]);
       
       return {
@@ -380,7 +504,8 @@ class UserManagerService {
         rejected: rejectedUsers,
         banned: bannedUsers,
         owners: owners,
-        pendingRequests: pendingRequests
+        pendingRequests: pendingRequests,
+        inactive: inactiveUsers
       };
     } catch (error) {
       logger.error('Error getting user stats', {
@@ -393,7 +518,8 @@ class UserManagerService {
         rejected: 0,
         banned: 0,
         owners: 0,
-        pendingRequests: 0
+        pendingRequests: 0,
+        inactive: 0
       };
     }
   }
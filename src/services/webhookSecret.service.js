@@ -0,0 +1,180 @@
+/**
+ * Webhook Secret Service
+ * secret_token of the Telegram webhook: generated once, stored in bot_settings, rotatable
+ * Telegram sends it back in the X-Telegram-Bot-Api-Secret-Token header of every update.
+ * The token replaced by a rotation is stored with its expiry, so a restart keeps the grace period
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { sequelize, BotSetting } = require('../models');
+const { TELEGRAM_WEBHOOK } = require('../config/constants');
+
+// Cached tokens (loaded with the current one) - the previous one stays valid for a short while after a rotation
+const state = {
+  current: null,
+  previous: null,
+  previousExpiresAt: 0,
+  rotatedAt: null
+};
+
+class WebhookSecretService {
+
+  /**
+   * Current token, generated and stored on first use
+   */
+  static async getSecret() {
+    if (state.current) {
+      return state.current;
+    }
+
+    const [setting, previousSetting] = await Promise.all([
+      BotSetting.findByPk(TELEGRAM_WEBHOOK.SECRET_SETTING_KEY),
+      BotSetting.findByPk(TELEGRAM_WEBHOOK.PREVIOUS_SECRET_SETTING_KEY)
+    ]);
+    WebhookSecretService._restorePrevious(previousSetting);
+
+    if (setting && setting.value) {
+      state.current = setting.value;
+      return state.current;
+    }
+
+    const secret = WebhookSecretService._generate();
+    // Another process may have stored a token meanwhile - keep the first one
+    const [stored] = await BotSetting.findOrCreate({
+      where: { key: TELEGRAM_WEBHOOK.SECRET_SETTING_KEY },
+      defaults: { value: secret }
+    });
+    state.current = stored.value;
+    logger.info('🔐 Telegram webhook secret generated');
+    return state.current;
+  }
+
+  /**
+   * Whether a presented token is the current one (or the previous one during the rotation grace period)
+   */
+  static async matches(token) {
+    if (typeof token !== 'string' || token.length === 0) {
+      return false;
+    }
+
+    const current = await WebhookSecretService.getSecret();
+    if (WebhookSecretService._safeEqual(token, current)) {
+      return true;
+    }
+
+    return Boolean(state.previous) && Date.now() < state.previousExpiresAt &&
+      WebhookSecretService._safeEqual(token, state.previous);
+  }
+
+  /**
+   * Register the webhook with Telegram together with the secret token
+   * @param {Object} options - dropPendingUpdates
+   * @returns {Object} Telegram API response ({ ok, result, description })
+   */
+  static async register(secret = null, { dropPendingUpdates = false } = {}) {
+    const response = await fetch(`https://api.telegram.org/bot${config.telegram.botToken}/setWebhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        url: config.bot.webhookUrl,
+        secret_token: secret || await WebhookSecretService.getSecret(),
+        drop_pending_updates: dropPendingUpdates
+      })
+    });
+
+    return response.json();
+  }
+
+  /**
+   * Replace the token - stored, and registered with Telegram when the bot runs in webhook mode
+   * @param {string|number|null} updatedBy - Owner ID
+   * @returns {Object} { success, registered } or { success: false, message }
+   */
+  static async rotate(updatedBy = null) {
+    const previous = await WebhookSecretService.getSecret();
+    const secret = WebhookSecretService._generate();
+    const registered = Boolean(config.bot.webhookMode && config.bot.webhookUrl);
+    const before = { ...state };
+
+    // Accept the new token before Telegram starts sending it, and the old one for updates in flight
+    state.current = secret;
+    state.previous = previous;
+    state.previousExpiresAt = Date.now() + TELEGRAM_WEBHOOK.ROTATION_GRACE_MS;
+
+    if (registered) {
+      let result;
+      try {
+        result = await WebhookSecretService.register(secret);
+      } catch (error) {
+        result = { ok: false, description: error.message };
+      }
+
+      if (!result.ok) {
+        Object.assign(state, before);
+        logger.error('❌ Webhook secret rotation failed', { error: result.description });
+        return { success: false, message: result.description || 'setWebhook failed' };
+      }
+    }
+
+    await sequelize.transaction(async transaction => {
+      await BotSetting.upsert({
+        key: TELEGRAM_WEBHOOK.PREVIOUS_SECRET_SETTING_KEY,
+        value: JSON.stringify({ token: previous, expiresAt: new Date(state.previousExpiresAt).toISOString() }),
+        updated_by: updatedBy
+      }, { transaction });
+      await BotSetting.upsert({
+        key: TELEGRAM_WEBHOOK.SECRET_SETTING_KEY,
+        value: secret,
+        updated_by: updatedBy
+      }, { transaction });
+    });
+    state.rotatedAt = new Date();
+
+    logger.security('Telegram webhook secret rotated', { updatedBy, registered });
+    return { success: true, registered };
+  }
+
+  static getStats() {
+    return {
+      loaded: Boolean(state.current),
+      rotatedAt: state.rotatedAt,
+      previousAcceptedUntil: state.previous && Date.now() < state.previousExpiresAt
+        ? new Date(state.previousExpiresAt).toISOString()
+        : null
+    };
+  }
+
+  /**
+   * Accept the stored previous token until its expiry
+   */
+  static _restorePrevious(setting) {
+    if (!setting || !setting.value) {
+      return;
+    }
+
+    try {
+      const { token, expiresAt } = JSON.parse(setting.value);
+      const expiresAtMs = Date.parse(expiresAt);
+      if (token && expiresAtMs > Date.now()) {
+        state.previous = token;
+        state.previousExpiresAt = expiresAtMs;
+      }
+    } catch (error) {
+      logger.warn('Stored previous webhook secret is unreadable', { error: error.message });
+    }
+  }
+
+  static _generate() {
+    return crypto.randomBytes(TELEGRAM_WEBHOOK.SECRET_BYTES).toString('hex');
+  }
+
+  static _safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+  }
+}
+
+module.exports = WebhookSecretService;
@@ -0,0 +1,74 @@
+/**
+ * Timezone Utilities
+ * Wall-clock math in IANA timezones through Intl (no timezone database dependency)
+ */
+
+class TimezoneHelper {
+
+  static isValid(timezone) {
+    if (!timezone || !/^[A-Za-z_]+(\/[A-Za-z0-9_+-]+)*$/.test(timezone)) {
+      return false;
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Wall-clock parts of a moment in the timezone: year, month (1-12), day, hour, minute, second
+   */
+  static zonedParts(date, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(date).forEach(part => {
+      if (part.type !== 'literal') {
+        parts[part.type] = parseInt(part.value, 10);
+      }
+    });
+    return parts;
+  }
+
+  /**
+   * Minutes since the timezone's midnight at a moment
+   */
+  static minutesOfDay(date, timezone) {
+    const parts = TimezoneHelper.zonedParts(date, timezone);
+    return parts.hour * 60 + parts.minute;
+  }
+
+  /**
+   * Offset of the timezone from UTC at a moment, ms
+   */
+  static zoneOffset(date, timezone) {
+    const parts = TimezoneHelper.zonedParts(date, timezone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+  }
+
+  /**
+   * Midnight starting the day `offsetDays` away from the day `date` falls on in the timezone
+   */
+  static startOfDay(date, timezone, offsetDays = 0) {
+    const parts = TimezoneHelper.zonedParts(date, timezone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day + offsetDays);
+    // The zone offset is taken at the result itself - twice, in case midnight is next to a DST change
+    let result = wallClock - TimezoneHelper.zoneOffset(new Date(wallClock), timezone);
+    result = wallClock - TimezoneHelper.zoneOffset(new Date(result), timezone);
+    return new Date(result);
+  }
+}
+
+module.exports = {
+  TimezoneHelper
+};
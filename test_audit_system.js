@@ -7,6 +7,9 @@ const axios = require('axios');
 
 const BASE_URL = 'http://localhost:3000';
 
+// /admin endpoints need an API key with the run-audit scope (issue one with /newkey in Telegram)
+axios.defaults.headers.common.Authorization = `Bearer ${process.env.ADMIN_API_KEY || ''}`;
+
 async function testAuditSystem() {
   console.log('🧪 Testing Deposit Audit System');
   console.log('=====================================');
@@ -109,10 +112,11 @@ async function testAuditSystem() {
   console.log('   3. Check response for missing deposits and recommendations');
   console.log('\n📝 Example curl commands:');
   console.log(`curl -X POST ${BASE_URL}/admin/audit-deposits \\`);
+  console.log(`  -H "Authorization: Bearer $ADMIN_API_KEY" \\`);
   console.log(`  -H "Content-Type: application/json" \\`);
   console.log(`  -d '{"dateFrom": "2025-08-29", "dateTo": "2025-08-29"}'`);
   console.log('');
-  console.log(`curl ${BASE_URL}/admin/audit-deposit/1n88iildmflp`);
+  console.log(`curl -H "Authorization: Bearer $ADMIN_API_KEY" ${BASE_URL}/admin/audit-deposit/1n88iildmflp`);
 }
 
 if (require.main === module) {
@@ -0,0 +1,174 @@
+/**
+ * Test script for Postback Field Mapping
+ * Runs network fixtures through the admin preview endpoint and compares canonical output
+ */
+
+const axios = require('axios');
+
+const BASE_URL = 'http://localhost:3000';
+
+// /admin endpoints need an API key with read-stats and manage-config scopes (issue one with /newkey in Telegram)
+axios.defaults.headers.common.Authorization = `Bearer ${process.env.ADMIN_API_KEY || ''}`;
+const TEST_NETWORK = 'test_mapping_net';
+
+// Mapping saved for TEST_NETWORK before the fixtures run
+const testMapping = {
+  fields: {
+    subid: ['clickid', 'sub1'],
+    status: 'event',
+    payout: 'amount',
+    geo: 'country',
+    currency: 'cur',
+    transaction_id: 'txid'
+  },
+  value_map: {
+    status: { Purchase: 'dep', Registration: 'reg' }
+  },
+  defaults: {
+    currency: 'USD'
+  },
+  description: 'Fixture mapping for test_postback_mapping.js'
+};
+
+// Raw network parameters and the canonical fields expected after mapping
+const fixtures = [
+  {
+    name: 'All fields renamed',
+    params: { clickid: 'abc123', event: 'purchase', amount: '50.5', country: 'TR', cur: 'EUR', txid: 'tx-1' },
+    expected: { subid: 'abc123', status: 'dep', payout: '50.5', geo: 'TR', currency: 'EUR', transaction_id: 'tx-1', from: TEST_NETWORK }
+  },
+  {
+    name: 'Second SubID candidate is used when the first is missing',
+    params: { sub1: 'xyz789', event: 'Purchase', amount: '10' },
+    expected: { subid: 'xyz789', status: 'dep', payout: '10', currency: 'USD', from: TEST_NETWORK }
+  },
+  {
+    name: 'Unmapped status value passes through',
+    params: { clickid: 'abc124', event: 'ftd', amount: '20' },
+    expected: { subid: 'abc124', status: 'ftd', payout: '20' }
+  },
+  {
+    name: 'Registration is translated to reg',
+    params: { clickid: 'abc125', event: 'registration' },
+    expected: { subid: 'abc125', status: 'reg' }
+  },
+  {
+    name: '"from" sent by the network is kept',
+    params: { clickid: 'abc126', event: 'purchase', from: 'wwa' },
+    expected: { subid: 'abc126', from: 'wwa' }
+  }
+];
+
+function compareFields(expected, actual) {
+  const mismatches = [];
+  for (const [field, value] of Object.entries(expected)) {
+    if (actual[field] !== value) {
+      mismatches.push(`${field}: expected ${JSON.stringify(value)}, got ${JSON.stringify(actual[field])}`);
+    }
+  }
+  return mismatches;
+}
+
+async function runFixture(fixture) {
+  console.log(`\n🧪 Testing: ${fixture.name}`);
+  console.log(`   Params: ${JSON.stringify(fixture.params)}`);
+
+  try {
+    const response = await axios.post(`${BASE_URL}/admin/postback-mappings/${TEST_NETWORK}/preview`, {
+      params: fixture.params
+    }, { timeout: 10000 });
+
+    const canonical = response.data.canonical || {};
+    console.log(`   📝 Canonical: ${JSON.stringify(canonical)}`);
+
+    const mismatches = compareFields(fixture.expected, canonical);
+    if (mismatches.length === 0) {
+      console.log(`   ✅ TEST PASSED`);
+      return true;
+    }
+
+    mismatches.forEach(mismatch => console.log(`   ❌ ${mismatch}`));
+    console.log(`   ❌ TEST FAILED`);
+    return false;
+
+  } catch (error) {
+    console.log(`   ❌ ERROR: ${error.message}`);
+    if (error.response) {
+      console.log(`   📝 Error Response: ${JSON.stringify(error.response.data, null, 2)}`);
+    }
+    return false;
+  }
+}
+
+async function testInvalidMapping() {
+  console.log('\n🧪 Testing: Unknown canonical field is rejected');
+
+  try {
+    await axios.put(`${BASE_URL}/admin/postback-mappings/${TEST_NETWORK}_invalid`, {
+      fields: { not_a_field: 'x' }
+    }, { timeout: 10000 });
+
+    console.log('   ❌ TEST FAILED - invalid mapping was accepted');
+    return false;
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      console.log(`   ✅ TEST PASSED - ${error.response.data.message}`);
+      return true;
+    }
+    console.log(`   ❌ ERROR: ${error.message}`);
+    return false;
+  }
+}
+
+async function runAllTests() {
+  console.log('🚀 Starting Postback Mapping Tests');
+  console.log('===================================');
+
+  // Check if server is running
+  try {
+    await axios.get(`${BASE_URL}/health`, { timeout: 5000 });
+    console.log('✅ Server is running');
+  } catch (error) {
+    console.log('❌ Server is not running! Start the bot first.');
+    process.exit(1);
+  }
+
+  await axios.put(`${BASE_URL}/admin/postback-mappings/${TEST_NETWORK}`, testMapping, { timeout: 10000 });
+  console.log(`✅ Fixture mapping saved for "${TEST_NETWORK}"`);
+
+  let passed = 0;
+  const total = fixtures.length + 1;
+
+  try {
+    for (const fixture of fixtures) {
+      if (await runFixture(fixture)) passed++;
+    }
+
+    if (await testInvalidMapping()) passed++;
+  } finally {
+    await axios.delete(`${BASE_URL}/admin/postback-mappings/${TEST_NETWORK}`, { timeout: 10000 })
+      .catch(() => console.log('⚠️ Failed to delete fixture mapping'));
+  }
+
+  console.log('\n📊 TEST RESULTS');
+  console.log('================');
+  console.log(`✅ Passed: ${passed}/${total}`);
+  console.log(`❌ Failed: ${total - passed}/${total}`);
+
+  if (passed === total) {
+    console.log('\n🎉 ALL TESTS PASSED! Postback mapping is working correctly.');
+  } else {
+    console.log('\n⚠️ Some tests failed. Check the logs above for details.');
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  runAllTests().catch(console.error);
+}
+
+module.exports = {
+  runAllTests,
+  fixtures,
+  testMapping
+};